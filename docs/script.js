@@ -1,6 +1,3 @@
-// Set to true to show the debug (Buffer Analysis) panel
-const SHOW_DEBUG_PANEL = false;
-
 /**
  * AudioKeepAlive - Prevents audio devices from going to sleep
  * Uses two approaches in parallel:
@@ -417,5149 +414,10083 @@ class AudioOutputMonitor {
     }
 }
 
-class FlashbackRecorder {
+/**
+ * StorageManager - Persists the rolling buffer to IndexedDB
+ * Every finalized segment (a self-contained WebM) is written as soon as it is produced and deleted
+ * when the rolling buffer evicts it, so a crash or reload only loses the segment being recorded.
+ * All writes go through a single queue so a put/delete pair for the same segment lands in call order.
+ */
+class StorageManager {
     constructor() {
-        // DOM Elements
-        this.videoPreview = document.getElementById('videoPreview');
-        this.shiftBtn = document.getElementById('shiftBtn');
-        this.flashbackBtn = document.getElementById('flashbackBtn');
-        this.waveformCanvas = document.getElementById('waveformCanvas');
-        this.waveformContainer = document.getElementById('waveformContainer');
-        this.photoTimelineContainer = document.getElementById('photoTimelineContainer');
-        this.photoTimelineScroll = document.getElementById('photoTimelineScroll');
-        this.photoTimelinePosition = document.getElementById('photoTimelinePosition');
-        
-        // Debug: Check if waveform elements exist
-        if (!this.waveformContainer) {
-            console.error('waveformContainer element not found in DOM');
-        }
-        if (!this.waveformCanvas) {
-            console.error('waveformCanvas element not found in DOM');
-        }
-        if (!this.photoTimelineContainer) {
-            console.error('photoTimelineContainer element not found in DOM');
-        }
-        if (!this.photoTimelineScroll) {
-            console.error('photoTimelineScroll element not found in DOM');
+        this.dbName = 'flashbackMirror';
+        this.dbVersion = 1;
+        this.segmentStore = 'segments'; // one record per finalized segment, keyed by session id
+        this.metaStore = 'meta'; // small key/value records (markers, lifetime duration)
+        this.db = null;
+        this.isAvailable = typeof indexedDB !== 'undefined';
+        this._openPromise = null;
+        this._queue = Promise.resolve();
+    }
+
+    open() {
+        if (!this.isAvailable) {
+            return Promise.resolve(null);
+        }
+        if (!this._openPromise) {
+            this._openPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.segmentStore)) {
+                        db.createObjectStore(this.segmentStore, { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains(this.metaStore)) {
+                        db.createObjectStore(this.metaStore);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+            }).then(db => {
+                this.db = db;
+                return db;
+            }).catch(error => {
+                // Private browsing / disabled storage: persistence is optional, keep recording in memory
+                console.warn('StorageManager: IndexedDB not available', error);
+                this.isAvailable = false;
+                return null;
+            });
         }
-        
-        this.forwardBtn = document.getElementById('forwardBtn');
-        this.videoOverlay = document.getElementById('videoOverlay');
-        this.alertsContainer = document.getElementById('alertsContainer');
-        this.timeOffsetOverlay = document.getElementById('timeOffsetOverlay');
-        this.stateIndicatorDot = document.getElementById('stateIndicatorDot');
-        this.stateIndicatorLabel = document.getElementById('stateIndicatorLabel');
-        this.timelineContainer = document.getElementById('timelineContainer');
-        this.timelineBar = document.getElementById('timelineBar');
-        this.timelineProgress = document.getElementById('timelineProgress');
-        this.timelinePosition = document.getElementById('timelinePosition');
-        this.timelineMarkerLayer = document.getElementById('timelineMarkerLayer');
-        this.timeStart = document.getElementById('timeStart');
-        this.timeCurrent = document.getElementById('timeCurrent');
-        this.timeEnd = document.getElementById('timeEnd');
-        this.timeLifetime = document.getElementById('timeLifetime');
-        this.timelineLegend = document.getElementById('timelineLegend');
-        this.durationRange = document.getElementById('durationRange');
-        this.durationValue = document.getElementById('durationValue');
-        this.durationDisplay = document.getElementById('durationDisplay');
-        this.addMarkerBtn = document.getElementById('addMarkerBtn');
-        this.prevMarkerBtn = document.getElementById('prevMarkerBtn');
-        this.nextMarkerBtn = document.getElementById('nextMarkerBtn');
-        this.debugPanel = document.getElementById('debugPanel');
-        this.debugPanelToggle = document.getElementById('debugPanelToggle');
-        this.configPanel = document.getElementById('configPanel');
-        this.configPanelToggle = document.getElementById('configPanelToggle');
-        this.configPanelClose = document.getElementById('configPanelClose');
-        this.configAudioOutputContent = document.getElementById('configAudioOutputContent');
-        this.configMicSelect = document.getElementById('configMicSelect');
-        this.configCameraSelect = document.getElementById('configCameraSelect');
-        this.configVuMeter = document.getElementById('configVuMeter');
-        this.configCameraPreview = document.getElementById('configCameraPreview');
-        this.configMirrorToggle = document.getElementById('configMirrorToggle');
-        this.debugSegmentsList = document.getElementById('debugSegmentsList');
-        this.debugTotalDuration = document.getElementById('debugTotalDuration');
-        this.debugSegmentCount = document.getElementById('debugSegmentCount');
-        this.debugChunksList = document.getElementById('debugChunksList');
-        this.debugChunkCount = document.getElementById('debugChunkCount');
-        this.debugBufferDuration = document.getElementById('debugBufferDuration');
-        this.pendingSessionId = null;
-        this.pendingSessionChunks = [];
+        return this._openPromise;
+    }
 
-        // State
-        this.stream = null;
-        this.mediaRecorder = null;
-        this.state = 'recording'; // 'recording' | 'flashback' | 'recordingStopped' | 'flashbackPaused' | 'transitioning'
-        this.recordedSessions = [];
-        this.chunkBuffer = []; // rolling buffer of individual chunks { blob, duration, mimeType, timestamp, sessionId, sequence }
-        this.currentSessionChunks = []; // chunks collected during the current session (before save)
-        this.currentSessionIdCounter = 0; // auto-incremented identifier for logical sessions
-        this.currentChunkSequence = 0; // auto-incremented identifier for each chunk
-        this.currentSessionId = null; // logical session currently being recorded
-        this._bufferedDuration = 0; // total cumulative duration of chunks present in the buffer
-        this._lastChunkTimestamp = null; // timestamp of the last received chunk (ms)
-        this.currentSessionHeaderBlob = null; // Blob header preserved if the first chunk is purged
-        this.sessionMap = new Map(); // direct access to sessions by identifier
-        this.currentFlashbackIndex = 0;
-        this.flashbackVideo = null;
-        this.allSessions = [];
-        this._mse = null; // MediaSource context stitching the retained segments into one gapless timeline during flashback
-        this.currentReferencePosition = null;
-        this.backPressCount = 0;
-        this.forwardPressCount = 0;
-        this.backResetTimer = null;
-        this.forwardResetTimer = null;
-        this.previousAbsoluteTime = null; // Store previous position for offset calculation
-        this.timeOffsetOverlayTimeout = null; // Timeout for fade out
-        this.markerUpPressCount = 0;           // Counter for rapid ArrowUp presses
-        this.markerUpResetTimer = null;        // Timer to reset the counter
-        this.lastMarkerUpPressTime = 0;        // Timestamp of last ArrowUp press
-        this.markerUpFastPressThreshold = 500; // 0.5 seconds in milliseconds
-        this.recordingStartTime = 0;
-        this.totalRecordedTime = 0;
-        this.maxDuration = 600; // seconds
-        this.bufferMarginSeconds = 20; // extra margin to ensure an earlier keyframe (>= segment length so whole-segment eviction never bisects)
-        this.segmentDurationSeconds = 15; // rotate the recorder this often so each segment is a self-contained, decodable WebM
-        this._segmentRotationTimer = null; // interval that triggers periodic recorder rotation
-        this._rotating = false; // true while a rotation is in progress (suppresses the onstop auto-save)
-        this.lifetimeRecordedDuration = 0; // total duration recorded since launch (monotonic)
-        this.sessionBoundaries = [];
-        this._pendingRevokes = [];
-        this.activeMimeType = null; // MimeType used for blobs
-        this._flashbackId = 0; // unique identifier for each flashback (invalidates obsolete handlers)
-        this._flashbackTimeout = null;
-        this._flashbackInterval = null;
-        this._timeupdateHandler = null;
-        this._timeupdateGuardTimeout = null;
-        this._onEndedHandler = null;
-        this._onErrorHandler = null;
-        this._metadataTimeout = null;
-        
-        // Audio keep-alive to prevent speaker/headphone sleep
-        this.audioKeepAlive = new AudioKeepAlive();
-        
-        // Audio output monitor for device failure detection and automatic failover
-        this.audioOutputMonitor = new AudioOutputMonitor(this);
-        
-        this._finalizeFlashback = null;
-        this.visibleWindowStart = 0;
-        this.visibleWindowEnd = 0;
-        this.visibleWindowDuration = 0;
-        this.lateChunkThresholdSeconds = 1.0;
-        this.lastFinalizedSessionId = null;
-        this.flashbackMarkers = [];
-        this.flashbackMarkerIdCounter = 0;
-        this.markerNavigationEpsilon = 0.05; // 50ms tolerance when comparing marker positions
+    _transaction(storeName, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeName, mode);
+            const request = operation(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
 
-        // Waveform visualization
-        // Note: waveformCanvas and waveformContainer are already set above in DOM Elements section
-        this.waveformCtx = null; // Will be set in initWaveformCanvas
-        this.waveformData = []; // Cache des données de forme d'onde (haute résolution)
-        this.audioContext = null; // AudioContext pour l'analyse
-        this.audioAnalyser = null; // AnalyserNode pour l'analyse en temps réel
-        this.audioSource = null; // MediaStreamAudioSourceNode
-        this.waveformAnalysisInterval = null; // Interval pour l'analyse en temps réel
-        this.showWaveform = true; // Flag pour afficher/masquer la forme d'onde (chargé depuis localStorage)
-        this.waveformResolution = 20; // Résolution en millisecondes entre chaque point (ex: 20ms = 50 points/seconde)
-        this.maxAmplitude = 0; // Amplitude maximale pour normalisation
-        this.lastWaveformAnalysisTime = 0; // Timestamp de la dernière analyse
-        this.lastWaveformRenderTime = 0; // Timestamp du dernier rendu
-        this.waveformRecordingStartTime = 0; // Timestamp de début d'enregistrement pour calcul précis
-        this.waveformRecordingStartDuration = 0; // Durée totale au début de l'enregistrement
-        this.waveformRenderInterval = 100; // Intervalle de rendu en millisecondes (100ms = 10 FPS)
+    _enqueue(task) {
+        const run = this._queue.then(async () => {
+            const db = await this.open();
+            if (!db) return undefined;
+            return task();
+        });
+        // Keep the queue alive after a failed write; the caller still sees the rejection
+        this._queue = run.catch(() => {});
+        return run;
+    }
 
-        // Photo timeline visualization
-        this.photoFrames = []; // Array of {timestamp, imageData, thumbnail}
-        this.showPhotoTimeline = true; // Flag pour afficher/masquer la photo timeline (chargé depuis localStorage)
-        this.photoExtractionInterval = null; // Intervalle d'extraction de frames
-        this.lastPhotoExtractionTime = 0; // Timestamp de la dernière extraction
-        this.photoTimelineHeight = 36; // Hauteur fixe de la règle en pixels (réduite de 40%)
-        this.photoThumbnailWidth = 80; // Largeur cible d'une miniature en pixels (deprecated, kept for compatibility)
-        this.photoExtractionActive = false; // Flag pour contrôler si l'extraction est active
-        this.photoTimelineRefreshInterval = null; // Intervalle de rafraîchissement de l'affichage
-        this.isReExtracting = false; // Flag pour éviter les ré-extractions simultanées
-        this.timelineResizeDebounce = null; // Debounce pour les événements window resize
-        this.playbackPositionUpdateInterval = null; // Intervalle de mise à jour des traits rouges (100ms)
-        this.videoWidth = null; // Largeur de la vidéo en pixels
-        this.videoHeight = null; // Hauteur de la vidéo en pixels
-        this.photoTimelineResizeObserver = null; // ResizeObserver pour détecter les changements de dimensions
-        this.photoTimelineResizeDebounce = null; // Debounce timer pour les événements de redimensionnement
-        this.currentPhotoExtractionInterval = null; // Périodicité actuelle d'extraction (en secondes)
+    toRecord(session) {
+        /**
+         * Convert an in-memory session into a plain IndexedDB record.
+         * Chunk ids are not stored: they are reassigned on restore.
+         */
+        const chunks = (session.chunks || []).filter(chunk => chunk && chunk.blob);
+        const firstChunk = chunks[0];
+        return {
+            id: session.id,
+            mimeType: session.mimeType,
+            videoSize: session.videoSize || null,
+            createdAt: session.createdAt,
+            absoluteStart: session.absoluteStart,
+            absoluteEnd: session.absoluteEnd,
+            // Only needed when the header chunk itself was trimmed away
+            headerBlob: (session.headerBlob && (!firstChunk || !firstChunk.isSessionHeader)) ? session.headerBlob : null,
+            chunks: chunks.map(chunk => ({
+                blob: chunk.blob,
+                duration: chunk.duration,
+                createdAt: chunk.createdAt,
+                isSessionHeader: !!chunk.isSessionHeader,
+                absoluteStart: chunk.absoluteStart,
+                absoluteEnd: chunk.absoluteEnd
+            }))
+        };
+    }
 
-        // Mirror mode
-        this.mirrorMode = true; // default on (matches CSS scaleX(-1))
+    saveSegment(session) {
+        if (!session || !Array.isArray(session.chunks) || session.chunks.length === 0) {
+            return Promise.resolve();
+        }
+        const record = this.toRecord(session);
+        return this._enqueue(() => this._transaction(this.segmentStore, 'readwrite', store => store.put(record)));
+    }
 
-        // Config panel / vumeter
-        this.vuMeterAnimId = null;
-        this.vuMeterAudioCtx = null;
-        this.vuMeterAnalyser = null;
-        this.vuMeterSource = null;
+    deleteSegment(sessionId) {
+        if (sessionId === null || sessionId === undefined) {
+            return Promise.resolve();
+        }
+        return this._enqueue(() => this._transaction(this.segmentStore, 'readwrite', store => store.delete(sessionId)));
+    }
 
-        // Audio device management (BUG-020)
-        this.currentAudioInputDeviceId = null; // ID du périphérique d'entrée actuellement utilisé
-        this.currentAudioOutputDeviceId = null; // ID du périphérique de sortie actuellement utilisé
-        this.deviceChangePollingInterval = null; // Intervalle de polling pour détecter les changements (500ms)
-        this.deviceChangeHandler = null; // Handler pour l'événement devicechange
-        this.lastKnownDevices = []; // Liste des périphériques connus pour détecter les changements
+    saveState(state) {
+        return this._enqueue(() => this._transaction(this.metaStore, 'readwrite', store => store.put(state, 'state')));
+    }
 
-        // Multiple alerts management
-        this.activeAlerts = new Map(); // Map<alertId, {element, timeoutId, createdAt}>
-        this.alertIdCounter = 0; // Compteur pour IDs uniques d'alertes
-        this.maxAlerts = 5; // Nombre maximum d'alertes simultanées
+    async loadAll() {
+        /**
+         * Read every persisted segment (sorted by absolute start) and the saved state record.
+         * @returns {Promise<{segments: Array, state: Object|null}>}
+         */
+        const db = await this.open();
+        if (!db) {
+            return { segments: [], state: null };
+        }
+        const segments = await this._transaction(this.segmentStore, 'readonly', store => store.getAll());
+        const state = await this._transaction(this.metaStore, 'readonly', store => store.get('state'));
+        return {
+            segments: (segments || []).sort((a, b) => (a.absoluteStart || 0) - (b.absoluteStart || 0)),
+            state: state || null
+        };
+    }
+}
 
-        // Inactivity monitoring (BUG-021)
-        this.inactivityTimeout = null; // Timer pour détecter l'inactivité
-        this.lastActivityTime = Date.now(); // Timestamp de la dernière activité
-        this.inactivityWarningShown = false; // Éviter multiples alertes pendant une session
-        this.inactivityEventListeners = []; // Stocker les listeners pour cleanup
+/**
+ * WebmClipBuilder - Joins recorded WebM segments into one continuous, seekable WebM file
+ * Each rotated segment is a complete live WebM: its timestamps restart at 0 and its Segment/Cluster
+ * sizes are unknown. The builder keeps the encoded blocks as they are, moves every cluster onto a
+ * single timeline and rewrites the container with known sizes, a Duration and Cues.
+ */
+class WebmClipBuilder {
+    static get ID() {
+        return {
+            EBML: 0x1A45DFA3,
+            EBMLVersion: 0x4286,
+            EBMLReadVersion: 0x42F7,
+            EBMLMaxIDLength: 0x42F2,
+            EBMLMaxSizeLength: 0x42F3,
+            DocType: 0x4282,
+            DocTypeVersion: 0x4287,
+            DocTypeReadVersion: 0x4285,
+            Segment: 0x18538067,
+            SeekHead: 0x114D9B74,
+            Info: 0x1549A966,
+            TimecodeScale: 0x2AD7B1,
+            Duration: 0x4489,
+            MuxingApp: 0x4D80,
+            WritingApp: 0x5741,
+            Tracks: 0x1654AE6B,
+            TrackEntry: 0xAE,
+            TrackNumber: 0xD7,
+            TrackType: 0x83,
+            Cluster: 0x1F43B675,
+            Timecode: 0xE7,
+            Position: 0xA7,
+            PrevSize: 0xAB,
+            SimpleBlock: 0xA3,
+            BlockGroup: 0xA0,
+            Block: 0xA1,
+            ReferenceBlock: 0xFB,
+            Cues: 0x1C53BB6B,
+            CuePoint: 0xBB,
+            CueTime: 0xB3,
+            CueTrackPositions: 0xB7,
+            CueTrack: 0xF7,
+            CueClusterPosition: 0xF1,
+            Chapters: 0x1043A770,
+            Tags: 0x1254C367,
+            Attachments: 0x1941A469,
+            Void: 0xEC,
+            CRC32: 0xBF
+        };
+    }
 
-        // Onboarding and tooltips (UX-003)
-        this.onboardingCurrentStep = 0; // Current step in onboarding (0-3)
-        this.onboardingModal = null; // Reference to onboarding modal
-        this.tooltipElements = new Map(); // Map of element -> tooltip div
+    /**
+     * Build one WebM file from consecutive segments, keeping only [rangeStart, rangeEnd].
+     * The cut snaps back to the previous video keyframe so the file starts with a decodable frame.
+     * Segments are read one at a time and the kept clusters move into Blobs straight away, so only
+     * one segment's bytes are in memory at once however long the range is.
+     * @param {Array<{blob: Blob, absStart: number, absEnd: number}>} sources - Segments in time order, all
+     *   recorded in the same format: the Tracks header of the first one is written for the whole file
+     * @param {number} rangeStart - Absolute start time (seconds)
+     * @param {number} rangeEnd - Absolute end time (seconds)
+     * @returns {Promise<{blob: Blob, duration: number}|null>} null if nothing usable was found
+     */
+    async build(sources, rangeStart, rangeEnd) {
+        let tracks = null;
+        let videoTrack = null;
+        let timecodeScale = null;
+        let nextTimecode = 0; // first free output timecode: segments are laid end to end
+        let frameGap = 0; // last seen video frame interval, gives the final frame a duration
+        const clusters = [];
+
+        for (const source of sources) {
+            if (!source || !source.blob) {
+                continue;
+            }
+            const bytes = new Uint8Array(await source.blob.arrayBuffer());
+            const parsed = this.parse(bytes);
+            if (!parsed || parsed.clusters.length === 0) {
+                continue;
+            }
+            if (!tracks) {
+                tracks = parsed.tracks.slice(); // a copy, so this segment's bytes can be released
+                videoTrack = parsed.videoTrack;
+                timecodeScale = parsed.timecodeScale;
+            }
+            const blocks = [];
+            parsed.clusters.forEach(cluster => {
+                cluster.blocks.forEach(block => {
+                    block.time = cluster.timecode + block.relTime;
+                    blocks.push(block);
+                });
+            });
+            if (blocks.length === 0) {
+                continue;
+            }
 
-        // Expose the global instance for easier debugging
-        window.flashbackRecorder = this;
+            // Segment media time is mapped linearly onto its absolute span, like the flashback segMap
+            const mediaStart = blocks.reduce((min, b) => Math.min(min, b.time), Infinity);
+            const mediaEnd = blocks.reduce((max, b) => Math.max(max, b.time), -Infinity);
+            const absSpan = Math.max(0, (source.absEnd ?? 0) - (source.absStart ?? 0));
+            const toLocal = (abs) => {
+                const frac = absSpan > 0 ? (abs - source.absStart) / absSpan : 0;
+                return mediaStart + Math.max(0, Math.min(1, frac)) * (mediaEnd - mediaStart);
+            };
+            const localFrom = toLocal(rangeStart);
+            const localTo = rangeEnd >= source.absEnd ? Infinity : toLocal(rangeEnd);
+
+            const isKey = (b) => videoTrack === null ? true : (b.track === videoTrack && b.keyframe);
+            let cutTime = mediaStart;
+            blocks.forEach(b => {
+                if (isKey(b) && b.time <= localFrom && b.time > cutTime) {
+                    cutTime = b.time;
+                }
+            });
 
-        // Bind methods
-        this.handleBackKey = this.handleBackKey.bind(this);
-        this.handleForwardKey = this.handleForwardKey.bind(this);
-        this.handleEscapeKey = this.handleEscapeKey.bind(this);
-        this.handleShiftKey = this.handleShiftKey.bind(this);
-        this.handleArrowUpKey = this.handleArrowUpKey.bind(this);
-        this.handleArrowDownKey = this.handleArrowDownKey.bind(this);
-        this.handleTimelineClick = this.handleTimelineClick.bind(this);
+            const offset = nextTimecode - cutTime;
+            let lastTime = null;
+            let lastVideoTime = null;
+            parsed.clusters.forEach(cluster => {
+                const kept = cluster.blocks.filter(b => b.time >= cutTime && b.time <= localTo);
+                if (kept.length === 0) {
+                    return;
+                }
+                const outTimecode = kept[0].time + offset;
+                let firstKeyTime = null;
+                kept.forEach(b => {
+                    const outTime = b.time + offset;
+                    // Block timecodes are relative to their cluster: rewrite them in place (int16)
+                    const view = new DataView(b.bytes.buffer, b.bytes.byteOffset, b.bytes.byteLength);
+                    view.setInt16(b.timecodeOffset, outTime - outTimecode);
+                    if (firstKeyTime === null && isKey(b)) {
+                        firstKeyTime = outTime;
+                    }
+                    if (b.track === videoTrack) {
+                        if (lastVideoTime !== null && outTime > lastVideoTime) {
+                            frameGap = outTime - lastVideoTime;
+                        }
+                        lastVideoTime = outTime;
+                    }
+                    lastTime = lastTime === null ? outTime : Math.max(lastTime, outTime);
+                });
+                clusters.push({ timecode: outTimecode, keyTime: firstKeyTime, blocks: [new Blob(kept.map(b => b.bytes))] });
+            });
+            if (lastTime !== null) {
+                nextTimecode = lastTime + Math.max(1, frameGap);
+            }
+        }
 
-        // Create focus overlay (shown when window loses focus)
-        this.focusOverlay = document.createElement('div');
-        this.focusOverlay.id = 'focusOverlay';
-        this.focusOverlay.innerHTML = `
-            <div style="
-                position: absolute;
-                bottom: 20px;
-                left: 50%;
-                transform: translateX(-50%);
-                background: rgba(0, 0, 0, 0.85);
-                color: white;
-                padding: 12px 24px;
-                border-radius: 8px;
-                font-size: 14px;
-                font-weight: 500;
-                text-align: center;
-                box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4);
-                z-index: 10001;
-                pointer-events: none;
-            ">
-                <div>⚠️ Click to activate keyboard shortcuts</div>
-            </div>
-        `;
-        this.focusOverlay.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: rgba(0, 0, 0, 0.75);
-            backdrop-filter: blur(6px);
-            z-index: 10000;
-            display: none;
-            opacity: 0;
-            pointer-events: auto;
-            transition: opacity 0.3s ease, backdrop-filter 0.3s ease;
-        `;
-        document.body.appendChild(this.focusOverlay);
-
-        // Initialize
-        this.loadSettings();
-        this.initEventListeners();
-        this.updateDurationDisplay();
-        this.updateDebugPanel(); // Initialize debug panel display
-        this.initAudioContext();
-        this.updateWaveformVisibility(); // Show container first
-        this.initWaveformCanvas(); // Then initialize canvas (after container is visible)
-        this.updatePhotoTimelineVisibility(); // Show/hide photo timeline container
-        this.initPhotoTimeline(); // Initialize photo timeline
-        this.initAudioDeviceManagement(); // Initialize audio device change detection (BUG-020)
-        this.initConfigPanel();
-        // audioOutputMonitor.start() is called in startRecording(), after getUserMedia,
-        // so enumerateDevices() has permissions and returns real device labels (BUG-022).
-        
-        this.setState('recording');
-        this.startRecording(); // Auto-start as per US-001
-        
-        // Show onboarding tutorial on first launch (UX-003)
-        this.showOnboardingIfFirstTime();
-        
-        // Initialize contextual tooltips (UX-003)
-        this.initContextualTooltips();
+        if (!tracks || clusters.length === 0) {
+            return null;
+        }
+        const blob = this.write(tracks, videoTrack, timecodeScale, clusters, nextTimecode);
+        return { blob, duration: nextTimecode * timecodeScale / 1e9 };
     }
 
-    setState(newState) {
-        const validStates = ['recording', 'flashback', 'recordingStopped', 'flashbackPaused', 'transitioning'];
-        if (!validStates.includes(newState)) {
-            return;
+    // === PARSING ===
+
+    readVint(bytes, pos) {
+        const first = bytes[pos];
+        if (first === undefined || first === 0) {
+            return null;
         }
-        const oldState = this.state;
-        this.state = newState;
-        this.updateMarkerControls();
-        
-        // Show first flashback overlay (UX-003)
-        if (newState === 'flashback' && oldState !== 'flashback') {
-            this.showFirstFlashbackOverlay();
+        let length = 1;
+        while (length <= 8 && !(first & (0x80 >> (length - 1)))) {
+            length++;
+        }
+        if (pos + length > bytes.length) {
+            return null;
+        }
+        let value = first & (0xFF >> length);
+        let allOnes = value === (0xFF >> length);
+        for (let i = 1; i < length; i++) {
+            value = value * 256 + bytes[pos + i];
+            allOnes = allOnes && bytes[pos + i] === 0xFF;
         }
+        return { length, value, unknown: allOnes };
     }
 
-    initEventListeners() {
-        if (this.shiftBtn) {
-            this.shiftBtn.addEventListener('click', () => this.handleShiftKey());
+    readElement(bytes, pos) {
+        const first = bytes[pos];
+        if (first === undefined || first < 0x10) {
+            return null; // IDs are at most 4 bytes long
         }
-        this.flashbackBtn.addEventListener('click', () => this.handleBack());
-        this.forwardBtn.addEventListener('click', () => this.handleForward());
-        if (this.addMarkerBtn) {
-            this.addMarkerBtn.addEventListener('click', () => this.handleAddFlashbackMarker());
+        const idLength = first >= 0x80 ? 1 : first >= 0x40 ? 2 : first >= 0x20 ? 3 : 4;
+        if (pos + idLength > bytes.length) {
+            return null;
         }
-        if (this.prevMarkerBtn) {
-            this.prevMarkerBtn.addEventListener('click', () => {
-                this.incrementMarkerUpCounter();
-                const skipCount = this.markerUpPressCount;
-                this.handleNavigateFlashbackMarker(-1, skipCount);
-            });
+        let id = 0;
+        for (let i = 0; i < idLength; i++) {
+            id = id * 256 + bytes[pos + i];
         }
-        if (this.nextMarkerBtn) {
-            this.nextMarkerBtn.addEventListener('click', () => this.handleNavigateFlashbackMarker(1));
+        const size = this.readVint(bytes, pos + idLength);
+        if (!size) {
+            return null;
         }
+        const dataStart = pos + idLength + size.length;
+        return {
+            id,
+            start: pos,
+            dataStart,
+            size: size.unknown ? null : size.value,
+            end: size.unknown ? null : dataStart + size.value
+        };
+    }
 
-        this.durationRange.addEventListener('input', () => this.updateDurationFromRange());
-        this.durationValue.addEventListener('change', () => this.updateDurationFromInput());
-
-        // Debug panel toggle — controlled by SHOW_DEBUG_PANEL flag
-        if (SHOW_DEBUG_PANEL) {
-            if (this.debugPanel) this.debugPanel.style.display = 'flex';
-            if (this.debugPanelToggle) {
-                this.debugPanelToggle.style.display = 'flex';
-                this.debugPanelToggle.addEventListener('click', () => this.toggleDebugPanel());
-            }
+    readUint(bytes, start, end) {
+        let value = 0;
+        for (let i = start; i < end; i++) {
+            value = value * 256 + bytes[i];
         }
+        return value;
+    }
 
-        // Config panel
-        if (this.configPanelToggle) {
-            this.configPanelToggle.addEventListener('click', () => {
-                if (this.configPanel.classList.contains('open')) {
-                    this.closeConfigPanel();
-                } else {
-                    this.openConfigPanel();
-                }
-            });
-        }
-        if (this.configPanelClose) {
-            this.configPanelClose.addEventListener('click', () => this.closeConfigPanel());
-        }
-        // Close config panel when clicking outside it
-        document.addEventListener('click', (e) => {
-            if (this.configPanel && this.configPanel.classList.contains('open') &&
-                !this.configPanel.contains(e.target) &&
-                e.target !== this.configPanelToggle) {
-                this.closeConfigPanel();
+    parse(bytes) {
+        /**
+         * Extract what the remux needs from one WebM segment: TimecodeScale, the raw Tracks
+         * element, the video track number and every block with its cluster timecode.
+         * Tolerates the unknown sizes and truncated tail of live MediaRecorder output.
+         */
+        const ID = WebmClipBuilder.ID;
+        const result = { timecodeScale: 1000000, tracks: null, videoTrack: null, clusters: [] };
+        const segmentChildren = new Set([ID.SeekHead, ID.Info, ID.Tracks, ID.Cluster, ID.Cues,
+            ID.Chapters, ID.Tags, ID.Attachments, ID.Void, ID.CRC32]);
+
+        let pos = 0;
+        let segmentEnd = bytes.length;
+        while (pos < bytes.length) {
+            const el = this.readElement(bytes, pos);
+            if (el && el.id === ID.EBML && el.end !== null) {
+                pos = el.end;
+                continue;
             }
-        });
-
-        document.addEventListener('keydown', (e) => {
-            const active = document.activeElement;
-            const isTyping = active && (active.tagName === 'INPUT' || active.tagName === 'TEXTAREA' || active.isContentEditable);
-            if (isTyping) {
-                return;
+            if (el && el.id === ID.Segment) {
+                segmentEnd = el.end === null ? bytes.length : Math.min(el.end, bytes.length);
+                pos = el.dataStart;
+                continue;
             }
-            switch (e.key) {
-                case 'Shift':
-                    // Shift now adds a marker (inverted from previous Space behavior)
-                    e.preventDefault();
-                    this.handleAddFlashbackMarker();
-                    break;
-                case 'ArrowLeft':
-                    e.preventDefault();
-                    this.handleBackKey();
-                    break;
-                case 'ArrowRight':
-                    e.preventDefault();
-                    this.handleForwardKey();
-                    break;
-                case 'ArrowUp':
-                    e.preventDefault();
-                    this.handleArrowUpKey();
-                    break;
-                case 'ArrowDown':
-                    e.preventDefault();
-                    this.handleArrowDownKey();
+            if (!el || !segmentChildren.has(el.id)) {
+                // Not aligned on an element (e.g. a trimmed chunk): resync on the next Cluster
+                const next = this.findCluster(bytes, pos + 1);
+                if (next < 0) {
                     break;
-                case 'Escape':
-                    if (this.configPanel && this.configPanel.classList.contains('open')) {
-                        this.closeConfigPanel();
-                    } else {
-                        this.handleEscapeKey();
+                }
+                pos = next;
+                continue;
+            }
+            if (el.id === ID.Cluster) {
+                pos = this.parseCluster(bytes, el, segmentEnd, result);
+                continue;
+            }
+            if (el.end === null || el.end > bytes.length) {
+                break;
+            }
+            if (el.id === ID.Info) {
+                this.forEachChild(bytes, el.dataStart, el.end, child => {
+                    if (child.id === ID.TimecodeScale) {
+                        result.timecodeScale = this.readUint(bytes, child.dataStart, child.end);
                     }
-                    break;
-                default:
-                    if (e.code === 'Space') {
-                        // Space now acts as the unified main control (inverted from previous Shift behavior)
-                        e.preventDefault();
-                        this.handleShiftKey();
+                });
+            } else if (el.id === ID.Tracks && !result.tracks) {
+                result.tracks = bytes.subarray(el.start, el.end);
+                this.forEachChild(bytes, el.dataStart, el.end, entry => {
+                    if (entry.id !== ID.TrackEntry) {
+                        return;
                     }
-                    break;
+                    let number = null;
+                    let type = null;
+                    this.forEachChild(bytes, entry.dataStart, entry.end, field => {
+                        if (field.id === ID.TrackNumber) number = this.readUint(bytes, field.dataStart, field.end);
+                        if (field.id === ID.TrackType) type = this.readUint(bytes, field.dataStart, field.end);
+                    });
+                    if (type === 1 && result.videoTrack === null) {
+                        result.videoTrack = number;
+                    }
+                });
             }
-        });
-
-        this.timelineBar.addEventListener('click', (e) => this.handleTimelineClick(e));
+            pos = el.end;
+        }
+        return result.tracks ? result : null;
+    }
 
-        // Focus overlay event listeners
-        // Show overlay when window loses focus
-        window.addEventListener('blur', () => {
-            if (this.focusOverlay) {
-                this.focusOverlay.style.display = 'block';
-                // Force reflow to trigger animation
-                this.focusOverlay.offsetHeight;
-                this.focusOverlay.style.opacity = '1';
+    forEachChild(bytes, start, end, callback) {
+        let pos = start;
+        while (pos < end) {
+            const child = this.readElement(bytes, pos);
+            if (!child || child.end === null || child.end > end) {
+                return;
             }
-        });
+            callback(child);
+            pos = child.end;
+        }
+    }
 
-        // Hide overlay when window regains focus
-        window.addEventListener('focus', () => {
-            if (this.focusOverlay) {
-                this.focusOverlay.style.opacity = '0';
-                setTimeout(() => {
-                    if (this.focusOverlay) {
-                        this.focusOverlay.style.display = 'none';
-                    }
-                }, 300);
+    findCluster(bytes, from) {
+        for (let i = from; i + 3 < bytes.length; i++) {
+            if (bytes[i] === 0x1F && bytes[i + 1] === 0x43 && bytes[i + 2] === 0xB6 && bytes[i + 3] === 0x75) {
+                return i;
             }
-        });
-
-        // Click anywhere on overlay to activate window
-        this.focusOverlay.addEventListener('click', () => {
-            window.focus();
-            // Overlay will hide automatically via 'focus' event
-        });
+        }
+        return -1;
+    }
 
-        // Photo timeline click event
-        if (this.photoTimelineScroll) {
-            console.log('[DEBUG] Attaching click listener to photoTimelineScroll', {
-                element: this.photoTimelineScroll,
-                id: this.photoTimelineScroll.id,
-                className: this.photoTimelineScroll.className,
-                offsetWidth: this.photoTimelineScroll.offsetWidth,
-                offsetHeight: this.photoTimelineScroll.offsetHeight,
-                pointerEvents: window.getComputedStyle(this.photoTimelineScroll).pointerEvents,
-                zIndex: window.getComputedStyle(this.photoTimelineScroll).zIndex,
-                position: window.getComputedStyle(this.photoTimelineScroll).position
-            });
-            this.photoTimelineScroll.addEventListener('click', (e) => {
-                console.log('[DEBUG] Click event fired on photoTimelineScroll!', {
-                    target: e.target,
-                    currentTarget: e.currentTarget,
-                    clientX: e.clientX,
-                    clientY: e.clientY
-                });
-                this.handlePhotoTimelineClick(e);
-            });
-            // Also try mousedown to see if it's a click-specific issue
-            this.photoTimelineScroll.addEventListener('mousedown', (e) => {
-                console.log('[DEBUG] Mousedown event fired on photoTimelineScroll!', {
-                    target: e.target,
-                    currentTarget: e.currentTarget
+    parseCluster(bytes, cluster, segmentEnd, result) {
+        // Returns the position right after the cluster. An unknown-size cluster ends at the first
+        // element that cannot be one of its children (usually the next Cluster).
+        const ID = WebmClipBuilder.ID;
+        const end = cluster.end === null ? segmentEnd : Math.min(cluster.end, segmentEnd);
+        const parsed = { timecode: 0, blocks: [] };
+        let pos = cluster.dataStart;
+        while (pos < end) {
+            const el = this.readElement(bytes, pos);
+            if (!el || el.end === null || el.end > end) {
+                break; // truncated tail of a live recording
+            }
+            if (el.id === ID.Timecode) {
+                parsed.timecode = this.readUint(bytes, el.dataStart, el.end);
+            } else if (el.id === ID.SimpleBlock) {
+                const block = this.parseBlock(bytes, el, el.dataStart);
+                if (block) {
+                    block.keyframe = !!(bytes[block.flagsPos] & 0x80);
+                    parsed.blocks.push(block);
+                }
+            } else if (el.id === ID.BlockGroup) {
+                let block = null;
+                let hasReference = false;
+                this.forEachChild(bytes, el.dataStart, el.end, child => {
+                    if (child.id === ID.Block) block = this.parseBlock(bytes, el, child.dataStart);
+                    if (child.id === ID.ReferenceBlock) hasReference = true;
                 });
-            });
-        } else {
-            console.warn('[DEBUG] photoTimelineScroll is null in initEventListeners()');
+                if (block) {
+                    block.keyframe = !hasReference;
+                    parsed.blocks.push(block);
+                }
+            } else if (el.id !== ID.Position && el.id !== ID.PrevSize && el.id !== ID.Void && el.id !== ID.CRC32) {
+                break;
+            }
+            pos = el.end;
         }
+        if (parsed.blocks.length > 0) {
+            result.clusters.push(parsed);
+        }
+        return pos > cluster.dataStart ? pos : cluster.dataStart;
     }
 
-    loadSettings() {
-        const saved = localStorage.getItem('flashbackMaxDuration');
-        if (saved) {
-            this.maxDuration = parseInt(saved, 10);
-            this.durationRange.value = this.maxDuration;
-            this.durationValue.value = this.maxDuration;
+    parseBlock(bytes, el, blockStart) {
+        // Block layout: track number (vint), timecode relative to the cluster (int16), flags
+        const track = this.readVint(bytes, blockStart);
+        if (!track) {
+            return null;
         }
-        const savedOutput = localStorage.getItem('preferredAudioOutputDeviceId');
-        if (savedOutput) this.currentAudioOutputDeviceId = savedOutput;
+        const timecodePos = blockStart + track.length;
+        if (timecodePos + 3 > el.end) {
+            return null;
+        }
+        const view = new DataView(bytes.buffer, bytes.byteOffset);
+        return {
+            bytes: bytes.subarray(el.start, el.end),
+            track: track.value,
+            relTime: view.getInt16(timecodePos),
+            timecodeOffset: timecodePos - el.start,
+            flagsPos: timecodePos + 2
+        };
+    }
 
-        const savedMirror = localStorage.getItem('flashbackMirrorMode');
-        this.mirrorMode = savedMirror !== null ? savedMirror === 'true' : true;
-        // Load waveform visibility setting
-        const savedWaveform = localStorage.getItem('flashbackShowWaveform');
-        if (savedWaveform !== null) {
-            this.showWaveform = savedWaveform === 'true';
-        } else {
-            // Default to true if not set
-            this.showWaveform = true;
+    // === WRITING ===
+
+    encodeId(id) {
+        const length = id > 0xFFFFFF ? 4 : id > 0xFFFF ? 3 : id > 0xFF ? 2 : 1;
+        const out = new Uint8Array(length);
+        for (let i = length - 1, v = id; i >= 0; i--, v = Math.floor(v / 256)) {
+            out[i] = v & 0xFF;
+        }
+        return out;
+    }
+
+    encodeSize(size) {
+        let length = 1;
+        while (length < 8 && size >= Math.pow(2, 7 * length) - 1) {
+            length++;
+        }
+        const out = new Uint8Array(length);
+        let v = size;
+        for (let i = length - 1; i >= 0; i--) {
+            out[i] = v % 256;
+            v = Math.floor(v / 256);
+        }
+        out[0] |= 0x80 >> (length - 1);
+        return out;
+    }
+
+    encodeUint(value) {
+        const bytes = [];
+        let v = Math.max(0, Math.round(value));
+        do {
+            bytes.unshift(v % 256);
+            v = Math.floor(v / 256);
+        } while (v > 0);
+        return new Uint8Array(bytes);
+    }
+
+    encodeFloat(value) {
+        const out = new Uint8Array(8);
+        new DataView(out.buffer).setFloat64(0, value);
+        return out;
+    }
+
+    // An element is kept as a list of byte parts (Uint8Arrays or Blobs) so large payloads are never copied
+    element(id, parts) {
+        return [this.encodeId(id), this.encodeSize(this.partsLength(parts)), ...parts];
+    }
+
+    partsLength(parts) {
+        return parts.reduce((sum, part) => sum + (part.byteLength ?? part.size), 0);
+    }
+
+    write(tracks, videoTrack, timecodeScale, clusters, duration) {
+        const ID = WebmClipBuilder.ID;
+        const text = (value) => new TextEncoder().encode(value);
+
+        const ebml = this.element(ID.EBML, [
+            ...this.element(ID.EBMLVersion, [this.encodeUint(1)]),
+            ...this.element(ID.EBMLReadVersion, [this.encodeUint(1)]),
+            ...this.element(ID.EBMLMaxIDLength, [this.encodeUint(4)]),
+            ...this.element(ID.EBMLMaxSizeLength, [this.encodeUint(8)]),
+            ...this.element(ID.DocType, [text('webm')]),
+            ...this.element(ID.DocTypeVersion, [this.encodeUint(4)]),
+            ...this.element(ID.DocTypeReadVersion, [this.encodeUint(2)])
+        ]);
+        const info = this.element(ID.Info, [
+            ...this.element(ID.TimecodeScale, [this.encodeUint(timecodeScale)]),
+            ...this.element(ID.MuxingApp, [text('Flashback')]),
+            ...this.element(ID.WritingApp, [text('Flashback')]),
+            ...this.element(ID.Duration, [this.encodeFloat(duration)])
+        ]);
+        const clusterElements = clusters.map(cluster => this.element(ID.Cluster, [
+            ...this.element(ID.Timecode, [this.encodeUint(cluster.timecode)]),
+            ...cluster.blocks
+        ]));
+
+        // Cues sit before the clusters; their size depends on the positions they hold, so settle it
+        const cueTrack = videoTrack ?? 1;
+        const buildCues = (clustersStart) => {
+            const points = [];
+            let offset = clustersStart;
+            clusters.forEach((cluster, index) => {
+                if (cluster.keyTime !== null) {
+                    points.push(...this.element(ID.CuePoint, [
+                        ...this.element(ID.CueTime, [this.encodeUint(cluster.keyTime)]),
+                        ...this.element(ID.CueTrackPositions, [
+                            ...this.element(ID.CueTrack, [this.encodeUint(cueTrack)]),
+                            ...this.element(ID.CueClusterPosition, [this.encodeUint(offset)])
+                        ])
+                    ]));
+                }
+                offset += this.partsLength(clusterElements[index]);
+            });
+            return points.length > 0 ? this.element(ID.Cues, points) : [];
+        };
+        const headLength = this.partsLength(info) + tracks.byteLength;
+        let cues = buildCues(headLength);
+        for (let pass = 0; pass < 4; pass++) {
+            const next = buildCues(headLength + this.partsLength(cues));
+            const stable = this.partsLength(next) === this.partsLength(cues);
+            cues = next;
+            if (stable) {
+                break;
+            }
         }
-        console.log('Waveform visibility loaded:', this.showWaveform);
 
-        // Load photo timeline visibility setting
-        const savedPhotoTimeline = localStorage.getItem('flashbackShowPhotoTimeline');
-        if (savedPhotoTimeline !== null) {
-            this.showPhotoTimeline = savedPhotoTimeline === 'true';
-        } else {
-            // Default to true if not set
-            this.showPhotoTimeline = true;
-        }
-        console.log('Photo timeline visibility loaded:', this.showPhotoTimeline);
+        const segment = this.element(ID.Segment, [
+            ...info,
+            tracks,
+            ...cues,
+            ...clusterElements.flat()
+        ]);
+        return new Blob([...ebml, ...segment], { type: 'video/webm' });
     }
+}
 
-    saveSettings() {
-        localStorage.setItem('flashbackMaxDuration', this.maxDuration.toString());
-        localStorage.setItem('flashbackShowWaveform', this.showWaveform.toString());
-        localStorage.setItem('flashbackShowPhotoTimeline', this.showPhotoTimeline.toString());
-        localStorage.setItem('flashbackMirrorMode', this.mirrorMode.toString());
+/**
+ * AudioOnsetDetector - Spots sudden loudness changes in the live audio (FEAT-003)
+ * Fed with the RMS values computed in analyzeAudioWaveform(). A fast level is compared against a
+ * slow background level, so a clap, a shout or sound after silence stands out while steady noise
+ * (music, a fan) raises the background and stops triggering.
+ */
+class AudioOnsetDetector {
+    constructor() {
+        this.sensitivity = 0.5; // 0 = only very loud events, 1 = reacts to small changes
+        this.minInterval = 4; // seconds between two detections (debounce)
+        this.silenceLevel = 0.01; // RMS under which the input counts as silence
+        this.minSilence = 1.5; // seconds of silence before a "sound after silence" event
+        this.reset();
     }
 
-    // ===== WAVEFORM VISUALIZATION METHODS =====
+    reset() {
+        this.level = 0; // fast-moving RMS
+        this.background = null; // slow-moving RMS (about 2 s time constant at 50 samples/s)
+        this.silenceSince = null;
+        this.lastDetectionTime = -Infinity;
+        this.armed = true; // re-armed once the level falls back near the background
+    }
 
-    initWaveformCanvas() {
-        // Try to get element again if not found
-        if (!this.waveformCanvas) {
-            this.waveformCanvas = document.getElementById('waveformCanvas');
-        }
-        
-        if (!this.waveformCanvas) {
-            console.warn('Waveform canvas not found, retrying...');
-            // Retry after a short delay
-            setTimeout(() => {
-                this.waveformCanvas = document.getElementById('waveformCanvas');
-                if (this.waveformCanvas) {
-                    this.initWaveformCanvas();
-                } else {
-                    console.error('Waveform canvas still not found after retry');
-                }
-            }, 100);
-            return;
+    /**
+     * @param {number} rms - RMS amplitude (0..1) of the latest analyser frame
+     * @param {number} time - Absolute recording time of the frame (seconds)
+     * @returns {string|null} 'loudness-jump' or 'after-silence' when an event starts, otherwise null
+     */
+    process(rms, time) {
+        if (!Number.isFinite(rms) || !Number.isFinite(time)) {
+            return null;
         }
-        
-        this.waveformCtx = this.waveformCanvas.getContext('2d');
-        if (!this.waveformCtx) {
-            console.warn('Could not get 2D context for waveform canvas');
-            return;
+        this.level = this.level * 0.5 + rms * 0.5;
+        if (this.background === null) {
+            this.background = rms;
         }
+        const background = this.background;
+        this.background += (rms - this.background) * 0.01;
 
-        // Wait a bit for container to be visible, then set canvas size
-        setTimeout(() => {
-            this.resizeWaveformCanvas();
-        }, 100);
-
-        // Add event listeners
-        this.waveformCanvas.addEventListener('click', (e) => this.handleWaveformClick(e));
-        this.waveformCanvas.addEventListener('mousemove', (e) => this.handleWaveformHover(e));
-        this.waveformCanvas.addEventListener('mouseleave', () => {
-            this.waveformCanvas.style.cursor = 'pointer';
-        });
+        // Sensitivity interpolates between strict and permissive thresholds
+        const s = Math.max(0, Math.min(1, this.sensitivity));
+        const ratio = 6 - s * 4.2; // 6x .. 1.8x the background
+        const minLevel = 0.08 - s * 0.065; // 0.08 .. 0.015 RMS
 
-        // Handle window resize - use unified handler with debounce
-        const waveformResizeHandler = () => {
-            // Clear previous debounce
-            if (this.timelineResizeDebounce) {
-                clearTimeout(this.timelineResizeDebounce);
+        const silentFor = this.silenceSince !== null ? time - this.silenceSince : 0;
+        if (this.level < this.silenceLevel) {
+            if (this.silenceSince === null) {
+                this.silenceSince = time;
             }
-            // Debounce resize events to avoid too frequent recalculations
-            this.timelineResizeDebounce = setTimeout(() => {
-                this.handleTimelineResize();
-            }, 400); // 400ms debounce to wait for resize to complete
-        };
-        window.addEventListener('resize', waveformResizeHandler);
-        // Store handler for potential cleanup
-        this.waveformWindowResizeHandler = waveformResizeHandler;
-    }
-
-    getContainerWidth(element) {
-        /**
-         * Get container width with forced layout recalculation for accurate measurement.
-         * Factorized function used by both waveform and photo timeline.
-         */
-        if (!element) return 800; // Default fallback
-        
-        // Force layout reflow to get accurate width after resize
-        void element.offsetWidth; // This forces reflow
-        
-        // Use getBoundingClientRect for sub-pixel accuracy
-        const rect = element.getBoundingClientRect();
-        return rect.width > 0 ? rect.width : 800;
-    }
-
-    resizeWaveformCanvas() {
-        if (!this.waveformCanvas || !this.waveformContainer) return;
-        
-        // Use factorized function to get accurate container width
-        const width = this.getContainerWidth(this.waveformContainer);
-        const height = 40; // From CSS: height: 40px
-        
-        const dpr = window.devicePixelRatio || 1;
-        
-        // Set internal canvas size (in pixels) - this is the actual pixel resolution
-        this.waveformCanvas.width = width * dpr;
-        this.waveformCanvas.height = height * dpr;
-        
-        // Keep CSS size (logical size for display)
-        this.waveformCanvas.style.width = `${width}px`;
-        this.waveformCanvas.style.height = `${height}px`;
-        
-        if (this.waveformCtx) {
-            // Reset transform and scale for high DPI
-            this.waveformCtx.setTransform(1, 0, 0, 1, 0, 0);
-            this.waveformCtx.scale(dpr, dpr);
-            // Force a complete refresh of the waveform
-            this.renderWaveform();
+        } else if (this.level >= minLevel) {
+            this.silenceSince = null;
         }
-    }
 
-    initAudioContext() {
-        try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        } catch (e) {
-            console.warn('AudioContext not supported:', e);
-            this.audioContext = null;
+        if (!this.armed) {
+            if (this.level < background * ratio * 0.6 || this.level < minLevel) {
+                this.armed = true;
+            }
+            return null;
         }
-    }
-
-    updateWaveformVisibility() {
-        // Try to get element again if not found
-        if (!this.waveformContainer) {
-            this.waveformContainer = document.getElementById('waveformContainer');
+        if (this.level < minLevel || time - this.lastDetectionTime < this.minInterval) {
+            return null;
         }
-        
-        if (!this.waveformContainer) {
-            console.warn('Waveform container not found, retrying...');
-            // Retry after a short delay
-            setTimeout(() => {
-                this.waveformContainer = document.getElementById('waveformContainer');
-                if (this.waveformContainer) {
-                    this.updateWaveformVisibility();
-                } else {
-                    console.error('Waveform container still not found after retry');
-                }
-            }, 100);
-            return;
+        let reason = null;
+        if (silentFor >= this.minSilence) {
+            reason = 'after-silence';
+        } else if (this.level > background * ratio + 0.005) {
+            reason = 'loudness-jump';
         }
-        
-        if (this.showWaveform) {
-            this.waveformContainer.classList.add('show');
-            console.log('Waveform container shown');
-        } else {
-            this.waveformContainer.classList.remove('show');
-            console.log('Waveform container hidden');
+        if (reason) {
+            this.armed = false;
+            this.lastDetectionTime = time;
         }
+        return reason;
     }
+}
 
-    toggleWaveform() {
-        this.showWaveform = !this.showWaveform;
-        this.updateWaveformVisibility();
-        this.saveSettings();
-    }
-
-    async extractAudioData(chunkBlob) {
-        if (!this.audioContext || !chunkBlob) {
+/**
+ * MotionDetector - Motion energy from low-resolution frame differencing on the live preview
+ * Each sample is drawn into a tiny grayscale canvas and compared with the previous one; the share of
+ * changed pixels inside the region of interest is the motion energy. Starts and stops of movement are
+ * reported with hysteresis so a single noisy frame does not produce a marker.
+ */
+class MotionDetector {
+    constructor() {
+        this.width = 64;
+        this.height = 36;
+        this.canvas = null;
+        this.ctx = null;
+        this.roi = { x: 0, y: 0, w: 1, h: 1 }; // normalized, in source (non-mirrored) coordinates
+        this.sensitivity = 0.5; // 0 = large movements only, 1 = small movements
+        this.pixelThreshold = 18; // gray-level difference below which a pixel counts as unchanged (sensor noise)
+        this.minStill = 1; // seconds of stillness before a new start, and before a stop is reported
+        this.minInterval = 3; // seconds between two reported starts
+        this.reset();
+    }
+
+    reset() {
+        this.previous = null;
+        this.energy = 0;
+        this.active = false;
+        this.stillSince = null;
+        this.lastStartTime = -Infinity;
+    }
+
+    measure(video) {
+        if (!video || video.readyState < 2) {
             return null;
         }
-
-        try {
-            // WebM chunks contain video+audio, so we can't directly decode as audio
-            // Use OfflineAudioContext to render audio from media element
-            const audio = new Audio();
-            const url = URL.createObjectURL(chunkBlob);
-            
-            return new Promise((resolve) => {
-                const timeout = setTimeout(() => {
-                    URL.revokeObjectURL(url);
-                    resolve(null);
-                }, 5000); // 5 second timeout
-                
-                audio.onloadedmetadata = async () => {
-                    try {
-                        const duration = audio.duration;
-                        if (!duration || duration === 0 || !isFinite(duration)) {
-                            clearTimeout(timeout);
-                            URL.revokeObjectURL(url);
-                            resolve(null);
-                            return;
-                        }
-
-                        // Create OfflineAudioContext to render audio
-                        const sampleRate = this.audioContext.sampleRate;
-                        const offlineContext = new OfflineAudioContext(
-                            1, // mono channel
-                            Math.ceil(sampleRate * duration),
-                            sampleRate
-                        );
-                        
-                        const offlineSource = offlineContext.createMediaElementSource(audio);
-                        offlineSource.connect(offlineContext.destination);
-                        
-                        // Start rendering
-                        audio.play().catch(() => {});
-                        const renderedBuffer = await offlineContext.startRendering();
-                        audio.pause();
-                        audio.currentTime = 0;
-                        
-                        clearTimeout(timeout);
-                        URL.revokeObjectURL(url);
-                        resolve(renderedBuffer);
-                    } catch (e) {
-                        clearTimeout(timeout);
-                        URL.revokeObjectURL(url);
-                        resolve(null);
-                    }
-                };
-                
-                audio.onerror = () => {
-                    clearTimeout(timeout);
-                    URL.revokeObjectURL(url);
-                    resolve(null);
-                };
-                
-                audio.src = url;
-                audio.load();
-            });
-        } catch (e) {
-            // WebM chunks contain video+audio, decodeAudioData may fail
-            // This is expected for video chunks - we'll skip them silently
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+            this.canvas.width = this.width;
+            this.canvas.height = this.height;
+            this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        }
+        this.ctx.drawImage(video, 0, 0, this.width, this.height);
+        const pixels = this.ctx.getImageData(0, 0, this.width, this.height).data;
+        const gray = new Uint8Array(this.width * this.height);
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = (pixels[i * 4] * 77 + pixels[i * 4 + 1] * 150 + pixels[i * 4 + 2] * 29) >> 8;
+        }
+        const previous = this.previous;
+        this.previous = gray;
+        if (!previous) {
             return null;
         }
+
+        const x0 = Math.floor(this.roi.x * this.width);
+        const y0 = Math.floor(this.roi.y * this.height);
+        const x1 = Math.max(x0 + 1, Math.ceil((this.roi.x + this.roi.w) * this.width));
+        const y1 = Math.max(y0 + 1, Math.ceil((this.roi.y + this.roi.h) * this.height));
+        let changed = 0;
+        let total = 0;
+        for (let y = y0; y < Math.min(y1, this.height); y++) {
+            for (let x = x0; x < Math.min(x1, this.width); x++) {
+                const i = y * this.width + x;
+                if (Math.abs(gray[i] - previous[i]) > this.pixelThreshold) {
+                    changed++;
+                }
+                total++;
+            }
+        }
+        return total > 0 ? changed / total : 0;
     }
 
-    calculateAmplitudes(audioBuffer, startTime, resolution) {
-        if (!audioBuffer) return [];
+    /**
+     * @param {HTMLVideoElement} video - Live preview to sample
+     * @param {number} time - Absolute recording time of the sample (seconds)
+     * @returns {{event: string, time: number}|null} 'start' or 'stop' with the time it happened
+     */
+    process(video, time) {
+        const raw = this.measure(video);
+        if (raw === null) {
+            return null;
+        }
+        this.energy = this.energy * 0.6 + raw * 0.4;
 
-        const channelData = audioBuffer.getChannelData(0); // Use first channel
-        const sampleRate = audioBuffer.sampleRate;
-        const duration = audioBuffer.duration;
-        const samplesPerPoint = Math.floor((sampleRate * resolution) / 1000); // Samples per resolution ms
-        const amplitudes = [];
+        const s = Math.max(0, Math.min(1, this.sensitivity));
+        const onThreshold = 0.12 - s * 0.105; // 12% .. 1.5% of the region changing
+        const offThreshold = onThreshold * 0.4;
 
-        for (let i = 0; i < channelData.length; i += samplesPerPoint) {
-            const segment = channelData.slice(i, Math.min(i + samplesPerPoint, channelData.length));
-            
-            // Calculate RMS (Root Mean Square) amplitude
-            let sumSquares = 0;
-            for (let j = 0; j < segment.length; j++) {
-                sumSquares += segment[j] * segment[j];
+        if (this.energy < offThreshold) {
+            if (this.stillSince === null) {
+                this.stillSince = time;
+            }
+        } else {
+            if (this.energy >= onThreshold && !this.active) {
+                const wasStill = this.stillSince === null || time - this.stillSince >= this.minStill;
+                this.stillSince = null;
+                if (wasStill && time - this.lastStartTime >= this.minInterval) {
+                    this.active = true;
+                    this.lastStartTime = time;
+                    return { event: 'start', time };
+                }
+            }
+            if (this.active) {
+                this.stillSince = null;
             }
-            const rms = Math.sqrt(sumSquares / segment.length);
-            
-            const timestamp = startTime + (i / sampleRate);
-            amplitudes.push({
-                timestamp: timestamp * 1000, // Convert to milliseconds
-                amplitude: rms
-            });
         }
 
-        return amplitudes;
+        if (this.active && this.stillSince !== null && time - this.stillSince >= this.minStill) {
+            this.active = false;
+            return { event: 'stop', time: this.stillSince };
+        }
+        return null;
     }
+}
 
-    startWaveformAnalysis() {
-        if (!this.showWaveform || !this.stream) return;
-
-        // Stop any existing analysis first
-        this.stopWaveformAnalysis();
+/**
+ * CodecNegotiator - Picks the recording format for this browser
+ * A format is usable only if MediaRecorder can produce it AND MediaSource can play it back, since
+ * flashback streams the recorded segments through MSE. Candidates are listed best first: WebM leads
+ * so clip export (a WebM remux) keeps working, MP4/H.264 covers Safari and hardware encoders, AV1
+ * is offered for the override only when both sides support it.
+ */
+class CodecNegotiator {
+    constructor() {
+        this.candidates = [
+            {
+                id: 'webm-vp9', label: 'WebM · VP9 / Opus', container: 'webm',
+                recordTypes: ['video/webm;codecs=vp9,opus'],
+                playType: 'video/webm;codecs="vp9,opus"'
+            },
+            {
+                id: 'webm-vp8', label: 'WebM · VP8 / Opus', container: 'webm',
+                recordTypes: ['video/webm;codecs=vp8,opus'],
+                playType: 'video/webm;codecs="vp8,opus"'
+            },
+            {
+                id: 'mp4-h264', label: 'MP4 · H.264 / AAC', container: 'mp4',
+                recordTypes: ['video/mp4;codecs=avc1.42E01E,mp4a.40.2', 'video/mp4;codecs=avc1,mp4a', 'video/mp4'],
+                playType: 'video/mp4;codecs="avc1.42E01E,mp4a.40.2"'
+            },
+            {
+                id: 'webm-av1', label: 'WebM · AV1 / Opus', container: 'webm',
+                recordTypes: ['video/webm;codecs=av01,opus', 'video/webm;codecs=av1,opus'],
+                playType: 'video/webm;codecs="av01.0.05M.08,opus"'
+            }
+        ];
+        this.results = null; // probe results, computed once
+    }
 
-        // Ensure audioContext is initialized
-        if (!this.audioContext) {
-            this.initAudioContext();
-        }
+    /**
+     * @returns {Array<Object>} Each candidate with recordType (first type MediaRecorder accepts, or null),
+     *   recordable, playable and usable flags
+     */
+    probe() {
+        if (this.results) {
+            return this.results;
+        }
+        const canRecord = type => typeof MediaRecorder !== 'undefined'
+            && typeof MediaRecorder.isTypeSupported === 'function'
+            && MediaRecorder.isTypeSupported(type);
+        const canPlay = type => !!(window.MediaSource && MediaSource.isTypeSupported(type));
+        this.results = this.candidates.map(candidate => {
+            const recordType = candidate.recordTypes.find(canRecord) || null;
+            const playable = canPlay(candidate.playType);
+            return { ...candidate, recordType, recordable: !!recordType, playable, usable: !!recordType && playable };
+        });
+        return this.results;
+    }
 
-        if (!this.audioContext) {
-            console.warn('AudioContext not available for waveform analysis');
-            return;
-        }
+    /**
+     * @param {string} preference - Candidate id, or 'auto'
+     * @returns {Object|null} The preferred candidate if usable, else the best usable one
+     */
+    choose(preference = 'auto') {
+        const usable = this.probe().filter(candidate => candidate.usable);
+        return usable.find(candidate => candidate.id === preference) || usable[0] || null;
+    }
 
-        try {
-            // Create analyser node
-            this.audioAnalyser = this.audioContext.createAnalyser();
-            this.audioAnalyser.fftSize = 2048;
-            this.audioAnalyser.smoothingTimeConstant = 0.3;
+    /**
+     * MSE needs fully qualified codec strings; MediaRecorder types are mapped to their playback type.
+     * @param {string} mimeType - Type a segment was recorded with
+     * @returns {string}
+     */
+    playbackTypeFor(mimeType) {
+        const candidate = this.candidates.find(c => c.recordTypes.includes(mimeType));
+        return candidate ? candidate.playType : mimeType;
+    }
+}
 
-            // Create source from stream
-            this.audioSource = this.audioContext.createMediaStreamSource(this.stream);
-            this.audioSource.connect(this.audioAnalyser);
+/**
+ * DiagnosticsLog - In-memory ring buffer of structured log entries (BUG-023)
+ * Problems after long sessions cannot be reproduced on demand, so the app keeps its own recent
+ * history: each entry has a timestamp, a level, a category (CHUNK, SEGMENT, BUFFER_TRIM, MSE,
+ * BLOB_CREATE, VIDEO_READ, ...) and structured data. Warnings and errors are mirrored to the console;
+ * the oldest entries are dropped once the capacity is reached.
+ */
+class DiagnosticsLog {
+    constructor(capacity = 5000) {
+        this.capacity = capacity;
+        this.entries = [];
+        this.dropped = 0; // entries pushed out of the ring since the page loaded
+        this.startedAt = Date.now();
+        this.consoleLevel = 'warn'; // lowest level mirrored to the console; routine entries stay in the ring
+    }
 
-            // Store recording start time for accurate timestamps
-            this.waveformRecordingStartTime = Date.now();
-            this.waveformRecordingStartDuration = this.lifetimeRecordedDuration || 0;
+    static get LEVELS() { return ['debug', 'info', 'warn', 'error']; }
 
-            // Start analyzing audio in real-time
-            this.lastWaveformAnalysisTime = Date.now();
-            this.lastWaveformRenderTime = Date.now();
-            this.analyzeAudioWaveform();
-        } catch (e) {
-            console.warn('Error starting waveform analysis:', e);
+    /**
+     * @param {string} level - 'debug' | 'info' | 'warn' | 'error'
+     * @param {string} category - Upper-case area tag, printed as [CATEGORY]
+     * @param {string} message
+     * @param {Object} [data] - Structured details (must be JSON-serializable)
+     */
+    log(level, category, message, data = null) {
+        const entry = { t: Date.now(), level, category, message };
+        if (data) {
+            entry.data = data;
         }
-    }
-
-    stopWaveformAnalysis() {
-        if (this.waveformAnalysisInterval) {
-            clearInterval(this.waveformAnalysisInterval);
-            this.waveformAnalysisInterval = null;
+        this.entries.push(entry);
+        if (this.entries.length > this.capacity) {
+            this.entries.shift();
+            this.dropped++;
         }
-        if (this.audioSource) {
-            try {
-                this.audioSource.disconnect();
-            } catch (e) {}
-            this.audioSource = null;
+        const levels = DiagnosticsLog.LEVELS;
+        if (levels.indexOf(level) >= levels.indexOf(this.consoleLevel)) {
+            const method = level === 'error' ? 'error' : level === 'warn' ? 'warn' : 'log';
+            console[method](`[${category}] ${message}`, data || '');
         }
-        this.audioAnalyser = null;
+        return entry;
     }
 
-    analyzeAudioWaveform() {
-        if (!this.audioAnalyser || !this.showWaveform || this.state !== 'recording') {
-            return;
-        }
+    debug(category, message, data) { return this.log('debug', category, message, data); }
+    info(category, message, data) { return this.log('info', category, message, data); }
+    warn(category, message, data) { return this.log('warn', category, message, data); }
+    error(category, message, data) { return this.log('error', category, message, data); }
 
-        const now = Date.now();
-        const timeSinceLastAnalysis = now - this.lastWaveformAnalysisTime;
-        
-        // Analyze at the specified resolution (default 20ms)
-        if (timeSinceLastAnalysis >= this.waveformResolution) {
-            const bufferLength = this.audioAnalyser.frequencyBinCount;
-            const dataArray = new Uint8Array(bufferLength);
-            this.audioAnalyser.getByteTimeDomainData(dataArray);
+    /**
+     * @returns {Object} Entries with times relative to page load, plus ring metadata
+     */
+    toJSON() {
+        return {
+            startedAt: new Date(this.startedAt).toISOString(),
+            capacity: this.capacity,
+            dropped: this.dropped,
+            entries: this.entries.map(entry => ({ ...entry, t: entry.t - this.startedAt }))
+        };
+    }
+}
 
-            // Calculate RMS amplitude from time domain data
-            let sumSquares = 0;
-            for (let i = 0; i < dataArray.length; i++) {
-                // Convert from 0-255 to -1.0 to 1.0
-                const normalized = (dataArray[i] - 128) / 128.0;
-                sumSquares += normalized * normalized;
-            }
-            const rms = Math.sqrt(sumSquares / dataArray.length);
+/**
+ * KeyBindings - Keyboard shortcut map: action id -> list of key combos
+ * A combo is a string such as 'Space', 'Shift', 'P', 'Ctrl+Shift+Z' or 'Alt+ArrowLeft'. Modifiers are
+ * written in a fixed order (Ctrl, Alt, Shift, Meta). Shift is only part of the combo for letters and
+ * named keys: for other characters it is already reflected in the key itself ('+' rather than 'Shift+=').
+ * Only the bindings that differ from the defaults are persisted.
+ */
+class KeyBindings {
+    /**
+     * @param {Object<string, string[]>} defaults - Default combos per action id
+     */
+    constructor(defaults) {
+        this.defaults = defaults;
+        this.bindings = {};
+        this.reset();
+    }
 
-            // Calculate accurate timestamp: base duration + elapsed time since recording start
-            const elapsedSinceRecordingStart = (now - this.waveformRecordingStartTime) / 1000; // in seconds
-            const currentTime = (this.waveformRecordingStartDuration || 0) + elapsedSinceRecordingStart;
+    static get MODIFIER_KEYS() { return ['Control', 'Alt', 'Shift', 'Meta', 'AltGraph']; }
 
-            // Add data point
-            const dataPoint = {
-                timestamp: currentTime * 1000, // Convert to milliseconds
-                amplitude: rms
-            };
+    /**
+     * @param {KeyboardEvent} event
+     * @returns {string|null} Combo for the event, or null for keys that cannot be bound
+     */
+    static comboFromEvent(event) {
+        let key = event.key;
+        if (!key || key === 'Unidentified' || key === 'Dead') return null;
+        if (key === 'Control') key = 'Ctrl';
+        if (key === ' ' || event.code === 'Space') key = 'Space';
+        // Alt/Option rewrites letters on some layouts (Alt+D -> '∂'): fall back to the physical key
+        if (key.length === 1 && event.altKey && /^Key[A-Z]$/.test(event.code)) {
+            key = event.code.slice(3);
+        }
+        const isCharacter = key.length === 1;
+        if (isCharacter) {
+            key = key.toUpperCase();
+        }
+        const isLetter = /^[A-Z]$/.test(key);
+        const parts = [];
+        if (event.ctrlKey && key !== 'Ctrl') parts.push('Ctrl');
+        if (event.altKey && key !== 'Alt') parts.push('Alt');
+        if (event.shiftKey && key !== 'Shift' && (!isCharacter || isLetter)) parts.push('Shift');
+        if (event.metaKey && key !== 'Meta') parts.push('Meta');
+        parts.push(key);
+        return parts.join('+');
+    }
 
-            this.waveformData.push(dataPoint);
+    /**
+     * @param {string} combo
+     * @returns {string} Short display form ('Alt+ArrowLeft' -> 'Alt+←')
+     */
+    static format(combo) {
+        const symbols = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Escape: 'Esc', Delete: 'Del' };
+        return combo.split('+').map(part => symbols[part] || part).join('+');
+    }
 
-            // Update max amplitude for normalization
-            if (rms > this.maxAmplitude) {
-                this.maxAmplitude = rms;
-            }
+    get(actionId) {
+        return this.bindings[actionId] || [];
+    }
 
-            this.lastWaveformAnalysisTime = now;
+    /**
+     * @returns {string|null} Action bound to the combo (the first one in registry order on conflicts)
+     */
+    findAction(combo) {
+        if (!combo) return null;
+        return Object.keys(this.bindings).find(actionId => this.bindings[actionId].includes(combo)) || null;
+    }
 
-            // Render waveform at fixed interval (100ms = 10 FPS) for smooth real-time feedback
-            const timeSinceLastRender = now - this.lastWaveformRenderTime;
-            if (timeSinceLastRender >= this.waveformRenderInterval) {
-                this.renderWaveform();
-                this.lastWaveformRenderTime = now;
-            }
-        }
+    /**
+     * @returns {string[]} Actions other than exceptActionId that use the combo
+     */
+    conflictsFor(combo, exceptActionId = null) {
+        return Object.keys(this.bindings)
+            .filter(actionId => actionId !== exceptActionId && this.bindings[actionId].includes(combo));
+    }
 
-        // Continue analyzing
-        requestAnimationFrame(() => this.analyzeAudioWaveform());
+    add(actionId, combo) {
+        const combos = this.get(actionId);
+        if (!combos.includes(combo)) {
+            this.bindings[actionId] = [...combos, combo];
+        }
     }
 
-    calculateVisibleWindow() {
-        /**
-         * Calculate visible window bounds using the same logic as updateTimeline()
-         * This ensures waveform and timeline are synchronized
-         */
-        const lifetimeDuration = this.lifetimeRecordedDuration;
-        const isRecording = this.state === 'recording';
-        const isFlashbackPaused = this.state === 'flashbackPaused';
+    remove(actionId, combo) {
+        this.bindings[actionId] = this.get(actionId).filter(existing => existing !== combo);
+    }
 
-        let windowStart;
-        let windowEnd;
+    reset() {
+        Object.keys(this.defaults).forEach(actionId => {
+            this.bindings[actionId] = [...this.defaults[actionId]];
+        });
+    }
 
-        if (isRecording || isFlashbackPaused) {
-            // During recording: use same logic as windowEndDisplay in updateTimeline()
-            // windowEndDisplay = Math.max(this.maxDuration, lifetimeDuration)
-            windowEnd = Math.max(this.maxDuration, lifetimeDuration);
-            // windowStartDisplay = Math.max(0, lifetimeDuration - this.maxDuration)
-            windowStart = Math.max(0, lifetimeDuration - this.maxDuration);
-        } else {
-            // During flashback or stopped: use same logic as windowEndDisplay in updateTimeline()
-            // windowEndDisplay = (this.lifetimeRecordedDuration <= this.maxDuration ? this.maxDuration : lifetimeDuration)
-            if (this.lifetimeRecordedDuration <= this.maxDuration) {
-                windowEnd = this.maxDuration;
-            } else {
-                windowEnd = this.lifetimeRecordedDuration;
+    /**
+     * @returns {Object<string, string[]>} Actions whose combos differ from the defaults
+     */
+    toJSON() {
+        const changed = {};
+        Object.keys(this.bindings).forEach(actionId => {
+            if (this.bindings[actionId].join('|') !== this.defaults[actionId].join('|')) {
+                changed[actionId] = this.bindings[actionId];
             }
-            // windowStartDisplay uses stored windowStart when not recording
-            windowStart = this.visibleWindowStart ?? 0;
-        }
-
-        const windowDuration = Math.max(windowEnd - windowStart, 0);
-
-        return { windowStart, windowEnd, windowDuration };
+        });
+        return changed;
     }
 
-    // Width the green timeline bar should occupy, as a percentage of the track.
-    // The waveform and photo timeline always stretch the display window [windowStart, windowEnd]
-    // (windowEnd = max(maxDuration, recorded duration)) across their whole width. The green bar must
-    // fill exactly the fraction of that window covered by recorded content, so its right edge lines
-    // up with the end of the recorded content in the waveform, and its cursor/markers share the same
-    // time→pixel scale. This yields: a proportional bar (recorded / maxDuration) before the buffer is
-    // full, and a full bar once recording has reached/exceeded maxDuration.
-    getEffectiveBarWidthPercent() {
-        const { windowStart, windowDuration } = this.calculateVisibleWindow();
-        if (!(windowDuration > 0)) {
-            return 100;
-        }
-        const recordedEnd = (this.state === 'recording')
-            ? this.lifetimeRecordedDuration
-            : (this.visibleWindowEnd ?? this.lifetimeRecordedDuration);
-        const frac = (recordedEnd - windowStart) / windowDuration;
-        return Math.min(Math.max(frac * 100, 0), 100);
+    /**
+     * @param {Object} saved - Output of toJSON(); unknown actions and malformed entries are ignored
+     */
+    load(saved) {
+        if (!saved || typeof saved !== 'object') return;
+        Object.keys(saved).forEach(actionId => {
+            const combos = saved[actionId];
+            if (this.defaults[actionId] && Array.isArray(combos) && combos.every(combo => typeof combo === 'string')) {
+                this.bindings[actionId] = [...combos];
+            }
+        });
     }
+}
 
-    renderWaveform() {
-        if (!this.waveformCtx || !this.waveformCanvas || !this.showWaveform) return;
+class FlashbackRecorder {
+    constructor() {
+        // DOM Elements
+        this.videoPreview = document.getElementById('videoPreview');
+        this.shiftBtn = document.getElementById('shiftBtn');
+        this.flashbackBtn = document.getElementById('flashbackBtn');
+        this.waveformCanvas = document.getElementById('waveformCanvas');
+        this.waveformContainer = document.getElementById('waveformContainer');
+        this.photoTimelineContainer = document.getElementById('photoTimelineContainer');
+        this.photoTimelineScroll = document.getElementById('photoTimelineScroll');
+        this.photoTimelinePosition = document.getElementById('photoTimelinePosition');
         
-        // Draw empty state if no data
-        if (this.waveformData.length === 0) {
-            requestAnimationFrame(() => {
-                const canvas = this.waveformCanvas;
-                const ctx = this.waveformCtx;
-                // Use canvas internal dimensions (already scaled by DPR)
-                const dpr = window.devicePixelRatio || 1;
-                const width = (canvas.width / dpr) || canvas.offsetWidth || 800;
-                const height = (canvas.height / dpr) || canvas.offsetHeight || 40;
-
-                // Clear canvas
-                ctx.clearRect(0, 0, width, height);
-
-                // Draw placeholder text (positioned at bottom)
-                ctx.fillStyle = '#9CA3AF';
-                ctx.font = '12px sans-serif';
-                ctx.textAlign = 'center';
-                ctx.fillText('Enregistrement en cours...', width / 2, height - 10);
-            });
-            return;
+        // Debug: Check if waveform elements exist
+        if (!this.waveformContainer) {
+            console.error('waveformContainer element not found in DOM');
         }
+        if (!this.waveformCanvas) {
+            console.error('waveformCanvas element not found in DOM');
+        }
+        if (!this.photoTimelineContainer) {
+            console.error('photoTimelineContainer element not found in DOM');
+        }
+        if (!this.photoTimelineScroll) {
+            console.error('photoTimelineScroll element not found in DOM');
+        }
+        
+        this.forwardBtn = document.getElementById('forwardBtn');
+        this.videoOverlay = document.getElementById('videoOverlay');
+        this.alertsContainer = document.getElementById('alertsContainer');
+        this.timeOffsetOverlay = document.getElementById('timeOffsetOverlay');
+        this.stateIndicatorDot = document.getElementById('stateIndicatorDot');
+        this.stateIndicatorLabel = document.getElementById('stateIndicatorLabel');
+        this.timelineContainer = document.getElementById('timelineContainer');
+        this.timelineBar = document.getElementById('timelineBar');
+        this.timelineProgress = document.getElementById('timelineProgress');
+        this.timelinePosition = document.getElementById('timelinePosition');
+        this.timelineMarkerLayer = document.getElementById('timelineMarkerLayer');
+        this.timeStart = document.getElementById('timeStart');
+        this.timeCurrent = document.getElementById('timeCurrent');
+        this.timeEnd = document.getElementById('timeEnd');
+        this.timeLifetime = document.getElementById('timeLifetime');
+        this.timelineLegend = document.getElementById('timelineLegend');
+        this.durationRange = document.getElementById('durationRange');
+        this.durationValue = document.getElementById('durationValue');
+        this.durationDisplay = document.getElementById('durationDisplay');
+        this.addMarkerBtn = document.getElementById('addMarkerBtn');
+        this.prevMarkerBtn = document.getElementById('prevMarkerBtn');
+        this.nextMarkerBtn = document.getElementById('nextMarkerBtn');
+        this.exportClipBtn = document.getElementById('exportClipBtn');
+        this.markerFilterSelect = document.getElementById('markerFilterSelect');
+        this.markerPopover = document.getElementById('markerPopover');
+        this.markerPopoverTime = document.getElementById('markerPopoverTime');
+        this.markerPopoverLabel = document.getElementById('markerPopoverLabel');
+        this.markerPopoverNote = document.getElementById('markerPopoverNote');
+        this.markerPopoverCategories = document.getElementById('markerPopoverCategories');
+        this.markerPopoverClose = document.getElementById('markerPopoverClose');
+        this.markerPopoverGoto = document.getElementById('markerPopoverGoto');
+        this.markerPopoverDelete = document.getElementById('markerPopoverDelete');
+        this.clearMarkersBtn = document.getElementById('clearMarkersBtn');
+        this.loopBtn = document.getElementById('loopBtn');
+        this.pinBtn = document.getElementById('pinBtn');
+        this.keepersStrip = document.getElementById('keepersStrip');
+        this.delayedMirrorBtn = document.getElementById('delayedMirrorBtn');
+        this.compareBtn = document.getElementById('compareBtn');
+        this.ghostBtn = document.getElementById('ghostBtn');
+        this.ghostRangeSelect = document.getElementById('ghostRangeSelect');
+        this.ghostVideo = document.getElementById('ghostVideo');
+        this.videoContainer = document.getElementById('videoContainer');
+        this.referenceVideo = document.getElementById('referenceVideo');
+        this.referenceBtn = document.getElementById('referenceBtn');
+        this.referenceInput = document.getElementById('referenceInput');
+        this.referenceControls = document.getElementById('referenceControls');
+        this.referenceModeSelect = document.getElementById('referenceModeSelect');
+        this.referenceAlignSelect = document.getElementById('referenceAlignSelect');
+        this.referenceRemoveBtn = document.getElementById('referenceRemoveBtn');
+        this.compareView = document.getElementById('compareView');
+        this.comparePlayBtn = document.getElementById('comparePlayBtn');
+        this.compareSpeedSelect = document.getElementById('compareSpeedSelect');
+        this.compareCloseBtn = document.getElementById('compareCloseBtn');
+        this.delayedVideo = document.getElementById('delayedVideo');
+        this.delayBadge = document.getElementById('delayBadge');
+        this.timelineLoopRegion = document.getElementById('timelineLoopRegion');
+        this.debugPanel = document.getElementById('debugPanel');
+        this.debugPanelToggle = document.getElementById('debugPanelToggle');
+        this.configPanel = document.getElementById('configPanel');
+        this.configPanelToggle = document.getElementById('configPanelToggle');
+        this.configPanelClose = document.getElementById('configPanelClose');
+        this.configAudioOutputContent = document.getElementById('configAudioOutputContent');
+        this.configMicSelect = document.getElementById('configMicSelect');
+        this.configCameraSelect = document.getElementById('configCameraSelect');
+        this.configVuMeter = document.getElementById('configVuMeter');
+        this.configCameraPreview = document.getElementById('configCameraPreview');
+        this.configMirrorToggle = document.getElementById('configMirrorToggle');
+        this.configPlaybackSpeedSelect = document.getElementById('configPlaybackSpeedSelect');
+        this.configLoopPauseInput = document.getElementById('configLoopPauseInput');
+        this.configGhostOpacity = document.getElementById('configGhostOpacity');
+        this.configGhostOffset = document.getElementById('configGhostOffset');
+        this.configGhostFlipToggle = document.getElementById('configGhostFlipToggle');
+        this.configDelayedMirrorToggle = document.getElementById('configDelayedMirrorToggle');
+        this.configRecordDuringFlashbackToggle = document.getElementById('configRecordDuringFlashbackToggle');
+        this.configMirrorDelaySelect = document.getElementById('configMirrorDelaySelect');
+        this.configPinnedBudgetSelect = document.getElementById('configPinnedBudgetSelect');
+        this.configMemoryBudgetSelect = document.getElementById('configMemoryBudgetSelect');
+        this.configMemoryEstimate = document.getElementById('configMemoryEstimate');
+        this.configAdaptiveMemoryToggle = document.getElementById('configAdaptiveMemoryToggle');
+        this.configResolutionSelect = document.getElementById('configResolutionSelect');
+        this.configFrameRateSelect = document.getElementById('configFrameRateSelect');
+        this.configVideoBitrateSelect = document.getElementById('configVideoBitrateSelect');
+        this.configAudioBitrateSelect = document.getElementById('configAudioBitrateSelect');
+        this.configCaptureEffective = document.getElementById('configCaptureEffective');
+        this.configCodecSelect = document.getElementById('configCodecSelect');
+        this.configWakeLockStatus = document.getElementById('configWakeLockStatus');
+        this.configExportDiagnosticsBtn = document.getElementById('configExportDiagnosticsBtn');
+        this.configKeyBindings = document.getElementById('configKeyBindings');
+        this.configKeyBindingsReset = document.getElementById('configKeyBindingsReset');
+        this.configKeyBindingsNote = document.getElementById('configKeyBindingsNote');
+        this.configAutoMarkersToggle = document.getElementById('configAutoMarkersToggle');
+        this.configAutoMarkerSensitivity = document.getElementById('configAutoMarkerSensitivity');
+        this.configMotionMarkersToggle = document.getElementById('configMotionMarkersToggle');
+        this.configMotionSensitivity = document.getElementById('configMotionSensitivity');
+        this.configMotionRoiEditor = document.getElementById('configMotionRoiEditor');
+        this.configMotionPreview = document.getElementById('configMotionPreview');
+        this.configMotionRoiRect = document.getElementById('configMotionRoiRect');
+        this.configMotionRoiReset = document.getElementById('configMotionRoiReset');
+        this.speedBadge = document.getElementById('speedBadge');
+        this.debugSegmentsList = document.getElementById('debugSegmentsList');
+        this.debugTotalDuration = document.getElementById('debugTotalDuration');
+        this.debugSegmentCount = document.getElementById('debugSegmentCount');
+        this.debugChunksList = document.getElementById('debugChunksList');
+        this.debugChunkCount = document.getElementById('debugChunkCount');
+        this.debugBufferDuration = document.getElementById('debugBufferDuration');
+        this.debugHealthList = document.getElementById('debugHealthList');
+        this.pendingSessionId = null;
+        this.pendingSessionChunks = [];
 
-        // Use requestAnimationFrame for smooth rendering
-        requestAnimationFrame(() => {
-            const canvas = this.waveformCanvas;
-            const ctx = this.waveformCtx;
-            // Use canvas internal dimensions (already scaled by DPR)
-            const dpr = window.devicePixelRatio || 1;
-            const width = (canvas.width / dpr) || canvas.offsetWidth || 800;
-            const height = (canvas.height / dpr) || canvas.offsetHeight || 40;
-
-            // Clear canvas
-            ctx.clearRect(0, 0, width, height);
-
-            // Calculate visible time range using same logic as timeline
-            const { windowStart, windowEnd, windowDuration } = this.calculateVisibleWindow();
-            const visibleStart = windowStart;
-            const visibleEnd = windowEnd;
-
-            // Filter data points in visible range
-            const visibleData = this.waveformData.filter(point => {
-                const timeInSeconds = point.timestamp / 1000;
-                return timeInSeconds >= visibleStart && timeInSeconds <= visibleEnd;
-            });
-
-            // Use windowDuration for scaling (not totalDuration which might be smaller)
-            const totalDuration = windowDuration;
-
-            if (visibleData.length === 0) return;
-
-            // Visual decimation: calculate optimal number of bars to display
-            // For performance, limit to ~2000 bars max
-            const maxBars = Math.min(2000, width);
-            const decimationFactor = Math.max(1, Math.floor(visibleData.length / maxBars));
-            
-            // Calculate bar width
-            const barWidth = Math.max(0.5, width / maxBars);
-
-            // Draw waveform bars with decimation
-            const maxAmp = this.maxAmplitude || 1;
-            let lastX = -1;
-
-            for (let i = 0; i < visibleData.length; i += decimationFactor) {
-                const point = visibleData[i];
-                const timeInSeconds = point.timestamp / 1000;
-                
-                // Calculate x position
-                const progress = (timeInSeconds - visibleStart) / totalDuration;
-                const x = progress * width;
+        // State
+        this.stream = null;
+        this.mediaRecorder = null;
+        this.state = 'recording'; // 'recording' | 'flashback' | 'recordingStopped' | 'flashbackPaused' | 'transitioning'
+        this.recordedSessions = [];
+        this.chunkBuffer = []; // rolling buffer of individual chunks { blob, duration, mimeType, timestamp, sessionId, sequence }
+        this.currentSessionChunks = []; // chunks collected during the current session (before save)
+        this.currentSessionIdCounter = 0; // auto-incremented identifier for logical sessions
+        this.currentChunkSequence = 0; // auto-incremented identifier for each chunk
+        this.currentSessionId = null; // logical session currently being recorded
+        this._bufferedDuration = 0; // total cumulative duration of chunks present in the buffer
+        this._lastChunkTimestamp = null; // timestamp of the last received chunk (ms)
+        this.currentSessionHeaderBlob = null; // Blob header preserved if the first chunk is purged
+        this.sessionMap = new Map(); // direct access to sessions by identifier
+        this.currentFlashbackIndex = 0;
+        this.flashbackVideo = null;
+        this.allSessions = [];
+        this._mse = null; // MediaSource context stitching the retained segments into one gapless timeline during flashback
+        this.currentReferencePosition = null;
+        this.backPressCount = 0;
+        this.forwardPressCount = 0;
+        this.backResetTimer = null;
+        this.forwardResetTimer = null;
+        this.previousAbsoluteTime = null; // Store previous position for offset calculation
+        this.timeOffsetOverlayTimeout = null; // Timeout for fade out
+        this.markerUpPressCount = 0;           // Counter for rapid ArrowUp presses
+        this.markerUpResetTimer = null;        // Timer to reset the counter
+        this.lastMarkerUpPressTime = 0;        // Timestamp of last ArrowUp press
+        this.markerUpFastPressThreshold = 500; // 0.5 seconds in milliseconds
+        this.recordingStartTime = 0;
+        this.totalRecordedTime = 0;
+        this.maxDuration = 600; // seconds
+        this.bufferMarginSeconds = 20; // extra margin to ensure an earlier keyframe (>= segment length so whole-segment eviction never bisects)
+        // Memory budget: at high quality the duration cap alone can exhaust memory, so bytes are capped too
+        this.memoryBudgetMB = 1024; // 0 = no byte limit
+        this.adaptiveMemory = true; // shorten retention automatically under memory/storage pressure
+        this.adaptiveBudgetBytes = null; // lowered byte cap while under pressure
+        this.recentChunkStats = []; // [{ size, duration }] of the latest chunks, for the bytes/second estimate
+        this.lastMemoryCheckMs = 0;
+        this.memoryWarningKey = null; // "duration:budget" already warned about
+
+        // Capture quality: 'auto' / 0 leave the choice to the browser
+        this.captureResolution = 'auto'; // key of CAPTURE_RESOLUTIONS
+        this.captureFrameRate = 0;
+        this.videoBitrateKbps = 0;
+        this.audioBitrateKbps = 0;
+        this.segmentDurationSeconds = 15; // rotate the recorder this often so each segment is a self-contained, decodable WebM
+        this._segmentRotationTimer = null; // interval that triggers periodic recorder rotation
+        this._rotating = false; // true while a rotation is in progress (suppresses the onstop auto-save)
+        this.lifetimeRecordedDuration = 0; // total duration recorded since launch (monotonic)
+        this.sessionBoundaries = [];
+        this._pendingRevokes = [];
+        this.activeMimeType = null; // MimeType used for blobs
+        this._flashbackId = 0; // unique identifier for each flashback (invalidates obsolete handlers)
+        this._flashbackTimeout = null;
+        this._flashbackInterval = null;
+        this._timeupdateHandler = null;
+        this._timeupdateGuardTimeout = null;
+        this._onEndedHandler = null;
+        this._onErrorHandler = null;
+        this._metadataTimeout = null;
+        
+        // Audio keep-alive to prevent speaker/headphone sleep
+        this.audioKeepAlive = new AudioKeepAlive();
+        
+        // Audio output monitor for device failure detection and automatic failover
+        this.audioOutputMonitor = new AudioOutputMonitor(this);
 
-                // Skip if too close to previous bar (for performance)
-                if (x - lastX < 0.5) continue;
-                lastX = x;
+        // IndexedDB persistence of finalized segments (survives crash/reload)
+        this.storageManager = new StorageManager();
+        this.persistenceErrorShown = false; // Only alert once per page about a failed write
+
+        // Clip export (WebM download of a time range)
+        this.webmClipBuilder = new WebmClipBuilder();
+        this.codecNegotiator = new CodecNegotiator();
+        this.codecPreference = 'auto'; // CodecNegotiator candidate id chosen in the config panel
+        this.currentSessionVideoSize = null; // 'WxH' of the stream the current segment is recorded from
+        this.deviceSwitching = false;
+
+        // Capture watchdog: notices a recorder, track or camera that stops delivering and restarts capture
+        this.watchdogInterval = null;
+        this.lastChunkArrivalMs = 0;
+        this.lastFrameProgressMs = 0;
+        this.frameWatchHandle = null; // requestVideoFrameCallback handle on the live preview
+        this.frameWatchRearmedMs = null; // set when the frame callback was re-armed to rule out a lost callback
+        this.watchdogMutedSince = null; // a capture track reported 'mute' at this time
+        this.watchdogRecovering = false;
+        this.watchdogRetryAfterMs = 0; // back-off after a failed recovery
+        this.watchdogIncidents = []; // [{ at, reason, lifetime, recovered }], newest last
+        this.lastWatchdogTickMs = 0; // a long pause between ticks reveals a sleep without any page event
+        this.suspendedAtMs = null; // set when the page was hidden or frozen, cleared on resume
+        this.hiddenRotateTimeout = null; // closes the segment once the page has stayed hidden a while
+        this.gapRecorder = null; // recorder running across a detected gap: its late chunks are dropped
+        this.lastGapMarker = null; // marker of the latest capture interruption (merges duplicate detections)
+        this.diagnostics = new DiagnosticsLog(); // BUG-023: exported with "Exporter les diagnostics"
+
+        // Health dashboard (debug panel, toggled with Ctrl+Alt+D)
+        this.debugPanelEnabled = false;
+        this.healthInterval = null;
+        this.healthMetrics = null; // built by initHealthDashboard()
+        this.healthHistory = {}; // metric id -> latest samples, oldest first
+        this.healthRows = {}; // metric id -> { value, canvas } elements
+        this.chunkArrivalIntervals = []; // ms between the latest chunks, for the jitter metric
+        this.lastFrameQuality = null; // { video, dropped, total } at the previous sample
+
+        // Keyboard shortcuts: action registry + user-editable bindings (config panel)
+        this.keyActions = this.getKeyActions();
+        this.keyBindings = new KeyBindings(Object.fromEntries(this.keyActions.map(action => [action.id, action.keys])));
+        this.keyCapture = null; // { actionId, pending } while the editor waits for a key
+        this.isExportingClip = false;
 
-                // Calculate bar height (normalized amplitude) - using full height from bottom
-                const normalizedAmplitude = point.amplitude / maxAmp;
-                const barHeight = Math.max(1, normalizedAmplitude * (height - 4));
+        this._finalizeFlashback = null;
+        this.visibleWindowStart = 0;
+        this.visibleWindowEnd = 0;
+        this.visibleWindowDuration = 0;
+        this.lateChunkThresholdSeconds = 1.0;
+        this.lastFinalizedSessionId = null;
+        this.flashbackMarkers = [];
+        this.flashbackMarkerIdCounter = 0;
+        this.markerNavigationEpsilon = 0.05; // 50ms tolerance when comparing marker positions
+        this.markerNavigationFilter = 'all'; // 'all' or a key of MARKER_CATEGORIES: ArrowUp/Down only visit those
+        this.editedMarkerId = null; // marker shown in the label/note/category popover
+        this.markerEditPending = false; // label/note typed but not yet rendered and persisted
+        this.markerUndoStack = []; // { type: 'add' | 'delete' | 'move', ... } - see applyMarkerHistoryEntry()
+        this.markerRedoStack = [];
+        this.markerHistoryLimit = 100;
+        this.markerDeleteTolerance = 2; // seconds: Delete key removes the marker this close to the play head
+        this.markerDrag = null; // { markerId, fromTime, startX, moved } while a marker is dragged
+        this.markerDragJustEnded = false; // swallows the click that follows a drag
+
+        // A-B loop: repeat [start, end] (absolute times) during flashback
+        this.abLoop = { start: null, end: null, active: false };
+        this.loopPauseSeconds = 0; // optional pause between repetitions
+        this.abLoopRaf = null; // requestAnimationFrame id of the loop-end watcher
+        this.abLoopPauseTimer = null;
+        this.abLoopWrapping = false; // true while jumping back / pausing between repetitions
+        this.abLoopDrag = null; // { startTime } while Alt+dragging a range on the timeline
+
+        // Drag-scrubbing the paused frame on the timeline bar or the waveform
+        this.scrub = null; // { el, isTimeline, startX, moved, pending, raf }
+        this.scrubJustEnded = false; // swallows the click that follows a scrub
+
+        // Keep the MediaRecorder running while a flashback is reviewed
+        this.recordDuringFlashback = false; // setting
+        this.backgroundRecording = false; // true while the recorder runs behind a flashback
+
+        // Delayed mirror: a second video shows the buffer N seconds behind live while recording goes on
+        this.delayedMirrorEnabled = false;
+        this.mirrorDelaySeconds = 10;
+        this._delayed = null; // MediaSource context of the delayed video
+        this.delayedMirrorInterval = null;
+
+        // Side-by-side compare: two buffer ranges played together, each in its own pane
+        this.compareOpen = false;
+        this.comparePanes = []; // [{ video, select, offsetInput, ctx, start, end, buildId }]
+        this.comparePlaying = false;
+        this.compareElapsed = 0; // seconds into both ranges
+        this.compareClock = null; // { wallStart, elapsedAtStart } while playing
+        this.compareSpeed = 1;
+        this.compareRaf = null;
+
+        // Onion skin: a past range replayed semi-transparently over the live preview
+        this.ghostActive = false;
+        this.ghostOpacity = 0.4;
+        this.ghostOffsetSeconds = 0; // shifts the replayed range in time
+        this.ghostFlip = false; // mirror the ghost relative to the live picture
+        this.ghost = null; // { ctx, start, end, buildId }
+        this.ghostBuildId = 0;
+        this.ghostRaf = null;
+
+        // External reference clip: a local file kept outside the rolling buffer, never evicted
+        this.referenceClip = null; // { name, url, duration }
+        this.referenceMode = 'side'; // 'side' | 'overlay'
+        this.referenceAlignMarkerId = null; // the clip's start lines up with this marker
+        this.referenceRaf = null;
+
+        // Pinned ranges ("keepers"): the segments covering them survive the rolling buffer
+        this.pinnedRanges = []; // [{ id, start, end }] absolute times
+        this.pinnedRangeIdCounter = 0;
+        this.keeperSessions = []; // pinned segments retired from the rolling buffer, oldest first
+        this.pinnedBudgetSeconds = 300; // recorded seconds the keepers may hold
+        this.pinPaddingSeconds = 5; // kept on each side of a marker or of the play head
 
-                // Choose color based on amplitude
-                let color;
-                if (normalizedAmplitude > 0.8) {
-                    color = '#EF4444'; // Red for high amplitude
-                } else if (normalizedAmplitude > 0.5) {
-                    color = '#F59E0B'; // Orange for medium-high
-                } else if (normalizedAmplitude > 0.2) {
-                    color = '#10B981'; // Green for medium
-                } else {
-                    color = '#6B7280'; // Gray for low
-                }
+        // Waveform visualization
+        // Note: waveformCanvas and waveformContainer are already set above in DOM Elements section
+        this.waveformCtx = null; // Will be set in initWaveformCanvas
+        this.waveformData = []; // Cache des données de forme d'onde (haute résolution)
+        this.audioContext = null; // AudioContext pour l'analyse
+        this.audioAnalyser = null; // AnalyserNode pour l'analyse en temps réel
+        this.audioSource = null; // MediaStreamAudioSourceNode
+        this.waveformAnalysisInterval = null; // Interval pour l'analyse en temps réel
+        this.waveformFrameId = null; // requestAnimationFrame du loop d'analyse (un seul à la fois)
+        this.showWaveform = true; // Flag pour afficher/masquer la forme d'onde (chargé depuis localStorage)
+        this.waveformResolution = 20; // Résolution en millisecondes entre chaque point (ex: 20ms = 50 points/seconde)
+        this.maxAmplitude = 0; // Amplitude maximale pour normalisation
+        this.lastWaveformAnalysisTime = 0; // Timestamp de la dernière analyse
+        this.lastWaveformRenderTime = 0; // Timestamp du dernier rendu
+        this.waveformRecordingStartTime = 0; // Timestamp de début d'enregistrement pour calcul précis
+        this.waveformRecordingStartDuration = 0; // Durée totale au début de l'enregistrement
+        this.waveformRenderInterval = 100; // Intervalle de rendu en millisecondes (100ms = 10 FPS)
 
-                // Draw bar (starting from bottom, going up)
-                ctx.fillStyle = color;
-                ctx.fillRect(x - barWidth / 2, height - barHeight, barWidth, barHeight);
-            }
-        });
-    }
+        // Photo timeline visualization
+        this.photoFrames = []; // Array of {timestamp, imageData, thumbnail}
+        this.showPhotoTimeline = true; // Flag pour afficher/masquer la photo timeline (chargé depuis localStorage)
+        this.photoExtractionInterval = null; // Intervalle d'extraction de frames
+        this.lastPhotoExtractionTime = 0; // Timestamp de la dernière extraction
+        this.photoTimelineHeight = 36; // Hauteur fixe de la règle en pixels (réduite de 40%)
+        this.photoThumbnailWidth = 80; // Largeur cible d'une miniature en pixels (deprecated, kept for compatibility)
+        this.photoExtractionActive = false; // Flag pour contrôler si l'extraction est active
+        this.photoTimelineRefreshInterval = null; // Intervalle de rafraîchissement de l'affichage
+        this.isReExtracting = false; // Flag pour éviter les ré-extractions simultanées
+        this.timelineResizeDebounce = null; // Debounce pour les événements window resize
+        this.playbackPositionUpdateInterval = null; // Intervalle de mise à jour des traits rouges (100ms)
+        this.videoWidth = null; // Largeur de la vidéo en pixels
+        this.videoHeight = null; // Hauteur de la vidéo en pixels
+        this.photoTimelineResizeObserver = null; // ResizeObserver pour détecter les changements de dimensions
+        this.photoTimelineResizeDebounce = null; // Debounce timer pour les événements de redimensionnement
+        this.currentPhotoExtractionInterval = null; // Périodicité actuelle d'extraction (en secondes)
 
-    drawPlaybackPosition(currentTime) {
-        if (!this.waveformCtx || !this.waveformCanvas || !this.showWaveform) return;
+        // Mirror mode
+        this.mirrorMode = true; // default on (matches CSS scaleX(-1))
 
-        // Use requestAnimationFrame for smooth updates
-        requestAnimationFrame(() => {
-            const canvas = this.waveformCanvas;
-            const ctx = this.waveformCtx;
-            const rect = canvas.getBoundingClientRect();
-            const width = rect.width;
-            const height = rect.height;
+        // Flashback playback speed (FEAT-004), one of FlashbackRecorder.PLAYBACK_SPEEDS
+        this.playbackSpeed = 1;
 
-            // Get visible time range using same logic as timeline
-            const { windowStart, windowEnd, windowDuration } = this.calculateVisibleWindow();
+        // Automatic markers from audio events (FEAT-003)
+        this.autoMarkersEnabled = false;
+        this.audioOnsetDetector = new AudioOnsetDetector();
+        this.autoMarkerLeadIn = 1; // seconds: place the marker slightly before the sound to see the lead-up
 
-            // Calculate x position
-            const progress = windowDuration > 0 ? (currentTime - windowStart) / windowDuration : 0;
-            const x = progress * width;
+        // Automatic markers from movement in the camera feed
+        this.motionMarkersEnabled = false;
+        this.motionDetector = new MotionDetector();
+        this.motionDetectionInterval = null;
+        this.motionSampleIntervalMs = 100; // 10 samples per second is enough to catch a jump or a serve
 
-            // Only redraw if position changed significantly (performance optimization)
-            if (this._lastPlaybackX !== undefined && Math.abs(this._lastPlaybackX - x) < 1) {
-                return; // Skip if position hasn't changed much
-            }
-            this._lastPlaybackX = x;
+        // Config panel / vumeter
+        this.vuMeterAnimId = null;
+        this.vuMeterAudioCtx = null;
+        this.vuMeterAnalyser = null;
+        this.vuMeterSource = null;
 
-            // Redraw waveform to clear old position indicator
-            this.renderWaveform();
+        // Audio device management (BUG-020)
+        this.currentAudioInputDeviceId = null; // ID du périphérique d'entrée actuellement utilisé
+        this.currentAudioOutputDeviceId = null; // ID du périphérique de sortie actuellement utilisé
+        this.deviceChangePollingInterval = null; // Intervalle de polling pour détecter les changements (500ms)
+        this.deviceChangeHandler = null; // Handler pour l'événement devicechange
+        this.lastKnownDevices = []; // Liste des périphériques connus pour détecter les changements
 
-            // Draw position indicator line after waveform is rendered
-            requestAnimationFrame(() => {
-                if (x >= 0 && x <= width) {
-                    ctx.strokeStyle = '#EF4444';
-                    ctx.lineWidth = 2;
-                    ctx.beginPath();
-                    ctx.moveTo(x, 0);
-                    ctx.lineTo(x, height);
-                    ctx.stroke();
+        // Multiple alerts management
+        this.activeAlerts = new Map(); // Map<alertId, {element, timeoutId, createdAt}>
+        this.alertIdCounter = 0; // Compteur pour IDs uniques d'alertes
+        this.maxAlerts = 5; // Nombre maximum d'alertes simultanées
 
-                    // Draw circle at top
-                    ctx.fillStyle = '#EF4444';
-                    ctx.beginPath();
-                    ctx.arc(x, 0, 4, 0, Math.PI * 2);
-                    ctx.fill();
-                }
-            });
-        });
-    }
+        // Inactivity monitoring (BUG-021)
+        this.inactivityTimeout = null; // Timer pour détecter l'inactivité
+        this.lastActivityTime = Date.now(); // Timestamp de la dernière activité
+        this.inactivityWarningShown = false; // Éviter multiples alertes pendant une session
+        this.inactivityEventListeners = []; // Stocker les listeners pour cleanup
 
-    updatePhotoTimelinePlaybackPosition(currentTime) {
-        if (!this.photoTimelinePosition || !this.photoTimelineScroll || !this.showPhotoTimeline) return;
+        // Screen Wake Lock: keeps the device awake while recording or reviewing
+        this.wakeLock = null; // WakeLockSentinel while held
+        this.wakeLockWanted = false; // true from 'recording'/'flashback' until 'recordingStopped'
+        this.wakeLockPending = false;
+        this.wakeLockStatus = 'idle'; // 'idle' | 'active' | 'suspended' | 'unsupported' | 'denied'
 
-        // Get visible time range using same logic as timeline
-        const { windowStart, windowEnd, windowDuration } = this.calculateVisibleWindow();
+        // Onboarding and tooltips (UX-003)
+        this.onboardingCurrentStep = 0; // Current step in onboarding (0-3)
+        this.onboardingModal = null; // Reference to onboarding modal
+        this.tooltipElements = new Map(); // Map of element -> tooltip div
 
-        if (windowDuration <= 0) {
-            this.photoTimelinePosition.style.display = 'none';
-            return;
-        }
+        // Expose the global instance for easier debugging
+        window.flashbackRecorder = this;
 
-        const containerWidth = this.photoTimelineScroll.offsetWidth || 800;
+        // Bind methods
+        this.handleBackKey = this.handleBackKey.bind(this);
+        this.handleForwardKey = this.handleForwardKey.bind(this);
+        this.handleEscapeKey = this.handleEscapeKey.bind(this);
+        this.handleShiftKey = this.handleShiftKey.bind(this);
+        this.handleArrowUpKey = this.handleArrowUpKey.bind(this);
+        this.handleArrowDownKey = this.handleArrowDownKey.bind(this);
+        this.handleTimelineClick = this.handleTimelineClick.bind(this);
 
-        // Calculate position
-        const progress = windowDuration > 0 ? (currentTime - windowStart) / windowDuration : 0;
-        const clamped = Math.max(0, Math.min(1, progress));
-        const left = clamped * containerWidth;
+        // Create focus overlay (shown when window loses focus)
+        this.focusOverlay = document.createElement('div');
+        this.focusOverlay.id = 'focusOverlay';
+        this.focusOverlay.innerHTML = `
+            <div style="
+                position: absolute;
+                bottom: 20px;
+                left: 50%;
+                transform: translateX(-50%);
+                background: rgba(0, 0, 0, 0.85);
+                color: white;
+                padding: 12px 24px;
+                border-radius: 8px;
+                font-size: 14px;
+                font-weight: 500;
+                text-align: center;
+                box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4);
+                z-index: 10001;
+                pointer-events: none;
+            ">
+                <div>⚠️ Click to activate keyboard shortcuts</div>
+            </div>
+        `;
+        this.focusOverlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.75);
+            backdrop-filter: blur(6px);
+            z-index: 10000;
+            display: none;
+            opacity: 0;
+            pointer-events: auto;
+            transition: opacity 0.3s ease, backdrop-filter 0.3s ease;
+        `;
+        document.body.appendChild(this.focusOverlay);
 
-        // Show/hide based on state
-        const shouldShow = (this.state === 'recording' || this.state === 'flashback' || this.state === 'flashbackPaused');
-        this.photoTimelinePosition.style.display = shouldShow ? 'block' : 'none';
-        this.photoTimelinePosition.style.left = `${left}px`;
-    }
+        // Initialize
+        this.loadSettings();
+        this.initEventListeners();
+        this.updateDurationDisplay();
+        this.updateDebugPanel(); // Initialize debug panel display
+        this.initAudioContext();
+        this.updateWaveformVisibility(); // Show container first
+        this.initWaveformCanvas(); // Then initialize canvas (after container is visible)
+        this.updatePhotoTimelineVisibility(); // Show/hide photo timeline container
+        this.initPhotoTimeline(); // Initialize photo timeline
+        this.initAudioDeviceManagement(); // Initialize audio device change detection (BUG-020)
+        this.initConfigPanel();
+        // audioOutputMonitor.start() is called in startRecording(), after getUserMedia,
+        // so enumerateDevices() has permissions and returns real device labels (BUG-022).
+        
+        this.setState('recording');
+        // Reload the segments persisted by a previous page first, so new chunks continue the
+        // recovered timeline instead of restarting it at 0:00.
+        this.restorePersistedBuffer().finally(() => {
+            this.startRecording(); // Auto-start as per US-001
+        });
 
-    updateAllPlaybackPositions() {
-        // Get current absolute time
-        const currentTime = this.getCurrentAbsoluteTime();
+        // Show onboarding tutorial on first launch (UX-003)
+        this.showOnboardingIfFirstTime();
         
-        if (currentTime === null || currentTime < 0) {
+        // Initialize contextual tooltips (UX-003)
+        this.initContextualTooltips();
+    }
+
+    setState(newState) {
+        const validStates = ['recording', 'flashback', 'recordingStopped', 'flashbackPaused', 'transitioning'];
+        if (!validStates.includes(newState)) {
             return;
         }
-
-        // Update waveform playback position
-        if (this.showWaveform) {
-            this.drawPlaybackPosition(currentTime);
+        const oldState = this.state;
+        this.state = newState;
+        if (newState === 'recording' || newState === 'flashback') {
+            this.wakeLockWanted = true;
+        } else if (newState === 'recordingStopped') {
+            this.wakeLockWanted = false;
         }
-
-        // Update photo timeline playback position
-        if (this.showPhotoTimeline) {
-            this.updatePhotoTimelinePlaybackPosition(currentTime);
+        this.updateWakeLock();
+        this.updateMarkerControls();
+        this.updateDelayedMirrorDisplay();
+        this.updateGhostDisplay();
+        this.updateReferenceDisplay();
+        
+        // Show first flashback overlay (UX-003)
+        if (newState === 'flashback' && oldState !== 'flashback') {
+            this.showFirstFlashbackOverlay();
         }
-
-        // Timeline position is already updated in updateTimeline() which is called at 100ms
-        // No need to update it here to avoid duplicate updates
     }
 
-    handleWaveformClick(e) {
-        if (!this.waveformCanvas || !this.showWaveform) return;
-        if (this.state === 'transitioning') return;
+    initEventListeners() {
+        if (this.shiftBtn) {
+            this.shiftBtn.addEventListener('click', () => this.handleShiftKey());
+        }
+        this.flashbackBtn.addEventListener('click', () => this.handleBack());
+        this.forwardBtn.addEventListener('click', () => this.handleForward());
+        if (this.addMarkerBtn) {
+            this.addMarkerBtn.addEventListener('click', () => this.handleAddFlashbackMarker());
+        }
+        if (this.prevMarkerBtn) {
+            this.prevMarkerBtn.addEventListener('click', () => {
+                this.incrementMarkerUpCounter();
+                const skipCount = this.markerUpPressCount;
+                this.handleNavigateFlashbackMarker(-1, skipCount);
+            });
+        }
+        if (this.nextMarkerBtn) {
+            this.nextMarkerBtn.addEventListener('click', () => this.handleNavigateFlashbackMarker(1));
+        }
+        if (this.exportClipBtn) {
+            this.exportClipBtn.addEventListener('click', () => this.handleExportClip());
+        }
+        this.initMarkerEditing();
+        this.initMarkerDragging();
+        this.initAbLoopDragging();
+        this.initScrubbing();
+        this.initCompareView();
+        if (this.ghostBtn) {
+            this.ghostBtn.addEventListener('click', () => this.toggleGhost());
+        }
+        if (this.ghostRangeSelect) {
+            this.ghostRangeSelect.addEventListener('change', () => this.loadGhost());
+        }
+        this.initReferenceClip();
+        this.initPageLifecycle();
+        this.initDiagnostics();
+        if (this.loopBtn) {
+            this.loopBtn.addEventListener('click', () => this.toggleAbLoop());
+        }
+        if (this.pinBtn) {
+            this.pinBtn.addEventListener('click', () => this.pinCurrentRange());
+        }
+        if (this.delayedMirrorBtn) {
+            this.delayedMirrorBtn.addEventListener('click', () => this.setDelayedMirrorEnabled(!this.delayedMirrorEnabled));
+        }
+        if (this.clearMarkersBtn) {
+            this.clearMarkersBtn.addEventListener('click', () => this.deleteAllMarkers());
+        }
 
-        const rect = this.waveformCanvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
+        this.durationRange.addEventListener('input', () => this.updateDurationFromRange());
+        this.durationValue.addEventListener('change', () => this.updateDurationFromInput());
 
-        // Use unified calculation function
-        const targetTime = this.calculateTargetTimeFromClick(x, rect, false);
+        // Debug panel — hidden until enabled with Ctrl+Alt+D (remembered across reloads)
+        if (this.debugPanelToggle) {
+            this.debugPanelToggle.addEventListener('click', () => this.toggleDebugPanel());
+        }
+        this.initHealthDashboard();
+        this.applyDebugPanelVisibility();
 
-        // Use existing seekFlashback method
-        this.seekFlashback(targetTime, {
-            allowFromRecording: true,
-            allowFromRecordingStopped: true,
-            allowFromFlashbackPaused: true
+        // Config panel
+        if (this.configPanelToggle) {
+            this.configPanelToggle.addEventListener('click', () => {
+                if (this.configPanel.classList.contains('open')) {
+                    this.closeConfigPanel();
+                } else {
+                    this.openConfigPanel();
+                }
+            });
+        }
+        if (this.configPanelClose) {
+            this.configPanelClose.addEventListener('click', () => this.closeConfigPanel());
+        }
+        // Close config panel when clicking outside it
+        document.addEventListener('click', (e) => {
+            if (this.configPanel && this.configPanel.classList.contains('open') &&
+                !this.configPanel.contains(e.target) &&
+                e.target !== this.configPanelToggle) {
+                this.closeConfigPanel();
+            }
         });
-    }
 
-    handleWaveformHover(e) {
-        if (!this.waveformCanvas || !this.showWaveform) return;
+        document.addEventListener('keydown', (e) => {
+            if (this.keyCapture) {
+                // The shortcut editor is waiting for a combo: nothing else reacts to it
+                this.handleKeyCaptureDown(e);
+                return;
+            }
+            const active = document.activeElement;
+            const isTyping = active && (active.tagName === 'INPUT' || active.tagName === 'TEXTAREA' || active.isContentEditable);
+            if (isTyping) {
+                return;
+            }
+            if (e.ctrlKey && e.altKey && e.code === 'KeyD') {
+                // Hidden combo: show/hide the debug panel and its health dashboard
+                e.preventDefault();
+                this.setDebugPanelEnabled(!this.debugPanelEnabled);
+                return;
+            }
+            if (this.compareOpen) {
+                // The compare view is modal: keys must not drive the recorder behind it
+                this.handleCompareKey(e);
+                return;
+            }
+            const actionId = this.keyBindings.findAction(KeyBindings.comboFromEvent(e));
+            const action = actionId ? this.keyActions.find(candidate => candidate.id === actionId) : null;
+            if (action && action.run() !== false) {
+                e.preventDefault();
+            }
+        });
+        document.addEventListener('keyup', (e) => {
+            if (this.keyCapture) {
+                this.handleKeyCaptureUp(e);
+            }
+        });
 
-        const rect = this.waveformCanvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
+        this.timelineBar.addEventListener('click', (e) => this.handleTimelineClick(e));
 
-        // Use unified calculation function (same as click)
-        const targetTime = this.calculateTargetTimeFromClick(x, rect, false);
+        // Focus overlay event listeners
+        // Show overlay when window loses focus
+        window.addEventListener('blur', () => {
+            if (this.focusOverlay) {
+                this.focusOverlay.style.display = 'block';
+                // Force reflow to trigger animation
+                this.focusOverlay.offsetHeight;
+                this.focusOverlay.style.opacity = '1';
+            }
+        });
 
-        // Change cursor to indicate clickability
-        this.waveformCanvas.style.cursor = 'pointer';
+        // Hide overlay when window regains focus
+        window.addEventListener('focus', () => {
+            if (this.focusOverlay) {
+                this.focusOverlay.style.opacity = '0';
+                setTimeout(() => {
+                    if (this.focusOverlay) {
+                        this.focusOverlay.style.display = 'none';
+                    }
+                }, 300);
+            }
+        });
 
-        // Optional: Show tooltip with timestamp (can be enhanced later)
-        this.waveformCanvas.title = `${targetTime.toFixed(2)}s`;
-    }
+        // Click anywhere on overlay to activate window
+        this.focusOverlay.addEventListener('click', () => {
+            window.focus();
+            // Overlay will hide automatically via 'focus' event
+        });
 
-    toggleDebugPanel() {
-        if (this.debugPanel) {
-            this.debugPanel.classList.toggle('open');
+        // Photo timeline click event
+        if (this.photoTimelineScroll) {
+            console.log('[DEBUG] Attaching click listener to photoTimelineScroll', {
+                element: this.photoTimelineScroll,
+                id: this.photoTimelineScroll.id,
+                className: this.photoTimelineScroll.className,
+                offsetWidth: this.photoTimelineScroll.offsetWidth,
+                offsetHeight: this.photoTimelineScroll.offsetHeight,
+                pointerEvents: window.getComputedStyle(this.photoTimelineScroll).pointerEvents,
+                zIndex: window.getComputedStyle(this.photoTimelineScroll).zIndex,
+                position: window.getComputedStyle(this.photoTimelineScroll).position
+            });
+            this.photoTimelineScroll.addEventListener('click', (e) => {
+                console.log('[DEBUG] Click event fired on photoTimelineScroll!', {
+                    target: e.target,
+                    currentTarget: e.currentTarget,
+                    clientX: e.clientX,
+                    clientY: e.clientY
+                });
+                this.handlePhotoTimelineClick(e);
+            });
+            // Also try mousedown to see if it's a click-specific issue
+            this.photoTimelineScroll.addEventListener('mousedown', (e) => {
+                console.log('[DEBUG] Mousedown event fired on photoTimelineScroll!', {
+                    target: e.target,
+                    currentTarget: e.currentTarget
+                });
+            });
+        } else {
+            console.warn('[DEBUG] photoTimelineScroll is null in initEventListeners()');
         }
     }
 
-    // ===== PHOTO TIMELINE VISUALIZATION METHODS =====
-
-    initPhotoTimeline() {
-        if (!this.photoTimelineScroll) {
-            console.warn('[DEBUG] Photo timeline scroll container not found in initPhotoTimeline()');
-            return;
+    loadSettings() {
+        const saved = localStorage.getItem('flashbackMaxDuration');
+        if (saved) {
+            this.maxDuration = parseInt(saved, 10);
+            this.durationRange.value = this.maxDuration;
+            this.durationValue.value = this.maxDuration;
         }
+        const savedOutput = localStorage.getItem('preferredAudioOutputDeviceId');
+        if (savedOutput) this.currentAudioOutputDeviceId = savedOutput;
 
-        console.log('[DEBUG] initPhotoTimeline() called', {
-            element: this.photoTimelineScroll,
-            hasClickListeners: this.photoTimelineScroll.onclick !== null,
-            children: this.photoTimelineScroll.children.length
-        });
+        const savedMirror = localStorage.getItem('flashbackMirrorMode');
+        this.mirrorMode = savedMirror !== null ? savedMirror === 'true' : true;
 
-        // Note: Event listener is already attached in initEventListeners()
-        // Don't attach again to avoid duplicates
-        // this.photoTimelineScroll.addEventListener('click', (e) => this.handlePhotoTimelineClick(e));
-        
-        // Initialize ResizeObserver to detect timeline dimension changes
-        if (typeof ResizeObserver !== 'undefined') {
-            // Stop any existing observer
-            if (this.photoTimelineResizeObserver) {
-                this.photoTimelineResizeObserver.disconnect();
+        this.recordDuringFlashback = localStorage.getItem('flashbackRecordDuringFlashback') === 'true';
+        this.delayedMirrorEnabled = localStorage.getItem('flashbackDelayedMirror') === 'true';
+        const savedMirrorDelay = parseInt(localStorage.getItem('flashbackMirrorDelay'), 10);
+        if (FlashbackRecorder.MIRROR_DELAYS.includes(savedMirrorDelay)) {
+            this.mirrorDelaySeconds = savedMirrorDelay;
+        }
+        this.codecPreference = localStorage.getItem('flashbackCodec') || 'auto';
+        const savedResolution = localStorage.getItem('flashbackCaptureResolution');
+        if (savedResolution && FlashbackRecorder.CAPTURE_RESOLUTIONS[savedResolution]) {
+            this.captureResolution = savedResolution;
+        }
+        const savedFrameRate = parseInt(localStorage.getItem('flashbackCaptureFrameRate'), 10);
+        if (FlashbackRecorder.FRAME_RATES.includes(savedFrameRate)) {
+            this.captureFrameRate = savedFrameRate;
+        }
+        const savedVideoBitrate = parseInt(localStorage.getItem('flashbackVideoBitrate'), 10);
+        if (FlashbackRecorder.VIDEO_BITRATES.includes(savedVideoBitrate)) {
+            this.videoBitrateKbps = savedVideoBitrate;
+        }
+        const savedAudioBitrate = parseInt(localStorage.getItem('flashbackAudioBitrate'), 10);
+        if (FlashbackRecorder.AUDIO_BITRATES.includes(savedAudioBitrate)) {
+            this.audioBitrateKbps = savedAudioBitrate;
+        }
+        const savedMemoryBudget = parseInt(localStorage.getItem('flashbackMemoryBudget'), 10);
+        if (FlashbackRecorder.MEMORY_BUDGETS.includes(savedMemoryBudget)) {
+            this.memoryBudgetMB = savedMemoryBudget;
+        }
+        this.adaptiveMemory = localStorage.getItem('flashbackAdaptiveMemory') !== 'false';
+        this.debugPanelEnabled = localStorage.getItem('flashbackDebugPanel') === 'true';
+        try {
+            this.keyBindings.load(JSON.parse(localStorage.getItem('flashbackKeyBindings') || '{}'));
+        } catch (e) {
+            // Corrupted value: keep the default shortcuts
+        }
+        const savedPinnedBudget = parseInt(localStorage.getItem('flashbackPinnedBudget'), 10);
+        if (FlashbackRecorder.PINNED_BUDGETS.includes(savedPinnedBudget)) {
+            this.pinnedBudgetSeconds = savedPinnedBudget;
+        }
+
+        const savedGhostOpacity = parseFloat(localStorage.getItem('flashbackGhostOpacity'));
+        if (Number.isFinite(savedGhostOpacity)) {
+            this.ghostOpacity = Math.max(0.1, Math.min(0.9, savedGhostOpacity));
+        }
+        const savedGhostOffset = parseFloat(localStorage.getItem('flashbackGhostOffset'));
+        if (Number.isFinite(savedGhostOffset)) {
+            this.ghostOffsetSeconds = savedGhostOffset;
+        }
+        this.ghostFlip = localStorage.getItem('flashbackGhostFlip') === 'true';
+
+        const savedLoopPause = parseFloat(localStorage.getItem('flashbackLoopPause'));
+        if (Number.isFinite(savedLoopPause) && savedLoopPause >= 0) {
+            this.loopPauseSeconds = savedLoopPause;
+        }
+
+        const savedSpeed = parseFloat(localStorage.getItem('flashbackPlaybackSpeed'));
+        if (FlashbackRecorder.PLAYBACK_SPEEDS.includes(savedSpeed)) {
+            this.playbackSpeed = savedSpeed;
+        }
+
+        this.autoMarkersEnabled = localStorage.getItem('flashbackAutoMarkers') === 'true';
+        const savedSensitivity = parseFloat(localStorage.getItem('flashbackAutoMarkerSensitivity'));
+        if (Number.isFinite(savedSensitivity)) {
+            this.audioOnsetDetector.sensitivity = Math.max(0, Math.min(1, savedSensitivity));
+        }
+
+        this.motionMarkersEnabled = localStorage.getItem('flashbackMotionMarkers') === 'true';
+        const savedMotionSensitivity = parseFloat(localStorage.getItem('flashbackMotionSensitivity'));
+        if (Number.isFinite(savedMotionSensitivity)) {
+            this.motionDetector.sensitivity = Math.max(0, Math.min(1, savedMotionSensitivity));
+        }
+        try {
+            const savedRoi = JSON.parse(localStorage.getItem('flashbackMotionRoi'));
+            if (savedRoi && ['x', 'y', 'w', 'h'].every(key => Number.isFinite(savedRoi[key]))) {
+                this.motionDetector.roi = savedRoi;
             }
-            
-            this.photoTimelineResizeObserver = new ResizeObserver(() => {
-                // Debounce resize events to avoid too frequent recalculations
-                if (this.photoTimelineResizeDebounce) {
-                    clearTimeout(this.photoTimelineResizeDebounce);
-                }
-                
-                this.photoTimelineResizeDebounce = setTimeout(() => {
-                    // Recalculate interval and refresh display
-                    this.recalculatePhotoExtractionInterval(true);  // Pass true for isFromResize
-                    // Also force a refresh of the photo timeline display
-                    if (this.showPhotoTimeline) {
-                        this.renderPhotoTimeline();
-                    }
-                }, 2000); // 2000ms debounce
-            });
-            
-            this.photoTimelineResizeObserver.observe(this.photoTimelineScroll);
-            console.log('ResizeObserver initialized for photo timeline');
+        } catch (e) {
+            // Ignore a corrupted value: keep the full frame
+        }
+        // Load waveform visibility setting
+        const savedWaveform = localStorage.getItem('flashbackShowWaveform');
+        if (savedWaveform !== null) {
+            this.showWaveform = savedWaveform === 'true';
         } else {
-            console.warn('ResizeObserver not supported, falling back to window resize listener');
-            // Fallback: use window resize event
-            const photoTimelineResizeHandler = () => {
-                if (this.photoTimelineResizeDebounce) {
-                    clearTimeout(this.photoTimelineResizeDebounce);
-                }
-                this.photoTimelineResizeDebounce = setTimeout(() => {
-                    // Recalculate interval and refresh display
-                    this.recalculatePhotoExtractionInterval(true);  // Pass true for isFromResize
-                    // Also force a refresh of the photo timeline display
-                    if (this.showPhotoTimeline) {
-                        this.renderPhotoTimeline();
-                    }
-                }, 2000);
-            };
-            window.addEventListener('resize', photoTimelineResizeHandler);
-            // Store handler for potential cleanup
-            this.photoTimelineWindowResizeHandler = photoTimelineResizeHandler;
+            // Default to true if not set
+            this.showWaveform = true;
+        }
+        console.log('Waveform visibility loaded:', this.showWaveform);
+
+        // Load photo timeline visibility setting
+        const savedPhotoTimeline = localStorage.getItem('flashbackShowPhotoTimeline');
+        if (savedPhotoTimeline !== null) {
+            this.showPhotoTimeline = savedPhotoTimeline === 'true';
+        } else {
+            // Default to true if not set
+            this.showPhotoTimeline = true;
         }
+        console.log('Photo timeline visibility loaded:', this.showPhotoTimeline);
     }
 
-    updatePhotoTimelineVisibility() {
-        if (!this.photoTimelineContainer) {
-            this.photoTimelineContainer = document.getElementById('photoTimelineContainer');
+    saveSettings() {
+        localStorage.setItem('flashbackMaxDuration', this.maxDuration.toString());
+        localStorage.setItem('flashbackShowWaveform', this.showWaveform.toString());
+        localStorage.setItem('flashbackShowPhotoTimeline', this.showPhotoTimeline.toString());
+        localStorage.setItem('flashbackMirrorMode', this.mirrorMode.toString());
+        localStorage.setItem('flashbackPlaybackSpeed', this.playbackSpeed.toString());
+        localStorage.setItem('flashbackLoopPause', this.loopPauseSeconds.toString());
+        localStorage.setItem('flashbackGhostOpacity', this.ghostOpacity.toString());
+        localStorage.setItem('flashbackGhostOffset', this.ghostOffsetSeconds.toString());
+        localStorage.setItem('flashbackGhostFlip', this.ghostFlip.toString());
+        localStorage.setItem('flashbackRecordDuringFlashback', this.recordDuringFlashback.toString());
+        localStorage.setItem('flashbackDelayedMirror', this.delayedMirrorEnabled.toString());
+        localStorage.setItem('flashbackMirrorDelay', this.mirrorDelaySeconds.toString());
+        localStorage.setItem('flashbackPinnedBudget', this.pinnedBudgetSeconds.toString());
+        localStorage.setItem('flashbackMemoryBudget', this.memoryBudgetMB.toString());
+        localStorage.setItem('flashbackCodec', this.codecPreference);
+        localStorage.setItem('flashbackCaptureResolution', this.captureResolution);
+        localStorage.setItem('flashbackCaptureFrameRate', this.captureFrameRate.toString());
+        localStorage.setItem('flashbackVideoBitrate', this.videoBitrateKbps.toString());
+        localStorage.setItem('flashbackAudioBitrate', this.audioBitrateKbps.toString());
+        localStorage.setItem('flashbackAdaptiveMemory', this.adaptiveMemory.toString());
+        localStorage.setItem('flashbackDebugPanel', this.debugPanelEnabled.toString());
+        localStorage.setItem('flashbackKeyBindings', JSON.stringify(this.keyBindings.toJSON()));
+        localStorage.setItem('flashbackAutoMarkers', this.autoMarkersEnabled.toString());
+        localStorage.setItem('flashbackAutoMarkerSensitivity', this.audioOnsetDetector.sensitivity.toString());
+        localStorage.setItem('flashbackMotionMarkers', this.motionMarkersEnabled.toString());
+        localStorage.setItem('flashbackMotionSensitivity', this.motionDetector.sensitivity.toString());
+        localStorage.setItem('flashbackMotionRoi', JSON.stringify(this.motionDetector.roi));
+    }
+
+    // ===== WAVEFORM VISUALIZATION METHODS =====
+
+    initWaveformCanvas() {
+        // Try to get element again if not found
+        if (!this.waveformCanvas) {
+            this.waveformCanvas = document.getElementById('waveformCanvas');
         }
         
-        if (!this.photoTimelineContainer) {
-            console.warn('Photo timeline container not found, retrying...');
+        if (!this.waveformCanvas) {
+            console.warn('Waveform canvas not found, retrying...');
+            // Retry after a short delay
             setTimeout(() => {
-                this.photoTimelineContainer = document.getElementById('photoTimelineContainer');
-                if (this.photoTimelineContainer) {
-                    this.updatePhotoTimelineVisibility();
+                this.waveformCanvas = document.getElementById('waveformCanvas');
+                if (this.waveformCanvas) {
+                    this.initWaveformCanvas();
+                } else {
+                    console.error('Waveform canvas still not found after retry');
                 }
             }, 100);
             return;
         }
         
-        if (this.showPhotoTimeline) {
-            this.photoTimelineContainer.classList.add('show');
-        } else {
-            this.photoTimelineContainer.classList.remove('show');
+        this.waveformCtx = this.waveformCanvas.getContext('2d');
+        if (!this.waveformCtx) {
+            console.warn('Could not get 2D context for waveform canvas');
+            return;
         }
-    }
 
-    togglePhotoTimeline() {
-        this.showPhotoTimeline = !this.showPhotoTimeline;
-        this.updatePhotoTimelineVisibility();
-        this.saveSettings();
+        // Wait a bit for container to be visible, then set canvas size
+        setTimeout(() => {
+            this.resizeWaveformCanvas();
+        }, 100);
+
+        // Add event listeners
+        this.waveformCanvas.addEventListener('click', (e) => this.handleWaveformClick(e));
+        this.waveformCanvas.addEventListener('mousemove', (e) => this.handleWaveformHover(e));
+        this.waveformCanvas.addEventListener('mouseleave', () => {
+            this.waveformCanvas.style.cursor = 'pointer';
+        });
+
+        // Handle window resize - use unified handler with debounce
+        const waveformResizeHandler = () => {
+            // Clear previous debounce
+            if (this.timelineResizeDebounce) {
+                clearTimeout(this.timelineResizeDebounce);
+            }
+            // Debounce resize events to avoid too frequent recalculations
+            this.timelineResizeDebounce = setTimeout(() => {
+                this.handleTimelineResize();
+            }, 400); // 400ms debounce to wait for resize to complete
+        };
+        window.addEventListener('resize', waveformResizeHandler);
+        // Store handler for potential cleanup
+        this.waveformWindowResizeHandler = waveformResizeHandler;
     }
 
-    calculatePhotoExtractionInterval() {
+    getContainerWidth(element) {
         /**
-         * Calculate photo extraction interval based on:
-         * 1. Photo timeline height (pixels)
-         * 2. Video dimensions (width/height)
-         * 3. Max duration (seconds)
-         * 4. Photo timeline width (pixels)
-         * 
-         * Formula:
-         * - Image width (px) = timeline height * video width / video height
-         * - Duration (s) = image width (px) * maxDuration / timeline width (px)
-         * - Periodicity = Duration
+         * Get container width with forced layout recalculation for accurate measurement.
+         * Factorized function used by both waveform and photo timeline.
          */
-        if (!this.photoTimelineScroll) return 1; // Default 1 second
+        if (!element) return 800; // Default fallback
         
-        // Get timeline dimensions
-        const timelineHeight = this.photoTimelineScroll.offsetHeight || this.photoTimelineHeight || 36;
-        const timelineWidth = this.photoTimelineScroll.offsetWidth || 800;
+        // Force layout reflow to get accurate width after resize
+        void element.offsetWidth; // This forces reflow
         
-        // Check if video dimensions are available
-        if (!this.videoWidth || !this.videoHeight || this.videoWidth <= 0 || this.videoHeight <= 0) {
-            // Fallback: use default interval if video dimensions not available
-            return 1;
-        }
+        // Use getBoundingClientRect for sub-pixel accuracy
+        const rect = element.getBoundingClientRect();
+        return rect.width > 0 ? rect.width : 800;
+    }
+
+    resizeWaveformCanvas() {
+        if (!this.waveformCanvas || !this.waveformContainer) return;
         
-        // Check if maxDuration is valid
-        if (!this.maxDuration || this.maxDuration <= 0) {
-            return 1;
-        }
+        // Use factorized function to get accurate container width
+        const width = this.getContainerWidth(this.waveformContainer);
+        const height = 40; // From CSS: height: 40px
         
-        // Step 2: Calculate image width in pixels
-        // Formula: imageWidth = timelineHeight * videoWidth / videoHeight
-        const imageWidth = timelineHeight * this.videoWidth / this.videoHeight;
+        const dpr = window.devicePixelRatio || 1;
         
-        // Step 3: Calculate corresponding duration
-        // Formula: duration = imageWidth * maxDuration / timelineWidth
-        const duration = imageWidth * this.maxDuration / timelineWidth;
+        // Set internal canvas size (in pixels) - this is the actual pixel resolution
+        this.waveformCanvas.width = width * dpr;
+        this.waveformCanvas.height = height * dpr;
         
-        // Step 4: Periodicity = duration (in seconds)
-        // Ensure minimum value of 0.1 seconds to avoid too frequent extractions
-        const interval = Math.max(0.1, duration);
+        // Keep CSS size (logical size for display)
+        this.waveformCanvas.style.width = `${width}px`;
+        this.waveformCanvas.style.height = `${height}px`;
         
-        return interval;
+        if (this.waveformCtx) {
+            // Reset transform and scale for high DPI
+            this.waveformCtx.setTransform(1, 0, 0, 1, 0, 0);
+            this.waveformCtx.scale(dpr, dpr);
+            // Force a complete refresh of the waveform
+            this.renderWaveform();
+        }
     }
 
-    extractFrameFromVideo(timestamp, sourceVideo) {
-        if (!sourceVideo || sourceVideo.readyState < 2) {
-            return null; // Video not ready
+    initAudioContext() {
+        try {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        } catch (e) {
+            console.warn('AudioContext not supported:', e);
+            this.audioContext = null;
         }
+    }
 
-        try {
-            // Create a temporary canvas
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            
-            // Set size (proportional for thumbnails)
-            canvas.width = 160; // Fixed width for thumbnails
-            canvas.height = 90; // Ratio 16:9
-            
-            // Draw current frame from video
-            ctx.drawImage(sourceVideo, 0, 0, canvas.width, canvas.height);
-            
-            // Convert to blob/DataURL for storage
-            return canvas.toDataURL('image/jpeg', 0.7); // Compression 70%
-        } catch (e) {
-            console.warn('Error extracting frame:', e);
-            return null;
+    updateWaveformVisibility() {
+        // Try to get element again if not found
+        if (!this.waveformContainer) {
+            this.waveformContainer = document.getElementById('waveformContainer');
+        }
+        
+        if (!this.waveformContainer) {
+            console.warn('Waveform container not found, retrying...');
+            // Retry after a short delay
+            setTimeout(() => {
+                this.waveformContainer = document.getElementById('waveformContainer');
+                if (this.waveformContainer) {
+                    this.updateWaveformVisibility();
+                } else {
+                    console.error('Waveform container still not found after retry');
+                }
+            }, 100);
+            return;
+        }
+        
+        if (this.showWaveform) {
+            this.waveformContainer.classList.add('show');
+            console.log('Waveform container shown');
+        } else {
+            this.waveformContainer.classList.remove('show');
+            console.log('Waveform container hidden');
         }
     }
 
-    async extractFrameFromChunkAtTimestamp(chunk, relativeTimestamp) {
-        /**
-         * Extract a frame from a video chunk at a specific relative timestamp.
-         * @param {Object} chunk - Chunk object with blob, absoluteStart, absoluteEnd
-         * @param {number} relativeTimestamp - Timestamp relative to chunk start (in seconds)
-         * @returns {Promise<string|null>} DataURL of extracted frame or null
-         */
-        return new Promise((resolve) => {
-            try {
-                const video = document.createElement('video');
-                video.muted = true;
-                video.playsInline = true;
-                
-                const blobUrl = URL.createObjectURL(chunk.blob);
-                video.src = blobUrl;
-                
-                const cleanup = () => {
-                    URL.revokeObjectURL(blobUrl);
-                    video.remove();
-                };
-                
-                video.addEventListener('loadedmetadata', () => {
-                    try {
-                        // Seek to the relative timestamp within the chunk
-                        const seekTime = Math.min(relativeTimestamp, video.duration);
-                        video.currentTime = seekTime;
-                    } catch (e) {
-                        console.warn('Error seeking in chunk video', e);
-                        cleanup();
-                        resolve(null);
-                    }
-                }, { once: true });
+    toggleWaveform() {
+        this.showWaveform = !this.showWaveform;
+        this.updateWaveformVisibility();
+        this.saveSettings();
+    }
+
+    async extractAudioData(chunkBlob) {
+        if (!this.audioContext || !chunkBlob) {
+            return null;
+        }
+
+        try {
+            // WebM chunks contain video+audio, so we can't directly decode as audio
+            // Use OfflineAudioContext to render audio from media element
+            const audio = new Audio();
+            const url = URL.createObjectURL(chunkBlob);
+            
+            return new Promise((resolve) => {
+                const timeout = setTimeout(() => {
+                    URL.revokeObjectURL(url);
+                    resolve(null);
+                }, 5000); // 5 second timeout
                 
-                video.addEventListener('seeked', () => {
+                audio.onloadedmetadata = async () => {
                     try {
-                        // Extract frame
-                        const canvas = document.createElement('canvas');
-                        const ctx = canvas.getContext('2d');
-                        canvas.width = 160;
-                        canvas.height = 90;
-                        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-                        const imageData = canvas.toDataURL('image/jpeg', 0.7);
-                        cleanup();
-                        resolve(imageData);
+                        const duration = audio.duration;
+                        if (!duration || duration === 0 || !isFinite(duration)) {
+                            clearTimeout(timeout);
+                            URL.revokeObjectURL(url);
+                            resolve(null);
+                            return;
+                        }
+
+                        // Create OfflineAudioContext to render audio
+                        const sampleRate = this.audioContext.sampleRate;
+                        const offlineContext = new OfflineAudioContext(
+                            1, // mono channel
+                            Math.ceil(sampleRate * duration),
+                            sampleRate
+                        );
+                        
+                        const offlineSource = offlineContext.createMediaElementSource(audio);
+                        offlineSource.connect(offlineContext.destination);
+                        
+                        // Start rendering
+                        audio.play().catch(() => {});
+                        const renderedBuffer = await offlineContext.startRendering();
+                        audio.pause();
+                        audio.currentTime = 0;
+                        
+                        clearTimeout(timeout);
+                        URL.revokeObjectURL(url);
+                        resolve(renderedBuffer);
                     } catch (e) {
-                        console.warn('Error extracting frame from chunk', e);
-                        cleanup();
+                        clearTimeout(timeout);
+                        URL.revokeObjectURL(url);
                         resolve(null);
                     }
-                }, { once: true });
+                };
                 
-                video.addEventListener('error', () => {
-                    console.warn('Error loading chunk video');
-                    cleanup();
+                audio.onerror = () => {
+                    clearTimeout(timeout);
+                    URL.revokeObjectURL(url);
                     resolve(null);
-                }, { once: true });
+                };
                 
-                video.load();
-            } catch (e) {
-                console.warn('Error creating video element for chunk', e);
-                resolve(null);
+                audio.src = url;
+                audio.load();
+            });
+        } catch (e) {
+            // WebM chunks contain video+audio, decodeAudioData may fail
+            // This is expected for video chunks - we'll skip them silently
+            return null;
+        }
+    }
+
+    calculateAmplitudes(audioBuffer, startTime, resolution) {
+        if (!audioBuffer) return [];
+
+        const channelData = audioBuffer.getChannelData(0); // Use first channel
+        const sampleRate = audioBuffer.sampleRate;
+        const duration = audioBuffer.duration;
+        const samplesPerPoint = Math.floor((sampleRate * resolution) / 1000); // Samples per resolution ms
+        const amplitudes = [];
+
+        for (let i = 0; i < channelData.length; i += samplesPerPoint) {
+            const segment = channelData.slice(i, Math.min(i + samplesPerPoint, channelData.length));
+            
+            // Calculate RMS (Root Mean Square) amplitude
+            let sumSquares = 0;
+            for (let j = 0; j < segment.length; j++) {
+                sumSquares += segment[j] * segment[j];
             }
-        });
+            const rms = Math.sqrt(sumSquares / segment.length);
+            
+            const timestamp = startTime + (i / sampleRate);
+            amplitudes.push({
+                timestamp: timestamp * 1000, // Convert to milliseconds
+                amplitude: rms
+            });
+        }
+
+        return amplitudes;
     }
 
-    async reExtractPhotoFramesFromStart() {
-        /**
-         * Re-extract photo frames from the initial timestamp (0:00 or lifetimeRecordedDuration - maxDuration)
-         * to the current time with the new periodicity.
-         * This is called when periodicity changes.
-         * Uses a lock to prevent simultaneous re-extractions.
-         */
-        if (!this.showPhotoTimeline) {
-            return;
+    startWaveformAnalysis() {
+        // The analyser also feeds the automatic markers (FEAT-003), which work with the waveform hidden
+        if ((!this.showWaveform && !this.autoMarkersEnabled) || !this.stream) return;
+
+        // Stop any existing analysis first
+        this.stopWaveformAnalysis();
+
+        // Ensure audioContext is initialized
+        if (!this.audioContext) {
+            this.initAudioContext();
         }
-        
-        // Check if already re-extracting to avoid simultaneous extractions
-        if (this.isReExtracting) {
-            console.log('reExtractPhotoFramesFromStart: Already re-extracting, skipping...');
+
+        if (!this.audioContext) {
+            console.warn('AudioContext not available for waveform analysis');
             return;
         }
-        
-        // Set lock
-        this.isReExtracting = true;
-        
+
         try {
-            // Clear existing frames
-            this.photoFrames = [];
-            
-            // Calculate start timestamp
-            const { windowStart, windowEnd } = this.calculateVisibleWindow();
-            const startTimestamp = windowStart;
-            const endTimestamp = windowEnd;
-            const newInterval = this.calculatePhotoExtractionInterval();
-            
-            console.log('reExtractPhotoFramesFromStart: Starting re-extraction', {
-                startTimestamp,
-                endTimestamp,
-                interval: newInterval
-            });
-            
-            // Collect all chunks that cover the time range from currentSessionChunks and finalized sessions
-            let relevantChunks = [];
+            // Create analyser node
+            this.audioAnalyser = this.audioContext.createAnalyser();
+            this.audioAnalyser.fftSize = 2048;
+            this.audioAnalyser.smoothingTimeConstant = 0.3;
 
-            // First, check currentSessionChunks
-            if (this.currentSessionChunks && this.currentSessionChunks.length > 0) {
-                relevantChunks = this.currentSessionChunks.filter(chunk => {
-                    return chunk.absoluteEnd > startTimestamp && chunk.absoluteStart < endTimestamp;
-                });
-            }
+            // Create source from stream
+            this.audioSource = this.audioContext.createMediaStreamSource(this.stream);
+            this.audioSource.connect(this.audioAnalyser);
 
-            // Then, check finalized sessions in sessionMap
-            if (this.sessionMap && this.sessionMap.size > 0) {
-                for (const session of this.sessionMap.values()) {
-                    if (session.chunks && session.chunks.length > 0) {
-                        const sessionChunks = session.chunks.filter(chunk => {
-                            return chunk.absoluteEnd > startTimestamp && chunk.absoluteStart < endTimestamp;
-                        });
-                        relevantChunks = relevantChunks.concat(sessionChunks);
-                    }
-                }
-            }
+            // Store recording start time for accurate timestamps
+            this.waveformRecordingStartTime = Date.now();
+            this.waveformRecordingStartDuration = this.lifetimeRecordedDuration || 0;
+            this.audioOnsetDetector.reset();
 
-            if (relevantChunks.length === 0) {
-                console.log('reExtractPhotoFramesFromStart: No chunks available for re-extraction', {
-                    currentSessionChunksLength: this.currentSessionChunks ? this.currentSessionChunks.length : 0,
-                    sessionMapSize: this.sessionMap ? this.sessionMap.size : 0,
-                    startTimestamp,
-                    endTimestamp
-                });
-                // If we're recording, frames will be extracted as recording continues
-                return;
+            // Start analyzing audio in real-time
+            this.lastWaveformAnalysisTime = Date.now();
+            this.lastWaveformRenderTime = Date.now();
+            this.analyzeAudioWaveform();
+        } catch (e) {
+            console.warn('Error starting waveform analysis:', e);
+        }
+    }
+
+    stopWaveformAnalysis() {
+        if (this.waveformAnalysisInterval) {
+            clearInterval(this.waveformAnalysisInterval);
+            this.waveformAnalysisInterval = null;
+        }
+        // A restart (device switch, watchdog recovery) must not leave the previous loop running
+        if (this.waveformFrameId !== null) {
+            cancelAnimationFrame(this.waveformFrameId);
+            this.waveformFrameId = null;
+        }
+        if (this.audioSource) {
+            try {
+                this.audioSource.disconnect();
+            } catch (e) {}
+            this.audioSource = null;
+        }
+        this.audioAnalyser = null;
+    }
+
+    analyzeAudioWaveform() {
+        this.waveformFrameId = null;
+        if (!this.audioAnalyser || (!this.showWaveform && !this.autoMarkersEnabled) || !this.isCapturing()) {
+            return;
+        }
+
+        const now = Date.now();
+        const timeSinceLastAnalysis = now - this.lastWaveformAnalysisTime;
+        
+        // Analyze at the specified resolution (default 20ms)
+        if (timeSinceLastAnalysis >= this.waveformResolution) {
+            const bufferLength = this.audioAnalyser.frequencyBinCount;
+            const dataArray = new Uint8Array(bufferLength);
+            this.audioAnalyser.getByteTimeDomainData(dataArray);
+
+            // Calculate RMS amplitude from time domain data
+            let sumSquares = 0;
+            for (let i = 0; i < dataArray.length; i++) {
+                // Convert from 0-255 to -1.0 to 1.0
+                const normalized = (dataArray[i] - 128) / 128.0;
+                sumSquares += normalized * normalized;
             }
-            
-            // Extract frames at regular intervals
-            let currentTimestamp = startTimestamp;
-            const extractionPromises = [];
-            let timestampsGenerated = 0;
-            let chunksFound = 0;
-            let promisesCreated = 0;
-            
-            while (currentTimestamp <= endTimestamp) {
-                const timestamp = currentTimestamp;
-                timestampsGenerated++;
-                
-                // Find the chunk that contains this timestamp
-                const chunk = relevantChunks.find(c => 
-                    c.absoluteStart <= timestamp && c.absoluteEnd >= timestamp
-                );
-                
-                if (chunk) {
-                    chunksFound++;
-                    // Calculate relative timestamp within the chunk
-                    const relativeTimestamp = timestamp - chunk.absoluteStart;
-                    
-                    // Extract frame from chunk
-                    const promise = this.extractFrameFromChunkAtTimestamp(chunk, relativeTimestamp)
-                        .then(imageData => {
-                            if (imageData) {
-                                this.photoFrames.push({
-                                    timestamp: timestamp,
-                                    imageData: imageData,
-                                    thumbnail: imageData
-                                });
-                            }
-                        });
-                    
-                    extractionPromises.push(promise);
-                    promisesCreated++;
-                }
-                
-                // Move to next timestamp
-                currentTimestamp += newInterval;
+            const rms = Math.sqrt(sumSquares / dataArray.length);
+
+            // Calculate accurate timestamp: base duration + elapsed time since recording start
+            const elapsedSinceRecordingStart = (now - this.waveformRecordingStartTime) / 1000; // in seconds
+            const currentTime = (this.waveformRecordingStartDuration || 0) + elapsedSinceRecordingStart;
+
+            // Add data point
+            const dataPoint = {
+                timestamp: currentTime * 1000, // Convert to milliseconds
+                amplitude: rms
+            };
+
+            this.waveformData.push(dataPoint);
+
+            // Update max amplitude for normalization
+            if (rms > this.maxAmplitude) {
+                this.maxAmplitude = rms;
             }
-            
-            console.log('reExtractPhotoFramesFromStart: Extraction started', {
-                timestampsGenerated,
-                chunksFound,
-                promisesCreated,
-                startTimestamp,
-                endTimestamp,
-                newInterval
-            });
-            
-            // Wait for all extractions to complete
-            await Promise.all(extractionPromises);
-            
-            const framesAfterExtraction = this.photoFrames.length;
-            console.log('reExtractPhotoFramesFromStart: Extraction completed', {
-                framesExtracted: framesAfterExtraction,
-                expectedFrames: promisesCreated
-            });
-            
-            // If we're recording, also extract the current frame from videoPreview
-            if (this.state === 'recording' && this.videoPreview && this.videoPreview.readyState >= 2) {
-                const currentTime = this.lifetimeRecordedDuration;
-                if (currentTime >= startTimestamp && currentTime <= endTimestamp) {
-                    const imageData = this.extractFrameFromVideo(currentTime, this.videoPreview);
-                    if (imageData) {
-                        // Check if frame already exists (might have been extracted from chunk)
-                        const epsilon = 0.1;
-                        const existingFrame = this.photoFrames.find(frame => 
-                            Math.abs(frame.timestamp - currentTime) < epsilon
-                        );
-                        if (!existingFrame) {
-                            this.photoFrames.push({
-                                timestamp: currentTime,
-                                imageData: imageData,
-                                thumbnail: imageData
-                            });
-                        }
-                    }
+
+            this.lastWaveformAnalysisTime = now;
+
+            if (this.autoMarkersEnabled) {
+                const reason = this.audioOnsetDetector.process(rms, currentTime);
+                if (reason) {
+                    this.handleAutoMarkerDetection(currentTime, reason);
                 }
             }
-            
-            // Sort frames by timestamp to ensure proper ordering
-            this.photoFrames.sort((a, b) => a.timestamp - b.timestamp);
-            
-            const framesAfterSort = this.photoFrames.length;
-            const frameTimestamps = this.photoFrames.map(f => f.timestamp);
-            console.log('reExtractPhotoFramesFromStart: Frames sorted', {
-                totalFrames: framesAfterSort,
-                timestamps: frameTimestamps,
-                timestampRange: frameTimestamps.length > 0 ? {
-                    min: Math.min(...frameTimestamps),
-                    max: Math.max(...frameTimestamps)
-                } : null
-            });
-            
-            // Force a complete refresh of the display after all frames are extracted
-            // Use requestAnimationFrame to ensure DOM is ready
+
+            // Render waveform at fixed interval (100ms = 10 FPS) for smooth real-time feedback
+            const timeSinceLastRender = now - this.lastWaveformRenderTime;
+            if (timeSinceLastRender >= this.waveformRenderInterval) {
+                this.renderWaveform();
+                this.lastWaveformRenderTime = now;
+            }
+        }
+
+        // Continue analyzing
+        this.waveformFrameId = requestAnimationFrame(() => this.analyzeAudioWaveform());
+    }
+
+    calculateVisibleWindow() {
+        /**
+         * Calculate visible window bounds using the same logic as updateTimeline()
+         * This ensures waveform and timeline are synchronized
+         */
+        const lifetimeDuration = this.lifetimeRecordedDuration;
+        const isRecording = this.isCapturing();
+        const isFlashbackPaused = this.state === 'flashbackPaused';
+
+        let windowStart;
+        let windowEnd;
+
+        if (isRecording || isFlashbackPaused) {
+            // During recording: use same logic as windowEndDisplay in updateTimeline()
+            // windowEndDisplay = Math.max(this.maxDuration, lifetimeDuration)
+            windowEnd = Math.max(this.maxDuration, lifetimeDuration);
+            // windowStartDisplay = Math.max(0, lifetimeDuration - this.maxDuration)
+            windowStart = Math.max(0, lifetimeDuration - this.maxDuration);
+        } else {
+            // During flashback or stopped: use same logic as windowEndDisplay in updateTimeline()
+            // windowEndDisplay = (this.lifetimeRecordedDuration <= this.maxDuration ? this.maxDuration : lifetimeDuration)
+            if (this.lifetimeRecordedDuration <= this.maxDuration) {
+                windowEnd = this.maxDuration;
+            } else {
+                windowEnd = this.lifetimeRecordedDuration;
+            }
+            // windowStartDisplay uses stored windowStart when not recording
+            windowStart = this.visibleWindowStart ?? 0;
+        }
+
+        const windowDuration = Math.max(windowEnd - windowStart, 0);
+
+        return { windowStart, windowEnd, windowDuration };
+    }
+
+    // Width the green timeline bar should occupy, as a percentage of the track.
+    // The waveform and photo timeline always stretch the display window [windowStart, windowEnd]
+    // (windowEnd = max(maxDuration, recorded duration)) across their whole width. The green bar must
+    // fill exactly the fraction of that window covered by recorded content, so its right edge lines
+    // up with the end of the recorded content in the waveform, and its cursor/markers share the same
+    // time→pixel scale. This yields: a proportional bar (recorded / maxDuration) before the buffer is
+    // full, and a full bar once recording has reached/exceeded maxDuration.
+    getEffectiveBarWidthPercent() {
+        const { windowStart, windowDuration } = this.calculateVisibleWindow();
+        if (!(windowDuration > 0)) {
+            return 100;
+        }
+        const recordedEnd = this.isCapturing()
+            ? this.lifetimeRecordedDuration
+            : (this.visibleWindowEnd ?? this.lifetimeRecordedDuration);
+        const frac = (recordedEnd - windowStart) / windowDuration;
+        return Math.min(Math.max(frac * 100, 0), 100);
+    }
+
+    renderWaveform() {
+        if (!this.waveformCtx || !this.waveformCanvas || !this.showWaveform) return;
+        
+        // Draw empty state if no data
+        if (this.waveformData.length === 0) {
             requestAnimationFrame(() => {
-                this.renderPhotoTimeline();
+                const canvas = this.waveformCanvas;
+                const ctx = this.waveformCtx;
+                // Use canvas internal dimensions (already scaled by DPR)
+                const dpr = window.devicePixelRatio || 1;
+                const width = (canvas.width / dpr) || canvas.offsetWidth || 800;
+                const height = (canvas.height / dpr) || canvas.offsetHeight || 40;
+
+                // Clear canvas
+                ctx.clearRect(0, 0, width, height);
+
+                // Draw placeholder text (positioned at bottom)
+                ctx.fillStyle = '#9CA3AF';
+                ctx.font = '12px sans-serif';
+                ctx.textAlign = 'center';
+                ctx.fillText('Enregistrement en cours...', width / 2, height - 10);
             });
-        } finally {
-            // Release lock
-            this.isReExtracting = false;
+            return;
+        }
+
+        // Use requestAnimationFrame for smooth rendering
+        requestAnimationFrame(() => {
+            const canvas = this.waveformCanvas;
+            const ctx = this.waveformCtx;
+            // Use canvas internal dimensions (already scaled by DPR)
+            const dpr = window.devicePixelRatio || 1;
+            const width = (canvas.width / dpr) || canvas.offsetWidth || 800;
+            const height = (canvas.height / dpr) || canvas.offsetHeight || 40;
+
+            // Clear canvas
+            ctx.clearRect(0, 0, width, height);
+
+            // Calculate visible time range using same logic as timeline
+            const { windowStart, windowEnd, windowDuration } = this.calculateVisibleWindow();
+            const visibleStart = windowStart;
+            const visibleEnd = windowEnd;
+
+            // Filter data points in visible range
+            const visibleData = this.waveformData.filter(point => {
+                const timeInSeconds = point.timestamp / 1000;
+                return timeInSeconds >= visibleStart && timeInSeconds <= visibleEnd;
+            });
+
+            // Use windowDuration for scaling (not totalDuration which might be smaller)
+            const totalDuration = windowDuration;
+
+            if (visibleData.length === 0) return;
+
+            // Visual decimation: calculate optimal number of bars to display
+            // For performance, limit to ~2000 bars max
+            const maxBars = Math.min(2000, width);
+            const decimationFactor = Math.max(1, Math.floor(visibleData.length / maxBars));
+            
+            // Calculate bar width
+            const barWidth = Math.max(0.5, width / maxBars);
+
+            // Draw waveform bars with decimation
+            const maxAmp = this.maxAmplitude || 1;
+            let lastX = -1;
+
+            for (let i = 0; i < visibleData.length; i += decimationFactor) {
+                const point = visibleData[i];
+                const timeInSeconds = point.timestamp / 1000;
+                
+                // Calculate x position
+                const progress = (timeInSeconds - visibleStart) / totalDuration;
+                const x = progress * width;
+
+                // Skip if too close to previous bar (for performance)
+                if (x - lastX < 0.5) continue;
+                lastX = x;
+
+                // Calculate bar height (normalized amplitude) - using full height from bottom
+                const normalizedAmplitude = point.amplitude / maxAmp;
+                const barHeight = Math.max(1, normalizedAmplitude * (height - 4));
+
+                // Choose color based on amplitude
+                let color;
+                if (normalizedAmplitude > 0.8) {
+                    color = '#EF4444'; // Red for high amplitude
+                } else if (normalizedAmplitude > 0.5) {
+                    color = '#F59E0B'; // Orange for medium-high
+                } else if (normalizedAmplitude > 0.2) {
+                    color = '#10B981'; // Green for medium
+                } else {
+                    color = '#6B7280'; // Gray for low
+                }
+
+                // Draw bar (starting from bottom, going up)
+                ctx.fillStyle = color;
+                ctx.fillRect(x - barWidth / 2, height - barHeight, barWidth, barHeight);
+            }
+        });
+    }
+
+    drawPlaybackPosition(currentTime) {
+        if (!this.waveformCtx || !this.waveformCanvas || !this.showWaveform) return;
+
+        // Use requestAnimationFrame for smooth updates
+        requestAnimationFrame(() => {
+            const canvas = this.waveformCanvas;
+            const ctx = this.waveformCtx;
+            const rect = canvas.getBoundingClientRect();
+            const width = rect.width;
+            const height = rect.height;
+
+            // Get visible time range using same logic as timeline
+            const { windowStart, windowEnd, windowDuration } = this.calculateVisibleWindow();
+
+            // Calculate x position
+            const progress = windowDuration > 0 ? (currentTime - windowStart) / windowDuration : 0;
+            const x = progress * width;
+
+            // Only redraw if position changed significantly (performance optimization)
+            if (this._lastPlaybackX !== undefined && Math.abs(this._lastPlaybackX - x) < 1) {
+                return; // Skip if position hasn't changed much
+            }
+            this._lastPlaybackX = x;
+
+            // Redraw waveform to clear old position indicator
+            this.renderWaveform();
+
+            // Draw position indicator line after waveform is rendered
+            requestAnimationFrame(() => {
+                if (x >= 0 && x <= width) {
+                    ctx.strokeStyle = '#EF4444';
+                    ctx.lineWidth = 2;
+                    ctx.beginPath();
+                    ctx.moveTo(x, 0);
+                    ctx.lineTo(x, height);
+                    ctx.stroke();
+
+                    // Draw circle at top
+                    ctx.fillStyle = '#EF4444';
+                    ctx.beginPath();
+                    ctx.arc(x, 0, 4, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+            });
+        });
+    }
+
+    updatePhotoTimelinePlaybackPosition(currentTime) {
+        if (!this.photoTimelinePosition || !this.photoTimelineScroll || !this.showPhotoTimeline) return;
+
+        // Get visible time range using same logic as timeline
+        const { windowStart, windowEnd, windowDuration } = this.calculateVisibleWindow();
+
+        if (windowDuration <= 0) {
+            this.photoTimelinePosition.style.display = 'none';
+            return;
+        }
+
+        const containerWidth = this.photoTimelineScroll.offsetWidth || 800;
+
+        // Calculate position
+        const progress = windowDuration > 0 ? (currentTime - windowStart) / windowDuration : 0;
+        const clamped = Math.max(0, Math.min(1, progress));
+        const left = clamped * containerWidth;
+
+        // Show/hide based on state
+        const shouldShow = (this.state === 'recording' || this.state === 'flashback' || this.state === 'flashbackPaused');
+        this.photoTimelinePosition.style.display = shouldShow ? 'block' : 'none';
+        this.photoTimelinePosition.style.left = `${left}px`;
+    }
+
+    updateAllPlaybackPositions() {
+        // Get current absolute time
+        const currentTime = this.getCurrentAbsoluteTime();
+        
+        if (currentTime === null || currentTime < 0) {
+            return;
+        }
+
+        // Update waveform playback position
+        if (this.showWaveform) {
+            this.drawPlaybackPosition(currentTime);
+        }
+
+        // Update photo timeline playback position
+        if (this.showPhotoTimeline) {
+            this.updatePhotoTimelinePlaybackPosition(currentTime);
+        }
+
+        // Timeline position is already updated in updateTimeline() which is called at 100ms
+        // No need to update it here to avoid duplicate updates
+    }
+
+    handleWaveformClick(e) {
+        if (!this.waveformCanvas || !this.showWaveform) return;
+        if (this.state === 'transitioning') return;
+
+        const rect = this.waveformCanvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+
+        // Use unified calculation function
+        const targetTime = this.calculateTargetTimeFromClick(x, rect, false);
+
+        // Use existing seekFlashback method
+        this.seekFlashback(targetTime, {
+            allowFromRecording: true,
+            allowFromRecordingStopped: true,
+            allowFromFlashbackPaused: true
+        });
+    }
+
+    handleWaveformHover(e) {
+        if (!this.waveformCanvas || !this.showWaveform) return;
+
+        const rect = this.waveformCanvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+
+        // Use unified calculation function (same as click)
+        const targetTime = this.calculateTargetTimeFromClick(x, rect, false);
+
+        // Change cursor to indicate clickability
+        this.waveformCanvas.style.cursor = 'pointer';
+
+        // Optional: Show tooltip with timestamp (can be enhanced later)
+        this.waveformCanvas.title = `${targetTime.toFixed(2)}s`;
+    }
+
+    toggleDebugPanel() {
+        if (this.debugPanel) {
+            this.debugPanel.classList.toggle('open');
+        }
+    }
+
+    // ===== PHOTO TIMELINE VISUALIZATION METHODS =====
+
+    initPhotoTimeline() {
+        if (!this.photoTimelineScroll) {
+            console.warn('[DEBUG] Photo timeline scroll container not found in initPhotoTimeline()');
+            return;
+        }
+
+        console.log('[DEBUG] initPhotoTimeline() called', {
+            element: this.photoTimelineScroll,
+            hasClickListeners: this.photoTimelineScroll.onclick !== null,
+            children: this.photoTimelineScroll.children.length
+        });
+
+        // Note: Event listener is already attached in initEventListeners()
+        // Don't attach again to avoid duplicates
+        // this.photoTimelineScroll.addEventListener('click', (e) => this.handlePhotoTimelineClick(e));
+        
+        // Initialize ResizeObserver to detect timeline dimension changes
+        if (typeof ResizeObserver !== 'undefined') {
+            // Stop any existing observer
+            if (this.photoTimelineResizeObserver) {
+                this.photoTimelineResizeObserver.disconnect();
+            }
+            
+            this.photoTimelineResizeObserver = new ResizeObserver(() => {
+                // Debounce resize events to avoid too frequent recalculations
+                if (this.photoTimelineResizeDebounce) {
+                    clearTimeout(this.photoTimelineResizeDebounce);
+                }
+                
+                this.photoTimelineResizeDebounce = setTimeout(() => {
+                    // Recalculate interval and refresh display
+                    this.recalculatePhotoExtractionInterval(true);  // Pass true for isFromResize
+                    // Also force a refresh of the photo timeline display
+                    if (this.showPhotoTimeline) {
+                        this.renderPhotoTimeline();
+                    }
+                }, 2000); // 2000ms debounce
+            });
+            
+            this.photoTimelineResizeObserver.observe(this.photoTimelineScroll);
+            console.log('ResizeObserver initialized for photo timeline');
+        } else {
+            console.warn('ResizeObserver not supported, falling back to window resize listener');
+            // Fallback: use window resize event
+            const photoTimelineResizeHandler = () => {
+                if (this.photoTimelineResizeDebounce) {
+                    clearTimeout(this.photoTimelineResizeDebounce);
+                }
+                this.photoTimelineResizeDebounce = setTimeout(() => {
+                    // Recalculate interval and refresh display
+                    this.recalculatePhotoExtractionInterval(true);  // Pass true for isFromResize
+                    // Also force a refresh of the photo timeline display
+                    if (this.showPhotoTimeline) {
+                        this.renderPhotoTimeline();
+                    }
+                }, 2000);
+            };
+            window.addEventListener('resize', photoTimelineResizeHandler);
+            // Store handler for potential cleanup
+            this.photoTimelineWindowResizeHandler = photoTimelineResizeHandler;
+        }
+    }
+
+    updatePhotoTimelineVisibility() {
+        if (!this.photoTimelineContainer) {
+            this.photoTimelineContainer = document.getElementById('photoTimelineContainer');
+        }
+        
+        if (!this.photoTimelineContainer) {
+            console.warn('Photo timeline container not found, retrying...');
+            setTimeout(() => {
+                this.photoTimelineContainer = document.getElementById('photoTimelineContainer');
+                if (this.photoTimelineContainer) {
+                    this.updatePhotoTimelineVisibility();
+                }
+            }, 100);
+            return;
+        }
+        
+        if (this.showPhotoTimeline) {
+            this.photoTimelineContainer.classList.add('show');
+        } else {
+            this.photoTimelineContainer.classList.remove('show');
+        }
+    }
+
+    togglePhotoTimeline() {
+        this.showPhotoTimeline = !this.showPhotoTimeline;
+        this.updatePhotoTimelineVisibility();
+        this.saveSettings();
+    }
+
+    calculatePhotoExtractionInterval() {
+        /**
+         * Calculate photo extraction interval based on:
+         * 1. Photo timeline height (pixels)
+         * 2. Video dimensions (width/height)
+         * 3. Max duration (seconds)
+         * 4. Photo timeline width (pixels)
+         * 
+         * Formula:
+         * - Image width (px) = timeline height * video width / video height
+         * - Duration (s) = image width (px) * maxDuration / timeline width (px)
+         * - Periodicity = Duration
+         */
+        if (!this.photoTimelineScroll) return 1; // Default 1 second
+        
+        // Get timeline dimensions
+        const timelineHeight = this.photoTimelineScroll.offsetHeight || this.photoTimelineHeight || 36;
+        const timelineWidth = this.photoTimelineScroll.offsetWidth || 800;
+        
+        // Check if video dimensions are available
+        if (!this.videoWidth || !this.videoHeight || this.videoWidth <= 0 || this.videoHeight <= 0) {
+            // Fallback: use default interval if video dimensions not available
+            return 1;
+        }
+        
+        // Check if maxDuration is valid
+        if (!this.maxDuration || this.maxDuration <= 0) {
+            return 1;
+        }
+        
+        // Step 2: Calculate image width in pixels
+        // Formula: imageWidth = timelineHeight * videoWidth / videoHeight
+        const imageWidth = timelineHeight * this.videoWidth / this.videoHeight;
+        
+        // Step 3: Calculate corresponding duration
+        // Formula: duration = imageWidth * maxDuration / timelineWidth
+        const duration = imageWidth * this.maxDuration / timelineWidth;
+        
+        // Step 4: Periodicity = duration (in seconds)
+        // Ensure minimum value of 0.1 seconds to avoid too frequent extractions
+        const interval = Math.max(0.1, duration);
+        
+        return interval;
+    }
+
+    extractFrameFromVideo(timestamp, sourceVideo) {
+        if (!sourceVideo || sourceVideo.readyState < 2) {
+            return null; // Video not ready
+        }
+
+        try {
+            // Create a temporary canvas
+            const canvas = document.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+            
+            // Set size (proportional for thumbnails)
+            canvas.width = 160; // Fixed width for thumbnails
+            canvas.height = 90; // Ratio 16:9
+            
+            // Draw current frame from video
+            ctx.drawImage(sourceVideo, 0, 0, canvas.width, canvas.height);
+            
+            // Convert to blob/DataURL for storage
+            return canvas.toDataURL('image/jpeg', 0.7); // Compression 70%
+        } catch (e) {
+            console.warn('Error extracting frame:', e);
+            return null;
+        }
+    }
+
+    async extractFrameFromChunkAtTimestamp(chunk, relativeTimestamp) {
+        /**
+         * Extract a frame from a video chunk at a specific relative timestamp.
+         * @param {Object} chunk - Chunk object with blob, absoluteStart, absoluteEnd
+         * @param {number} relativeTimestamp - Timestamp relative to chunk start (in seconds)
+         * @returns {Promise<string|null>} DataURL of extracted frame or null
+         */
+        return new Promise((resolve) => {
+            try {
+                const video = document.createElement('video');
+                video.muted = true;
+                video.playsInline = true;
+                
+                const blobUrl = URL.createObjectURL(chunk.blob);
+                video.src = blobUrl;
+                
+                const cleanup = () => {
+                    URL.revokeObjectURL(blobUrl);
+                    video.remove();
+                };
+                
+                video.addEventListener('loadedmetadata', () => {
+                    try {
+                        // Seek to the relative timestamp within the chunk
+                        const seekTime = Math.min(relativeTimestamp, video.duration);
+                        video.currentTime = seekTime;
+                    } catch (e) {
+                        console.warn('Error seeking in chunk video', e);
+                        cleanup();
+                        resolve(null);
+                    }
+                }, { once: true });
+                
+                video.addEventListener('seeked', () => {
+                    try {
+                        // Extract frame
+                        const canvas = document.createElement('canvas');
+                        const ctx = canvas.getContext('2d');
+                        canvas.width = 160;
+                        canvas.height = 90;
+                        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+                        const imageData = canvas.toDataURL('image/jpeg', 0.7);
+                        cleanup();
+                        resolve(imageData);
+                    } catch (e) {
+                        console.warn('Error extracting frame from chunk', e);
+                        cleanup();
+                        resolve(null);
+                    }
+                }, { once: true });
+                
+                video.addEventListener('error', () => {
+                    console.warn('Error loading chunk video');
+                    cleanup();
+                    resolve(null);
+                }, { once: true });
+                
+                video.load();
+            } catch (e) {
+                console.warn('Error creating video element for chunk', e);
+                resolve(null);
+            }
+        });
+    }
+
+    async reExtractPhotoFramesFromStart() {
+        /**
+         * Re-extract photo frames from the initial timestamp (0:00 or lifetimeRecordedDuration - maxDuration)
+         * to the current time with the new periodicity.
+         * This is called when periodicity changes.
+         * Uses a lock to prevent simultaneous re-extractions.
+         */
+        if (!this.showPhotoTimeline) {
+            return;
+        }
+        
+        // Check if already re-extracting to avoid simultaneous extractions
+        if (this.isReExtracting) {
+            console.log('reExtractPhotoFramesFromStart: Already re-extracting, skipping...');
+            return;
+        }
+        
+        // Set lock
+        this.isReExtracting = true;
+        
+        try {
+            // Clear existing frames
+            this.photoFrames = [];
+            
+            // Calculate start timestamp
+            const { windowStart, windowEnd } = this.calculateVisibleWindow();
+            const startTimestamp = windowStart;
+            const endTimestamp = windowEnd;
+            const newInterval = this.calculatePhotoExtractionInterval();
+            
+            console.log('reExtractPhotoFramesFromStart: Starting re-extraction', {
+                startTimestamp,
+                endTimestamp,
+                interval: newInterval
+            });
+            
+            // Collect all chunks that cover the time range from currentSessionChunks and finalized sessions
+            let relevantChunks = [];
+
+            // First, check currentSessionChunks
+            if (this.currentSessionChunks && this.currentSessionChunks.length > 0) {
+                relevantChunks = this.currentSessionChunks.filter(chunk => {
+                    return chunk.absoluteEnd > startTimestamp && chunk.absoluteStart < endTimestamp;
+                });
+            }
+
+            // Then, check finalized sessions in sessionMap
+            if (this.sessionMap && this.sessionMap.size > 0) {
+                for (const session of this.sessionMap.values()) {
+                    if (session.chunks && session.chunks.length > 0) {
+                        const sessionChunks = session.chunks.filter(chunk => {
+                            return chunk.absoluteEnd > startTimestamp && chunk.absoluteStart < endTimestamp;
+                        });
+                        relevantChunks = relevantChunks.concat(sessionChunks);
+                    }
+                }
+            }
+
+            if (relevantChunks.length === 0) {
+                console.log('reExtractPhotoFramesFromStart: No chunks available for re-extraction', {
+                    currentSessionChunksLength: this.currentSessionChunks ? this.currentSessionChunks.length : 0,
+                    sessionMapSize: this.sessionMap ? this.sessionMap.size : 0,
+                    startTimestamp,
+                    endTimestamp
+                });
+                // If we're recording, frames will be extracted as recording continues
+                return;
+            }
+            
+            // Extract frames at regular intervals
+            let currentTimestamp = startTimestamp;
+            const extractionPromises = [];
+            let timestampsGenerated = 0;
+            let chunksFound = 0;
+            let promisesCreated = 0;
+            
+            while (currentTimestamp <= endTimestamp) {
+                const timestamp = currentTimestamp;
+                timestampsGenerated++;
+                
+                // Find the chunk that contains this timestamp
+                const chunk = relevantChunks.find(c => 
+                    c.absoluteStart <= timestamp && c.absoluteEnd >= timestamp
+                );
+                
+                if (chunk) {
+                    chunksFound++;
+                    // Calculate relative timestamp within the chunk
+                    const relativeTimestamp = timestamp - chunk.absoluteStart;
+                    
+                    // Extract frame from chunk
+                    const promise = this.extractFrameFromChunkAtTimestamp(chunk, relativeTimestamp)
+                        .then(imageData => {
+                            if (imageData) {
+                                this.photoFrames.push({
+                                    timestamp: timestamp,
+                                    imageData: imageData,
+                                    thumbnail: imageData
+                                });
+                            }
+                        });
+                    
+                    extractionPromises.push(promise);
+                    promisesCreated++;
+                }
+                
+                // Move to next timestamp
+                currentTimestamp += newInterval;
+            }
+            
+            console.log('reExtractPhotoFramesFromStart: Extraction started', {
+                timestampsGenerated,
+                chunksFound,
+                promisesCreated,
+                startTimestamp,
+                endTimestamp,
+                newInterval
+            });
+            
+            // Wait for all extractions to complete
+            await Promise.all(extractionPromises);
+            
+            const framesAfterExtraction = this.photoFrames.length;
+            console.log('reExtractPhotoFramesFromStart: Extraction completed', {
+                framesExtracted: framesAfterExtraction,
+                expectedFrames: promisesCreated
+            });
+            
+            // If we're recording, also extract the current frame from videoPreview
+            if (this.state === 'recording' && this.videoPreview && this.videoPreview.readyState >= 2) {
+                const currentTime = this.lifetimeRecordedDuration;
+                if (currentTime >= startTimestamp && currentTime <= endTimestamp) {
+                    const imageData = this.extractFrameFromVideo(currentTime, this.videoPreview);
+                    if (imageData) {
+                        // Check if frame already exists (might have been extracted from chunk)
+                        const epsilon = 0.1;
+                        const existingFrame = this.photoFrames.find(frame => 
+                            Math.abs(frame.timestamp - currentTime) < epsilon
+                        );
+                        if (!existingFrame) {
+                            this.photoFrames.push({
+                                timestamp: currentTime,
+                                imageData: imageData,
+                                thumbnail: imageData
+                            });
+                        }
+                    }
+                }
+            }
+            
+            // Sort frames by timestamp to ensure proper ordering
+            this.photoFrames.sort((a, b) => a.timestamp - b.timestamp);
+            
+            const framesAfterSort = this.photoFrames.length;
+            const frameTimestamps = this.photoFrames.map(f => f.timestamp);
+            console.log('reExtractPhotoFramesFromStart: Frames sorted', {
+                totalFrames: framesAfterSort,
+                timestamps: frameTimestamps,
+                timestampRange: frameTimestamps.length > 0 ? {
+                    min: Math.min(...frameTimestamps),
+                    max: Math.max(...frameTimestamps)
+                } : null
+            });
+            
+            // Force a complete refresh of the display after all frames are extracted
+            // Use requestAnimationFrame to ensure DOM is ready
+            requestAnimationFrame(() => {
+                this.renderPhotoTimeline();
+            });
+        } finally {
+            // Release lock
+            this.isReExtracting = false;
+        }
+    }
+
+    hasAvailableChunks() {
+        /**
+         * Check if chunks are available for re-extraction.
+         * Checks currentSessionChunks and finalized sessions in sessionMap.
+         * This is consistent with reExtractPhotoFramesFromStart() which uses these sources.
+         */
+        const hasCurrentSessionChunks = this.currentSessionChunks && this.currentSessionChunks.length > 0;
+        
+        // Check if any finalized session has chunks
+        let hasFinalizedSessions = false;
+        if (this.sessionMap && this.sessionMap.size > 0) {
+            for (const session of this.sessionMap.values()) {
+                if (session.chunks && session.chunks.length > 0) {
+                    hasFinalizedSessions = true;
+                    break;
+                }
+            }
+        }
+        
+        return hasCurrentSessionChunks || hasFinalizedSessions;
+    }
+
+    async recalculatePhotoExtractionInterval(isFromResize = false) {
+        console.log('recalculatePhotoExtractionInterval: Buffer states', {
+            chunkBufferLength: this.chunkBuffer ? this.chunkBuffer.length : 0,
+            currentSessionChunksLength: this.currentSessionChunks ? this.currentSessionChunks.length : 0
+        });
+        /**
+         * Recalculate photo extraction interval and handle re-extraction if needed.
+         * Called when timeline dimensions or maxDuration change.
+         * Works even if photoExtractionActive is false, as long as chunks are available.
+         */
+        if (!this.showPhotoTimeline) {
+            return; // Timeline not visible, no need to recalculate
+        }
+        
+        const oldInterval = this.currentPhotoExtractionInterval;
+        const newInterval = this.calculatePhotoExtractionInterval();
+        
+        console.log('recalculatePhotoExtractionInterval: Called', {
+            oldInterval,
+            newInterval,
+            hasChunks: this.hasAvailableChunks(),
+            hasExistingFrames: this.photoFrames.length > 0,
+            currentSessionChunksCount: this.currentSessionChunks ? this.currentSessionChunks.length : 0,
+            finalizedSessionsCount: this.sessionMap ? this.sessionMap.size : 0,
+            photoFramesLength: this.photoFrames.length,
+            photoExtractionActive: this.photoExtractionActive
+        });
+        
+        if (newInterval === null) {
+            console.warn('recalculatePhotoExtractionInterval: Invalid new interval, aborting');
+            return;
+        }
+        
+        const difference = Math.abs(newInterval - (oldInterval || 0));
+        const differencePercent = oldInterval ? (difference / oldInterval * 100).toFixed(2) + '%' : 'N/A';
+        
+        console.log('recalculatePhotoExtractionInterval: Checking difference', { difference, differencePercent });
+        
+        this.currentPhotoExtractionInterval = newInterval;
+        
+        const hasChunks = this.hasAvailableChunks();
+        
+        if (difference > 0 || isFromResize) {  // Force re-extraction on resize
+            if (hasChunks) {
+                console.log('recalculatePhotoExtractionInterval: Interval changed or resize detected, re-extracting frames', { differencePercent, newInterval });
+                this.photoFrames = [];  // Clear existing frames
+                await this.reExtractPhotoFramesFromStart();
+            } else if (this.photoFrames.length > 0) {
+                console.log('recalculatePhotoExtractionInterval: Interval changed, but no chunks available - refreshing existing frames');
+                this.renderPhotoTimeline();
+            } else {
+                console.log('recalculatePhotoExtractionInterval: Interval changed, but no chunks or frames available');
+            }
+        } else {
+            console.log('recalculatePhotoExtractionInterval: Interval unchanged, just refreshing display');
+            if (this.showPhotoTimeline) {
+                this.renderPhotoTimeline();
+            }
+        }
+    }
+
+    startPhotoExtraction() {
+        if (!this.showPhotoTimeline) return;
+
+        // Stop any existing extraction
+        this.stopPhotoExtraction();
+
+        // Activate extraction flag
+        this.photoExtractionActive = true;
+
+        // Calculate extraction interval based on visible window
+        const interval = this.calculatePhotoExtractionInterval();
+        this.currentPhotoExtractionInterval = interval;
+        
+        // Store recording start time for accurate timestamps
+        this.lastPhotoExtractionTime = Date.now();
+        const recordingStartTime = this.lastPhotoExtractionTime;
+        const recordingStartDuration = this.lifetimeRecordedDuration || 0;
+
+        // Extract frames periodically
+        const extractFrame = () => {
+            // Check if extraction is still active
+            if (!this.photoExtractionActive || !this.showPhotoTimeline) {
+                return; // Stop if disabled or inactive
+            }
+
+            // Only extract during recording
+            if (this.state !== 'recording' || !this.videoPreview) {
+                // Not recording, stop extraction
+                return;
+            }
+
+            // Determine source video and calculate timestamp
+            const sourceVideo = this.videoPreview;
+            const now = Date.now();
+            const elapsedSinceRecordingStart = (now - recordingStartTime) / 1000;
+            const currentTime = recordingStartDuration + elapsedSinceRecordingStart;
+
+            if (!sourceVideo || sourceVideo.readyState < 2) {
+                // Video not ready, retry later
+                setTimeout(extractFrame, 500);
+                return;
+            }
+
+            // Extract frame from video
+            const imageData = this.extractFrameFromVideo(currentTime, sourceVideo);
+            
+            if (imageData) {
+                // Check if frame already exists at this timestamp (avoid duplicates)
+                const epsilon = 0.1; // 100ms tolerance
+                const existingFrame = this.photoFrames.find(frame => 
+                    Math.abs(frame.timestamp - currentTime) < epsilon
+                );
+
+                if (!existingFrame) {
+                    // Store frame with timestamp
+                    this.photoFrames.push({
+                        timestamp: currentTime,
+                        imageData: imageData,
+                        thumbnail: imageData // For now, use same data for thumbnail
+                    });
+
+                    // Sort frames by timestamp
+                    this.photoFrames.sort((a, b) => a.timestamp - b.timestamp);
+
+                    // Limit number of frames stored (max 200 for memory management)
+                    if (this.photoFrames.length > 200) {
+                        // Remove oldest frames outside visible window
+                        const { windowStart } = this.calculateVisibleWindow();
+                        this.photoFrames = this.photoFrames.filter(frame => 
+                            frame.timestamp >= windowStart - 10 // Keep 10s margin
+                        );
+                    }
+                }
+
+                this.lastPhotoExtractionTime = Date.now();
+                
+                // Update display
+                this.renderPhotoTimeline();
+            }
+
+            // Schedule next extraction (recalculate interval each time to handle dynamic changes)
+            const nextInterval = this.calculatePhotoExtractionInterval();
+            this.currentPhotoExtractionInterval = nextInterval;
+            setTimeout(extractFrame, nextInterval * 1000);
+        };
+
+        // Start extraction
+        extractFrame();
+    }
+
+    stopPhotoExtraction() {
+        // Deactivate extraction flag to stop extraction
+        this.photoExtractionActive = false;
+        // Don't reset currentPhotoExtractionInterval to null - keep it for comparison during resize
+        // It will be updated when recalculatePhotoExtractionInterval() is called
+    }
+
+    async handleTimelineResize() {
+        /**
+         * Unified handler for timeline resize events.
+         * Updates both waveform and photo timeline when window is resized.
+         * Uses debounce to avoid too frequent recalculations during resize.
+         */
+        // Resize and refresh waveform
+        if (this.showWaveform && this.waveformCanvas) {
+            this.resizeWaveformCanvas();
+            // renderWaveform() is already called in resizeWaveformCanvas()
+        }
+        
+        // Refresh photo timeline
+        if (this.showPhotoTimeline && this.photoTimelineScroll) {
+            // Force layout recalculation before rendering to get accurate width
+            if (this.photoTimelineContainer) {
+                void this.photoTimelineContainer.offsetWidth; // Force reflow
+            }
+            // Recalculate interval and trigger re-extraction if needed
+            // This will handle re-extraction from chunks even if not currently extracting
+            // Wait for completion to ensure frames are extracted before rendering
+            await this.recalculatePhotoExtractionInterval();
+        }
+    }
+
+    startPhotoTimelineRefresh() {
+        // Stop any existing refresh interval
+        this.stopPhotoTimelineRefresh();
+        
+        // Refresh photo timeline every 100ms for smooth translation
+        this.photoTimelineRefreshInterval = setInterval(() => {
+            if (this.showPhotoTimeline && this.photoTimelineScroll) {
+                this.renderPhotoTimeline();
+            }
+        }, 100);
+    }
+
+    stopPhotoTimelineRefresh() {
+        if (this.photoTimelineRefreshInterval) {
+            clearInterval(this.photoTimelineRefreshInterval);
+            this.photoTimelineRefreshInterval = null;
+        }
+    }
+
+    renderPhotoTimeline() {
+        if (!this.photoTimelineScroll || !this.showPhotoTimeline) return;
+
+        // Force complete refresh: remove all children and reset styles
+        while (this.photoTimelineScroll.firstChild) {
+            this.photoTimelineScroll.removeChild(this.photoTimelineScroll.firstChild);
+        }
+        this.photoTimelineScroll.innerHTML = '';
+
+        // Calculate visible time range using same logic as timeline
+        const { windowStart, windowEnd, windowDuration } = this.calculateVisibleWindow();
+        
+        if (windowDuration <= 0) {
+            return;
+        }
+
+        // Filter frames in visible range
+        const totalFramesBeforeFilter = this.photoFrames.length;
+        const visibleFrames = this.photoFrames.filter(frame => {
+            return frame.timestamp >= windowStart && frame.timestamp <= windowEnd;
+        });
+
+        // Calculate interval for positioning
+        const interval = this.calculatePhotoExtractionInterval();
+        
+        // Use factorized function to get accurate container width (same as waveform)
+        const containerWidth = this.getContainerWidth(this.photoTimelineContainer);
+        
+        // Don't force style.width - let CSS (width: 100%) handle automatic resizing
+
+        if (visibleFrames.length === 0) {
+            return; // No frames to display
+        }
+        
+        const visibleTimestamps = visibleFrames.map(f => f.timestamp);
+
+        // Create thumbnails for all visible frames
+        let thumbnailsCreated = 0;
+        visibleFrames.forEach((frame, index) => {
+            const thumbnail = document.createElement('div');
+            thumbnail.className = 'photo-thumbnail';
+            thumbnail.dataset.timestamp = frame.timestamp;
+            thumbnail.dataset.interval = interval;
+
+            // Calculate position: left edge of thumbnail (proportional to timestamp)
+            const progress = (frame.timestamp - windowStart) / windowDuration;
+            const left = progress * containerWidth;
+            
+            // Calculate width: proportional to interval
+            const width = (interval / windowDuration) * containerWidth;
+
+            thumbnail.style.left = `${left}px`;
+            thumbnail.style.width = `${Math.max(width, 1)}px`; // Minimum 1px width
+            thumbnail.style.backgroundImage = `url(${frame.imageData})`;
+
+            // Add loading state if image not ready
+            if (!frame.imageData) {
+                thumbnail.classList.add('loading');
+            }
+
+            this.photoTimelineScroll.appendChild(thumbnail);
+            thumbnailsCreated++;
+        });
+    }
+
+    handlePhotoTimelineClick(e) {
+        if (!this.photoTimelineScroll || !this.showPhotoTimeline) return;
+        if (this.state === 'transitioning') return;
+
+        // Check if click is directly on a thumbnail (should not happen with pointer-events: none, but check anyway)
+        if (e.target && e.target.classList.contains('photo-thumbnail')) {
+            this.showMessage('Photos are transparent to clicks. Click on the timeline, not directly on a photo.', 'error');
+            return;
+        }
+
+        const rect = this.photoTimelineScroll.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+
+        // Use unified calculation function (same as timeline and waveform)
+        const targetTime = this.calculateTargetTimeFromClick(x, rect, false);
+
+        // Use existing seekFlashback method
+        this.seekFlashback(targetTime, {
+            allowFromRecording: true,
+            allowFromRecordingStopped: true,
+            allowFromFlashbackPaused: true
+        });
+    }
+
+
+    // === UPDATE DURATION ON THE RIGHT SIDE OF THE SLIDER ===  
+
+    async updateDurationFromRange() {
+    /**
+     * Updates the maximum duration from the slider/range input.
+     * This function is called when the user moves the slider.
+     * It synchronizes the value with the numeric input and updates the display.
+     */
+        this.maxDuration = parseInt(this.durationRange.value, 10);
+        this.durationValue.value = this.maxDuration;
+        this.updateDurationDisplay();
+        this.saveSettings();
+        this.enforceRollingBuffer();
+        this.updateMemoryEstimate();
+        this.updateDebugPanel();
+        
+        // Recalculate photo extraction interval if extraction is active
+        if (this.photoExtractionActive) {
+            await this.recalculatePhotoExtractionInterval();
+        } else if (this.showPhotoTimeline) {
+            // Even if not extracting, refresh the timeline display
+            this.renderPhotoTimeline();
+        }
+    }
+
+    async updateDurationFromInput() {
+    /**
+     * Updates the maximum duration from the numeric input.
+     * This function is called when the user types a value in the numeric field.
+     * It applies constraints (1-3600 seconds) and synchronizes with the slider.
+     */
+        let val = parseInt(this.durationValue.value, 10);
+        if (isNaN(val) || val < 1) val = 1;
+        if (val > 3600) val = 3600;
+        this.maxDuration = val;
+        this.durationRange.value = val;
+        this.durationValue.value = val;
+        this.updateDurationDisplay();
+        this.saveSettings();
+        this.enforceRollingBuffer();
+        this.updateMemoryEstimate();
+        
+        // Recalculate photo extraction interval if extraction is active
+        if (this.photoExtractionActive) {
+            await this.recalculatePhotoExtractionInterval();
+        } else if (this.showPhotoTimeline) {
+            // Even if not extracting, refresh the timeline display
+            this.renderPhotoTimeline();
+        }
+        this.updateDebugPanel();
+    }
+
+    updateDurationDisplay() {
+    /**
+     * Updates the text display of the maximum duration.
+     * Displays the current value of maxDuration with the unit "s" in the durationDisplay element.
+     */
+        this.durationDisplay.textContent = `${this.maxDuration}s`;
+    }
+
+    getMaxBufferedDuration() {
+        const margin = Number.isFinite(this.bufferMarginSeconds) ? Math.max(0, this.bufferMarginSeconds) : 0;
+        const base = Number.isFinite(this.maxDuration) ? Math.max(0, this.maxDuration) : 0;
+        return base + margin;
+    }
+
+    formatDuration(seconds) {
+        if (!Number.isFinite(seconds) || seconds < 0) {
+            return '0s';
+        }
+        if (seconds >= 3600) {
+            const hours = Math.floor(seconds / 3600);
+            const minutes = Math.floor((seconds % 3600) / 60);
+            const secs = Math.floor(seconds % 60);
+            return `${hours}h ${minutes}m ${secs}s`;
+        }
+        if (seconds >= 60) {
+            const minutes = Math.floor(seconds / 60);
+            const secs = Math.floor(seconds % 60);
+            return `${minutes}m ${secs}s`;
+        }
+        if (seconds >= 10) {
+            return `${seconds.toFixed(0)}s`;
+        }
+        return `${seconds.toFixed(1)}s`;
+    }
+
+    handleAddFlashbackMarker() {
+        if (!(this.state === 'recording' || this.state === 'flashback')) {
+            return;
+        }
+        const marker = this.createFlashbackMarker();
+        if (!marker) {
+            return;
+        }
+        // Only manual additions are undoable: reverting an accidental Shift press is the point
+        this.pushMarkerHistory({ type: 'add', markers: [{ ...marker }] });
+        this.updateTimeline();
+        this.updateMarkerControls();
+        this.persistBufferState();
+    }
+
+    handleAutoMarkerDetection(eventTime, reason) {
+        // Markers must stay inside the recorded range (pruneFlashbackMarkers drops anything later)
+        const absoluteTime = Math.max(0, Math.min(eventTime - this.autoMarkerLeadIn, this.lifetimeRecordedDuration));
+        // Don't stack an auto marker on a marker the user (or the detector) just placed
+        const minGap = this.audioOnsetDetector.minInterval / 2;
+        if (this.flashbackMarkers.some(marker => Math.abs(marker.absoluteTime - absoluteTime) < minGap)) {
+            return;
+        }
+        const marker = this.createFlashbackMarker({ absoluteTime, source: 'auto' });
+        if (!marker) {
+            return;
+        }
+        this.debugLogState('autoMarker', { absoluteTime: Number(absoluteTime.toFixed(2)), reason });
+        this.updateMarkerControls();
+        this.persistBufferState();
+    }
+
+    startMotionDetection() {
+        if (!this.motionMarkersEnabled) return;
+        this.stopMotionDetection();
+        this.motionDetector.reset();
+        // Same time base as the waveform and photo timeline: duration at start + elapsed wall time
+        const startTime = Date.now();
+        const startDuration = this.lifetimeRecordedDuration || 0;
+        this.motionDetectionInterval = setInterval(() => {
+            // The preview only shows the live camera while recording
+            if (this.state !== 'recording' || !this.motionMarkersEnabled) {
+                this.stopMotionDetection();
+                return;
+            }
+            const time = startDuration + (Date.now() - startTime) / 1000;
+            try {
+                const result = this.motionDetector.process(this.videoPreview, time);
+                if (result) {
+                    this.handleMotionMarkerDetection(result);
+                }
+            } catch (e) {
+                console.warn('Motion detection error:', e);
+            }
+        }, this.motionSampleIntervalMs);
+    }
+
+    stopMotionDetection() {
+        if (this.motionDetectionInterval) {
+            clearInterval(this.motionDetectionInterval);
+            this.motionDetectionInterval = null;
+        }
+    }
+
+    handleMotionMarkerDetection({ event, time }) {
+        // A start gets the same lead-in as audio markers; a stop is placed when stillness began
+        const target = event === 'start' ? time - this.autoMarkerLeadIn : time;
+        const absoluteTime = Math.max(0, Math.min(target, this.lifetimeRecordedDuration));
+        if (this.flashbackMarkers.some(marker => Math.abs(marker.absoluteTime - absoluteTime) < 1)) {
+            return;
+        }
+        const marker = this.createFlashbackMarker({ absoluteTime, source: 'motion', event });
+        if (!marker) {
+            return;
+        }
+        this.debugLogState('motionMarker', { absoluteTime: Number(absoluteTime.toFixed(2)), event });
+        this.updateMarkerControls();
+        this.persistBufferState();
+    }
+
+    createFlashbackMarker(options = {}) {
+        /**
+         * @param {Object} options
+         * @param {number} [options.absoluteTime] - Marker position (defaults to the current position)
+         * @param {string} [options.source] - 'manual' (Shift / Mark button), 'auto' (FEAT-003 audio detection),
+         *                                    'motion' (movement in the camera feed) or 'gap' (capture interrupted)
+         * @param {string} [options.event] - For motion markers: 'start' or 'stop' of the movement
+         */
+        if (!Number.isFinite(this.lifetimeRecordedDuration) || this.lifetimeRecordedDuration <= 0) {
+            if (this.chunkBuffer.length === 0 && this.recordedSessions.length === 0) {
+                return null;
+            }
+        }
+        const absoluteTime = options.absoluteTime ?? this.getCurrentAbsoluteTime();
+        if (!Number.isFinite(absoluteTime) || absoluteTime < 0) {
+            return null;
+        }
+        const epsilon = this.markerNavigationEpsilon ?? 0;
+        const alreadyExists = this.flashbackMarkers.some(marker => {
+            const t = marker?.absoluteTime ?? -1;
+            return Math.abs(t - absoluteTime) <= epsilon;
+        });
+        if (alreadyExists) {
+            return null;
+        }
+        const marker = {
+            id: ++this.flashbackMarkerIdCounter,
+            absoluteTime,
+            source: options.source || 'manual',
+            createdAt: performance.now()
+        };
+        if (options.event) {
+            marker.event = options.event;
+        }
+        this.flashbackMarkers.push(marker);
+        this.flashbackMarkers.sort((a, b) => a.absoluteTime - b.absoluteTime);
+        return marker;
+    }
+
+    async handleNavigateFlashbackMarker(direction, skipCount = 1) {
+        if (direction !== -1 && direction !== 1) {
+            return;
+        }
+        if (this.state === 'transitioning') {
+            return;
+        }
+        if (this.getNavigableMarkers().length === 0 && this.lifetimeRecordedDuration <= 0) {
+            return;
+        }
+        const targetTime = this.getTargetTimeForMarkerNavigation(direction, skipCount);
+        if (!Number.isFinite(targetTime) || targetTime < 0) {
+            return;
+        }
+        await this.seekFlashback(targetTime, {
+            allowFromRecording: true,
+            allowFromRecordingStopped: true,
+            allowFromFlashbackPaused: true
+        });
+    }
+
+    getNavigableMarkers() {
+        if (this.markerNavigationFilter === 'all') {
+            return this.flashbackMarkers;
+        }
+        return this.flashbackMarkers.filter(marker => marker.category === this.markerNavigationFilter);
+    }
+
+    getTargetTimeForMarkerNavigation(direction, skipCount = 1) {
+        const sorted = this.getNavigableMarkers().slice().sort((a, b) => a.absoluteTime - b.absoluteTime);
+        const current = this.getCurrentAbsoluteTime();
+        const epsilon = this.markerNavigationEpsilon;
+        if (direction === -1) {
+            // Find all markers before the current timestamp
+            const previousMarkers = [];
+            for (let i = sorted.length - 1; i >= 0; i--) {
+                if ((sorted[i].absoluteTime || 0) < (current - epsilon)) {
+                    previousMarkers.push(sorted[i]);
+                }
+            }
+            
+            // If we have enough markers, skip by skipCount
+            if (previousMarkers.length >= skipCount) {
+                const targetMarker = previousMarkers[skipCount - 1];
+                return Math.max(targetMarker.absoluteTime, 0);
+            }
+            
+            // If we don't have enough markers, go to the start of the window
+            // or the start of the recording if the window starts at 0
+            const windowStart = this.visibleWindowStart ?? 0;
+            return Math.max(0, windowStart);
+        }
+        // Direction === 1 (forward) - no change necessary for now
+        for (let i = 0; i < sorted.length; i++) {
+            if ((sorted[i].absoluteTime || 0) > (current + epsilon)) {
+                return Math.max(sorted[i].absoluteTime, 0);
+            }
+        }
+        const windowEnd = this.visibleWindowEnd ?? this.lifetimeRecordedDuration;
+        return Math.max(windowEnd, this.lifetimeRecordedDuration);
+    }
+
+    pruneFlashbackMarkers(windowStart, windowEnd) {
+        const cutoff = Math.max(0, windowStart ?? 0);
+        const upper = Math.max(cutoff, windowEnd ?? this.lifetimeRecordedDuration);
+        const before = this.flashbackMarkers.length;
+        this.flashbackMarkers = this.flashbackMarkers.filter(marker => {
+            const t = marker.absoluteTime;
+            if (!Number.isFinite(t)) {
+                return false;
+            }
+            if (t < cutoff - this.markerNavigationEpsilon) {
+                return false;
+            }
+            if (t > this.lifetimeRecordedDuration + this.markerNavigationEpsilon) {
+                return false;
+            }
+            if (upper > cutoff && t > upper + this.markerNavigationEpsilon) {
+                return false;
+            }
+            return true;
+        });
+        return before !== this.flashbackMarkers.length;
+    }
+
+    renderFlashbackMarkers(windowStart, windowEnd, windowDuration, effectiveBarWidthPercent = 100) {
+        if (!this.timelineMarkerLayer) {
+            return;
+        }
+        const layer = this.timelineMarkerLayer;
+        layer.innerHTML = '';
+        if (!Number.isFinite(windowDuration) || windowDuration <= 0) {
+            return;
+        }
+        const start = windowStart ?? 0;
+        const end = windowEnd ?? start;
+        if (this.editedMarkerId !== null && !this.flashbackMarkers.some(marker => marker.id === this.editedMarkerId)) {
+            this.closeMarkerPopover(); // the edited marker left the retained window
+        }
+        const visibleMarkers = this.flashbackMarkers.filter(marker => {
+            const t = marker.absoluteTime;
+            return Number.isFinite(t) && t >= start - this.markerNavigationEpsilon && t <= end + this.markerNavigationEpsilon;
+        });
+        if (visibleMarkers.length === 0) {
+            return;
+        }
+        const widthPercent = Math.min(Math.max(effectiveBarWidthPercent, 0), 100);
+        visibleMarkers.forEach(marker => {
+            const t = marker.absoluteTime;
+            const relative = (t - start) / windowDuration;
+            const clamped = Math.max(0, Math.min(1, relative));
+            const markerEl = document.createElement('div');
+            const classes = ['timeline-marker'];
+            if (marker.source === 'auto' || marker.source === 'motion' || marker.source === 'gap') {
+                classes.push(`timeline-marker--${marker.source}`);
+            }
+            if (marker.category && FlashbackRecorder.MARKER_CATEGORIES[marker.category]) {
+                classes.push(`timeline-marker--cat-${marker.category}`);
+            }
+            if (this.markerNavigationFilter !== 'all' && marker.category !== this.markerNavigationFilter) {
+                classes.push('timeline-marker--dimmed');
+            }
+            if (marker.id === this.editedMarkerId) {
+                classes.push('timeline-marker--selected');
+            }
+            markerEl.className = classes.join(' ');
+            markerEl.dataset.markerId = String(marker.id);
+            markerEl.style.left = `${(clamped * widthPercent).toFixed(3)}%`;
+            markerEl.title = this.getMarkerTitle(marker);
+            layer.appendChild(markerEl);
+        });
+    }
+
+    getMarkerTitle(marker) {
+        const time = this.formatTime(Math.max(0, marker.absoluteTime));
+        let title = time;
+        if (marker.source === 'auto') {
+            title = `Auto · ${time}`;
+        } else if (marker.source === 'motion') {
+            title = `${marker.event === 'stop' ? 'Motion stop' : 'Motion start'} · ${time}`;
+        } else if (marker.source === 'gap') {
+            title = `Gap · ${this.formatDuration(marker.gapSeconds || 0)} not recorded · ${time}`;
+        }
+        const category = FlashbackRecorder.MARKER_CATEGORIES[marker.category];
+        if (marker.label) {
+            title = `${marker.label} · ${title}`;
+        }
+        if (category) {
+            title = `[${category.label}] ${title}`;
+        }
+        return marker.note ? `${title}\n${marker.note}` : title;
+    }
+
+    // === MARKER LABELS, NOTES AND CATEGORIES ===
+
+    static get MARKER_CATEGORIES() {
+        return {
+            good: { label: 'Good' },
+            fix: { label: 'Fix' },
+            question: { label: 'Question' }
+        };
+    }
+
+    initMarkerEditing() {
+        // Markers are re-rendered every timeline tick, so clicks are delegated from the layer
+        if (this.timelineMarkerLayer) {
+            this.timelineMarkerLayer.addEventListener('click', (e) => {
+                const markerEl = e.target.closest('.timeline-marker');
+                if (!markerEl) return;
+                e.stopPropagation(); // don't let the timeline bar seek
+                this.openMarkerPopover(parseInt(markerEl.dataset.markerId, 10), markerEl);
+            });
+            // Context action: right-click deletes the marker (undoable with Ctrl+Z)
+            this.timelineMarkerLayer.addEventListener('contextmenu', (e) => {
+                const markerEl = e.target.closest('.timeline-marker');
+                if (!markerEl) return;
+                e.preventDefault();
+                this.deleteMarkers([parseInt(markerEl.dataset.markerId, 10)]);
+            });
+        }
+        if (this.markerFilterSelect) {
+            this.markerFilterSelect.addEventListener('change', () => {
+                this.markerNavigationFilter = this.markerFilterSelect.value;
+                this.markerFilterSelect.blur(); // arrow keys must go back to marker navigation
+                this.updateTimeline();
+                this.updateMarkerControls();
+            });
+        }
+        if (this.markerPopoverCategories) {
+            const choices = [['', 'None'], ...Object.entries(FlashbackRecorder.MARKER_CATEGORIES).map(([key, cat]) => [key, cat.label])];
+            choices.forEach(([key, label]) => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = key ? `marker-category-btn marker-category-btn--${key}` : 'marker-category-btn';
+                btn.dataset.category = key;
+                btn.textContent = label;
+                btn.addEventListener('click', () => {
+                    this.updateEditedMarker({ category: key || null });
+                });
+                this.markerPopoverCategories.appendChild(btn);
+            });
+        }
+        if (this.markerPopoverLabel) {
+            // Typing only updates the marker; the timeline and the saved state follow on change/close
+            this.markerPopoverLabel.addEventListener('input', () => {
+                this.updateEditedMarker({ label: this.markerPopoverLabel.value.trim() }, { deferred: true });
+            });
+            this.markerPopoverLabel.addEventListener('change', () => this.commitMarkerEdit());
+        }
+        if (this.markerPopoverNote) {
+            this.markerPopoverNote.addEventListener('input', () => {
+                this.updateEditedMarker({ note: this.markerPopoverNote.value.trim() }, { deferred: true });
+            });
+            this.markerPopoverNote.addEventListener('change', () => this.commitMarkerEdit());
+        }
+        if (this.markerPopoverClose) {
+            this.markerPopoverClose.addEventListener('click', () => this.closeMarkerPopover());
+        }
+        if (this.markerPopoverDelete) {
+            this.markerPopoverDelete.addEventListener('click', () => {
+                const markerId = this.editedMarkerId;
+                this.closeMarkerPopover();
+                this.deleteMarkers([markerId]);
+            });
+        }
+        if (this.markerPopoverGoto) {
+            this.markerPopoverGoto.addEventListener('click', () => {
+                const marker = this.flashbackMarkers.find(m => m.id === this.editedMarkerId);
+                this.closeMarkerPopover();
+                if (marker) {
+                    this.seekFlashback(marker.absoluteTime, {
+                        allowFromRecording: true,
+                        allowFromRecordingStopped: true,
+                        allowFromFlashbackPaused: true
+                    });
+                }
+            });
+        }
+        // Close when clicking anywhere else (marker clicks stop propagation before reaching here)
+        document.addEventListener('click', (e) => {
+            if (this.editedMarkerId !== null && this.markerPopover && !this.markerPopover.contains(e.target)) {
+                this.closeMarkerPopover();
+            }
+        });
+    }
+
+    openMarkerPopover(markerId, anchorEl) {
+        const marker = this.flashbackMarkers.find(m => m.id === markerId);
+        if (!marker || !this.markerPopover) return;
+        this.commitMarkerEdit();
+        this.editedMarkerId = markerId;
+        if (this.markerPopoverTime) {
+            this.markerPopoverTime.textContent = this.getMarkerTitle({ ...marker, label: '', note: '', category: null });
+        }
+        if (this.markerPopoverLabel) this.markerPopoverLabel.value = marker.label || '';
+        if (this.markerPopoverNote) this.markerPopoverNote.value = marker.note || '';
+        this.updateMarkerPopoverCategories(marker);
+
+        // Anchor above the clicked marker, kept inside the viewport
+        this.markerPopover.style.display = 'flex';
+        const anchor = anchorEl.getBoundingClientRect();
+        const width = this.markerPopover.offsetWidth;
+        const left = Math.max(8, Math.min(window.innerWidth - width - 8, anchor.left + anchor.width / 2 - width / 2));
+        this.markerPopover.style.left = `${left}px`;
+        this.markerPopover.style.top = `${Math.max(8, anchor.top - this.markerPopover.offsetHeight - 8)}px`;
+        this.updateTimeline();
+        if (this.markerPopoverLabel) this.markerPopoverLabel.focus();
+    }
+
+    closeMarkerPopover() {
+        if (this.editedMarkerId === null) return;
+        this.commitMarkerEdit();
+        this.editedMarkerId = null;
+        if (this.markerPopover) {
+            this.markerPopover.style.display = 'none';
+        }
+        // Give keyboard shortcuts back (they are ignored while an input has focus)
+        if (document.activeElement && this.markerPopover && this.markerPopover.contains(document.activeElement)) {
+            document.activeElement.blur();
+        }
+        this.updateTimeline();
+    }
+
+    updateMarkerPopoverCategories(marker) {
+        if (!this.markerPopoverCategories) return;
+        this.markerPopoverCategories.querySelectorAll('.marker-category-btn').forEach(btn => {
+            btn.classList.toggle('active', (btn.dataset.category || null) === (marker.category || null));
+        });
+    }
+
+    // === MARKER EDITING (delete, move, undo/redo) ===
+
+    initMarkerDragging() {
+        /**
+         * Drag a marker along the timeline bar to move it. The marker elements are rebuilt on every
+         * timeline tick, so the drag is tracked on the document rather than on the element.
+         */
+        if (!this.timelineMarkerLayer || !this.timelineBar) return;
+        this.timelineMarkerLayer.addEventListener('pointerdown', (e) => {
+            const markerEl = e.target.closest('.timeline-marker');
+            if (!markerEl || e.button !== 0) return;
+            const marker = this.flashbackMarkers.find(m => m.id === parseInt(markerEl.dataset.markerId, 10));
+            if (!marker) return;
+            this.markerDrag = { markerId: marker.id, fromTime: marker.absoluteTime, startX: e.clientX, moved: false };
+        });
+        document.addEventListener('pointermove', (e) => {
+            const drag = this.markerDrag;
+            if (!drag) return;
+            if (!drag.moved && Math.abs(e.clientX - drag.startX) < 4) {
+                return; // still a click
+            }
+            drag.moved = true;
+            const marker = this.flashbackMarkers.find(m => m.id === drag.markerId);
+            if (!marker) {
+                this.markerDrag = null;
+                return;
+            }
+            const rect = this.timelineBar.getBoundingClientRect();
+            const target = this.calculateTargetTimeFromClick(e.clientX - rect.left, rect, true);
+            const min = this.visibleWindowStart ?? 0;
+            marker.absoluteTime = Math.max(min, Math.min(target, this.lifetimeRecordedDuration));
+            this.updateTimeline();
+        });
+        document.addEventListener('pointerup', () => {
+            const drag = this.markerDrag;
+            this.markerDrag = null;
+            if (!drag || !drag.moved) return;
+            const marker = this.flashbackMarkers.find(m => m.id === drag.markerId);
+            if (marker && Math.abs(marker.absoluteTime - drag.fromTime) > this.markerNavigationEpsilon) {
+                this.flashbackMarkers.sort((a, b) => a.absoluteTime - b.absoluteTime);
+                this.pushMarkerHistory({ type: 'move', markerId: marker.id, from: drag.fromTime, to: marker.absoluteTime });
+                this.commitMarkerChange();
+            }
+            // The release produces a click on the bar: it must neither seek nor open the popover
+            this.markerDragJustEnded = true;
+            setTimeout(() => { this.markerDragJustEnded = false; }, 0);
+        });
+        this.timelineBar.addEventListener('click', (e) => {
+            if (this.markerDragJustEnded) {
+                e.stopImmediatePropagation();
+                this.markerDragJustEnded = false;
+            }
+        }, true);
+    }
+
+    handleDeleteMarkerKey() {
+        // The marker open in the popover, otherwise the one at the play head (an accidental Shift press)
+        let markerId = this.editedMarkerId;
+        if (markerId === null) {
+            const current = this.getCurrentAbsoluteTime();
+            let nearest = null;
+            this.flashbackMarkers.forEach(marker => {
+                const distance = Math.abs(marker.absoluteTime - current);
+                if (distance <= this.markerDeleteTolerance && (!nearest || distance < nearest.distance)) {
+                    nearest = { id: marker.id, distance };
+                }
+            });
+            markerId = nearest ? nearest.id : null;
+        }
+        if (markerId === null) {
+            return;
+        }
+        this.closeMarkerPopover();
+        this.deleteMarkers([markerId]);
+    }
+
+    deleteMarkers(markerIds) {
+        const ids = new Set(markerIds);
+        const removed = this.flashbackMarkers.filter(marker => ids.has(marker.id));
+        if (removed.length === 0) {
+            return;
+        }
+        if (this.editedMarkerId !== null && ids.has(this.editedMarkerId)) {
+            this.closeMarkerPopover();
+        }
+        this.flashbackMarkers = this.flashbackMarkers.filter(marker => !ids.has(marker.id));
+        this.pushMarkerHistory({ type: 'delete', markers: removed.map(marker => ({ ...marker })) });
+        this.commitMarkerChange();
+    }
+
+    deleteAllMarkers() {
+        const count = this.flashbackMarkers.length;
+        if (count === 0) {
+            return;
+        }
+        this.deleteMarkers(this.flashbackMarkers.map(marker => marker.id));
+        this.showMessage(`${count} marker${count > 1 ? 's' : ''} deleted - Ctrl+Z to undo`, 'info');
+    }
+
+    pushMarkerHistory(entry) {
+        this.markerUndoStack.push(entry);
+        if (this.markerUndoStack.length > this.markerHistoryLimit) {
+            this.markerUndoStack.shift();
+        }
+        this.markerRedoStack = [];
+    }
+
+    applyMarkerHistoryEntry(entry, reverse) {
+        // 'add' undone = delete, 'delete' undone = add back; 'move' swaps from/to
+        const adding = (entry.type === 'add') !== reverse;
+        if (entry.type === 'move') {
+            const marker = this.flashbackMarkers.find(m => m.id === entry.markerId);
+            if (marker) {
+                marker.absoluteTime = reverse ? entry.from : entry.to;
+            }
+        } else if (adding) {
+            const existing = new Set(this.flashbackMarkers.map(marker => marker.id));
+            entry.markers.forEach(marker => {
+                if (!existing.has(marker.id)) {
+                    this.flashbackMarkers.push({ ...marker });
+                }
+            });
+        } else {
+            const ids = new Set(entry.markers.map(marker => marker.id));
+            if (this.editedMarkerId !== null && ids.has(this.editedMarkerId)) {
+                this.closeMarkerPopover();
+            }
+            this.flashbackMarkers = this.flashbackMarkers.filter(marker => !ids.has(marker.id));
+        }
+        this.flashbackMarkers.sort((a, b) => a.absoluteTime - b.absoluteTime);
+        this.commitMarkerChange();
+    }
+
+    undoMarkerChange() {
+        const entry = this.markerUndoStack.pop();
+        if (!entry) return;
+        this.applyMarkerHistoryEntry(entry, true);
+        this.markerRedoStack.push(entry);
+    }
+
+    redoMarkerChange() {
+        const entry = this.markerRedoStack.pop();
+        if (!entry) return;
+        this.applyMarkerHistoryEntry(entry, false);
+        this.markerUndoStack.push(entry);
+    }
+
+    commitMarkerChange() {
+        this.updateTimeline();
+        this.updateMarkerControls();
+        this.persistBufferState();
+    }
+
+    updateEditedMarker(changes, { deferred = false } = {}) {
+        const marker = this.flashbackMarkers.find(m => m.id === this.editedMarkerId);
+        if (!marker) return;
+        Object.assign(marker, changes);
+        this.markerEditPending = true;
+        if (!deferred) {
+            this.updateMarkerPopoverCategories(marker);
+            this.commitMarkerEdit();
+        }
+    }
+
+    commitMarkerEdit() {
+        if (!this.markerEditPending) return;
+        this.markerEditPending = false;
+        this.updateTimeline();
+        this.updateMarkerControls();
+        this.persistBufferState();
+    }
+
+    updateMarkerControls() {
+        const isTransitioning = this.state === 'transitioning';
+        const timelineVisible = !!this.timelineContainer;
+        const canAdd = !isTransitioning && (this.state === 'recording' || this.state === 'flashback' || this.state === 'flashbackPaused');
+        const hasMarkers = this.getNavigableMarkers().length > 0;
+        const hasData = this.lifetimeRecordedDuration > 0 || this.recordedSessions.length > 0 || this.chunkBuffer.length > 0;
+        const canNavigateState = !isTransitioning && (this.state === 'recording' || this.state === 'flashback' || this.state === 'flashbackPaused' || this.state === 'recordingStopped');
+        const canNavigate = timelineVisible && canNavigateState && hasMarkers && hasData;
+
+        if (this.addMarkerBtn) {
+            this.addMarkerBtn.disabled = !canAdd;
+        }
+        if (this.prevMarkerBtn) {
+            this.prevMarkerBtn.disabled = !canNavigate;
+        }
+        if (this.nextMarkerBtn) {
+            this.nextMarkerBtn.disabled = !canNavigate;
+        }
+        if (this.clearMarkersBtn) {
+            this.clearMarkersBtn.disabled = this.flashbackMarkers.length === 0;
+        }
+        if (this.exportClipBtn) {
+            this.exportClipBtn.disabled = isTransitioning || !hasData || this.isExportingClip;
+        }
+    }
+
+    // === INACTIVITY MONITORING (BUG-021) ===
+
+    startInactivityMonitor() {
+        if (this.inactivityTimeout) return;
+        // Réinitialiser le timestamp d'activité sur événements utilisateur
+        const updateActivity = () => {
+            this.lastActivityTime = Date.now();
+            this.inactivityWarningShown = false; // Réinitialiser l'alerte
+        };
+        
+        const mousemoveHandler = updateActivity;
+        const keydownHandler = updateActivity;
+        const touchstartHandler = updateActivity;
+        
+        window.addEventListener('mousemove', mousemoveHandler);
+        window.addEventListener('keydown', keydownHandler);
+        window.addEventListener('touchstart', touchstartHandler);
+        
+        // Stocker les handlers pour cleanup
+        this.inactivityEventListeners = [
+            { event: 'mousemove', handler: mousemoveHandler },
+            { event: 'keydown', handler: keydownHandler },
+            { event: 'touchstart', handler: touchstartHandler }
+        ];
+
+        // Checker d'inactivité toutes les 10s
+        this.inactivityTimeout = setInterval(() => {
+            const inactiveTime = Date.now() - this.lastActivityTime;
+            const dontShowAgain = localStorage.getItem('disableInactivityWarning') === 'true';
+            if (inactiveTime > 300000 && !this.inactivityWarningShown && !dontShowAgain) { // 5 minutes (300000 ms)
+                this.showInactivityWarning();
+                this.inactivityWarningShown = true;
+            }
+        }, 10000); // Vérifier toutes les 10s
+    }
+
+    stopInactivityMonitor() {
+        if (this.inactivityTimeout) {
+            clearInterval(this.inactivityTimeout);
+            this.inactivityTimeout = null;
+        }
+        
+        // Retirer les event listeners
+        this.inactivityEventListeners.forEach(({ event, handler }) => {
+            window.removeEventListener(event, handler);
+        });
+        this.inactivityEventListeners = [];
+    }
+
+    showInactivityWarning() {
+        // Créer un modal surimpression
+        const modal = document.createElement('div');
+        modal.style.position = 'fixed';
+        modal.style.top = '0';
+        modal.style.left = '0';
+        modal.style.width = '100%';
+        modal.style.height = '100%';
+        modal.style.background = 'rgba(0, 0, 0, 0.7)';
+        modal.style.display = 'flex';
+        modal.style.justifyContent = 'center';
+        modal.style.alignItems = 'center';
+        modal.style.zIndex = '10000';
+        modal.id = 'inactivityWarningModal';
+
+        const content = document.createElement('div');
+        content.style.background = 'white';
+        content.style.color = 'black';
+        content.style.padding = '24px';
+        content.style.borderRadius = '8px';
+        content.style.maxWidth = '500px';
+        content.style.textAlign = 'center';
+        content.style.boxShadow = '0 4px 16px rgba(0, 0, 0, 0.4)';
+
+        const message = document.createElement('p');
+        message.textContent = 'If your device goes to sleep, it may disrupt the ongoing recording. Check your device settings and disable any sleep or power-saving modes.';
+        message.style.marginBottom = '20px';
+        message.style.lineHeight = '1.5';
+        content.appendChild(message);
+
+        const checkboxContainer = document.createElement('div');
+        checkboxContainer.style.marginBottom = '20px';
+        checkboxContainer.style.textAlign = 'left';
+        checkboxContainer.style.display = 'flex';
+        checkboxContainer.style.alignItems = 'center';
+        checkboxContainer.style.justifyContent = 'center';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = 'dontShowAgain';
+        checkbox.style.marginRight = '8px';
+        checkboxContainer.appendChild(checkbox);
+
+        const label = document.createElement('label');
+        label.htmlFor = 'dontShowAgain';
+        label.textContent = 'Do not show this message again';
+        label.style.cursor = 'pointer';
+        checkboxContainer.appendChild(label);
+        content.appendChild(checkboxContainer);
+
+        const okButton = document.createElement('button');
+        okButton.textContent = 'OK';
+        okButton.style.background = '#007bff';
+        okButton.style.color = 'white';
+        okButton.style.border = 'none';
+        okButton.style.padding = '10px 24px';
+        okButton.style.borderRadius = '4px';
+        okButton.style.cursor = 'pointer';
+        okButton.style.fontSize = '14px';
+        okButton.onclick = () => {
+            if (checkbox.checked) {
+                localStorage.setItem('disableInactivityWarning', 'true');
+            }
+            document.body.removeChild(modal);
+        };
+        content.appendChild(okButton);
+
+        modal.appendChild(content);
+        document.body.appendChild(modal);
+    }
+
+    // === ONBOARDING AND TOOLTIPS (UX-003) ===
+
+    showOnboardingIfFirstTime() {
+        const onboardingShown = localStorage.getItem('flashbackOnboardingShown') === 'true';
+        if (!onboardingShown) {
+            this.onboardingCurrentStep = 0;
+            this.showOnboardingModal();
+        }
+    }
+
+    showOnboardingModal() {
+        // Remove existing modal if any
+        const existingModal = document.getElementById('onboardingModal');
+        if (existingModal) {
+            existingModal.remove();
+        }
+
+        const modal = document.createElement('div');
+        modal.id = 'onboardingModal';
+        modal.style.position = 'fixed';
+        modal.style.top = '0';
+        modal.style.left = '0';
+        modal.style.width = '100%';
+        modal.style.height = '100%';
+        modal.style.background = 'rgba(0, 0, 0, 0.7)';
+        modal.style.display = 'flex';
+        modal.style.justifyContent = 'center';
+        modal.style.alignItems = 'center';
+        modal.style.zIndex = '10001';
+        modal.style.opacity = '0';
+        modal.style.transition = 'opacity 0.3s ease';
+
+        const steps = [
+            "Welcome! Flashback Mirror records continuously to help you easily review yourself and improve (sports, dance, performing arts, public speaking...).",
+            `Use ${this.getShortcutLabel('back')} to go back in time (includes video and audio – be careful if in public! 😉).`,
+            "Click on the timeline to review a specific moment.",
+            "Recording has started automatically. Happy training!"
+        ];
+
+        const content = document.createElement('div');
+        content.style.background = 'white';
+        content.style.color = 'black';
+        content.style.padding = '32px';
+        content.style.borderRadius = '12px';
+        content.style.maxWidth = '500px';
+        content.style.textAlign = 'center';
+        content.style.boxShadow = '0 8px 32px rgba(0, 0, 0, 0.3)';
+        content.style.position = 'relative';
+
+        const stepText = document.createElement('p');
+        stepText.style.fontSize = '16px';
+        stepText.style.lineHeight = '1.6';
+        stepText.style.marginBottom = '24px';
+        stepText.style.minHeight = '60px';
+        stepText.textContent = steps[this.onboardingCurrentStep] + ` (${this.onboardingCurrentStep + 1}/4)`;
+        content.appendChild(stepText);
+
+        const checkboxContainer = document.createElement('div');
+        checkboxContainer.style.marginBottom = '20px';
+        checkboxContainer.style.textAlign = 'left';
+        checkboxContainer.style.display = 'flex';
+        checkboxContainer.style.alignItems = 'center';
+        checkboxContainer.style.justifyContent = 'center';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = 'neverShowOnboarding';
+        checkbox.style.marginRight = '8px';
+        checkboxContainer.appendChild(checkbox);
+
+        const label = document.createElement('label');
+        label.htmlFor = 'neverShowOnboarding';
+        label.textContent = 'Never show tutorial again';
+        label.style.cursor = 'pointer';
+        label.style.fontSize = '14px';
+        checkboxContainer.appendChild(label);
+        content.appendChild(checkboxContainer);
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.style.display = 'flex';
+        buttonContainer.style.gap = '12px';
+        buttonContainer.style.justifyContent = 'center';
+
+        if (this.onboardingCurrentStep < 3) {
+            const nextButton = document.createElement('button');
+            nextButton.textContent = 'Next';
+            nextButton.style.background = '#007bff';
+            nextButton.style.color = 'white';
+            nextButton.style.border = 'none';
+            nextButton.style.padding = '10px 24px';
+            nextButton.style.borderRadius = '6px';
+            nextButton.style.cursor = 'pointer';
+            nextButton.style.fontSize = '14px';
+            nextButton.style.fontWeight = '500';
+            nextButton.onclick = () => {
+                this.onboardingCurrentStep++;
+                if (this.onboardingCurrentStep < 4) {
+                    modal.remove();
+                    this.showOnboardingModal();
+                } else {
+                    this.closeOnboardingModal(checkbox.checked);
+                }
+            };
+            buttonContainer.appendChild(nextButton);
+        } else {
+            const okButton = document.createElement('button');
+            okButton.textContent = 'OK';
+            okButton.style.background = '#007bff';
+            okButton.style.color = 'white';
+            okButton.style.border = 'none';
+            okButton.style.padding = '10px 24px';
+            okButton.style.borderRadius = '6px';
+            okButton.style.cursor = 'pointer';
+            okButton.style.fontSize = '14px';
+            okButton.style.fontWeight = '500';
+            okButton.onclick = () => {
+                this.closeOnboardingModal(checkbox.checked);
+            };
+            buttonContainer.appendChild(okButton);
+        }
+
+        content.appendChild(buttonContainer);
+        modal.appendChild(content);
+
+        // Close on outside click
+        modal.onclick = (e) => {
+            if (e.target === modal) {
+                // If clicking outside, don't show remaining steps
+                localStorage.setItem('flashbackOnboardingShown', 'true');
+                modal.remove();
+            }
+        };
+
+        document.body.appendChild(modal);
+        this.onboardingModal = modal;
+
+        // Fade in
+        setTimeout(() => {
+            modal.style.opacity = '1';
+        }, 10);
+    }
+
+    closeOnboardingModal(neverShowAgain) {
+        if (this.onboardingModal) {
+            this.onboardingModal.style.opacity = '0';
+            setTimeout(() => {
+                if (this.onboardingModal && this.onboardingModal.parentNode) {
+                    this.onboardingModal.remove();
+                }
+                this.onboardingModal = null;
+            }, 300);
+        }
+        if (neverShowAgain) {
+            localStorage.setItem('flashbackOnboardingShown', 'true');
+        }
+    }
+
+    initContextualTooltips() {
+        // Timeline tooltip
+        if (this.timelineBar) {
+            this.addTooltip(this.timelineBar, 'Click to jump to a specific moment.');
+        }
+        if (this.photoTimelineScroll) {
+            this.addTooltip(this.photoTimelineScroll, 'Click to jump to a specific moment.');
+        }
+        // Audio timeline (waveform) tooltip
+        if (this.waveformCanvas) {
+            this.addTooltip(this.waveformCanvas, 'Click to jump to a specific moment.');
         }
-    }
 
-    hasAvailableChunks() {
-        /**
-         * Check if chunks are available for re-extraction.
-         * Checks currentSessionChunks and finalized sessions in sessionMap.
-         * This is consistent with reExtractPhotoFramesFromStart() which uses these sources.
-         */
-        const hasCurrentSessionChunks = this.currentSessionChunks && this.currentSessionChunks.length > 0;
-        
-        // Check if any finalized session has chunks
-        let hasFinalizedSessions = false;
-        if (this.sessionMap && this.sessionMap.size > 0) {
-            for (const session of this.sessionMap.values()) {
-                if (session.chunks && session.chunks.length > 0) {
-                    hasFinalizedSessions = true;
-                    break;
-                }
-            }
+        // Navigation buttons tooltips
+        if (this.flashbackBtn) {
+            this.addTooltip(this.flashbackBtn, 'Go back in time (quick repeated presses increase the distance).');
+        }
+        if (this.forwardBtn) {
+            this.addTooltip(this.forwardBtn, 'Go forward in time (quick repeated presses increase the distance).');
         }
-        
-        return hasCurrentSessionChunks || hasFinalizedSessions;
-    }
 
-    async recalculatePhotoExtractionInterval(isFromResize = false) {
-        console.log('recalculatePhotoExtractionInterval: Buffer states', {
-            chunkBufferLength: this.chunkBuffer ? this.chunkBuffer.length : 0,
-            currentSessionChunksLength: this.currentSessionChunks ? this.currentSessionChunks.length : 0
-        });
-        /**
-         * Recalculate photo extraction interval and handle re-extraction if needed.
-         * Called when timeline dimensions or maxDuration change.
-         * Works even if photoExtractionActive is false, as long as chunks are available.
-         */
-        if (!this.showPhotoTimeline) {
-            return; // Timeline not visible, no need to recalculate
+        // Marker buttons tooltips
+        if (this.addMarkerBtn) {
+            this.addTooltip(this.addMarkerBtn, 'Create a marker. Navigate to previous/next marker with the Up/Down buttons.');
         }
-        
-        const oldInterval = this.currentPhotoExtractionInterval;
-        const newInterval = this.calculatePhotoExtractionInterval();
-        
-        console.log('recalculatePhotoExtractionInterval: Called', {
-            oldInterval,
-            newInterval,
-            hasChunks: this.hasAvailableChunks(),
-            hasExistingFrames: this.photoFrames.length > 0,
-            currentSessionChunksCount: this.currentSessionChunks ? this.currentSessionChunks.length : 0,
-            finalizedSessionsCount: this.sessionMap ? this.sessionMap.size : 0,
-            photoFramesLength: this.photoFrames.length,
-            photoExtractionActive: this.photoExtractionActive
-        });
-        
-        if (newInterval === null) {
-            console.warn('recalculatePhotoExtractionInterval: Invalid new interval, aborting');
-            return;
+        if (this.prevMarkerBtn) {
+            this.addTooltip(this.prevMarkerBtn, 'Navigate to previous marker.');
         }
-        
-        const difference = Math.abs(newInterval - (oldInterval || 0));
-        const differencePercent = oldInterval ? (difference / oldInterval * 100).toFixed(2) + '%' : 'N/A';
-        
-        console.log('recalculatePhotoExtractionInterval: Checking difference', { difference, differencePercent });
-        
-        this.currentPhotoExtractionInterval = newInterval;
-        
-        const hasChunks = this.hasAvailableChunks();
-        
-        if (difference > 0 || isFromResize) {  // Force re-extraction on resize
-            if (hasChunks) {
-                console.log('recalculatePhotoExtractionInterval: Interval changed or resize detected, re-extracting frames', { differencePercent, newInterval });
-                this.photoFrames = [];  // Clear existing frames
-                await this.reExtractPhotoFramesFromStart();
-            } else if (this.photoFrames.length > 0) {
-                console.log('recalculatePhotoExtractionInterval: Interval changed, but no chunks available - refreshing existing frames');
-                this.renderPhotoTimeline();
-            } else {
-                console.log('recalculatePhotoExtractionInterval: Interval changed, but no chunks or frames available');
-            }
-        } else {
-            console.log('recalculatePhotoExtractionInterval: Interval unchanged, just refreshing display');
-            if (this.showPhotoTimeline) {
-                this.renderPhotoTimeline();
-            }
+        if (this.nextMarkerBtn) {
+            this.addTooltip(this.nextMarkerBtn, 'Navigate to next marker.');
+        }
+        if (this.exportClipBtn) {
+            this.addTooltip(this.exportClipBtn, 'Download the retained recording as a WebM file. During a flashback between two markers, only that range is exported.');
         }
     }
 
-    startPhotoExtraction() {
-        if (!this.showPhotoTimeline) return;
+    addTooltip(element, text) {
+        if (!element || !text) return;
 
-        // Stop any existing extraction
-        this.stopPhotoExtraction();
+        let tooltip = null;
 
-        // Activate extraction flag
-        this.photoExtractionActive = true;
+        const showTooltip = (e) => {
+            if (tooltip) return; // Already showing
 
-        // Calculate extraction interval based on visible window
-        const interval = this.calculatePhotoExtractionInterval();
-        this.currentPhotoExtractionInterval = interval;
-        
-        // Store recording start time for accurate timestamps
-        this.lastPhotoExtractionTime = Date.now();
-        const recordingStartTime = this.lastPhotoExtractionTime;
-        const recordingStartDuration = this.lifetimeRecordedDuration || 0;
+            tooltip = document.createElement('div');
+            tooltip.className = 'contextual-tooltip';
+            tooltip.textContent = text;
+            tooltip.style.position = 'absolute';
+            tooltip.style.background = 'rgba(0, 0, 0, 0.85)';
+            tooltip.style.color = 'white';
+            tooltip.style.padding = '8px 12px';
+            tooltip.style.borderRadius = '6px';
+            tooltip.style.fontSize = '13px';
+            tooltip.style.zIndex = '10000';
+            tooltip.style.pointerEvents = 'none';
+            tooltip.style.whiteSpace = 'nowrap';
+            tooltip.style.maxWidth = '250px';
+            tooltip.style.whiteSpace = 'normal';
+            tooltip.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.3)';
 
-        // Extract frames periodically
-        const extractFrame = () => {
-            // Check if extraction is still active
-            if (!this.photoExtractionActive || !this.showPhotoTimeline) {
-                return; // Stop if disabled or inactive
-            }
+            document.body.appendChild(tooltip);
 
-            // Only extract during recording
-            if (this.state !== 'recording' || !this.videoPreview) {
-                // Not recording, stop extraction
-                return;
+            // Position tooltip
+            const rect = element.getBoundingClientRect();
+            const tooltipRect = tooltip.getBoundingClientRect();
+            
+            // Position above by default, adjust if needed
+            let top = rect.top - tooltipRect.height - 8;
+            let left = rect.left + (rect.width / 2) - (tooltipRect.width / 2);
+
+            // Adjust if tooltip goes off screen
+            if (top < 0) {
+                top = rect.bottom + 8; // Show below instead
+            }
+            if (left < 0) {
+                left = 8;
+            }
+            if (left + tooltipRect.width > window.innerWidth) {
+                left = window.innerWidth - tooltipRect.width - 8;
             }
 
-            // Determine source video and calculate timestamp
-            const sourceVideo = this.videoPreview;
-            const now = Date.now();
-            const elapsedSinceRecordingStart = (now - recordingStartTime) / 1000;
-            const currentTime = recordingStartDuration + elapsedSinceRecordingStart;
+            tooltip.style.top = top + 'px';
+            tooltip.style.left = left + 'px';
 
-            if (!sourceVideo || sourceVideo.readyState < 2) {
-                // Video not ready, retry later
-                setTimeout(extractFrame, 500);
-                return;
+            // Fade in
+            tooltip.style.opacity = '0';
+            tooltip.style.transition = 'opacity 0.2s ease';
+            setTimeout(() => {
+                if (tooltip) tooltip.style.opacity = '1';
+            }, 10);
+        };
+
+        const hideTooltip = () => {
+            if (tooltip) {
+                tooltip.style.opacity = '0';
+                setTimeout(() => {
+                    if (tooltip && tooltip.parentNode) {
+                        tooltip.remove();
+                    }
+                    tooltip = null;
+                }, 200);
             }
+        };
 
-            // Extract frame from video
-            const imageData = this.extractFrameFromVideo(currentTime, sourceVideo);
-            
-            if (imageData) {
-                // Check if frame already exists at this timestamp (avoid duplicates)
-                const epsilon = 0.1; // 100ms tolerance
-                const existingFrame = this.photoFrames.find(frame => 
-                    Math.abs(frame.timestamp - currentTime) < epsilon
-                );
+        element.addEventListener('mouseenter', showTooltip);
+        element.addEventListener('mouseleave', hideTooltip);
+        element.addEventListener('click', hideTooltip);
 
-                if (!existingFrame) {
-                    // Store frame with timestamp
-                    this.photoFrames.push({
-                        timestamp: currentTime,
-                        imageData: imageData,
-                        thumbnail: imageData // For now, use same data for thumbnail
-                    });
+        this.tooltipElements.set(element, { showTooltip, hideTooltip, tooltip });
+    }
 
-                    // Sort frames by timestamp
-                    this.photoFrames.sort((a, b) => a.timestamp - b.timestamp);
+    showFirstFlashbackOverlay() {
+        const firstFlashbackShown = localStorage.getItem('flashbackFirstTimeShown') === 'true';
+        if (firstFlashbackShown) return;
 
-                    // Limit number of frames stored (max 200 for memory management)
-                    if (this.photoFrames.length > 200) {
-                        // Remove oldest frames outside visible window
-                        const { windowStart } = this.calculateVisibleWindow();
-                        this.photoFrames = this.photoFrames.filter(frame => 
-                            frame.timestamp >= windowStart - 10 // Keep 10s margin
-                        );
-                    }
-                }
+        const overlay = document.createElement('div');
+        overlay.id = 'firstFlashbackOverlay';
+        overlay.style.position = 'fixed';
+        overlay.style.top = '50%';
+        overlay.style.left = '50%';
+        overlay.style.transform = 'translate(-50%, -50%)';
+        overlay.style.background = 'rgba(0, 0, 0, 0.85)';
+        overlay.style.color = 'white';
+        overlay.style.padding = '20px 32px';
+        overlay.style.borderRadius = '8px';
+        overlay.style.fontSize = '16px';
+        overlay.style.fontWeight = '500';
+        overlay.style.zIndex = '10000';
+        overlay.style.textAlign = 'center';
+        overlay.style.boxShadow = '0 4px 16px rgba(0, 0, 0, 0.4)';
+        overlay.textContent = 'You are in flashback mode. Use Esc to record again.';
 
-                this.lastPhotoExtractionTime = Date.now();
-                
-                // Update display
-                this.renderPhotoTimeline();
+        document.body.appendChild(overlay);
+
+        // Auto-dismiss after 5 seconds
+        setTimeout(() => {
+            if (overlay && overlay.parentNode) {
+                overlay.style.opacity = '0';
+                overlay.style.transition = 'opacity 0.3s ease';
+                setTimeout(() => {
+                    if (overlay && overlay.parentNode) {
+                        overlay.remove();
+                    }
+                }, 300);
             }
+        }, 5000);
 
-            // Schedule next extraction (recalculate interval each time to handle dynamic changes)
-            const nextInterval = this.calculatePhotoExtractionInterval();
-            this.currentPhotoExtractionInterval = nextInterval;
-            setTimeout(extractFrame, nextInterval * 1000);
+        // Also allow manual dismissal
+        overlay.onclick = () => {
+            overlay.style.opacity = '0';
+            overlay.style.transition = 'opacity 0.3s ease';
+            setTimeout(() => {
+                if (overlay && overlay.parentNode) {
+                    overlay.remove();
+                }
+            }, 300);
         };
 
-        // Start extraction
-        extractFrame();
+        localStorage.setItem('flashbackFirstTimeShown', 'true');
     }
 
-    stopPhotoExtraction() {
-        // Deactivate extraction flag to stop extraction
-        this.photoExtractionActive = false;
-        // Don't reset currentPhotoExtractionInterval to null - keep it for comparison during resize
-        // It will be updated when recalculatePhotoExtractionInterval() is called
-    }
+    // === BUFFER PERSISTENCE (IndexedDB) ===
 
-    async handleTimelineResize() {
+    async restorePersistedBuffer() {
         /**
-         * Unified handler for timeline resize events.
-         * Updates both waveform and photo timeline when window is resized.
-         * Uses debounce to avoid too frequent recalculations during resize.
+         * Rebuild the rolling buffer from the segments persisted by a previous page.
+         * Recovered segments become regular finalized sessions: the timeline, markers and
+         * MSE flashback work on them exactly as if they had just been recorded.
          */
-        // Resize and refresh waveform
-        if (this.showWaveform && this.waveformCanvas) {
-            this.resizeWaveformCanvas();
-            // renderWaveform() is already called in resizeWaveformCanvas()
-        }
-        
-        // Refresh photo timeline
-        if (this.showPhotoTimeline && this.photoTimelineScroll) {
-            // Force layout recalculation before rendering to get accurate width
-            if (this.photoTimelineContainer) {
-                void this.photoTimelineContainer.offsetWidth; // Force reflow
+        try {
+            const { segments, state } = await this.storageManager.loadAll();
+            if (segments.length === 0) {
+                return;
             }
-            // Recalculate interval and trigger re-extraction if needed
-            // This will handle re-extraction from chunks even if not currently extracting
-            // Wait for completion to ensure frames are extracted before rendering
-            await this.recalculatePhotoExtractionInterval();
-        }
-    }
 
-    startPhotoTimelineRefresh() {
-        // Stop any existing refresh interval
-        this.stopPhotoTimelineRefresh();
-        
-        // Refresh photo timeline every 100ms for smooth translation
-        this.photoTimelineRefreshInterval = setInterval(() => {
-            if (this.showPhotoTimeline && this.photoTimelineScroll) {
-                this.renderPhotoTimeline();
+            let lastAbsoluteEnd = 0;
+            segments.forEach(record => {
+                const mimeType = record.mimeType || 'video/webm';
+                const chunks = (record.chunks || []).filter(chunk => chunk && chunk.blob).map(chunk => ({
+                    id: ++this.currentChunkSequence,
+                    blob: chunk.blob,
+                    duration: chunk.duration || 0,
+                    mimeType: chunk.blob.type || mimeType,
+                    sessionId: record.id,
+                    createdAt: chunk.createdAt,
+                    isSessionHeader: !!chunk.isSessionHeader,
+                    isPreRoll: false,
+                    absoluteStart: chunk.absoluteStart,
+                    absoluteEnd: chunk.absoluteEnd
+                }));
+                if (chunks.length === 0) {
+                    this.forgetPersistedSegment(record.id);
+                    return;
+                }
+                const duration = chunks.reduce((sum, chunk) => sum + chunk.duration, 0);
+                const headerChunk = chunks.find(chunk => chunk.isSessionHeader);
+                const session = {
+                    id: record.id,
+                    chunks,
+                    chunkCount: chunks.length,
+                    duration,
+                    playableDuration: duration,
+                    startTime: 0,
+                    endTime: 0,
+                    mimeType,
+                    videoSize: record.videoSize || null,
+                    createdAt: record.createdAt || Date.now(),
+                    blobUrl: null,
+                    headerBlob: headerChunk ? headerChunk.blob : (record.headerBlob || null),
+                    preRollDuration: 0,
+                    absoluteStart: record.absoluteStart,
+                    absoluteEnd: record.absoluteEnd
+                };
+                this.refreshSessionBounds(session);
+
+                this.recordedSessions.push(session);
+                this.sessionMap.set(session.id, session);
+                this.chunkBuffer.push(...chunks);
+                this._bufferedDuration += duration;
+                this.currentSessionIdCounter = Math.max(this.currentSessionIdCounter, session.id);
+                lastAbsoluteEnd = Math.max(lastAbsoluteEnd, session.absoluteEnd || 0);
+            });
+
+            if (this.recordedSessions.length === 0) {
+                return;
             }
-        }, 100);
-    }
 
-    stopPhotoTimelineRefresh() {
-        if (this.photoTimelineRefreshInterval) {
-            clearInterval(this.photoTimelineRefreshInterval);
-            this.photoTimelineRefreshInterval = null;
+            // New chunks continue after the recovered material on the absolute timeline
+            this.lifetimeRecordedDuration = Math.max(
+                lastAbsoluteEnd,
+                Number.isFinite(state?.lifetimeRecordedDuration) ? state.lifetimeRecordedDuration : 0
+            );
+            this.lastFinalizedSessionId = this.recordedSessions[this.recordedSessions.length - 1].id;
+
+            const markers = Array.isArray(state?.markers) ? state.markers : [];
+            markers
+                .filter(marker => Number.isFinite(marker?.absoluteTime) && marker.absoluteTime <= this.lifetimeRecordedDuration)
+                .forEach(marker => {
+                    this.flashbackMarkers.push({
+                        ...marker,
+                        id: ++this.flashbackMarkerIdCounter,
+                        source: marker.source || 'manual',
+                        createdAt: performance.now()
+                    });
+                });
+            this.flashbackMarkers.sort((a, b) => a.absoluteTime - b.absoluteTime);
+
+            const pinnedRanges = Array.isArray(state?.pinnedRanges) ? state.pinnedRanges : [];
+            this.pinnedRanges = pinnedRanges
+                .filter(range => Number.isFinite(range?.start) && Number.isFinite(range?.end) && range.end > range.start)
+                .map(range => ({ id: ++this.pinnedRangeIdCounter, start: range.start, end: range.end }));
+            // Flag before trimming so pinned segments beyond the window become keepers again
+            this.refreshPinnedFlags();
+
+            // The saved max duration may be shorter than what was persisted
+            this.recomputeSessionBoundaries();
+            this.trimBufferToMaxDuration();
+            this.enforceRollingBuffer();
+            this.allSessions = [...this.recordedSessions];
+            this.updateTimeline();
+            this.updateMarkerControls();
+            this.renderKeepersStrip();
+            this.updateDebugPanel();
+
+            const recovered = this.recordedSessions.reduce((sum, session) => sum + (session.duration || 0), 0);
+            this.showMessage(`Recovered ${this.formatTime(recovered)} of recording from the previous session`, 'success');
+            this.debugLogState('restore:end', { sessions: this.recordedSessions.length, recovered });
+        } catch (error) {
+            console.warn('Could not restore the persisted buffer:', error);
         }
     }
 
-    renderPhotoTimeline() {
-        if (!this.photoTimelineScroll || !this.showPhotoTimeline) return;
+    persistSegment(session) {
+        if (!session || !this.storageManager.isAvailable) {
+            return;
+        }
+        this.storageManager.saveSegment(session).catch(error => this.handlePersistenceError(error));
+    }
 
-        // Force complete refresh: remove all children and reset styles
-        while (this.photoTimelineScroll.firstChild) {
-            this.photoTimelineScroll.removeChild(this.photoTimelineScroll.firstChild);
+    forgetPersistedSegment(sessionId) {
+        if (!this.storageManager.isAvailable) {
+            return;
         }
-        this.photoTimelineScroll.innerHTML = '';
+        this.storageManager.deleteSegment(sessionId).catch(error => this.handlePersistenceError(error));
+    }
 
-        // Calculate visible time range using same logic as timeline
-        const { windowStart, windowEnd, windowDuration } = this.calculateVisibleWindow();
-        
-        if (windowDuration <= 0) {
+    persistBufferState() {
+        if (!this.storageManager.isAvailable) {
             return;
         }
+        const state = {
+            lifetimeRecordedDuration: this.lifetimeRecordedDuration,
+            // ids and createdAt are per-page: everything else describes the marker
+            markers: this.flashbackMarkers.map(({ id, createdAt, ...marker }) => marker),
+            pinnedRanges: this.pinnedRanges.map(({ start, end }) => ({ start, end }))
+        };
+        this.storageManager.saveState(state).catch(error => this.handlePersistenceError(error));
+    }
 
-        // Filter frames in visible range
-        const totalFramesBeforeFilter = this.photoFrames.length;
-        const visibleFrames = this.photoFrames.filter(frame => {
-            return frame.timestamp >= windowStart && frame.timestamp <= windowEnd;
-        });
+    handlePersistenceError(error) {
+        // Typically QuotaExceededError: recording keeps working in memory, only reload recovery is lost
+        console.warn('Buffer persistence failed:', error);
+        if (!this.persistenceErrorShown) {
+            this.persistenceErrorShown = true;
+            this.addAlert('Could not save the recording to browser storage - it will not survive a reload', 'error');
+        }
+    }
 
-        // Calculate interval for positioning
-        const interval = this.calculatePhotoExtractionInterval();
-        
-        // Use factorized function to get accurate container width (same as waveform)
-        const containerWidth = this.getContainerWidth(this.photoTimelineContainer);
-        
-        // Don't force style.width - let CSS (width: 100%) handle automatic resizing
+    // === STARTING AND STOPPING RECORDING ===
 
-        if (visibleFrames.length === 0) {
-            return; // No frames to display
+    async startRecording() {
+        try {
+            this.finalizePendingSession();
+            // Clean up any previous source blob before starting
+            if (this.videoPreview) {
+                this.videoPreview.src = '';
+                // Don't set srcObject to null if we already have a stream - we want to reuse it
+                // We'll reattach just after
+                if (this.videoPreview.srcObject && this.videoPreview.srcObject !== this.stream) {
+                    this.videoPreview.srcObject = null;
+                }
+            }
+            // Don't get a new stream if we already have one active
+            if (!this.stream || (this.stream && !this.stream.active)) {
+                if (this.stream) {
+                    // Stop the old stream before obtaining a new one
+                    this.stream.getTracks().forEach(track => track.stop());
+                }
+
+                this.stream = await this.openCaptureStream();
+                this.watchStreamTracks(this.stream);
+
+                // Debug logging to inspect effective audio settings and verify format compliance
+                const audioTracks = this.stream.getAudioTracks ? this.stream.getAudioTracks() : [];
+                if (audioTracks.length > 0) {
+                    const settings = audioTracks[0].getSettings ? audioTracks[0].getSettings() : {};
+                    console.log('FlashbackRecorder audio settings', {
+                        requestedAudioConstraints: this.getCaptureConstraints().audio,
+                        effectiveAudioSettings: settings,
+                        // Verify if the requested format was respected:
+                        formatMatch: {
+                            sampleRate: settings.sampleRate === 44100 ? '✓' : `✗ (got ${settings.sampleRate})`,
+                            channelCount: settings.channelCount === 1 ? '✓' : `✗ (got ${settings.channelCount})`
+                        }
+                    });
+                    
+                    // Store the current audio input device ID (BUG-020)
+                    if (settings.deviceId) {
+                        this.currentAudioInputDeviceId = settings.deviceId;
+                    }
+                }
+            }
+            // Always reattach the stream to ensure it's active
+            this.videoPreview.srcObject = this.stream;
+            // Mute audio during recording (we still record it, but don't play it)
+            this.videoPreview.muted = true;
+            // Apply mirror mode and refresh device labels now that gUM has granted permissions
+            this.applyMirrorMode();
+            this.refreshConfigPanelDevices();
+            this.updateCaptureSettingsDisplay();
+            // Start audio output monitoring now that getUserMedia has granted permissions,
+            // so enumerateDevices() returns real device labels (BUG-022)
+            this.audioOutputMonitor.start();
+            // Restore preferred output device: verify it's still available, fall back to 'default'
+            if (this.currentAudioOutputDeviceId && this.currentAudioOutputDeviceId !== 'default') {
+                const devices = await navigator.mediaDevices.enumerateDevices();
+                const available = devices.some(d => d.kind === 'audiooutput' && d.deviceId === this.currentAudioOutputDeviceId);
+                if (available) {
+                    await this.updateFlashbackVideoAudioOutput(this.currentAudioOutputDeviceId);
+                } else {
+                    this.currentAudioOutputDeviceId = 'default';
+                    localStorage.removeItem('preferredAudioOutputDeviceId');
+                }
+            }
+            if (this.videoOverlay) {
+                this.videoOverlay.style.display = 'flex';
+            }
+            
+            // Capture video dimensions when video is ready
+            const captureVideoDimensions = () => {
+                if (this.videoPreview && this.videoPreview.readyState >= 2) {
+                    // Video metadata is loaded
+                    this.videoWidth = this.videoPreview.videoWidth;
+                    this.videoHeight = this.videoPreview.videoHeight;
+                    console.log('Video dimensions captured:', {
+                        width: this.videoWidth,
+                        height: this.videoHeight
+                    });
+                    
+                    // Recalculate extraction interval if extraction is active
+                    if (this.photoExtractionActive) {
+                        this.recalculatePhotoExtractionInterval();
+                    }
+                } else {
+                    // Retry after a short delay
+                    setTimeout(captureVideoDimensions, 100);
+                }
+            };
+            
+            // Try to capture dimensions immediately if video is already ready
+            if (this.videoPreview.readyState >= 2) {
+                captureVideoDimensions();
+            } else {
+                // Wait for loadedmetadata event
+                this.videoPreview.addEventListener('loadedmetadata', captureVideoDimensions, { once: true });
+            }
+
+            // Set state to 'recording' BEFORE starting waveform analysis
+            // This ensures analyzeAudioWaveform() doesn't exit early due to state check
+            this.setState('recording');
+
+                    // Start real-time audio analysis for waveform and automatic markers
+                    if (this.showWaveform || this.autoMarkersEnabled) {
+                        this.startWaveformAnalysis();
+                    }
+
+                    // Start photo extraction for photo timeline
+                    if (this.showPhotoTimeline) {
+                        this.startPhotoExtraction();
+                        this.startPhotoTimelineRefresh();
+                    }
+
+                    // Start motion detection for automatic markers
+                    this.startMotionDetection();
+
+            const codec = this.codecNegotiator.choose(this.codecPreference);
+            // No candidate: let the browser pick and read its choice back from the recorder
+            this.activeMimeType = codec ? codec.recordType : '';
+            const options = this.getRecorderOptions();
+
+            // Recreate the MediaRecorder if necessary (it was stopped during flashback)
+            if (!this.mediaRecorder || this.mediaRecorder.state === 'inactive') {
+            this.mediaRecorder = new MediaRecorder(this.stream, options);
+            if (!this.activeMimeType) {
+                this.activeMimeType = this.mediaRecorder.mimeType;
+            }
+            this.mediaRecorder.onerror = (event) => this.logRecorderError(event);
+            this.mediaRecorder.ondataavailable = (event) => {
+                    this.handleRecordedChunk(event);
+            };
+
+            this.mediaRecorder.onstop = () => {
+                if (this.state !== 'transitioning' && !this._rotating) {
+                    this.saveCurrentSession();
+                }
+            };
+            }
+
+            // Start recording with 1-second chunks
+            this.currentSessionId = ++this.currentSessionIdCounter;
+            this.currentSessionChunks = [];
+            this.currentSessionStartMs = Date.now();
+            this._lastChunkTimestamp = this.currentSessionStartMs;
+            this.currentSessionHeaderBlob = null;
+            this.currentSessionVideoSize = this.getStreamVideoSize();
+            this.mediaRecorder.start(1000);
+            this.recordingStartTime = this.currentSessionStartMs;
+
+            this.updateUIForRecording();
+            this.startTimer(); // Start the timer to regularly update the progress bar
+            this.startSegmentRotation(); // Rotate the recorder periodically so each segment is a self-contained WebM
+            if (this.delayedMirrorEnabled) {
+                this.startDelayedMirror(); // no-op when it is already running
+            }
+
+            // Start audio keep-alive to prevent speaker/headphone sleep
+            this.audioKeepAlive.start(this.currentAudioOutputDeviceId || 'default');
+            
+            // Keep the device awake; the inactivity warning (BUG-021) is the fallback when Wake Lock is unavailable
+            this.updateWakeLock();
+            this.startCaptureWatchdog();
+        } catch (err) {
+            this.showMessage('Camera/microphone access denied or unavailable', 'error');
         }
-        
-        const visibleTimestamps = visibleFrames.map(f => f.timestamp);
+    }
+
+    stopRecording() {
+        // Stop the periodic recorder rotation
+        this.stopSegmentRotation();
+
+        // Stop waveform analysis
+        this.stopWaveformAnalysis();
 
-        // Create thumbnails for all visible frames
-        let thumbnailsCreated = 0;
-        visibleFrames.forEach((frame, index) => {
-            const thumbnail = document.createElement('div');
-            thumbnail.className = 'photo-thumbnail';
-            thumbnail.dataset.timestamp = frame.timestamp;
-            thumbnail.dataset.interval = interval;
+        // Stop photo extraction
+        this.stopPhotoExtraction();
+        this.stopPhotoTimelineRefresh();
 
-            // Calculate position: left edge of thumbnail (proportional to timestamp)
-            const progress = (frame.timestamp - windowStart) / windowDuration;
-            const left = progress * containerWidth;
-            
-            // Calculate width: proportional to interval
-            const width = (interval / windowDuration) * containerWidth;
+        // Stop motion detection
+        this.stopMotionDetection();
 
-            thumbnail.style.left = `${left}px`;
-            thumbnail.style.width = `${Math.max(width, 1)}px`; // Minimum 1px width
-            thumbnail.style.backgroundImage = `url(${frame.imageData})`;
+        // Stop inactivity monitoring (BUG-021)
+        this.stopInactivityMonitor();
+        this.stopCaptureWatchdog();
 
-            // Add loading state if image not ready
-            if (!frame.imageData) {
-                thumbnail.classList.add('loading');
-            }
+        if (this.mediaRecorder && this.state === 'recording') {
+            this.mediaRecorder.stop();
+            this.setState('recordingStopped');
+            this.stopTimer();
+            this.saveCurrentSession();
+            this.updateUIForRecordingStopped();
+        }
+    }
 
-            this.photoTimelineScroll.appendChild(thumbnail);
-            thumbnailsCreated++;
-        });
+    resumeRecording() {
+        if (this.backgroundRecording) {
+            // The recorder never stopped during the flashback: only the live picture comes back
+            this.showLivePreview();
+            return;
+        }
+        // Check only if we're not already recording and if we have a stream
+        // startRecording() handles state transitions and cleanup itself
+        if (this.state !== 'recording' && this.stream) {
+            this.startRecording();
+        } else {
+        }
     }
 
-    handlePhotoTimelineClick(e) {
-        if (!this.photoTimelineScroll || !this.showPhotoTimeline) return;
-        if (this.state === 'transitioning') return;
+    // True while the MediaRecorder is capturing: live recording, or a flashback reviewed with
+    // "keep recording during flashback" enabled.
+    isCapturing() {
+        return this.state === 'recording' || this.backgroundRecording;
+    }
 
-        // Check if click is directly on a thumbnail (should not happen with pointer-events: none, but check anyway)
-        if (e.target && e.target.classList.contains('photo-thumbnail')) {
-            this.showMessage('Photos are transparent to clicks. Click on the timeline, not directly on a photo.', 'error');
-            return;
+    showLivePreview() {
+        this.backgroundRecording = false;
+        if (this.videoPreview) {
+            this.videoPreview.srcObject = this.stream;
+            this.videoPreview.muted = true;
+            this.videoPreview.play().catch(() => {});
+        }
+        this.applyMirrorMode();
+        this.setState('recording');
+        // Photo and motion sampling read the preview element, so they paused during the flashback
+        if (this.showPhotoTimeline) {
+            this.startPhotoExtraction();
+            this.startPhotoTimelineRefresh();
         }
+        this.startMotionDetection();
+        if ((this.showWaveform || this.autoMarkersEnabled) && !this.audioAnalyser) {
+            this.startWaveformAnalysis();
+        }
+        this.updateUIForRecording();
+        this.startTimer();
+    }
 
-        const rect = this.photoTimelineScroll.getBoundingClientRect();
-        const x = e.clientX - rect.left;
+    // === SEGMENT ROTATION ===
+    // A single continuous MediaRecorder produces ONE WebM stream whose header lives only in the
+    // first chunk; evicting old chunks from the rolling buffer therefore leaves an undecodable,
+    // header-less remainder. To avoid this we periodically stop and restart the recorder so each
+    // segment is a small, self-contained WebM (its own header, timecodes starting at 0). The
+    // rolling buffer can then drop whole old segments without ever corrupting a kept one.
 
-        // Use unified calculation function (same as timeline and waveform)
-        const targetTime = this.calculateTargetTimeFromClick(x, rect, false);
+    startSegmentRotation() {
+        this.stopSegmentRotation();
+        // Keep the segment shorter than the retained window so rotation stays meaningful.
+        let seg = Math.max(2, Math.min(this.segmentDurationSeconds, this.maxDuration || this.segmentDurationSeconds));
+        if (this.delayedMirrorEnabled) {
+            // The delayed mirror only plays finalized segments: close them well before they are due
+            seg = Math.min(seg, Math.max(2, Math.floor(this.mirrorDelaySeconds / 3)));
+        }
+        this._segmentRotationTimer = setInterval(() => {
+            this.rotateRecorder();
+        }, seg * 1000);
+    }
 
-        // Use existing seekFlashback method
-        this.seekFlashback(targetTime, {
-            allowFromRecording: true,
-            allowFromRecordingStopped: true,
-            allowFromFlashbackPaused: true
-        });
+    stopSegmentRotation() {
+        if (this._segmentRotationTimer) {
+            clearInterval(this._segmentRotationTimer);
+            this._segmentRotationTimer = null;
+        }
     }
 
+    async rotateRecorder({ force = false } = {}) {
+        // Only rotate a live recording (or one kept running behind a flashback); never a rotation already in flight.
+        // force: the watchdog replaces a recorder that stalled or died (no longer in the 'recording' state).
+        if (this._rotating) return;
+        if (!this.isCapturing()) return;
+        if (!this.mediaRecorder || (!force && this.mediaRecorder.state !== 'recording')) return;
 
-    // === UPDATE DURATION ON THE RIGHT SIDE OF THE SLIDER ===  
+        this._rotating = true;
+        this.diagnostics.info('SEGMENT', 'rotating recorder', {
+            sessionId: this.currentSessionId,
+            chunks: this.currentSessionChunks.length,
+            recorderState: this.mediaRecorder.state,
+            force
+        });
+        try {
+            // Close the current segment. Detach its onstop so the (asynchronous) stop event cannot
+            // fire late and clobber the next segment; we finalize manually below. Wait for the real
+            // 'stop' event, which follows the final 'dataavailable', so the last chunk is attributed
+            // to this segment before we finalize it.
+            const previousRecorder = this.mediaRecorder;
+            previousRecorder.onstop = null;
+            const stopped = new Promise((resolve) => {
+                previousRecorder.addEventListener('stop', resolve, { once: true });
+            });
+            try {
+                if (previousRecorder.state !== 'inactive') {
+                    previousRecorder.stop();
+                    // A stalled recorder may never fire 'stop': don't let it block every later rotation
+                    await Promise.race([stopped, new Promise(resolve => setTimeout(resolve, 3000))]);
+                }
+            } catch (e) {
+            }
+            // Finalize the just-recorded segment as its own self-contained session.
+            this.saveCurrentSession();
 
-    async updateDurationFromRange() {
-    /**
-     * Updates the maximum duration from the slider/range input.
-     * This function is called when the user moves the slider.
-     * It synchronizes the value with the numeric input and updates the display.
-     */
-        this.maxDuration = parseInt(this.durationRange.value, 10);
-        this.durationValue.value = this.maxDuration;
-        this.updateDurationDisplay();
-        this.saveSettings();
-        this.enforceRollingBuffer();
-        this.updateDebugPanel();
-        
-        // Recalculate photo extraction interval if extraction is active
-        if (this.photoExtractionActive) {
-            await this.recalculatePhotoExtractionInterval();
-        } else if (this.showPhotoTimeline) {
-            // Even if not extracting, refresh the timeline display
-            this.renderPhotoTimeline();
+            // A flashback (or stop) may have started while we awaited the recorder; if so, bail out
+            // and let that flow own the recorder instead of resurrecting a live one.
+            if (!this.isCapturing()) {
+                return;
+            }
+
+            // Open a fresh segment with a brand-new header.
+            const options = this.getRecorderOptions();
+            try {
+                this.mediaRecorder = new MediaRecorder(this.stream, options);
+            } catch (e) {
+                this.diagnostics.error('SEGMENT', 'could not create the next recorder', { error: e && e.message, options });
+                return;
+            }
+            this.mediaRecorder.ondataavailable = (event) => {
+                this.handleRecordedChunk(event);
+            };
+            this.mediaRecorder.onerror = (event) => this.logRecorderError(event);
+            this.mediaRecorder.onstop = () => {
+                if (this.state !== 'transitioning' && !this._rotating) {
+                    this.saveCurrentSession();
+                }
+            };
+            this.currentSessionId = ++this.currentSessionIdCounter;
+            this.currentSessionChunks = [];
+            this.currentSessionStartMs = Date.now();
+            this._lastChunkTimestamp = this.currentSessionStartMs;
+            this.currentSessionHeaderBlob = null;
+            this.currentSessionVideoSize = this.getStreamVideoSize();
+            try {
+                this.mediaRecorder.start(1000);
+            } catch (e) {
+            }
+        } finally {
+            this._rotating = false;
         }
     }
 
-    async updateDurationFromInput() {
-    /**
-     * Updates the maximum duration from the numeric input.
-     * This function is called when the user types a value in the numeric field.
-     * It applies constraints (1-3600 seconds) and synchronizes with the slider.
-     */
-        let val = parseInt(this.durationValue.value, 10);
-        if (isNaN(val) || val < 1) val = 1;
-        if (val > 3600) val = 3600;
-        this.maxDuration = val;
-        this.durationRange.value = val;
-        this.durationValue.value = val;
-        this.updateDurationDisplay();
-        this.saveSettings();
-        this.enforceRollingBuffer();
-        
-        // Recalculate photo extraction interval if extraction is active
-        if (this.photoExtractionActive) {
-            await this.recalculatePhotoExtractionInterval();
-        } else if (this.showPhotoTimeline) {
-            // Even if not extracting, refresh the timeline display
-            this.renderPhotoTimeline();
+    // === HANDLING TOUCHES ===
+    
+    handleBackKey() {
+        if (this.state === 'transitioning') {
+            return;
         }
-        this.updateDebugPanel();
+        this.handleBack();
     }
 
-    updateDurationDisplay() {
-    /**
-     * Updates the text display of the maximum duration.
-     * Displays the current value of maxDuration with the unit "s" in the durationDisplay element.
-     */
-        this.durationDisplay.textContent = `${this.maxDuration}s`;
+    handleForwardKey() {
+        if (this.state === 'transitioning') {
+            return;
+        }
+        this.handleForward();
     }
 
-    getMaxBufferedDuration() {
-        const margin = Number.isFinite(this.bufferMarginSeconds) ? Math.max(0, this.bufferMarginSeconds) : 0;
-        const base = Number.isFinite(this.maxDuration) ? Math.max(0, this.maxDuration) : 0;
-        return base + margin;
+    handleEscapeKey() {
+        if (this.state === 'flashback') {
+            this.stopFlashbackAndResumeRecording();
+        }
     }
 
-    formatDuration(seconds) {
-        if (!Number.isFinite(seconds) || seconds < 0) {
-            return '0s';
+    handleShiftKey() {
+        if (this.state === 'transitioning') {
+            return;
         }
-        if (seconds >= 3600) {
-            const hours = Math.floor(seconds / 3600);
-            const minutes = Math.floor((seconds % 3600) / 60);
-            const secs = Math.floor(seconds % 60);
-            return `${hours}h ${minutes}m ${secs}s`;
+        if (this.state === 'recording') {
+            this.stopRecording();
+            return;
         }
-        if (seconds >= 60) {
-            const minutes = Math.floor(seconds / 60);
-            const secs = Math.floor(seconds % 60);
-            return `${minutes}m ${secs}s`;
+        if (this.state === 'recordingStopped') {
+            this.startRecording();
+            return;
         }
-        if (seconds >= 10) {
-            return `${seconds.toFixed(0)}s`;
+        if (this.state === 'flashback') {
+            if (this.flashbackVideo) {
+                try {
+                    this.flashbackVideo.pause();
+                } catch (e) {
+                }
+            }
+            this.clearFlashbackMonitors();
+            if (!this.backgroundRecording) {
+                this.stopTimer(); // otherwise the timeline keeps growing while paused
+            }
+            this.setState('flashbackPaused');
+            this.updateUIForFlashbackPaused();
+            return;
+        }
+        if (this.state === 'flashbackPaused') {
+            const resumeTime = this.getCurrentAbsoluteTime();
+            this.seekFlashback(resumeTime, {
+                allowFromRecording: false,
+                allowFromRecordingStopped: false,
+                allowFromFlashbackPaused: true
+            });
+        }
+    }
+
+    handleArrowUpKey() {
+        if (this.state === 'transitioning') {
+            return;
         }
-        return `${seconds.toFixed(1)}s`;
+        
+        // Increment the counter and get the number of markers to skip
+        this.incrementMarkerUpCounter();
+        const skipCount = this.markerUpPressCount; // 1 for first press, 2+ for rapid presses
+        
+        // Call navigation with the skip count
+        this.handleNavigateFlashbackMarker(-1, skipCount);
     }
 
-    handleAddFlashbackMarker() {
-        if (!(this.state === 'recording' || this.state === 'flashback')) {
+    handleArrowDownKey() {
+        if (this.state === 'transitioning') {
             return;
         }
-        const marker = this.createFlashbackMarker();
-        if (!marker) {
+        if (this.state !== 'flashback' && this.state !== 'flashbackPaused') {
             return;
         }
-        this.updateTimeline();
-        this.updateMarkerControls();
+        this.handleNavigateFlashbackMarker(1);
     }
 
-    createFlashbackMarker() {
-        if (!Number.isFinite(this.lifetimeRecordedDuration) || this.lifetimeRecordedDuration <= 0) {
-            if (this.chunkBuffer.length === 0 && this.recordedSessions.length === 0) {
-                return null;
-            }
+    // === HANDLING FLASHBACKS ===
+
+    async handleBack() {
+        this.incrementBackCounter();
+
+        const backDuration = this.calculateSeekDuration(this.backPressCount);
+        const absoluteNow = this.getCurrentAbsoluteTime();
+
+        // Reset previous position if starting from recording (first flashback)
+        if (this.state === 'recording' && this.previousAbsoluteTime === null) {
+            this.previousAbsoluteTime = absoluteNow;
         }
-        const absoluteTime = this.getCurrentAbsoluteTime();
-        if (!Number.isFinite(absoluteTime) || absoluteTime < 0) {
-            return null;
+
+        let targetTime;
+        if (absoluteNow < backDuration) {
+            this.showMessage(`Playing from beginning`, 'success');
+            targetTime = 0;
+        } else {
+            targetTime = Math.max(0, absoluteNow - backDuration);
         }
-        const epsilon = this.markerNavigationEpsilon ?? 0;
-        const alreadyExists = this.flashbackMarkers.some(marker => {
-            const t = marker?.absoluteTime ?? -1;
-            return Math.abs(t - absoluteTime) <= epsilon;
-        });
-        if (alreadyExists) {
-            return null;
+
+        // Calculate offset from previous position (negative for backward)
+        let offsetSeconds = -backDuration;
+        if (this.previousAbsoluteTime !== null) {
+            offsetSeconds = targetTime - this.previousAbsoluteTime;
         }
-        const marker = {
-            id: ++this.flashbackMarkerIdCounter,
-            absoluteTime,
-            createdAt: performance.now()
+
+        // Show time offset overlay
+        this.showTimeOffsetOverlay(offsetSeconds);
+
+        // Store target position as previous for next navigation
+        this.previousAbsoluteTime = targetTime;
+
+        const allowOptions = {
+            allowFromRecording: true,
+            allowFromRecordingStopped: true
         };
-        this.flashbackMarkers.push(marker);
-        this.flashbackMarkers.sort((a, b) => a.absoluteTime - b.absoluteTime);
-        return marker;
+        if (this.state === 'flashbackPaused') {
+            allowOptions.allowFromFlashbackPaused = true;
+        }
+        await this.seekFlashback(targetTime, allowOptions);
     }
 
-    async handleNavigateFlashbackMarker(direction, skipCount = 1) {
-        if (direction !== -1 && direction !== 1) {
+    async handleForward() {
+        this.incrementForwardCounter();
+
+        if (this.state !== 'flashback' && this.state !== 'flashbackPaused') {
             return;
         }
-        if (this.state === 'transitioning') {
+
+        const forwardDuration = this.calculateSeekDuration(this.forwardPressCount);
+        const absoluteNow = this.getCurrentAbsoluteTime();
+        const targetTime = absoluteNow + forwardDuration;
+
+        // Calculate offset from previous position (positive for forward)
+        let offsetSeconds = forwardDuration;
+        if (this.previousAbsoluteTime !== null) {
+            offsetSeconds = targetTime - this.previousAbsoluteTime;
+        }
+
+        // Show time offset overlay
+        this.showTimeOffsetOverlay(offsetSeconds);
+
+        if (targetTime >= this.lifetimeRecordedDuration) {
+            this.showMessage('End of recording reached - resuming live recording', 'success');
+            this.resumeRecordingAfterFlashback();
             return;
         }
-        if (this.flashbackMarkers.length === 0 && this.lifetimeRecordedDuration <= 0) {
+
+        // Store target position as previous for next navigation
+        this.previousAbsoluteTime = targetTime;
+
+        const allowOptions = {
+            allowFromRecording: false,
+            allowFromRecordingStopped: false
+        };
+        if (this.state === 'flashbackPaused') {
+            allowOptions.allowFromFlashbackPaused = true;
+        }
+        await this.seekFlashback(targetTime, allowOptions);
+    }
+
+    calculateSeekDuration(pressCount) {
+    /**
+     * Calculates the incremental duration delta for a flashback/advance based on the number of consecutive presses.
+     * Uses exponential progression (1, 1, 2, 4, 8, 16... seconds as incremental deltas).
+     *
+     * Formula:
+     * - 1st press (pressCount=1): delta = 1 second
+     * - n-th press (pressCount≥2): delta = 2^(pressCount-2) seconds
+     * 
+     * This ensures cumulative progression: 1s, 2s, 4s, 8s, 16s...
+     * - 1st press: delta = 1s → total = 1s
+     * - 2nd press: delta = 2^(2-2) = 1s → total = 2s
+     * - 3rd press: delta = 2^(3-2) = 2s → total = 4s
+     * - 4th press: delta = 2^(4-2) = 4s → total = 8s
+     */
+        if (pressCount === 1) {
+            return 1;
+        }
+        return Math.pow(2, pressCount - 2);
+    }
+
+    async seekFlashback(targetTime, options = {}) {
+        console.log('[DEBUG] seekFlashback called', {
+            targetTime,
+            options,
+            currentState: this.state
+        });
+
+        const {
+            allowFromRecording = false,
+            allowFromRecordingStopped = false,
+            allowFromFlashbackPaused = false
+        } = options;
+
+        // Explicit state check as per plan
+        if (this.state === 'recording' && allowFromRecording) {
+            console.log('[DEBUG] seekFlashback: Allowed from recording');
+        } else if (this.state === 'recordingStopped' && allowFromRecordingStopped) {
+            console.log('[DEBUG] seekFlashback: Allowed from recordingStopped');
+        } else if (this.state === 'flashbackPaused' && allowFromFlashbackPaused) {
+            console.log('[DEBUG] seekFlashback: Allowed from flashbackPaused');
+        } else if (this.state === 'flashback') {
+            console.log('[DEBUG] seekFlashback: Allowed from flashback');
+        } else if (this.state === 'transitioning') {
+            console.log('[DEBUG] seekFlashback: Allowed during transitioning');
+        } else {
+            console.log('[DEBUG] seekFlashback early return: Invalid state');
             return;
         }
-        const targetTime = this.getTargetTimeForMarkerNavigation(direction, skipCount);
-        if (!Number.isFinite(targetTime) || targetTime < 0) {
+
+        // Check available data
+        if (this.recordedSessions.length === 0 && this.currentSessionChunks.length === 0) {
+            console.log('[DEBUG] seekFlashback early return: No data available');
+            this.showMessage('No recording data available for flashback', 'error');
             return;
         }
-        await this.seekFlashback(targetTime, {
-            allowFromRecording: true,
-            allowFromRecordingStopped: true,
-            allowFromFlashbackPaused: true
-        });
-    }
 
-    getTargetTimeForMarkerNavigation(direction, skipCount = 1) {
-        const sorted = this.flashbackMarkers.slice().sort((a, b) => a.absoluteTime - b.absoluteTime);
-        const current = this.getCurrentAbsoluteTime();
-        const epsilon = this.markerNavigationEpsilon;
-        if (direction === -1) {
-            // Find all markers before the current timestamp
-            const previousMarkers = [];
-            for (let i = sorted.length - 1; i >= 0; i--) {
-                if ((sorted[i].absoluteTime || 0) < (current - epsilon)) {
-                    previousMarkers.push(sorted[i]);
-                }
-            }
-            
-            // If we have enough markers, skip by skipCount
-            if (previousMarkers.length >= skipCount) {
-                const targetMarker = previousMarkers[skipCount - 1];
-                return Math.max(targetMarker.absoluteTime, 0);
-            }
-            
-            // If we don't have enough markers, go to the start of the window
-            // or the start of the recording if the window starts at 0
-            const windowStart = this.visibleWindowStart ?? 0;
-            return Math.max(0, windowStart);
+        // Keep recording behind the flashback: close the open segment so the review reaches right
+        // up to now, and leave the recorder (and its rotation) running
+        if (this.state === 'recording' && allowFromRecording && this.recordDuringFlashback) {
+            await this.rotateRecorder();
+            this.backgroundRecording = true;
+            this.stopMotionDetection();
+            this.setState('transitioning');
+            this.stopTimer();
         }
-        // Direction === 1 (forward) - no change necessary for now
-        for (let i = 0; i < sorted.length; i++) {
-            if ((sorted[i].absoluteTime || 0) > (current + epsilon)) {
-                return Math.max(sorted[i].absoluteTime, 0);
+
+        // Stop recording if necessary and allowed
+        if (this.state === 'recording' && allowFromRecording) {
+            this.stopSegmentRotation();
+            this.setState('transitioning');
+            try {
+                this.mediaRecorder.stop();
+            } catch (e) {
             }
+            this.stopTimer();
+            await this.waitForRecorderStop();
+            // Manual save necessary because onstop doesn't happen in 'transitioning' state
+            this.saveCurrentSession();
+
+        }
+
+        if (this.state === 'flashbackPaused' && allowFromFlashbackPaused) {
+            this.stopTimer();
+            this.setState('transitioning');
+        }
+
+        // Increment the flashback identifier to invalidate all handlers of the previous flashback
+        // This must be done BEFORE recreating allSessions to avoid race conditions
+        this._flashbackId++;
+
+        // Synchronize allSessions with recordedSessions (contains the saved session if we were recording)
+        this.allSessions = [...this.recordedSessions];
+
+        const clampedTarget = Math.max(0, Math.min(targetTime, this.lifetimeRecordedDuration));
+        this.currentReferencePosition = clampedTarget;
+
+        // Reset previous position tracking when starting a new flashback sequence
+        // (will be set by handleBack/handleForward when navigation occurs)
+        if (this.state === 'recording' || this.state === 'recordingStopped') {
+            this.previousAbsoluteTime = clampedTarget;
+        }
+
+        // Start flashback
+        await this.playFlashbackFromTimestamp(clampedTarget);
+    }
+
+    calculateTargetTimeFromClick(x, rect, isTimeline = true) {
+        /**
+         * Calculates the target timestamp based on the position of a click.
+         * Uses calculateVisibleWindow() for up-to-date bounds.
+         * 
+         * @param {number} x - Click position in pixels (e.clientX - rect.left)
+         * @param {DOMRect} rect - Bounding rectangle of the clicked element
+         * @param {boolean} isTimeline - true for timeline (green bar), false for waveform (full window)
+         * @returns {number} Target timestamp in seconds
+         */
+        
+        // Get up-to-date visible window bounds
+        const { windowStart, windowEnd, windowDuration } = this.calculateVisibleWindow();
+        
+        if (windowDuration <= 0) {
+            return windowStart;
         }
-        const windowEnd = this.visibleWindowEnd ?? this.lifetimeRecordedDuration;
-        return Math.max(windowEnd, this.lifetimeRecordedDuration);
+
+        // Both the green timeline bar and the waveform now share the same time→pixel scale (the
+        // display window stretched across the full width), so a click maps the same way on either:
+        // the fraction of the full width is the fraction of the display window. A click in the gray
+        // area beyond the recorded content maps past the recording and is clamped by the caller.
+        let percent = rect.width > 0 ? x / rect.width : 0;
+        percent = Math.max(0, Math.min(1, percent)); // Clamp to [0, 1]
+
+        // Calculate target time within the visible window
+        const targetTime = windowStart + (percent * windowDuration);
+        return targetTime;
     }
 
-    pruneFlashbackMarkers(windowStart, windowEnd) {
-        const cutoff = Math.max(0, windowStart ?? 0);
-        const upper = Math.max(cutoff, windowEnd ?? this.lifetimeRecordedDuration);
-        const before = this.flashbackMarkers.length;
-        this.flashbackMarkers = this.flashbackMarkers.filter(marker => {
-            const t = marker.absoluteTime;
-            if (!Number.isFinite(t)) {
-                return false;
-            }
-            if (t < cutoff - this.markerNavigationEpsilon) {
-                return false;
-            }
-            if (t > this.lifetimeRecordedDuration + this.markerNavigationEpsilon) {
-                return false;
-            }
-            if (upper > cutoff && t > upper + this.markerNavigationEpsilon) {
-                return false;
-            }
-            return true;
-        });
-        return before !== this.flashbackMarkers.length;
+    incrementBackCounter() {
+        this.backPressCount++;
+        this.updateCounterDisplay();
+        clearTimeout(this.backResetTimer);
+        this.backResetTimer = setTimeout(() => {
+            this.backPressCount = 0;
+            this.updateCounterDisplay();
+        }, 500);
     }
 
-    renderFlashbackMarkers(windowStart, windowEnd, windowDuration, effectiveBarWidthPercent = 100) {
-        if (!this.timelineMarkerLayer) {
-            return;
+    incrementForwardCounter() {
+        this.forwardPressCount++;
+        clearTimeout(this.forwardResetTimer);
+        this.forwardResetTimer = setTimeout(() => {
+            this.forwardPressCount = 0;
+        }, 500);
+    }
+
+    incrementMarkerUpCounter() {
+        const now = Date.now();
+        const timeSinceLastPress = now - this.lastMarkerUpPressTime;
+        
+        if (timeSinceLastPress < this.markerUpFastPressThreshold && this.lastMarkerUpPressTime > 0) {
+            // Rapid press: increment the counter
+            this.markerUpPressCount++;
+        } else {
+            // Press after delay: reset the counter
+            this.markerUpPressCount = 1;
         }
-        const layer = this.timelineMarkerLayer;
-        layer.innerHTML = '';
-        if (!Number.isFinite(windowDuration) || windowDuration <= 0) {
-            return;
+        
+        this.lastMarkerUpPressTime = now;
+        
+        // Reset the counter after the delay
+        if (this.markerUpResetTimer) {
+            clearTimeout(this.markerUpResetTimer);
         }
-        const start = windowStart ?? 0;
-        const end = windowEnd ?? start;
-        const visibleMarkers = this.flashbackMarkers.filter(marker => {
-            const t = marker.absoluteTime;
-            return Number.isFinite(t) && t >= start - this.markerNavigationEpsilon && t <= end + this.markerNavigationEpsilon;
-        });
-        if (visibleMarkers.length === 0) {
+        this.markerUpResetTimer = setTimeout(() => {
+            this.markerUpPressCount = 0;
+            this.markerUpResetTimer = null;
+        }, this.markerUpFastPressThreshold);
+    }
+
+    updateCounterDisplay() {
+        if (!this.counterDisplay) {
             return;
         }
-        const widthPercent = Math.min(Math.max(effectiveBarWidthPercent, 0), 100);
-        visibleMarkers.forEach(marker => {
-            const t = marker.absoluteTime;
-            const relative = (t - start) / windowDuration;
-            const clamped = Math.max(0, Math.min(1, relative));
-            const markerEl = document.createElement('div');
-            markerEl.className = 'timeline-marker';
-            markerEl.style.left = `${(clamped * widthPercent).toFixed(3)}%`;
-            markerEl.title = this.formatTime(Math.max(0, t));
-            layer.appendChild(markerEl);
-        });
+        // Calculate cumulative total duration: 1s, 2s, 4s, 8s, 16s...
+        // Formula: 2^(backPressCount - 1) for backPressCount >= 1
+        const totalDuration = this.backPressCount === 0 ? 0 : Math.pow(2, this.backPressCount - 1);
+        this.counterDisplay.textContent = `← ${this.backPressCount} press${this.backPressCount !== 1 ? 'es' : ''} = ${totalDuration}s back`;
     }
 
-    updateMarkerControls() {
-        const isTransitioning = this.state === 'transitioning';
-        const timelineVisible = !!this.timelineContainer;
-        const canAdd = !isTransitioning && (this.state === 'recording' || this.state === 'flashback' || this.state === 'flashbackPaused');
-        const hasMarkers = this.flashbackMarkers.length > 0;
-        const hasData = this.lifetimeRecordedDuration > 0 || this.recordedSessions.length > 0 || this.chunkBuffer.length > 0;
-        const canNavigateState = !isTransitioning && (this.state === 'recording' || this.state === 'flashback' || this.state === 'flashbackPaused' || this.state === 'recordingStopped');
-        const canNavigate = timelineVisible && canNavigateState && hasMarkers && hasData;
-
-        if (this.addMarkerBtn) {
-            this.addMarkerBtn.disabled = !canAdd;
+    showTimeOffsetOverlay(offsetSeconds) {
+        if (!this.timeOffsetOverlay) {
+            return;
         }
-        if (this.prevMarkerBtn) {
-            this.prevMarkerBtn.disabled = !canNavigate;
+
+        // Clear existing timeout
+        if (this.timeOffsetOverlayTimeout) {
+            clearTimeout(this.timeOffsetOverlayTimeout);
+            this.timeOffsetOverlayTimeout = null;
         }
-        if (this.nextMarkerBtn) {
-            this.nextMarkerBtn.disabled = !canNavigate;
+
+        // Format offset: negative for backward, positive for forward (but not for 0)
+        const roundedOffset = Math.round(offsetSeconds);
+        let formattedOffset;
+        if (roundedOffset === 0) {
+            formattedOffset = '0s';
+        } else {
+            const sign = offsetSeconds >= 0 ? '+' : '';
+            formattedOffset = `${sign}${roundedOffset}s`;
         }
-    }
 
-    // === INACTIVITY MONITORING (BUG-021) ===
+        // Update overlay text
+        this.timeOffsetOverlay.textContent = formattedOffset;
 
-    startInactivityMonitor() {
-        // Réinitialiser le timestamp d'activité sur événements utilisateur
-        const updateActivity = () => {
-            this.lastActivityTime = Date.now();
-            this.inactivityWarningShown = false; // Réinitialiser l'alerte
-        };
-        
-        const mousemoveHandler = updateActivity;
-        const keydownHandler = updateActivity;
-        const touchstartHandler = updateActivity;
-        
-        window.addEventListener('mousemove', mousemoveHandler);
-        window.addEventListener('keydown', keydownHandler);
-        window.addEventListener('touchstart', touchstartHandler);
-        
-        // Stocker les handlers pour cleanup
-        this.inactivityEventListeners = [
-            { event: 'mousemove', handler: mousemoveHandler },
-            { event: 'keydown', handler: keydownHandler },
-            { event: 'touchstart', handler: touchstartHandler }
-        ];
+        // Show overlay with fade-in
+        this.timeOffsetOverlay.style.display = 'block';
+        // Force reflow to ensure transition works
+        void this.timeOffsetOverlay.offsetWidth;
+        this.timeOffsetOverlay.classList.add('show');
 
-        // Checker d'inactivité toutes les 10s
-        this.inactivityTimeout = setInterval(() => {
-            const inactiveTime = Date.now() - this.lastActivityTime;
-            const dontShowAgain = localStorage.getItem('disableInactivityWarning') === 'true';
-            if (inactiveTime > 300000 && !this.inactivityWarningShown && !dontShowAgain) { // 5 minutes (300000 ms)
-                this.showInactivityWarning();
-                this.inactivityWarningShown = true;
-            }
-        }, 10000); // Vérifier toutes les 10s
+        // Hide after 1 second with fade-out
+        this.timeOffsetOverlayTimeout = setTimeout(() => {
+            this.timeOffsetOverlay.classList.remove('show');
+            // Hide completely after fade-out transition
+            setTimeout(() => {
+                if (this.timeOffsetOverlay) {
+                    this.timeOffsetOverlay.style.display = 'none';
+                }
+            }, 200); // Match CSS transition duration
+        }, 1000);
     }
 
-    stopInactivityMonitor() {
-        if (this.inactivityTimeout) {
-            clearInterval(this.inactivityTimeout);
-            this.inactivityTimeout = null;
-        }
-        
-        // Retirer les event listeners
-        this.inactivityEventListeners.forEach(({ event, handler }) => {
-            window.removeEventListener(event, handler);
+    updateDebugPanel() {
+        if (!this.debugSegmentsList || !this.debugPanelEnabled) return;
+        this.renderHealthDashboard();
+
+        const sessionIndexById = new Map();
+        this.recordedSessions.forEach((session, index) => {
+            if (session && typeof session.id !== 'undefined') {
+                sessionIndexById.set(session.id, index);
+            }
         });
-        this.inactivityEventListeners = [];
-    }
 
-    showInactivityWarning() {
-        // Créer un modal surimpression
-        const modal = document.createElement('div');
-        modal.style.position = 'fixed';
-        modal.style.top = '0';
-        modal.style.left = '0';
-        modal.style.width = '100%';
-        modal.style.height = '100%';
-        modal.style.background = 'rgba(0, 0, 0, 0.7)';
-        modal.style.display = 'flex';
-        modal.style.justifyContent = 'center';
-        modal.style.alignItems = 'center';
-        modal.style.zIndex = '10000';
-        modal.id = 'inactivityWarningModal';
+        // === Sessions ===
+        this.debugSegmentsList.innerHTML = '';
 
-        const content = document.createElement('div');
-        content.style.background = 'white';
-        content.style.color = 'black';
-        content.style.padding = '24px';
-        content.style.borderRadius = '8px';
-        content.style.maxWidth = '500px';
-        content.style.textAlign = 'center';
-        content.style.boxShadow = '0 4px 16px rgba(0, 0, 0, 0.4)';
+        if (this.recordedSessions.length === 0) {
+            const emptyMsg = document.createElement('div');
+            emptyMsg.className = 'debug-empty';
+            emptyMsg.textContent = 'No segments recorded';
+            this.debugSegmentsList.appendChild(emptyMsg);
+        } else {
+            this.recordedSessions.forEach((session, index) => {
+                const segmentItem = document.createElement('div');
+                segmentItem.className = 'segment-item';
+
+                if (this.state === 'flashback' && this.currentFlashbackIndex === index) {
+                    segmentItem.classList.add('playing');
+                }
+
+                const header = document.createElement('div');
+                header.className = 'segment-item-header';
+
+                const segmentNumber = document.createElement('span');
+                segmentNumber.className = 'segment-number';
+                segmentNumber.textContent = `Segment ${index + 1}`;
+
+                const segmentDuration = document.createElement('span');
+                segmentDuration.className = 'segment-duration';
+                segmentDuration.textContent = `${(session.duration || 0).toFixed(1)}s`;
+
+                header.appendChild(segmentNumber);
+                header.appendChild(segmentDuration);
 
-        const message = document.createElement('p');
-        message.textContent = 'If your device goes to sleep, it may disrupt the ongoing recording. Check your device settings and disable any sleep or power-saving modes.';
-        message.style.marginBottom = '20px';
-        message.style.lineHeight = '1.5';
-        content.appendChild(message);
+                const cumulative = document.createElement('div');
+                cumulative.className = 'segment-cumulative';
+                cumulative.textContent = `Cumulative: ${session.endTime.toFixed(1)}s`;
 
-        const checkboxContainer = document.createElement('div');
-        checkboxContainer.style.marginBottom = '20px';
-        checkboxContainer.style.textAlign = 'left';
-        checkboxContainer.style.display = 'flex';
-        checkboxContainer.style.alignItems = 'center';
-        checkboxContainer.style.justifyContent = 'center';
+                segmentItem.appendChild(header);
+                segmentItem.appendChild(cumulative);
+                this.debugSegmentsList.appendChild(segmentItem);
+            });
+        }
 
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.id = 'dontShowAgain';
-        checkbox.style.marginRight = '8px';
-        checkboxContainer.appendChild(checkbox);
+        // === Chunks ===
+        if (this.debugChunksList) {
+            this.debugChunksList.innerHTML = '';
+            if (this.chunkBuffer.length === 0) {
+                const emptyChunks = document.createElement('div');
+                emptyChunks.className = 'debug-empty';
+                emptyChunks.textContent = 'No chunks';
+                this.debugChunksList.appendChild(emptyChunks);
+            } else {
+                const MAX_CHUNKS_DISPLAY = 60;
+                const startIndex = Math.max(0, this.chunkBuffer.length - MAX_CHUNKS_DISPLAY);
+                const displayedChunks = this.chunkBuffer.slice(startIndex);
 
-        const label = document.createElement('label');
-        label.htmlFor = 'dontShowAgain';
-        label.textContent = 'Do not show this message again';
-        label.style.cursor = 'pointer';
-        checkboxContainer.appendChild(label);
-        content.appendChild(checkboxContainer);
+                if (startIndex > 0) {
+                    const info = document.createElement('div');
+                    info.className = 'chunk-info';
+                    info.textContent = `… ${startIndex} hidden chunk${startIndex > 1 ? 's' : ''}`;
+                    this.debugChunksList.appendChild(info);
+                }
 
-        const okButton = document.createElement('button');
-        okButton.textContent = 'OK';
-        okButton.style.background = '#007bff';
-        okButton.style.color = 'white';
-        okButton.style.border = 'none';
-        okButton.style.padding = '10px 24px';
-        okButton.style.borderRadius = '4px';
-        okButton.style.cursor = 'pointer';
-        okButton.style.fontSize = '14px';
-        okButton.onclick = () => {
-            if (checkbox.checked) {
-                localStorage.setItem('disableInactivityWarning', 'true');
-            }
-            document.body.removeChild(modal);
-        };
-        content.appendChild(okButton);
+                const currentFlashbackSession = (this.state === 'flashback' && this.currentFlashbackIndex < this.allSessions.length)
+                    ? this.allSessions[this.currentFlashbackIndex]?.id
+                    : null;
 
-        modal.appendChild(content);
-        document.body.appendChild(modal);
-    }
+                displayedChunks.forEach(chunk => {
+                    const chunkItem = document.createElement('div');
+                    chunkItem.className = 'chunk-item';
 
-    // === ONBOARDING AND TOOLTIPS (UX-003) ===
+                    const isFlashbackChunk = currentFlashbackSession !== null && chunk.sessionId === currentFlashbackSession;
+                    const isLiveChunk = this.state === 'recording' && chunk.sessionId === this.currentSessionId;
+                    if (isFlashbackChunk || isLiveChunk) {
+                        chunkItem.classList.add('session-current');
+                    }
 
-    showOnboardingIfFirstTime() {
-        const onboardingShown = localStorage.getItem('flashbackOnboardingShown') === 'true';
-        if (!onboardingShown) {
-            this.onboardingCurrentStep = 0;
-            this.showOnboardingModal();
-        }
-    }
+                    const header = document.createElement('div');
+                    header.className = 'chunk-header';
 
-    showOnboardingModal() {
-        // Remove existing modal if any
-        const existingModal = document.getElementById('onboardingModal');
-        if (existingModal) {
-            existingModal.remove();
-        }
+                    const title = document.createElement('span');
+                    title.textContent = `Chunk ${chunk.id}`;
 
-        const modal = document.createElement('div');
-        modal.id = 'onboardingModal';
-        modal.style.position = 'fixed';
-        modal.style.top = '0';
-        modal.style.left = '0';
-        modal.style.width = '100%';
-        modal.style.height = '100%';
-        modal.style.background = 'rgba(0, 0, 0, 0.7)';
-        modal.style.display = 'flex';
-        modal.style.justifyContent = 'center';
-        modal.style.alignItems = 'center';
-        modal.style.zIndex = '10001';
-        modal.style.opacity = '0';
-        modal.style.transition = 'opacity 0.3s ease';
+                    const duration = document.createElement('span');
+                    duration.textContent = `${(chunk.duration || 0).toFixed(1)}s`;
 
-        const steps = [
-            "Welcome! Flashback Mirror records continuously to help you easily review yourself and improve (sports, dance, performing arts, public speaking...).",
-            "Use ← to go back in time (includes video and audio – be careful if in public! 😉).",
-            "Click on the timeline to review a specific moment.",
-            "Recording has started automatically. Happy training!"
-        ];
+                    header.appendChild(title);
+                    header.appendChild(duration);
 
-        const content = document.createElement('div');
-        content.style.background = 'white';
-        content.style.color = 'black';
-        content.style.padding = '32px';
-        content.style.borderRadius = '12px';
-        content.style.maxWidth = '500px';
-        content.style.textAlign = 'center';
-        content.style.boxShadow = '0 8px 32px rgba(0, 0, 0, 0.3)';
-        content.style.position = 'relative';
+                    const meta = document.createElement('div');
+                    meta.className = 'chunk-meta';
 
-        const stepText = document.createElement('p');
-        stepText.style.fontSize = '16px';
-        stepText.style.lineHeight = '1.6';
-        stepText.style.marginBottom = '24px';
-        stepText.style.minHeight = '60px';
-        stepText.textContent = steps[this.onboardingCurrentStep] + ` (${this.onboardingCurrentStep + 1}/4)`;
-        content.appendChild(stepText);
+                    let sessionLabel = '—';
+                    if (sessionIndexById.has(chunk.sessionId)) {
+                        sessionLabel = `S${sessionIndexById.get(chunk.sessionId) + 1}`;
+                    } else if (chunk.sessionId && chunk.sessionId === this.currentSessionId) {
+                        sessionLabel = 'Live';
+                    } else if (chunk.sessionId) {
+                        sessionLabel = `#${chunk.sessionId}`;
+                    }
 
-        const checkboxContainer = document.createElement('div');
-        checkboxContainer.style.marginBottom = '20px';
-        checkboxContainer.style.textAlign = 'left';
-        checkboxContainer.style.display = 'flex';
-        checkboxContainer.style.alignItems = 'center';
-        checkboxContainer.style.justifyContent = 'center';
+                    meta.textContent = `Session: ${sessionLabel} • ${this.formatClockTime(chunk.createdAt)}`;
 
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.id = 'neverShowOnboarding';
-        checkbox.style.marginRight = '8px';
-        checkboxContainer.appendChild(checkbox);
+                    chunkItem.appendChild(header);
+                    chunkItem.appendChild(meta);
+                    this.debugChunksList.appendChild(chunkItem);
+                });
+            }
+        }
 
-        const label = document.createElement('label');
-        label.htmlFor = 'neverShowOnboarding';
-        label.textContent = 'Never show tutorial again';
-        label.style.cursor = 'pointer';
-        label.style.fontSize = '14px';
-        checkboxContainer.appendChild(label);
-        content.appendChild(checkboxContainer);
+        // === Summary ===
+        if (this.debugTotalDuration) {
+            this.debugTotalDuration.textContent = `${this.totalRecordedTime.toFixed(1)}s`;
+        }
+        if (this.debugSegmentCount) {
+            this.debugSegmentCount.textContent = this.recordedSessions.length.toString();
+        }
+        if (this.debugChunkCount) {
+            this.debugChunkCount.textContent = this.chunkBuffer.length.toString();
+        }
+        if (this.debugBufferDuration) {
+            this.debugBufferDuration.textContent = `${this._bufferedDuration.toFixed(1)}s`;
+        }
+    }
 
-        const buttonContainer = document.createElement('div');
-        buttonContainer.style.display = 'flex';
-        buttonContainer.style.gap = '12px';
-        buttonContainer.style.justifyContent = 'center';
+    startTimer() {
+        this.timerInterval = setInterval(() => {
+            this.updateTimeline();
+        }, 100);
+        
+        // Start unified playback position updates at 100ms (highest frequency)
+        this.startPlaybackPositionUpdates();
+    }
 
-        if (this.onboardingCurrentStep < 3) {
-            const nextButton = document.createElement('button');
-            nextButton.textContent = 'Next';
-            nextButton.style.background = '#007bff';
-            nextButton.style.color = 'white';
-            nextButton.style.border = 'none';
-            nextButton.style.padding = '10px 24px';
-            nextButton.style.borderRadius = '6px';
-            nextButton.style.cursor = 'pointer';
-            nextButton.style.fontSize = '14px';
-            nextButton.style.fontWeight = '500';
-            nextButton.onclick = () => {
-                this.onboardingCurrentStep++;
-                if (this.onboardingCurrentStep < 4) {
-                    modal.remove();
-                    this.showOnboardingModal();
-                } else {
-                    this.closeOnboardingModal(checkbox.checked);
-                }
-            };
-            buttonContainer.appendChild(nextButton);
-        } else {
-            const okButton = document.createElement('button');
-            okButton.textContent = 'OK';
-            okButton.style.background = '#007bff';
-            okButton.style.color = 'white';
-            okButton.style.border = 'none';
-            okButton.style.padding = '10px 24px';
-            okButton.style.borderRadius = '6px';
-            okButton.style.cursor = 'pointer';
-            okButton.style.fontSize = '14px';
-            okButton.style.fontWeight = '500';
-            okButton.onclick = () => {
-                this.closeOnboardingModal(checkbox.checked);
-            };
-            buttonContainer.appendChild(okButton);
+    stopTimer() {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+        
+        // Stop playback position updates
+        this.stopPlaybackPositionUpdates();
+    }
+
+    startPlaybackPositionUpdates() {
+        this.stopPlaybackPositionUpdates(); // Stop any existing interval
+        // Update all playback positions at 100ms (highest frequency)
+        this.playbackPositionUpdateInterval = setInterval(() => {
+            this.updateAllPlaybackPositions();
+        }, 100);
+    }
+
+    stopPlaybackPositionUpdates() {
+        if (this.playbackPositionUpdateInterval) {
+            clearInterval(this.playbackPositionUpdateInterval);
+            this.playbackPositionUpdateInterval = null;
         }
+    }
+
+    // === AUDIO DEVICE MANAGEMENT (BUG-020) ===
 
-        content.appendChild(buttonContainer);
-        modal.appendChild(content);
+    async initAudioDeviceManagement() {
+        /**
+         * Initialize audio device change detection and management
+         * Sets up event listeners and polling to detect changes in default audio devices
+         */
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            console.warn('Audio device management not supported in this browser');
+            return;
+        }
 
-        // Close on outside click
-        modal.onclick = (e) => {
-            if (e.target === modal) {
-                // If clicking outside, don't show remaining steps
-                localStorage.setItem('flashbackOnboardingShown', 'true');
-                modal.remove();
-            }
-        };
+        // Get initial device list
+        await this.updateDeviceList();
 
-        document.body.appendChild(modal);
-        this.onboardingModal = modal;
+        // Set up devicechange event listener (preferred method)
+        if (navigator.mediaDevices.addEventListener) {
+            this.deviceChangeHandler = () => {
+                this.handleDeviceChange();
+            };
+            navigator.mediaDevices.addEventListener('devicechange', this.deviceChangeHandler);
+        }
 
-        // Fade in
-        setTimeout(() => {
-            modal.style.opacity = '1';
-        }, 10);
+        // Set up polling as fallback (every 500ms as per backlog)
+        this.deviceChangePollingInterval = setInterval(() => {
+            this.checkDeviceChanges();
+        }, 500);
     }
 
-    closeOnboardingModal(neverShowAgain) {
-        if (this.onboardingModal) {
-            this.onboardingModal.style.opacity = '0';
-            setTimeout(() => {
-                if (this.onboardingModal && this.onboardingModal.parentNode) {
-                    this.onboardingModal.remove();
-                }
-                this.onboardingModal = null;
-            }, 300);
-        }
-        if (neverShowAgain) {
-            localStorage.setItem('flashbackOnboardingShown', 'true');
+    async updateDeviceList() {
+        /**
+         * Update the list of known devices
+         * Returns the list of devices
+         */
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            this.lastKnownDevices = devices.map(d => ({
+                deviceId: d.deviceId,
+                kind: d.kind,
+                label: d.label
+            }));
+            return devices;
+        } catch (err) {
+            console.warn('Error enumerating devices:', err);
+            return [];
         }
     }
 
-    initContextualTooltips() {
-        // Timeline tooltip
-        if (this.timelineBar) {
-            this.addTooltip(this.timelineBar, 'Click to jump to a specific moment.');
-        }
-        if (this.photoTimelineScroll) {
-            this.addTooltip(this.photoTimelineScroll, 'Click to jump to a specific moment.');
-        }
-        // Audio timeline (waveform) tooltip
-        if (this.waveformCanvas) {
-            this.addTooltip(this.waveformCanvas, 'Click to jump to a specific moment.');
-        }
+    async handleDeviceChange() {
+        /**
+         * Handle device change event
+         * Called when devicechange event fires
+         */
+        await this.updateDeviceList();
+        await this.checkDeviceChanges();
+        this.refreshConfigPanelDevices();
+    }
 
-        // Navigation buttons tooltips
-        if (this.flashbackBtn) {
-            this.addTooltip(this.flashbackBtn, 'Go back in time (quick repeated presses increase the distance).');
-        }
-        if (this.forwardBtn) {
-            this.addTooltip(this.forwardBtn, 'Go forward in time (quick repeated presses increase the distance).');
-        }
+    async checkDeviceChanges() {
+        /**
+         * Check for changes in default audio devices and update accordingly
+         * This is called periodically (polling) and on devicechange events
+         * Note: The first device in the list is typically the system default
+         */
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            
+            // Get default input device (first audioinput device, or null if none)
+            // The first device is typically the system default
+            const audioInputDevices = devices.filter(d => d.kind === 'audioinput');
+            const defaultInputDevice = audioInputDevices.length > 0 ? audioInputDevices[0] : null;
+            const defaultInputDeviceId = defaultInputDevice ? defaultInputDevice.deviceId : null;
 
-        // Marker buttons tooltips
-        if (this.addMarkerBtn) {
-            this.addTooltip(this.addMarkerBtn, 'Create a marker. Navigate to previous/next marker with the Up/Down buttons.');
-        }
-        if (this.prevMarkerBtn) {
-            this.addTooltip(this.prevMarkerBtn, 'Navigate to previous marker.');
+            // Get default output device (first audiooutput device, or null if none)
+            // The first device is typically the system default
+            const audioOutputDevices = devices.filter(d => d.kind === 'audiooutput');
+            const defaultOutputDevice = audioOutputDevices.length > 0 ? audioOutputDevices[0] : null;
+            const defaultOutputDeviceId = defaultOutputDevice ? defaultOutputDevice.deviceId : null;
+
+            // Initialize output device on first run — always use 'default' so Chrome/Firefox
+            // follows the OS output device automatically, including Bluetooth speakers.
+            if (!this.currentAudioOutputDeviceId) {
+                this.currentAudioOutputDeviceId = 'default';
+                await this.updateFlashbackVideoAudioOutput('default');
+                if (this.audioOutputMonitor) {
+                    this.audioOutputMonitor.setCurrentDevice('default');
+                }
+            } else if (this.currentAudioOutputDeviceId === 'default') {
+                // Re-apply on every devicechange so routing stays current after BT connect/disconnect.
+                await this.updateFlashbackVideoAudioOutput('default');
+            }
+
+            // Check for input device changes
+            // Only check if we have a current device ID (to avoid false positives on first run)
+            if (defaultInputDeviceId && this.currentAudioInputDeviceId && 
+                defaultInputDeviceId !== this.currentAudioInputDeviceId) {
+                await this.handleAudioInputDeviceChange(defaultInputDeviceId, defaultInputDevice);
+            }
+        } catch (err) {
+            console.warn('Error checking device changes:', err);
         }
-        if (this.nextMarkerBtn) {
-            this.addTooltip(this.nextMarkerBtn, 'Navigate to next marker.');
+    }
+
+    async setAudioOutputDevice(deviceId) {
+        /**
+         * Set audio output device (public API for AudioOutputMonitor)
+         * Wrapper around updateAudioOutputDevice that also notifies the monitor
+         */
+        await this.updateAudioOutputDevice(deviceId);
+        
+        // Notify audio output monitor of the device change
+        if (this.audioOutputMonitor) {
+            this.audioOutputMonitor.setCurrentDevice(deviceId);
         }
     }
 
-    addTooltip(element, text) {
-        if (!element || !text) return;
+    async updateAudioOutputDevice(deviceId) {
+        /**
+         * Update audio output device for playback
+         * Uses setSinkId() if available, otherwise relies on browser's automatic routing
+         */
+        if (!deviceId) return;
 
-        let tooltip = null;
+        // Get device label for display
+        const deviceLabel = this.getDeviceLabel(deviceId);
 
-        const showTooltip = (e) => {
-            if (tooltip) return; // Already showing
+        // Update stored device ID
+        this.currentAudioOutputDeviceId = deviceId;
 
-            tooltip = document.createElement('div');
-            tooltip.className = 'contextual-tooltip';
-            tooltip.textContent = text;
-            tooltip.style.position = 'absolute';
-            tooltip.style.background = 'rgba(0, 0, 0, 0.85)';
-            tooltip.style.color = 'white';
-            tooltip.style.padding = '8px 12px';
-            tooltip.style.borderRadius = '6px';
-            tooltip.style.fontSize = '13px';
-            tooltip.style.zIndex = '10000';
-            tooltip.style.pointerEvents = 'none';
-            tooltip.style.whiteSpace = 'nowrap';
-            tooltip.style.maxWidth = '250px';
-            tooltip.style.whiteSpace = 'normal';
-            tooltip.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.3)';
+        // Update flashback video if it exists
+        await this.updateFlashbackVideoAudioOutput(deviceId);
 
-            document.body.appendChild(tooltip);
+        // Show overlay message
+        this.showDeviceChangeOverlay(deviceLabel || 'Unknown device', 'output');
+    }
 
-            // Position tooltip
-            const rect = element.getBoundingClientRect();
-            const tooltipRect = tooltip.getBoundingClientRect();
-            
-            // Position above by default, adjust if needed
-            let top = rect.top - tooltipRect.height - 8;
-            let left = rect.left + (rect.width / 2) - (tooltipRect.width / 2);
+    async updateFlashbackVideoAudioOutput(deviceId = 'default') {
+        /**
+         * Update audio output device for flashback video.
+         * Uses setSinkId() when available (Chrome/Edge/Firefox).
+         * Passing 'default' follows the OS default output device automatically.
+         * On Safari (no setSinkId), the browser routes to OS default without action.
+         */
+        if (!this.flashbackVideo) return;
 
-            // Adjust if tooltip goes off screen
-            if (top < 0) {
-                top = rect.bottom + 8; // Show below instead
-            }
-            if (left < 0) {
-                left = 8;
+        if (typeof this.flashbackVideo.setSinkId === 'function') {
+            // '' (empty string) = browser default (follows OS), per the Web Audio Output Devices spec.
+            // 'default' is Chrome's virtual device ID and may not follow the OS default reliably.
+            const sinkId = (deviceId === 'default') ? '' : deviceId;
+            try {
+                await this.flashbackVideo.setSinkId(sinkId);
+                console.log('Audio output device updated via setSinkId:', sinkId || '(browser default)');
+            } catch (err) {
+                console.warn('Error setting audio output device via setSinkId:', err);
             }
-            if (left + tooltipRect.width > window.innerWidth) {
-                left = window.innerWidth - tooltipRect.width - 8;
+        }
+        // On Safari / browsers without setSinkId: audio follows OS default automatically.
+    }
+
+    async handleAudioInputDeviceChange(newDeviceId, newDevice) {
+        /**
+         * Handle change in default audio input device
+         * Option A: Detect and notify user, allowing them to continue or switch
+         */
+        if (!newDeviceId || newDeviceId === this.currentAudioInputDeviceId) {
+            return; // No change or already using this device
+        }
+
+        const oldDeviceId = this.currentAudioInputDeviceId;
+        const oldDeviceLabel = this.getDeviceLabel(oldDeviceId);
+        const newDeviceLabel = newDevice ? newDevice.label : 'Unknown device';
+
+        // Update stored device ID
+        this.currentAudioInputDeviceId = newDeviceId;
+
+        // Always show overlay notification for input device change
+        this.showDeviceChangeOverlay(newDeviceLabel, 'input');
+
+        // If we're currently recording, show additional detailed message
+        if (this.state === 'recording' && this.stream) {
+            const currentAudioTrack = this.stream.getAudioTracks()[0];
+            if (currentAudioTrack) {
+                const currentSettings = currentAudioTrack.getSettings();
+                const currentDeviceId = currentSettings.deviceId;
+
+                // Only show detailed message if we're actually using a different device
+                if (currentDeviceId && currentDeviceId !== newDeviceId) {
+                    // Show detailed message in the overlay after a short delay to show both messages
+                    setTimeout(() => {
+                        this.showMessage(
+                            `New audio input device detected: ${newDeviceLabel}. ` +
+                            `Recording continues with the current device. ` +
+                            `The new device will be used on the next recording.`,
+                            'info'
+                        );
+                    }, 3500); // Show after device change overlay disappears (3s + 0.5s)
+                }
             }
+        }
+    }
 
-            tooltip.style.top = top + 'px';
-            tooltip.style.left = left + 'px';
-
-            // Fade in
-            tooltip.style.opacity = '0';
-            tooltip.style.transition = 'opacity 0.2s ease';
-            setTimeout(() => {
-                if (tooltip) tooltip.style.opacity = '1';
-            }, 10);
-        };
+    getDeviceLabel(deviceId) {
+        /**
+         * Get the label for a device ID from the known devices list
+         */
+        if (!deviceId) return null;
+        const device = this.lastKnownDevices.find(d => d.deviceId === deviceId);
+        return device ? device.label : null;
+    }
 
-        const hideTooltip = () => {
-            if (tooltip) {
-                tooltip.style.opacity = '0';
-                setTimeout(() => {
-                    if (tooltip && tooltip.parentNode) {
-                        tooltip.remove();
-                    }
-                    tooltip = null;
-                }, 200);
-            }
-        };
+    removeAlert(alertId) {
+        /**
+         * Remove a specific alert by its ID
+         * @param {number} alertId - ID of the alert to remove
+         */
+        const alertData = this.activeAlerts.get(alertId);
+        if (!alertData) return;
 
-        element.addEventListener('mouseenter', showTooltip);
-        element.addEventListener('mouseleave', hideTooltip);
-        element.addEventListener('click', hideTooltip);
+        // Clear timeout if exists
+        if (alertData.timeoutId) {
+            clearTimeout(alertData.timeoutId);
+        }
 
-        this.tooltipElements.set(element, { showTooltip, hideTooltip, tooltip });
+        // Fade out and remove
+        if (alertData.element) {
+            alertData.element.classList.remove('show');
+            setTimeout(() => {
+                if (alertData.element && alertData.element.parentNode) {
+                    alertData.element.parentNode.removeChild(alertData.element);
+                }
+                this.activeAlerts.delete(alertId);
+            }, 300); // Match CSS transition duration
+        } else {
+            this.activeAlerts.delete(alertId);
+        }
     }
 
-    showFirstFlashbackOverlay() {
-        const firstFlashbackShown = localStorage.getItem('flashbackFirstTimeShown') === 'true';
-        if (firstFlashbackShown) return;
-
-        const overlay = document.createElement('div');
-        overlay.id = 'firstFlashbackOverlay';
-        overlay.style.position = 'fixed';
-        overlay.style.top = '50%';
-        overlay.style.left = '50%';
-        overlay.style.transform = 'translate(-50%, -50%)';
-        overlay.style.background = 'rgba(0, 0, 0, 0.85)';
-        overlay.style.color = 'white';
-        overlay.style.padding = '20px 32px';
-        overlay.style.borderRadius = '8px';
-        overlay.style.fontSize = '16px';
-        overlay.style.fontWeight = '500';
-        overlay.style.zIndex = '10000';
-        overlay.style.textAlign = 'center';
-        overlay.style.boxShadow = '0 4px 16px rgba(0, 0, 0, 0.4)';
-        overlay.textContent = 'You are in flashback mode. Use Esc to record again.';
+    removeOldestAlert() {
+        /**
+         * Remove the oldest alert when limit is reached
+         */
+        if (this.activeAlerts.size === 0) return;
 
-        document.body.appendChild(overlay);
+        // Find the oldest alert by createdAt timestamp
+        let oldestId = null;
+        let oldestTime = Infinity;
 
-        // Auto-dismiss after 5 seconds
-        setTimeout(() => {
-            if (overlay && overlay.parentNode) {
-                overlay.style.opacity = '0';
-                overlay.style.transition = 'opacity 0.3s ease';
-                setTimeout(() => {
-                    if (overlay && overlay.parentNode) {
-                        overlay.remove();
-                    }
-                }, 300);
+        for (const [alertId, alertData] of this.activeAlerts.entries()) {
+            if (alertData.createdAt < oldestTime) {
+                oldestTime = alertData.createdAt;
+                oldestId = alertId;
             }
-        }, 5000);
-
-        // Also allow manual dismissal
-        overlay.onclick = () => {
-            overlay.style.opacity = '0';
-            overlay.style.transition = 'opacity 0.3s ease';
-            setTimeout(() => {
-                if (overlay && overlay.parentNode) {
-                    overlay.remove();
-                }
-            }, 300);
-        };
+        }
 
-        localStorage.setItem('flashbackFirstTimeShown', 'true');
+        if (oldestId !== null) {
+            this.removeAlert(oldestId);
+        }
     }
 
-    // === STARTING AND STOPPING RECORDING ===
+    addAlert(text, type = 'info') {
+        /**
+         * Add a new alert to the alerts container
+         * @param {string} text - Message text to display
+         * @param {string} type - Type of message: 'error', 'success', 'info', 'device-change'
+         * @returns {number} - Alert ID
+         */
+        if (!this.alertsContainer) return null;
 
-    async startRecording() {
-        try {
-            this.finalizePendingSession();
-            // Clean up any previous source blob before starting
-            if (this.videoPreview) {
-                this.videoPreview.src = '';
-                // Don't set srcObject to null if we already have a stream - we want to reuse it
-                // We'll reattach just after
-                if (this.videoPreview.srcObject && this.videoPreview.srcObject !== this.stream) {
-                    this.videoPreview.srcObject = null;
-                }
-            }
-            // Don't get a new stream if we already have one active
-            if (!this.stream || (this.stream && !this.stream.active)) {
-                if (this.stream) {
-                    // Stop the old stream before obtaining a new one
-                    this.stream.getTracks().forEach(track => track.stop());
-                }
+        // Enforce limit: remove oldest if at max
+        if (this.activeAlerts.size >= this.maxAlerts) {
+            this.removeOldestAlert();
+        }
 
-                // Preferred devices set by the user in the config panel (FEAT-002)
-                const preferredMicId = localStorage.getItem('preferredAudioInputDeviceId');
-                const preferredCameraId = localStorage.getItem('preferredVideoDeviceId');
-
-                // Request audio with browser-level processing disabled where possible
-                // Additionally, request a basic audio format (44.1 kHz mono) to minimize
-                // automatic processing by device hardware (e.g., M1 chip on MacBook) or
-                // the electronics handling audio capture. Lower sample rates and mono
-                // channels can bypass advanced DSP algorithms (beamforming, spatial
-                // noise reduction) that cause unwanted volume pumping/compression.
-                const audioConstraints = {
-                    echoCancellation: false,
-                    noiseSuppression: false,
-                    autoGainControl: false,
-                    sampleRate: 44100,        // 44.1 kHz (CD standard, less "intelligent" processing)
-                    channelCount: 1,           // Mono (bypasses stereo beamforming and spatial filtering)
-                    ...(preferredMicId ? { deviceId: { ideal: preferredMicId } } : {})
-                };
-                const videoConstraints = preferredCameraId
-                    ? { deviceId: { ideal: preferredCameraId } }
-                    : true;
+        // Generate unique ID
+        const alertId = ++this.alertIdCounter;
+        const createdAt = Date.now();
 
-                try {
-                    this.stream = await navigator.mediaDevices.getUserMedia({
-                        video: videoConstraints,
-                        audio: audioConstraints
-                    });
-                } catch (err) {
-                    // Fallback: if format constraints are not supported by the browser/device,
-                    // keep at least the filter disabling (echoCancellation, noiseSuppression, autoGainControl)
-                    if (err.name === 'OverconstrainedError' || err.name === 'ConstraintNotSatisfiedError') {
-                        console.warn('Audio format constraints not supported, falling back to basic constraints', err);
-                        this.stream = await navigator.mediaDevices.getUserMedia({
-                            video: videoConstraints,
-                            audio: {
-                                echoCancellation: false,
-                                noiseSuppression: false,
-                                autoGainControl: false,
-                                ...(preferredMicId ? { deviceId: { ideal: preferredMicId } } : {})
-                            }
-                        });
-                    } else {
-                        throw err; // Re-throw other errors (permissions, etc.)
-                    }
-                }
+        // Create alert element
+        const alertElement = document.createElement('div');
+        alertElement.className = 'alert-item';
+        alertElement.textContent = text;
 
-                // Debug logging to inspect effective audio settings and verify format compliance
-                const audioTracks = this.stream.getAudioTracks ? this.stream.getAudioTracks() : [];
-                if (audioTracks.length > 0) {
-                    const settings = audioTracks[0].getSettings ? audioTracks[0].getSettings() : {};
-                    console.log('FlashbackRecorder audio settings', {
-                        requestedAudioConstraints: audioConstraints,
-                        effectiveAudioSettings: settings,
-                        // Verify if the requested format was respected:
-                        formatMatch: {
-                            sampleRate: settings.sampleRate === 44100 ? '✓' : `✗ (got ${settings.sampleRate})`,
-                            channelCount: settings.channelCount === 1 ? '✓' : `✗ (got ${settings.channelCount})`
-                        }
-                    });
-                    
-                    // Store the current audio input device ID (BUG-020)
-                    if (settings.deviceId) {
-                        this.currentAudioInputDeviceId = settings.deviceId;
-                    }
-                }
-            }
-            // Always reattach the stream to ensure it's active
-            this.videoPreview.srcObject = this.stream;
-            // Mute audio during recording (we still record it, but don't play it)
-            this.videoPreview.muted = true;
-            // Apply mirror mode and refresh device labels now that gUM has granted permissions
-            this.applyMirrorMode();
-            this.refreshConfigPanelDevices();
-            // Start audio output monitoring now that getUserMedia has granted permissions,
-            // so enumerateDevices() returns real device labels (BUG-022)
-            this.audioOutputMonitor.start();
-            // Restore preferred output device: verify it's still available, fall back to 'default'
-            if (this.currentAudioOutputDeviceId && this.currentAudioOutputDeviceId !== 'default') {
-                const devices = await navigator.mediaDevices.enumerateDevices();
-                const available = devices.some(d => d.kind === 'audiooutput' && d.deviceId === this.currentAudioOutputDeviceId);
-                if (available) {
-                    await this.updateFlashbackVideoAudioOutput(this.currentAudioOutputDeviceId);
-                } else {
-                    this.currentAudioOutputDeviceId = 'default';
-                    localStorage.removeItem('preferredAudioOutputDeviceId');
-                }
-            }
-            if (this.videoOverlay) {
-                this.videoOverlay.style.display = 'flex';
-            }
-            
-            // Capture video dimensions when video is ready
-            const captureVideoDimensions = () => {
-                if (this.videoPreview && this.videoPreview.readyState >= 2) {
-                    // Video metadata is loaded
-                    this.videoWidth = this.videoPreview.videoWidth;
-                    this.videoHeight = this.videoPreview.videoHeight;
-                    console.log('Video dimensions captured:', {
-                        width: this.videoWidth,
-                        height: this.videoHeight
-                    });
-                    
-                    // Recalculate extraction interval if extraction is active
-                    if (this.photoExtractionActive) {
-                        this.recalculatePhotoExtractionInterval();
-                    }
-                } else {
-                    // Retry after a short delay
-                    setTimeout(captureVideoDimensions, 100);
-                }
-            };
-            
-            // Try to capture dimensions immediately if video is already ready
-            if (this.videoPreview.readyState >= 2) {
-                captureVideoDimensions();
-            } else {
-                // Wait for loadedmetadata event
-                this.videoPreview.addEventListener('loadedmetadata', captureVideoDimensions, { once: true });
-            }
+        // Add type class
+        const validTypes = ['error', 'success', 'info', 'device-change'];
+        if (validTypes.includes(type)) {
+            alertElement.classList.add(type);
+        } else {
+            alertElement.classList.add('info'); // Default
+        }
+
+        // Add to container
+        this.alertsContainer.appendChild(alertElement);
 
-            // Set state to 'recording' BEFORE starting waveform analysis
-            // This ensures analyzeAudioWaveform() doesn't exit early due to state check
-            this.setState('recording');
+        // Show with fade-in animation
+        requestAnimationFrame(() => {
+            alertElement.classList.add('show');
+        });
 
-                    // Start real-time audio analysis for waveform
-                    if (this.showWaveform) {
-                        this.startWaveformAnalysis();
-                    }
+        // Set up auto-removal after 3 seconds
+        const timeoutId = setTimeout(() => {
+            this.removeAlert(alertId);
+        }, 3000);
 
-                    // Start photo extraction for photo timeline
-                    if (this.showPhotoTimeline) {
-                        this.startPhotoExtraction();
-                        this.startPhotoTimelineRefresh();
-                    }
+        // Store alert data
+        this.activeAlerts.set(alertId, {
+            element: alertElement,
+            timeoutId: timeoutId,
+            createdAt: createdAt,
+            type: type,
+            text: text
+        });
 
-            const options = { mimeType: 'video/webm;codecs=vp9,opus' };
-            if (!MediaRecorder.isTypeSupported(options.mimeType)) {
-                options.mimeType = 'video/webm;codecs=vp8,opus';
-            }
-            this.activeMimeType = options.mimeType;
+        return alertId;
+    }
 
-            // Recreate the MediaRecorder if necessary (it was stopped during flashback)
-            if (!this.mediaRecorder || this.mediaRecorder.state === 'inactive') {
-            this.mediaRecorder = new MediaRecorder(this.stream, options);
-            this.mediaRecorder.ondataavailable = (event) => {
-                    this.handleRecordedChunk(event);
-            };
+    showOverlayMessage(text, type = 'info') {
+        /**
+         * Display a unified overlay message in the bottom of the video
+         * @param {string} text - Message text to display
+         * @param {string} type - Type of message: 'error', 'success', 'info', 'device-change'
+         */
+        this.addAlert(text, type);
+    }
 
-            this.mediaRecorder.onstop = () => {
-                if (this.state !== 'transitioning' && !this._rotating) {
-                    this.saveCurrentSession();
-                }
-            };
-            }
+    showDeviceChangeOverlay(deviceName, deviceType) {
+        /**
+         * Display an overlay message indicating a device change
+         * @param {string} deviceName - Name of the new device
+         * @param {string} deviceType - Type of device ('input', 'output' or 'camera')
+         */
+        const deviceTypeLabel = { input: 'Input', camera: 'Camera' }[deviceType] || 'Output';
+        const displayName = deviceName || 'Unknown device';
+        const message = `${deviceTypeLabel} device changed: ${displayName}`;
+        this.showOverlayMessage(message, 'device-change');
+    }
 
-            // Start recording with 1-second chunks
-            this.currentSessionId = ++this.currentSessionIdCounter;
-            this.currentSessionChunks = [];
-            this.currentSessionStartMs = Date.now();
-            this._lastChunkTimestamp = this.currentSessionStartMs;
-            this.currentSessionHeaderBlob = null;
-            this.mediaRecorder.start(1000);
-            this.recordingStartTime = this.currentSessionStartMs;
+    cleanupAudioDeviceManagement() {
+        /**
+         * Clean up audio device management listeners and intervals
+         */
+        if (this.deviceChangeHandler && navigator.mediaDevices && navigator.mediaDevices.removeEventListener) {
+            navigator.mediaDevices.removeEventListener('devicechange', this.deviceChangeHandler);
+            this.deviceChangeHandler = null;
+        }
 
-            this.updateUIForRecording();
-            this.startTimer(); // Start the timer to regularly update the progress bar
-            this.startSegmentRotation(); // Rotate the recorder periodically so each segment is a self-contained WebM
+        if (this.deviceChangePollingInterval) {
+            clearInterval(this.deviceChangePollingInterval);
+            this.deviceChangePollingInterval = null;
+        }
+    }
 
-            // Start audio keep-alive to prevent speaker/headphone sleep
-            this.audioKeepAlive.start(this.currentAudioOutputDeviceId || 'default');
-            
-            // Start inactivity monitoring (BUG-021)
-            this.startInactivityMonitor();
-        } catch (err) {
-            this.showMessage('Camera/microphone access denied or unavailable', 'error');
+    clearFlashbackMonitors() {
+        if (this._flashbackTimeout) {
+            clearTimeout(this._flashbackTimeout);
+            this._flashbackTimeout = null;
+        }
+        if (this._flashbackInterval) {
+            clearInterval(this._flashbackInterval);
+            this._flashbackInterval = null;
+        }
+        if (this._timeupdateGuardTimeout) {
+            clearTimeout(this._timeupdateGuardTimeout);
+            this._timeupdateGuardTimeout = null;
+        }
+        if (this._metadataTimeout) {
+            clearTimeout(this._metadataTimeout);
+            this._metadataTimeout = null;
         }
     }
 
-    stopRecording() {
-        // Stop the periodic recorder rotation
-        this.stopSegmentRotation();
+    handleRecordedChunk(event) {
 
-        // Stop waveform analysis
-        this.stopWaveformAnalysis();
+        if (!event || !event.data || event.data.size === 0) {
+            return;
+        }
 
-        // Stop photo extraction
-        this.stopPhotoExtraction();
-        this.stopPhotoTimelineRefresh();
+        const now = Date.now();
+        // First chunk after a suspension (it may beat the 'resume'/'visible' event or the watchdog tick):
+        // settle the gap before anything is appended
+        const silence = this.lastChunkArrivalMs ? (now - this.lastChunkArrivalMs) / 1000 : 0;
+        if (silence > FlashbackRecorder.SUSPEND_GAP_SECONDS && (this.suspendedAtMs !== null || this.isClockJump(now))) {
+            this.handlePageResume('chunk after suspend');
+        }
+        if (this.gapRecorder) {
+            const rotating = this._rotating || this.watchdogRecovering || this.mediaRecorder !== this.gapRecorder;
+            if (event.target === this.gapRecorder && rotating) {
+                // Straddles the gap: appending it would make one segment span the interruption
+                this.lastChunkArrivalMs = now;
+                this.diagnostics.info('CHUNK', 'chunk across a capture gap dropped', { size: event.data.size });
+                return;
+            }
+            this.gapRecorder = null;
+        }
+        if (this.lastChunkArrivalMs) {
+            this.chunkArrivalIntervals.push(now - this.lastChunkArrivalMs);
+            if (this.chunkArrivalIntervals.length > 30) {
+                this.chunkArrivalIntervals.shift();
+            }
+        }
+        this.lastChunkArrivalMs = now;
+        let duration = 1;
+        if (this._lastChunkTimestamp !== null) {
+            duration = Math.max(0.1, (now - this._lastChunkTimestamp) / 1000);
+        }
+        this._lastChunkTimestamp = now;
 
-        // Stop inactivity monitoring (BUG-021)
-        this.stopInactivityMonitor();
+        const absoluteStart = this.lifetimeRecordedDuration;
+        const absoluteEnd = absoluteStart + duration;
+        
+        // Extract first frame from first chunk at the start of a new recording (timestamp = 0)
+        const isStartOfNewRecording = absoluteStart === 0 || (absoluteStart < 0.1 && this.photoFrames.length === 0);
+        if (isStartOfNewRecording && this.showPhotoTimeline && this.videoPreview && this.videoPreview.readyState >= 2) {
+            const firstFrameImageData = this.extractFrameFromVideo(0, this.videoPreview);
+            if (firstFrameImageData) {
+                // Check if frame already exists at timestamp 0 (avoid duplicates)
+                const epsilon = 0.1; // 100ms tolerance
+                const existingFrame = this.photoFrames.find(frame => 
+                    Math.abs(frame.timestamp - 0) < epsilon
+                );
+                if (!existingFrame) {
+                    this.photoFrames.push({
+                        timestamp: 0,
+                        imageData: firstFrameImageData,
+                        thumbnail: firstFrameImageData
+                    });
+                    this.photoFrames.sort((a, b) => a.timestamp - b.timestamp);
+                    this.renderPhotoTimeline();
+                }
+            }
+        }
+        
+        this.lifetimeRecordedDuration = absoluteEnd;
 
-        if (this.mediaRecorder && this.state === 'recording') {
-            this.mediaRecorder.stop();
-            this.setState('recordingStopped');
-            this.stopTimer();
-            this.saveCurrentSession();
-            this.updateUIForRecordingStopped();
+        let targetSessionId = this.currentSessionId;
+        let isCurrentSession = true;
+        if (targetSessionId === null && this.pendingSessionId !== null) {
+            targetSessionId = this.pendingSessionId;
+            isCurrentSession = false;
         }
-    }
 
-    resumeRecording() {
-        // Check only if we're not already recording and if we have a stream
-        // startRecording() handles state transitions and cleanup itself
-        if (this.state !== 'recording' && this.stream) {
-            this.startRecording();
-        } else {
+        let attachedToLastSession = false;
+        let lastSessionForAttachment = null;
+        if (targetSessionId === null && this.lastFinalizedSessionId !== null) {
+            const lastSession = this.sessionMap.get(this.lastFinalizedSessionId);
+            if (lastSession) {
+                const lastVisibleEnd = lastSession.visibleEndAbs ?? lastSession.absoluteEnd ?? lastSession.absoluteStart ?? 0;
+                const gap = absoluteStart - lastVisibleEnd;
+                if (gap >= 0 && gap <= this.lateChunkThresholdSeconds) {
+                    targetSessionId = lastSession.id;
+                    isCurrentSession = false;
+                    attachedToLastSession = true;
+                    lastSessionForAttachment = lastSession;
+                }
+            }
         }
-    }
 
-    // === SEGMENT ROTATION ===
-    // A single continuous MediaRecorder produces ONE WebM stream whose header lives only in the
-    // first chunk; evicting old chunks from the rolling buffer therefore leaves an undecodable,
-    // header-less remainder. To avoid this we periodically stop and restart the recorder so each
-    // segment is a small, self-contained WebM (its own header, timecodes starting at 0). The
-    // rolling buffer can then drop whole old segments without ever corrupting a kept one.
+        const isFirstChunkOfCurrentSession = isCurrentSession && this.currentSessionChunks.length === 0;
 
-    startSegmentRotation() {
-        this.stopSegmentRotation();
-        // Keep the segment shorter than the retained window so rotation stays meaningful.
-        const seg = Math.max(2, Math.min(this.segmentDurationSeconds, this.maxDuration || this.segmentDurationSeconds));
-        this._segmentRotationTimer = setInterval(() => {
-            this.rotateRecorder();
-        }, seg * 1000);
-    }
+        const chunk = {
+            id: ++this.currentChunkSequence,
+            blob: event.data,
+            duration,
+            mimeType: event.data.type || this.activeMimeType || 'video/webm',
+            sessionId: targetSessionId,
+            createdAt: now,
+            isSessionHeader: isFirstChunkOfCurrentSession,
+            isPreRoll: false,
+            absoluteStart,
+            absoluteEnd
+        };
 
-    stopSegmentRotation() {
-        if (this._segmentRotationTimer) {
-            clearInterval(this._segmentRotationTimer);
-            this._segmentRotationTimer = null;
+        if (isFirstChunkOfCurrentSession && event.data) {
+            this.currentSessionHeaderBlob = event.data;
         }
-    }
 
-    async rotateRecorder() {
-        // Only rotate a live recording; never during flashback/transition or a rotation already in flight.
-        if (this._rotating) return;
-        if (this.state !== 'recording') return;
-        if (!this.mediaRecorder || this.mediaRecorder.state !== 'recording') return;
+        this.chunkBuffer.push(chunk);
+        this._bufferedDuration += duration;
+        this.recordChunkStats(chunk);
+        this.diagnostics.debug('CHUNK', 'chunk recorded', {
+            id: chunk.id,
+            sessionId: targetSessionId,
+            size: event.data.size,
+            duration: Number(duration.toFixed(3)),
+            absoluteEnd: Number(absoluteEnd.toFixed(2)),
+            header: isFirstChunkOfCurrentSession
+        });
 
-        this._rotating = true;
-        try {
-            // Close the current segment. Detach its onstop so the (asynchronous) stop event cannot
-            // fire late and clobber the next segment; we finalize manually below. Wait for the real
-            // 'stop' event, which follows the final 'dataavailable', so the last chunk is attributed
-            // to this segment before we finalize it.
-            const previousRecorder = this.mediaRecorder;
-            previousRecorder.onstop = null;
-            const stopped = new Promise((resolve) => {
-                previousRecorder.addEventListener('stop', resolve, { once: true });
-            });
-            try {
-                previousRecorder.stop();
-                await stopped;
-            } catch (e) {
+        let sessionUpdated = false;
+        let updatedSession = null; // finalized session that received a late chunk (re-persisted below)
+
+        if (attachedToLastSession && lastSessionForAttachment) {
+            chunk.sessionId = lastSessionForAttachment.id;
+            lastSessionForAttachment.chunks.push(chunk);
+            this.refreshSessionBounds(lastSessionForAttachment);
+            lastSessionForAttachment.playableDuration = lastSessionForAttachment.duration;
+            sessionUpdated = true;
+            updatedSession = lastSessionForAttachment;
+        } else if (isCurrentSession && this.currentSessionId !== null) {
+            this.currentSessionChunks.push(chunk);
+        } else if (!isCurrentSession && this.pendingSessionId !== null) {
+            this.pendingSessionChunks.push(chunk);
+            const pendingSession = this.sessionMap.get(this.pendingSessionId);
+            if (pendingSession) {
+                pendingSession.chunks.push(chunk);
+                sessionUpdated = true;
+                updatedSession = pendingSession;
+            }
+            if (this.state !== 'recording' && (!this.mediaRecorder || this.mediaRecorder.state !== 'recording')) {
+                this.finalizePendingSession();
+                sessionUpdated = false;
             }
-            // Finalize the just-recorded segment as its own self-contained session.
-            this.saveCurrentSession();
+        }
 
-            // A flashback (or stop) may have started while we awaited the recorder; if so, bail out
-            // and let that flow own the recorder instead of resurrecting a live one.
-            if (this.state !== 'recording') {
-                return;
-            }
+        this.enforceRollingBuffer();
 
-            // Open a fresh segment with a brand-new header.
-            const options = { mimeType: this.activeMimeType || 'video/webm' };
-            try {
-                this.mediaRecorder = new MediaRecorder(this.stream, options);
-            } catch (e) {
-                return;
-            }
-            this.mediaRecorder.ondataavailable = (event) => {
-                this.handleRecordedChunk(event);
-            };
-            this.mediaRecorder.onstop = () => {
-                if (this.state !== 'transitioning' && !this._rotating) {
-                    this.saveCurrentSession();
-                }
-            };
-            this.currentSessionId = ++this.currentSessionIdCounter;
-            this.currentSessionChunks = [];
-            this.currentSessionStartMs = Date.now();
-            this._lastChunkTimestamp = this.currentSessionStartMs;
-            this.currentSessionHeaderBlob = null;
-            try {
-                this.mediaRecorder.start(1000);
-            } catch (e) {
-            }
-        } finally {
-            this._rotating = false;
+        if (sessionUpdated) {
+            this.recomputeSessionBoundaries();
+        }
+        if (updatedSession && this.sessionMap.has(updatedSession.id)) {
+            this.persistSegment(updatedSession);
         }
-    }
 
-    // === HANDLING TOUCHES ===
-    
-    handleBackKey() {
-        if (this.state === 'transitioning') {
-            return;
+        if (this.state === 'recording') {
+            this.updateTimeline();
         }
-        this.handleBack();
+        
+        // Waveform is now analyzed in real-time from the stream, not from chunks
+        // No need to process chunks for waveform
+        
+        this.updateDebugPanel();
     }
 
-    handleForwardKey() {
-        if (this.state === 'transitioning') {
+    removeChunksFromBuffer(chunks) {
+        if (!Array.isArray(chunks) || chunks.length === 0) {
             return;
         }
-        this.handleForward();
-    }
-
-    handleEscapeKey() {
-        if (this.state === 'flashback') {
-            this.stopFlashbackAndResumeRecording();
+        const idsToRemove = new Set(chunks.map(chunk => chunk.id));
+        if (this.currentSessionChunks.length > 0) {
+            this.currentSessionChunks = this.currentSessionChunks.filter(chunk => !idsToRemove.has(chunk.id));
+        }
+        this.chunkBuffer = this.chunkBuffer.filter(chunk => {
+            if (idsToRemove.has(chunk.id)) {
+                let preservedHeader = false;
+                if (chunk.sessionId) {
+                    const session = this.sessionMap.get(chunk.sessionId);
+                    if (chunk.isSessionHeader && chunk.sessionId === this.currentSessionId && !this.currentSessionHeaderBlob && chunk.blob) {
+                        this.currentSessionHeaderBlob = chunk.blob;
+                        preservedHeader = true;
+                    }
+                    if (session && chunk.isSessionHeader && chunk.blob && !session.headerBlob) {
+                        session.headerBlob = chunk.blob;
+                        preservedHeader = true;
+                    }
+                }
+                this._bufferedDuration = Math.max(0, this._bufferedDuration - (chunk.duration || 0));
+                if (!preservedHeader) {
+                    chunk.blob = null;
+                }
+                return false;
+            }
+            return true;
+        });
+        if (this.pendingSessionChunks.length > 0) {
+            this.pendingSessionChunks = this.pendingSessionChunks.filter(chunk => !idsToRemove.has(chunk.id));
+            if (this.pendingSessionChunks.length === 0 && this.pendingSessionId) {
+                this.finalizePendingSession();
+            }
         }
+        this.updateDebugPanel();
     }
 
-    handleShiftKey() {
-        if (this.state === 'transitioning') {
-            return;
-        }
-        if (this.state === 'recording') {
-            this.stopRecording();
+    refreshSessionBounds(session) {
+        if (!session || !Array.isArray(session.chunks)) {
             return;
         }
-        if (this.state === 'recordingStopped') {
-            this.startRecording();
+        const chunks = session.chunks.filter(Boolean);
+        if (chunks.length === 0) {
+            session.absoluteStart = session.absoluteStart ?? this.lifetimeRecordedDuration;
+            session.absoluteEnd = session.absoluteStart;
+            session.visibleStartAbs = session.absoluteEnd;
+            session.visibleEndAbs = session.absoluteEnd;
+            session.duration = 0;
+            session.preRollDuration = 0;
+            session.chunkCount = 0;
             return;
         }
-        if (this.state === 'flashback') {
-            if (this.flashbackVideo) {
-                try {
-                    this.flashbackVideo.pause();
-                } catch (e) {
+        chunks.sort((a, b) => (a.absoluteStart || 0) - (b.absoluteStart || 0));
+        session.absoluteStart = chunks[0].absoluteStart ?? session.absoluteStart ?? 0;
+        session.absoluteEnd = chunks[chunks.length - 1].absoluteEnd ?? session.absoluteEnd ?? session.absoluteStart;
+
+        let visibleStartAbs = null;
+        let visibleEndAbs = null;
+        let visibleDuration = 0;
+        let preRollDuration = 0;
+        let visibleChunkCount = 0;
+
+        chunks.forEach(chunk => {
+            const chunkDuration = chunk.duration || 0;
+            const chunkEnd = chunk.absoluteEnd ?? ((chunk.absoluteStart || 0) + chunkDuration);
+            if (chunk.isPreRoll) {
+                preRollDuration += chunkDuration;
+            } else {
+                visibleDuration += chunkDuration;
+                visibleChunkCount += 1;
+                if (visibleStartAbs === null) {
+                    visibleStartAbs = chunk.absoluteStart ?? session.absoluteStart;
                 }
+                visibleEndAbs = chunkEnd;
             }
-            this.clearFlashbackMonitors();
-            this.stopTimer();
-            this.setState('flashbackPaused');
-            this.updateUIForFlashbackPaused();
-            return;
-        }
-        if (this.state === 'flashbackPaused') {
-            const resumeTime = this.getCurrentAbsoluteTime();
-            this.seekFlashback(resumeTime, {
-                allowFromRecording: false,
-                allowFromRecordingStopped: false,
-                allowFromFlashbackPaused: true
-            });
-        }
+        });
+
+        session.preRollDuration = preRollDuration;
+        session.duration = visibleDuration;
+        session.chunkCount = visibleChunkCount;
+        session.visibleStartAbs = visibleStartAbs ?? session.absoluteEnd;
+        session.visibleEndAbs = visibleEndAbs ?? session.visibleStartAbs;
     }
 
-    handleArrowUpKey() {
-        if (this.state === 'transitioning') {
+    updateShiftButton(label, variant = 'secondary', disabled = false) {
+        if (!this.shiftBtn) {
             return;
         }
-        
-        // Increment the counter and get the number of markers to skip
-        this.incrementMarkerUpCounter();
-        const skipCount = this.markerUpPressCount; // 1 for first press, 2+ for rapid presses
-        
-        // Call navigation with the skip count
-        this.handleNavigateFlashbackMarker(-1, skipCount);
+        const variantClass = variant === 'primary'
+            ? 'btn-primary'
+            : variant === 'danger'
+                ? 'btn-danger'
+                : 'btn-secondary';
+        this.shiftBtn.classList.remove('btn-primary', 'btn-danger', 'btn-secondary');
+        this.shiftBtn.classList.add('btn');
+        this.shiftBtn.classList.add(variantClass);
+        this.shiftBtn.textContent = label;
+        this.shiftBtn.disabled = !!disabled;
     }
 
-    handleArrowDownKey() {
-        if (this.state === 'transitioning') {
+    updateStateIndicator(state) {
+        if (!this.stateIndicatorDot || !this.stateIndicatorLabel) {
             return;
         }
-        if (this.state !== 'flashback' && this.state !== 'flashbackPaused') {
-            return;
+        if (this.videoOverlay) {
+            this.videoOverlay.style.display = 'flex';
         }
-        this.handleNavigateFlashbackMarker(1);
-    }
-
-    // === HANDLING FLASHBACKS ===
-
-    async handleBack() {
-        this.incrementBackCounter();
-
-        const backDuration = this.calculateSeekDuration(this.backPressCount);
-        const absoluteNow = this.getCurrentAbsoluteTime();
-
-        // Reset previous position if starting from recording (first flashback)
-        if (this.state === 'recording' && this.previousAbsoluteTime === null) {
-            this.previousAbsoluteTime = absoluteNow;
+        let color = '#6B7280';
+        let text = 'READY';
+        if (state === 'recording') {
+            color = '#EF4444';
+            text = 'REC';
+        } else if (state === 'flashback') {
+            color = '#2563EB';
+            text = 'FLASHBACK';
+        } else if (state === 'flashbackPaused') {
+            color = '#F59E0B';
+            text = 'PAUSE';
+        } else if (state === 'recordingStopped') {
+            color = '#6B7280';
+            text = 'READY';
         }
-
-        let targetTime;
-        if (absoluteNow < backDuration) {
-            this.showMessage(`Playing from beginning`, 'success');
-            targetTime = 0;
-        } else {
-            targetTime = Math.max(0, absoluteNow - backDuration);
+        if (this.backgroundRecording && (state === 'flashback' || state === 'flashbackPaused')) {
+            text += ' · REC';
         }
+        this.stateIndicatorDot.style.backgroundColor = color;
+        this.stateIndicatorLabel.textContent = text;
+        this.updateSpeedBadge();
+    }
 
-        // Calculate offset from previous position (negative for backward)
-        let offsetSeconds = -backDuration;
-        if (this.previousAbsoluteTime !== null) {
-            offsetSeconds = targetTime - this.previousAbsoluteTime;
+    updateUIForRecording() {
+        this.updateShiftButton('Stop', 'danger');
+        this.flashbackBtn.disabled = false;
+        this.forwardBtn.disabled = true;
+        this.timelineContainer.style.display = 'block';
+        if (this.timelineLegend) {
+            this.timelineLegend.textContent = '';
         }
-
-        // Show time offset overlay
-        this.showTimeOffsetOverlay(offsetSeconds);
-
-        // Store target position as previous for next navigation
-        this.previousAbsoluteTime = targetTime;
-
-        const allowOptions = {
-            allowFromRecording: true,
-            allowFromRecordingStopped: true
-        };
-        if (this.state === 'flashbackPaused') {
-            allowOptions.allowFromFlashbackPaused = true;
+        this.timelinePosition.style.display = 'block';
+        // Mute audio during recording (we still record it, but don't play it)
+        if (this.videoPreview) {
+            this.videoPreview.muted = true;
         }
-        await this.seekFlashback(targetTime, allowOptions);
+        this.applyPlaybackSpeed(); // live preview always runs at 1x
+        this.deactivateAbLoop();
+        this.updateMarkerControls();
+        this.updateStateIndicator('recording');
     }
 
-    async handleForward() {
-        this.incrementForwardCounter();
-
-        if (this.state !== 'flashback' && this.state !== 'flashbackPaused') {
-            return;
+    updateUIForFlashback() {
+        this.updateShiftButton('Pause', 'secondary');
+        this.flashbackBtn.disabled = false;
+        this.forwardBtn.disabled = false;
+        if (this.videoOverlay) {
+            this.videoOverlay.style.display = 'flex';
         }
-
-        const forwardDuration = this.calculateSeekDuration(this.forwardPressCount);
-        const absoluteNow = this.getCurrentAbsoluteTime();
-        const targetTime = absoluteNow + forwardDuration;
-
-        // Calculate offset from previous position (positive for forward)
-        let offsetSeconds = forwardDuration;
-        if (this.previousAbsoluteTime !== null) {
-            offsetSeconds = targetTime - this.previousAbsoluteTime;
+        // Don't reset counters to 0 for continuous flashbacks
+        this.timelinePosition.style.display = 'block';
+        if (this.timelineLegend) {
+            this.timelineLegend.textContent = '';
         }
+        // Ensure the timeline is visible in flashback mode
+        this.timelineContainer.style.display = 'block';
+        this.updateMarkerControls();
+        this.updateStateIndicator('flashback');
+    }
 
-        // Show time offset overlay
-        this.showTimeOffsetOverlay(offsetSeconds);
-
-        if (targetTime >= this.lifetimeRecordedDuration) {
-            this.showMessage('End of recording reached - resuming live recording', 'success');
-            this.resumeRecordingAfterFlashback();
-            return;
+    updateUIForFlashbackPaused() {
+        this.updateShiftButton('Read', 'primary');
+        this.flashbackBtn.disabled = false;
+        this.forwardBtn.disabled = false;
+        if (this.videoOverlay) {
+            this.videoOverlay.style.display = 'flex';
         }
-
-        // Store target position as previous for next navigation
-        this.previousAbsoluteTime = targetTime;
-
-        const allowOptions = {
-            allowFromRecording: false,
-            allowFromRecordingStopped: false
-        };
-        if (this.state === 'flashbackPaused') {
-            allowOptions.allowFromFlashbackPaused = true;
+        this.timelineContainer.style.display = 'block';
+        this.timelinePosition.style.display = 'block';
+        if (this.timelineLegend) {
+            this.timelineLegend.textContent = '';
         }
-        await this.seekFlashback(targetTime, allowOptions);
+        this.updateMarkerControls();
+        this.updateStateIndicator('flashbackPaused');
     }
 
-    calculateSeekDuration(pressCount) {
-    /**
-     * Calculates the incremental duration delta for a flashback/advance based on the number of consecutive presses.
-     * Uses exponential progression (1, 1, 2, 4, 8, 16... seconds as incremental deltas).
-     *
-     * Formula:
-     * - 1st press (pressCount=1): delta = 1 second
-     * - n-th press (pressCount≥2): delta = 2^(pressCount-2) seconds
-     * 
-     * This ensures cumulative progression: 1s, 2s, 4s, 8s, 16s...
-     * - 1st press: delta = 1s → total = 1s
-     * - 2nd press: delta = 2^(2-2) = 1s → total = 2s
-     * - 3rd press: delta = 2^(3-2) = 2s → total = 4s
-     * - 4th press: delta = 2^(4-2) = 4s → total = 8s
-     */
-        if (pressCount === 1) {
-            return 1;
+    updateUIForRecordingStopped() {
+        this.updateShiftButton('Record', 'primary');
+        this.flashbackBtn.disabled = true;
+        this.forwardBtn.disabled = true;
+        this.timelineContainer.style.display = 'block';
+        // Keep the timeline visible even when recording is stopped
+        this.timelinePosition.style.display = 'none';
+        // Mute audio when recording is stopped (if stream is still attached)
+        if (this.videoPreview) {
+            this.videoPreview.muted = true;
         }
-        return Math.pow(2, pressCount - 2);
+        if (this.timelineLegend) {
+            this.timelineLegend.textContent = '';
+        }
+        if (this.timelineMarkerLayer) {
+            this.timelineMarkerLayer.innerHTML = '';
+        }
+        this.updateMarkerControls();
+        this.updateStateIndicator('recordingStopped');
     }
 
-    async seekFlashback(targetTime, options = {}) {
-        console.log('[DEBUG] seekFlashback called', {
-            targetTime,
-            options,
-            currentState: this.state
+    saveCurrentSession() {
+        this.debugLogState('save:start', {
+            currentSessionId: this.currentSessionId,
+            currentChunks: this.currentSessionChunks.length
         });
+        /**
+         * Saves the current recording session by creating a logical session
+         * based on the individual chunks stored in the buffer.
+         * 
+         * This function is called:
+         * - When manual stop (stopRecording)
+         * - When flashback (startFlashbackFlashback) to save the current session
+         */
+        this.finalizePendingSession();
 
-        const {
-            allowFromRecording = false,
-            allowFromRecordingStopped = false,
-            allowFromFlashbackPaused = false
-        } = options;
-
-        // Explicit state check as per plan
-        if (this.state === 'recording' && allowFromRecording) {
-            console.log('[DEBUG] seekFlashback: Allowed from recording');
-        } else if (this.state === 'recordingStopped' && allowFromRecordingStopped) {
-            console.log('[DEBUG] seekFlashback: Allowed from recordingStopped');
-        } else if (this.state === 'flashbackPaused' && allowFromFlashbackPaused) {
-            console.log('[DEBUG] seekFlashback: Allowed from flashbackPaused');
-        } else if (this.state === 'flashback') {
-            console.log('[DEBUG] seekFlashback: Allowed from flashback');
-        } else if (this.state === 'transitioning') {
-            console.log('[DEBUG] seekFlashback: Allowed during transitioning');
-        } else {
-            console.log('[DEBUG] seekFlashback early return: Invalid state');
+        if (this.currentSessionChunks.length === 0) {
+            this.currentSessionStartMs = null;
+            this.currentSessionId = null;
+            this._lastChunkTimestamp = null;
+            this.currentSessionHeaderBlob = null;
             return;
         }
 
-        // Check available data
-        if (this.recordedSessions.length === 0 && this.currentSessionChunks.length === 0) {
-            console.log('[DEBUG] seekFlashback early return: No data available');
-            this.showMessage('No recording data available for flashback', 'error');
+        const sessionChunks = [...this.currentSessionChunks];
+        const sessionDuration = sessionChunks.reduce((sum, chunk) => sum + (chunk.duration || 0), 0);
+        const totalBytes = sessionChunks.reduce((sum, chunk) => sum + ((chunk.blob && chunk.blob.size) || 0), 0);
+
+        const MIN_DURATION = 0.5; // seconds
+        const MIN_BLOB_SIZE = 5000; // octets
+
+        if (sessionDuration < MIN_DURATION || totalBytes < MIN_BLOB_SIZE) {
+            this.diagnostics.warn('SEGMENT', 'segment too short, discarded', {
+                sessionId: this.currentSessionId,
+                chunks: sessionChunks.length,
+                duration: Number(sessionDuration.toFixed(2)),
+                bytes: totalBytes
+            });
+            this.removeChunksFromBuffer(sessionChunks);
+            this.currentSessionChunks = [];
+            this.currentSessionStartMs = null;
+            this.currentSessionId = null;
+            this._lastChunkTimestamp = null;
+            this.pendingSessionId = null;
+            this.pendingSessionChunks = [];
+            this.currentSessionHeaderBlob = null;
             return;
         }
 
-        // Stop recording if necessary and allowed
-        if (this.state === 'recording' && allowFromRecording) {
-            this.stopSegmentRotation();
-            this.setState('transitioning');
-            try {
-                this.mediaRecorder.stop();
-            } catch (e) {
-            }
-            this.stopTimer();
-            await this.waitForRecorderStop();
-            // Manual save necessary because onstop doesn't happen in 'transitioning' state
-            this.saveCurrentSession();
+        const sessionId = this.currentSessionId ?? ++this.currentSessionIdCounter;
+
+        const session = {
+            id: sessionId,
+            chunks: sessionChunks,
+            chunkCount: sessionChunks.length,
+            duration: sessionDuration,
+            playableDuration: sessionDuration,
+            startTime: 0,
+            endTime: 0,
+            mimeType: this.activeMimeType || 'video/webm',
+            createdAt: Date.now(),
+            blobUrl: null,
+            headerBlob: null,
+            preRollDuration: 0,
+            videoSize: this.currentSessionVideoSize || null // 'WxH' the segment was recorded at
+        };
 
+        const headerChunk = sessionChunks.find(chunk => chunk.isSessionHeader);
+        if (headerChunk && headerChunk.blob) {
+            session.headerBlob = headerChunk.blob;
+        } else if (this.currentSessionHeaderBlob) {
+            session.headerBlob = this.currentSessionHeaderBlob;
         }
 
-        if (this.state === 'flashbackPaused' && allowFromFlashbackPaused) {
-            this.stopTimer();
-            this.setState('transitioning');
+        sessionChunks.forEach(chunk => {
+            chunk.sessionId = sessionId;
+        });
+        session.absoluteStart = sessionChunks[0]?.absoluteStart ?? this.lifetimeRecordedDuration;
+        session.absoluteEnd = sessionChunks[sessionChunks.length - 1]?.absoluteEnd ?? session.absoluteStart;
+        session.visibleStartAbs = session.absoluteStart;
+        session.visibleEndAbs = session.absoluteEnd;
+        session.pinned = this.isRangePinned(session.absoluteStart, session.absoluteEnd);
+        this.refreshSessionBounds(session);
+
+        this.recordedSessions.push(session);
+        this.sessionMap.set(sessionId, session);
+        this.diagnostics.info('SEGMENT', 'segment finalized', {
+            sessionId,
+            chunks: sessionChunks.length,
+            duration: Number(sessionDuration.toFixed(2)),
+            bytes: totalBytes,
+            hasHeader: !!session.headerBlob,
+            mimeType: session.mimeType,
+            videoSize: session.videoSize
+        });
+        this.persistSegment(session);
+        this.feedDelayedMirror(session);
+        if (this.backgroundRecording) {
+            this._fbExtendWithSession(session);
         }
 
-        // Increment the flashback identifier to invalidate all handlers of the previous flashback
-        // This must be done BEFORE recreating allSessions to avoid race conditions
-        this._flashbackId++;
+        this.currentSessionChunks = [];
+        this.currentSessionStartMs = null;
+        this.currentSessionId = null;
+        this._lastChunkTimestamp = null;
+        this.pendingSessionId = sessionId;
+        this.pendingSessionChunks = [];
+        this.currentSessionHeaderBlob = null;
 
-        // Synchronize allSessions with recordedSessions (contains the saved session if we were recording)
+        this.recomputeSessionBoundaries();
+        this.trimBufferToMaxDuration();
         this.allSessions = [...this.recordedSessions];
+        this.enforceRollingBuffer();
+        this.lastFinalizedSessionId = sessionId;
+        this.updateDebugPanel();
+        this.updateTimeline();
+        if (session.pinned) {
+            this.renderKeepersStrip();
+        }
+        this.persistBufferState();
+        this.debugLogState('save:end', { newSessionId: sessionId });
+    }
 
-        const clampedTarget = Math.max(0, Math.min(targetTime, this.lifetimeRecordedDuration));
-        this.currentReferencePosition = clampedTarget;
-
-        // Reset previous position tracking when starting a new flashback sequence
-        // (will be set by handleBack/handleForward when navigation occurs)
-        if (this.state === 'recording' || this.state === 'recordingStopped') {
-            this.previousAbsoluteTime = clampedTarget;
+    // Drop whole finalized segments (oldest first) that fall outside the retained window.
+    // Because every segment is a self-contained WebM, removing entire segments keeps each surviving
+    // segment decodable — unlike chunk-granular eviction, which strips a segment's header.
+    dropOldestSessionsToFit() {
+        const keep = Number.isFinite(this.maxDuration) ? Math.max(0, this.maxDuration) : 0;
+        if (keep <= 0) {
+            return false;
+        }
+        let changed = false;
+        while (this.recordedSessions.length > 0) {
+            const oldest = this.recordedSessions[0];
+            if (!oldest) {
+                break;
+            }
+            // Never drop the segment currently being recorded.
+            if (oldest.id === this.currentSessionId) {
+                break;
+            }
+            if (this.isHeldByFlashback(oldest)) {
+                break;
+            }
+            const oldestDuration = oldest.duration || 0;
+            // Stop once dropping the oldest segment would leave us below the retained window.
+            if (this._bufferedDuration - oldestDuration < keep) {
+                break;
+            }
+            this.dropSessionCompletely(oldest);
+            changed = true;
         }
-
-        // Start flashback
-        await this.playFlashbackFromTimestamp(clampedTarget);
+        return changed;
     }
 
-    calculateTargetTimeFromClick(x, rect, isTimeline = true) {
-        /**
-         * Calculates the target timestamp based on the position of a click.
-         * Uses calculateVisibleWindow() for up-to-date bounds.
-         * 
-         * @param {number} x - Click position in pixels (e.clientX - rect.left)
-         * @param {DOMRect} rect - Bounding rectangle of the clicked element
-         * @param {boolean} isTimeline - true for timeline (green bar), false for waveform (full window)
-         * @returns {number} Target timestamp in seconds
-         */
-        
-        // Get up-to-date visible window bounds
-        const { windowStart, windowEnd, windowDuration } = this.calculateVisibleWindow();
-        
-        if (windowDuration <= 0) {
-            return windowStart;
+    // A flashback running while the recorder keeps going still has to append this segment (or is
+    // playing it): evicting it would null its chunks under the MediaSource and end playback early.
+    // The buffer overshoots its limits for the length of the review and catches up once it ends.
+    isHeldByFlashback(session) {
+        const ctx = this._mse;
+        if (!ctx || ctx.keepers || !session) {
+            return false;
         }
-
-        // Both the green timeline bar and the waveform now share the same time→pixel scale (the
-        // display window stretched across the full width), so a click maps the same way on either:
-        // the fraction of the full width is the fraction of the display window. A click in the gray
-        // area beyond the recorded content maps past the recording and is clamped by the caller.
-        let percent = rect.width > 0 ? x / rect.width : 0;
-        percent = Math.max(0, Math.min(1, percent)); // Clamp to [0, 1]
-
-        // Calculate target time within the visible window
-        const targetTime = windowStart + (percent * windowDuration);
-        return targetTime;
-    }
-
-    incrementBackCounter() {
-        this.backPressCount++;
-        this.updateCounterDisplay();
-        clearTimeout(this.backResetTimer);
-        this.backResetTimer = setTimeout(() => {
-            this.backPressCount = 0;
-            this.updateCounterDisplay();
-        }, 500);
+        const idx = ctx.entries.findIndex(entry => entry.session === session);
+        return idx >= 0 && idx >= ctx.loIdx;
     }
 
-    incrementForwardCounter() {
-        this.forwardPressCount++;
-        clearTimeout(this.forwardResetTimer);
-        this.forwardResetTimer = setTimeout(() => {
-            this.forwardPressCount = 0;
-        }, 500);
+    isHeadChunkHeldByFlashback() {
+        const head = this.chunkBuffer[0];
+        return !!(head && head.sessionId && this.isHeldByFlashback(this.sessionMap.get(head.sessionId)));
     }
 
-    incrementMarkerUpCounter() {
-        const now = Date.now();
-        const timeSinceLastPress = now - this.lastMarkerUpPressTime;
-        
-        if (timeSinceLastPress < this.markerUpFastPressThreshold && this.lastMarkerUpPressTime > 0) {
-            // Rapid press: increment the counter
-            this.markerUpPressCount++;
-        } else {
-            // Press after delay: reset the counter
-            this.markerUpPressCount = 1;
+    // Remove a whole session and all of its chunks from the rolling buffer.
+    // A pinned session leaves the window too but moves to the keepers with its media intact.
+    dropSessionCompletely(session) {
+        if (!session) {
+            return;
         }
-        
-        this.lastMarkerUpPressTime = now;
-        
-        // Reset the counter after the delay
-        if (this.markerUpResetTimer) {
-            clearTimeout(this.markerUpResetTimer);
+        const keep = !!session.pinned;
+        this.diagnostics.info('BUFFER_TRIM', keep ? 'segment retired to keepers' : 'segment dropped', {
+            sessionId: session.id,
+            duration: Number((session.duration || 0).toFixed(2)),
+            absoluteStart: session.absoluteStart,
+            bufferedBefore: Number(this._bufferedDuration.toFixed(2))
+        });
+        const ids = new Set((session.chunks || []).map(chunk => chunk.id));
+        if (ids.size > 0) {
+            this.chunkBuffer = this.chunkBuffer.filter(chunk => {
+                if (ids.has(chunk.id)) {
+                    this._bufferedDuration = Math.max(0, this._bufferedDuration - (chunk.duration || 0));
+                    if (!keep) {
+                        chunk.blob = null;
+                    }
+                    return false;
+                }
+                return true;
+            });
         }
-        this.markerUpResetTimer = setTimeout(() => {
-            this.markerUpPressCount = 0;
-            this.markerUpResetTimer = null;
-        }, this.markerUpFastPressThreshold);
+        this.sessionMap.delete(session.id);
+        this.recordedSessions = this.recordedSessions.filter(s => s !== session);
+        if (this.pendingSessionId === session.id) {
+            this.pendingSessionId = null;
+            this.pendingSessionChunks = [];
+        }
+        if (keep) {
+            this.keeperSessions.push(session);
+            this.keeperSessions.sort((a, b) => (a.absoluteStart ?? 0) - (b.absoluteStart ?? 0));
+            this.renderKeepersStrip();
+            return;
+        }
+        this.releaseSessionMedia(session);
     }
 
-    updateCounterDisplay() {
-        if (!this.counterDisplay) {
-            return;
+    // Free a session's media for good: blob URL, header and its persisted copy.
+    releaseSessionMedia(session) {
+        this.forgetPersistedSegment(session.id);
+        if (session.blobUrl) {
+            try { URL.revokeObjectURL(session.blobUrl); } catch (e) { /* noop */ }
+            session.blobUrl = null;
         }
-        // Calculate cumulative total duration: 1s, 2s, 4s, 8s, 16s...
-        // Formula: 2^(backPressCount - 1) for backPressCount >= 1
-        const totalDuration = this.backPressCount === 0 ? 0 : Math.pow(2, this.backPressCount - 1);
-        this.counterDisplay.textContent = `← ${this.backPressCount} press${this.backPressCount !== 1 ? 'es' : ''} = ${totalDuration}s back`;
+        session.headerBlob = null;
     }
 
-    showTimeOffsetOverlay(offsetSeconds) {
-        if (!this.timeOffsetOverlay) {
+    enforceRollingBuffer() {
+        const maxBufferedDuration = this.getMaxBufferedDuration();
+        if (!Number.isFinite(maxBufferedDuration) || maxBufferedDuration <= 0) {
             return;
         }
 
-        // Clear existing timeout
-        if (this.timeOffsetOverlayTimeout) {
-            clearTimeout(this.timeOffsetOverlayTimeout);
-            this.timeOffsetOverlayTimeout = null;
-        }
+        this.maybeCheckMemoryPressure();
 
-        // Format offset: negative for backward, positive for forward (but not for 0)
-        const roundedOffset = Math.round(offsetSeconds);
-        let formattedOffset;
-        if (roundedOffset === 0) {
-            formattedOffset = '0s';
-        } else {
-            const sign = offsetSeconds >= 0 ? '+' : '';
-            formattedOffset = `${sign}${roundedOffset}s`;
-        }
+        // Primary path: drop whole self-contained segments. This keeps the buffer at or below the
+        // retained window so the chunk-granular fallback below stays dormant during normal recording.
+        let removedAny = this.dropOldestSessionsToFit();
 
-        // Update overlay text
-        this.timeOffsetOverlay.textContent = formattedOffset;
+        while (this._bufferedDuration > maxBufferedDuration && this.chunkBuffer.length > 0) {
+            if (this.isHeadChunkHeldByFlashback()) {
+                break;
+            }
+            // Pinned segments are never cut chunk by chunk: they retire whole to the keepers
+            const headSession = this.getPinnedHeadSession();
+            if (headSession) {
+                this.dropSessionCompletely(headSession);
+                removedAny = true;
+                continue;
+            }
+            const removed = this.chunkBuffer.shift();
+            removedAny = true;
+            const duration = removed?.duration || 0;
+            this.diagnostics.debug('BUFFER_TRIM', 'chunk evicted', {
+                chunkId: removed?.id,
+                sessionId: removed?.sessionId,
+                header: !!removed?.isSessionHeader
+            });
+            this._bufferedDuration = Math.max(0, this._bufferedDuration - duration);
 
-        // Show overlay with fade-in
-        this.timeOffsetOverlay.style.display = 'block';
-        // Force reflow to ensure transition works
-        void this.timeOffsetOverlay.offsetWidth;
-        this.timeOffsetOverlay.classList.add('show');
+            if (removed && removed.isSessionHeader && removed.sessionId === this.currentSessionId && !this.currentSessionHeaderBlob && removed.blob) {
+                this.currentSessionHeaderBlob = removed.blob;
+            }
 
-        // Hide after 1 second with fade-out
-        this.timeOffsetOverlayTimeout = setTimeout(() => {
-            this.timeOffsetOverlay.classList.remove('show');
-            // Hide completely after fade-out transition
-            setTimeout(() => {
-                if (this.timeOffsetOverlay) {
-                    this.timeOffsetOverlay.style.display = 'none';
+            if (removed && this.currentSessionChunks.length > 0) {
+                const before = this.currentSessionChunks.length;
+                this.currentSessionChunks = this.currentSessionChunks.filter(chunk => chunk.id !== removed.id);
+                if (before !== this.currentSessionChunks.length) {
+                    this.debugLogState('enforce:trim-current', { removedChunkId: removed.id });
                 }
-            }, 200); // Match CSS transition duration
-        }, 1000);
-    }
-
-    updateDebugPanel() {
-        if (!this.debugSegmentsList) return;
-
-        const sessionIndexById = new Map();
-        this.recordedSessions.forEach((session, index) => {
-            if (session && typeof session.id !== 'undefined') {
-                sessionIndexById.set(session.id, index);
             }
-        });
 
-        // === Sessions ===
-        this.debugSegmentsList.innerHTML = '';
-
-        if (this.recordedSessions.length === 0) {
-            const emptyMsg = document.createElement('div');
-            emptyMsg.className = 'debug-empty';
-            emptyMsg.textContent = 'No segments recorded';
-            this.debugSegmentsList.appendChild(emptyMsg);
-        } else {
-            this.recordedSessions.forEach((session, index) => {
-                const segmentItem = document.createElement('div');
-                segmentItem.className = 'segment-item';
-
-                if (this.state === 'flashback' && this.currentFlashbackIndex === index) {
-                    segmentItem.classList.add('playing');
+            let preservedHeader = false;
+            if (removed && removed.sessionId) {
+                const session = this.sessionMap.get(removed.sessionId);
+                const removedBlob = removed.blob;
+                if (session && removed.isSessionHeader && removedBlob && !session.headerBlob) {
+                    session.headerBlob = removedBlob;
+                    preservedHeader = true;
                 }
+                if (session) {
+                    if (session.chunks && session.chunks.length > 0) {
+                        if (session.chunks[0].id === removed.id) {
+                            session.chunks.shift();
+                } else {
+                            session.chunks = session.chunks.filter(chunk => chunk.id !== removed.id);
+                        }
+                    }
+                    this.refreshSessionBounds(session);
+                    if ((session.duration || 0) <= 0) {
+                        session._remove = true;
+                        this.sessionMap.delete(session.id);
+                    } else {
+                        session._dirty = true;
+                    }
+                }
+            }
 
-                const header = document.createElement('div');
-                header.className = 'segment-item-header';
-
-                const segmentNumber = document.createElement('span');
-                segmentNumber.className = 'segment-number';
-                segmentNumber.textContent = `Segment ${index + 1}`;
+            if (removed) {
+                if (this.pendingSessionChunks.length > 0) {
+                    this.pendingSessionChunks = this.pendingSessionChunks.filter(chunk => chunk.id !== removed.id);
+                    if (this.pendingSessionChunks.length === 0 && this.pendingSessionId === removed.sessionId) {
+                        this.finalizePendingSession();
+                    }
+                }
+                if (!preservedHeader) {
+                    removed.blob = null;
+                }
+            }
+        }
 
-                const segmentDuration = document.createElement('span');
-                segmentDuration.className = 'segment-duration';
-                segmentDuration.textContent = `${(session.duration || 0).toFixed(1)}s`;
+        // The byte budget applies on top of the duration: whichever is tighter wins
+        if (this.dropOldestSessionsToFitMemory()) {
+            removedAny = true;
+        }
 
-                header.appendChild(segmentNumber);
-                header.appendChild(segmentDuration);
+        if (removedAny) {
+            this.recordedSessions = this.recordedSessions.filter(session => {
+                if (session._remove) {
+                    if (this.pendingSessionId === session.id) {
+                        this.pendingSessionId = null;
+                        this.pendingSessionChunks = [];
+                    }
+                    if (session.blobUrl) {
+                        try { URL.revokeObjectURL(session.blobUrl); } catch (e) { /* noop */ }
+                        session.blobUrl = null;
+                    }
+                    session.headerBlob = null;
+                    this.forgetPersistedSegment(session.id);
+                    return false;
+                }
+                if (session._dirty) {
+                    this.refreshSessionBounds(session);
+                    session.playableDuration = session.duration;
+                    delete session._dirty;
+                    if ((session.duration || 0) > 0) {
+                        this.persistSegment(session);
+                    }
+                }
+                if ((session.duration || 0) <= 0) {
+                    this.forgetPersistedSegment(session.id);
+                    return false;
+                }
+                return true;
+            });
 
-                const cumulative = document.createElement('div');
-                cumulative.className = 'segment-cumulative';
-                cumulative.textContent = `Cumulative: ${session.endTime.toFixed(1)}s`;
+            this.recomputeSessionBoundaries();
+            this.allSessions = [...this.recordedSessions];
 
-                segmentItem.appendChild(header);
-                segmentItem.appendChild(cumulative);
-                this.debugSegmentsList.appendChild(segmentItem);
-            });
-        }
+            if (this.currentFlashbackIndex >= this.recordedSessions.length) {
+                this.currentFlashbackIndex = Math.max(0, this.recordedSessions.length - 1);
+            }
 
-        // === Chunks ===
-        if (this.debugChunksList) {
-            this.debugChunksList.innerHTML = '';
-            if (this.chunkBuffer.length === 0) {
-                const emptyChunks = document.createElement('div');
-                emptyChunks.className = 'debug-empty';
-                emptyChunks.textContent = 'No chunks';
-                this.debugChunksList.appendChild(emptyChunks);
+            this.updateDebugPanel();
+            this.updateTimeline();
+            if (this.recordedSessions.length > 0) {
+                this.lastFinalizedSessionId = this.recordedSessions[this.recordedSessions.length - 1].id;
             } else {
-                const MAX_CHUNKS_DISPLAY = 60;
-                const startIndex = Math.max(0, this.chunkBuffer.length - MAX_CHUNKS_DISPLAY);
-                const displayedChunks = this.chunkBuffer.slice(startIndex);
+                this.lastFinalizedSessionId = null;
+            }
+        }
+    }
 
-                if (startIndex > 0) {
-                    const info = document.createElement('div');
-                    info.className = 'chunk-info';
-                    info.textContent = `… ${startIndex} hidden chunk${startIndex > 1 ? 's' : ''}`;
-                    this.debugChunksList.appendChild(info);
-                }
+    recomputeSessionBoundaries() {
+        this.updatePreRollStateFromBuffer();
 
-                const currentFlashbackSession = (this.state === 'flashback' && this.currentFlashbackIndex < this.allSessions.length)
-                    ? this.allSessions[this.currentFlashbackIndex]?.id
-                    : null;
+        let cumulative = 0;
+        const newBoundaries = [];
+        const cleanedSessions = [];
+        let globalVisibleStart = null;
+        let globalVisibleEnd = null;
 
-                displayedChunks.forEach(chunk => {
-                    const chunkItem = document.createElement('div');
-                    chunkItem.className = 'chunk-item';
+        for (const session of this.recordedSessions) {
+            if (!session.chunks || session.chunks.length === 0) {
+                if (this.pendingSessionId === session.id) {
+                    this.pendingSessionId = null;
+                    this.pendingSessionChunks = [];
+                }
+                this.sessionMap.delete(session.id);
+                this.forgetPersistedSegment(session.id);
+                continue;
+            }
 
-                    const isFlashbackChunk = currentFlashbackSession !== null && chunk.sessionId === currentFlashbackSession;
-                    const isLiveChunk = this.state === 'recording' && chunk.sessionId === this.currentSessionId;
-                    if (isFlashbackChunk || isLiveChunk) {
-                        chunkItem.classList.add('session-current');
-                    }
+            const visibleDuration = session.duration || 0;
+            session.playableDuration = visibleDuration;
 
-                    const header = document.createElement('div');
-                    header.className = 'chunk-header';
+            if (visibleDuration <= 0) {
+                this.sessionMap.delete(session.id);
+                this.forgetPersistedSegment(session.id);
+                continue;
+            }
 
-                    const title = document.createElement('span');
-                    title.textContent = `Chunk ${chunk.id}`;
+            session.startTime = cumulative;
+            cumulative += visibleDuration;
+            session.endTime = cumulative;
 
-                    const duration = document.createElement('span');
-                    duration.textContent = `${(chunk.duration || 0).toFixed(1)}s`;
+            cleanedSessions.push(session);
+            newBoundaries.push(cumulative);
 
-                    header.appendChild(title);
-                    header.appendChild(duration);
+            const sessionVisibleStart = session.visibleStartAbs ?? session.absoluteStart ?? 0;
+            const sessionVisibleEnd = session.visibleEndAbs ?? sessionVisibleStart;
+            if (globalVisibleStart === null || sessionVisibleStart < globalVisibleStart) {
+                globalVisibleStart = sessionVisibleStart;
+            }
+            if (globalVisibleEnd === null || sessionVisibleEnd > globalVisibleEnd) {
+                globalVisibleEnd = sessionVisibleEnd;
+            }
+        }
 
-                    const meta = document.createElement('div');
-                    meta.className = 'chunk-meta';
+        this.recordedSessions = cleanedSessions;
+        this.sessionBoundaries = newBoundaries;
+        this.visibleWindowStart = globalVisibleStart ?? this.lifetimeRecordedDuration;
+        this.visibleWindowEnd = globalVisibleEnd ?? this.visibleWindowStart;
+        this.visibleWindowDuration = Math.max(0, this.visibleWindowEnd - this.visibleWindowStart);
+        this.totalRecordedTime = Math.min(this.visibleWindowDuration, this.maxDuration);
+    }
 
-                    let sessionLabel = '—';
-                    if (sessionIndexById.has(chunk.sessionId)) {
-                        sessionLabel = `S${sessionIndexById.get(chunk.sessionId) + 1}`;
-                    } else if (chunk.sessionId && chunk.sessionId === this.currentSessionId) {
-                        sessionLabel = 'Live';
-                    } else if (chunk.sessionId) {
-                        sessionLabel = `#${chunk.sessionId}`;
-                    }
+    showMessage(text, type) {
+        /**
+         * Display a message using the unified overlay system
+         * @param {string} text - Message text
+         * @param {string} type - Message type: 'error', 'success', 'info'
+         */
+        // Map 'info' type to overlay (no separate info message zone exists)
+        const overlayType = type === 'info' ? 'info' : type;
+        this.showOverlayMessage(text, overlayType);
+    }
 
-                    meta.textContent = `Session: ${sessionLabel} • ${this.formatClockTime(chunk.createdAt)}`;
+    formatTime(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    }
 
-                    chunkItem.appendChild(header);
-                    chunkItem.appendChild(meta);
-                    this.debugChunksList.appendChild(chunkItem);
-                });
-            }
+    formatClockTime(ms) {
+        if (!ms) return '—';
+        const date = new Date(ms);
+        try {
+            return date.toLocaleTimeString('fr-FR', { hour12: false });
+        } catch (e) {
+            return date.toTimeString().split(' ')[0];
         }
+    }
 
-        // === Summary ===
-        if (this.debugTotalDuration) {
-            this.debugTotalDuration.textContent = `${this.totalRecordedTime.toFixed(1)}s`;
+    debugLogState(label, extra = {}) {
+        try {
+            const sessionsSnapshot = this.recordedSessions.map((s, idx) => ({
+                idx,
+                id: s.id,
+                duration: Number((s.duration || 0).toFixed(2)),
+                chunkCount: s.chunkCount,
+                start: Number((s.startTime || 0).toFixed(2)),
+                end: Number((s.endTime || 0).toFixed(2))
+            }));
+            this.diagnostics.debug('STATE', label, {
+                buffered: Number(this._bufferedDuration.toFixed(2)),
+                maxDuration: this.maxDuration,
+                lifetimeRecordedDuration: Number(this.lifetimeRecordedDuration.toFixed(2)),
+                chunkBufferLength: this.chunkBuffer.length,
+                pendingSessionId: this.pendingSessionId,
+                pendingChunks: this.pendingSessionChunks.length,
+                totalRecordedTime: Number(this.totalRecordedTime.toFixed(2)),
+                sessions: sessionsSnapshot,
+                ...extra
+            });
+        } catch (e) {
+            this.diagnostics.warn('STATE', 'could not snapshot state', { label, error: e && e.message });
         }
-        if (this.debugSegmentCount) {
-            this.debugSegmentCount.textContent = this.recordedSessions.length.toString();
+    }
+
+    finalizePendingSession() {
+        this.debugLogState('finalize:start');
+        if (!this.pendingSessionId) return;
+        const pendingId = this.pendingSessionId;
+        const session = this.sessionMap.get(pendingId);
+        if (session) {
+            this.refreshSessionBounds(session);
+            session.playableDuration = session.duration;
+            this.lastFinalizedSessionId = session.id;
         }
-        if (this.debugChunkCount) {
-            this.debugChunkCount.textContent = this.chunkBuffer.length.toString();
+        this.pendingSessionId = null;
+        this.pendingSessionChunks = [];
+        this.recomputeSessionBoundaries();
+        this.trimBufferToMaxDuration();
+        this.enforceRollingBuffer();
+        this.updateDebugPanel();
+        this.updateTimeline();
+        this.debugLogState('finalize:end');
+    }
+    trimBufferToMaxDuration() {
+        this.diagnostics.info('BUFFER_TRIM', 'trimming to the retained window', {
+            beforeCurrentSession: this.currentSessionChunks ? this.currentSessionChunks.length : 0,
+            beforeChunkBuffer: this.chunkBuffer ? this.chunkBuffer.length : 0,
+            maxDuration: this.maxDuration
+        });
+        let changed = false;
+        this.debugLogState('trim:start');
+        const maxBufferedDuration = this.getMaxBufferedDuration();
+        if (!Number.isFinite(maxBufferedDuration) || maxBufferedDuration <= 0) {
+            this.debugLogState('trim:skip-invalid-max', { maxBufferedDuration });
+            return;
         }
-        if (this.debugBufferDuration) {
-            this.debugBufferDuration.textContent = `${this._bufferedDuration.toFixed(1)}s`;
+        // Prefer dropping whole self-contained segments; this keeps the buffer at/under the retained
+        // window so the chunk-granular loop below (which would strip a segment header) stays dormant.
+        if (this.dropOldestSessionsToFit()) {
+            changed = true;
         }
-    }
+        while (this._bufferedDuration > maxBufferedDuration && this.chunkBuffer.length > 0) {
+            if (this.isHeadChunkHeldByFlashback()) {
+                break;
+            }
+            const headSession = this.getPinnedHeadSession();
+            if (headSession) {
+                this.dropSessionCompletely(headSession);
+                changed = true;
+                continue;
+            }
+            const oldest = this.chunkBuffer.shift();
+            if (!oldest) {
+                break;
+            }
+            const reduction = oldest.duration || 0;
+            if (reduction <= 0) {
+                this.debugLogState('trim:skip-zero-duration', { chunkId: oldest.id });
+                continue;
+            }
+            changed = true;
+            this._bufferedDuration = Math.max(0, this._bufferedDuration - reduction);
 
-    startTimer() {
-        this.timerInterval = setInterval(() => {
-            this.updateTimeline();
-        }, 100);
-        
-        // Start unified playback position updates at 100ms (highest frequency)
-        this.startPlaybackPositionUpdates();
-    }
+            if (this.currentSessionChunks.length > 0) {
+                const before = this.currentSessionChunks.length;
+                this.currentSessionChunks = this.currentSessionChunks.filter(chunk => chunk.id !== oldest.id);
+                if (before !== this.currentSessionChunks.length) {
+                    this.debugLogState('trim:trim-current', { removedChunkId: oldest.id });
+                }
+            }
 
-    stopTimer() {
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
-        
-        // Stop playback position updates
-        this.stopPlaybackPositionUpdates();
-    }
+            const session = oldest.sessionId ? this.sessionMap.get(oldest.sessionId) : null;
+            const chunkBlob = oldest.blob;
+            let preservedHeader = false;
+            if (oldest.isSessionHeader && oldest.sessionId === this.currentSessionId && !this.currentSessionHeaderBlob && chunkBlob) {
+                this.currentSessionHeaderBlob = chunkBlob;
+                preservedHeader = true;
+            }
+            if (session && oldest.isSessionHeader && chunkBlob && !session.headerBlob) {
+                session.headerBlob = chunkBlob;
+                preservedHeader = true;
+            }
+            if (session && session.chunks) {
+                session.chunks = session.chunks.filter(chunk => chunk.id !== oldest.id);
+                this.refreshSessionBounds(session);
+                if ((session.duration || 0) <= 0) {
+                    session._remove = true;
+                } else {
+                    session._dirty = true;
+                }
+            }
 
-    startPlaybackPositionUpdates() {
-        this.stopPlaybackPositionUpdates(); // Stop any existing interval
-        // Update all playback positions at 100ms (highest frequency)
-        this.playbackPositionUpdateInterval = setInterval(() => {
-            this.updateAllPlaybackPositions();
-        }, 100);
-    }
+            if (this.pendingSessionChunks.length > 0) {
+                this.pendingSessionChunks = this.pendingSessionChunks.filter(chunk => chunk.id !== oldest.id);
+                if (this.pendingSessionChunks.length === 0 && this.pendingSessionId === oldest.sessionId) {
+                    this.pendingSessionId = null;
+                }
+            }
 
-    stopPlaybackPositionUpdates() {
-        if (this.playbackPositionUpdateInterval) {
-            clearInterval(this.playbackPositionUpdateInterval);
-            this.playbackPositionUpdateInterval = null;
+            if (!preservedHeader) {
+                oldest.blob = null;
+            }
+        }
+        if (changed) {
+            this.recomputeSessionBoundaries();
+            this.allSessions = [...this.recordedSessions];
+            this.updateDebugPanel();
+            this.updateTimeline();
+            this.debugLogState('trim:end:changed');
+        } else {
+            this.debugLogState('trim:end:unchanged');
         }
     }
 
-    // === AUDIO DEVICE MANAGEMENT (BUG-020) ===
-
-    async initAudioDeviceManagement() {
-        /**
-         * Initialize audio device change detection and management
-         * Sets up event listeners and polling to detect changes in default audio devices
-         */
-        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
-            console.warn('Audio device management not supported in this browser');
-            return;
+    updatePreRollStateFromBuffer() {
+        let remainingVisible = this.maxDuration;
+        if (!Number.isFinite(remainingVisible) || remainingVisible <= 0) {
+            remainingVisible = 0;
         }
-
-        // Get initial device list
-        await this.updateDeviceList();
-
-        // Set up devicechange event listener (preferred method)
-        if (navigator.mediaDevices.addEventListener) {
-            this.deviceChangeHandler = () => {
-                this.handleDeviceChange();
-            };
-            navigator.mediaDevices.addEventListener('devicechange', this.deviceChangeHandler);
+        for (let i = this.chunkBuffer.length - 1; i >= 0; i--) {
+            const chunk = this.chunkBuffer[i];
+            if (!chunk) continue;
+            const duration = chunk.duration || 0;
+            if (remainingVisible > 0) {
+                chunk.isPreRoll = false;
+                remainingVisible = Math.max(0, remainingVisible - duration);
+            } else {
+                chunk.isPreRoll = true;
+            }
         }
 
-        // Set up polling as fallback (every 500ms as per backlog)
-        this.deviceChangePollingInterval = setInterval(() => {
-            this.checkDeviceChanges();
-        }, 500);
-    }
-
-    async updateDeviceList() {
-        /**
-         * Update the list of known devices
-         * Returns the list of devices
-         */
-        try {
-            const devices = await navigator.mediaDevices.enumerateDevices();
-            this.lastKnownDevices = devices.map(d => ({
-                deviceId: d.deviceId,
-                kind: d.kind,
-                label: d.label
-            }));
-            return devices;
-        } catch (err) {
-            console.warn('Error enumerating devices:', err);
-            return [];
+        for (const session of this.recordedSessions) {
+            this.refreshSessionBounds(session);
         }
     }
 
-    async handleDeviceChange() {
-        /**
-         * Handle device change event
-         * Called when devicechange event fires
-         */
-        await this.updateDeviceList();
-        await this.checkDeviceChanges();
-        this.refreshConfigPanelDevices();
-    }
+    updateTimeline() {
+        // Note: this function can be called in any state.
+        // In 'recordingStopped' or 'transitioning' state, it will simply display the timeline
+        // with the available data (total duration recorded, etc.).
+        // The timeline remains visible even when recording is stopped.
 
-    async checkDeviceChanges() {
-        /**
-         * Check for changes in default audio devices and update accordingly
-         * This is called periodically (polling) and on devicechange events
-         * Note: The first device in the list is typically the system default
-         */
-        try {
-            const devices = await navigator.mediaDevices.enumerateDevices();
-            
-            // Get default input device (first audioinput device, or null if none)
-            // The first device is typically the system default
-            const audioInputDevices = devices.filter(d => d.kind === 'audioinput');
-            const defaultInputDevice = audioInputDevices.length > 0 ? audioInputDevices[0] : null;
-            const defaultInputDeviceId = defaultInputDevice ? defaultInputDevice.deviceId : null;
+        // Timestamp for diagnosing update frequency
+        const timestamp = new Date().toISOString();
 
-            // Get default output device (first audiooutput device, or null if none)
-            // The first device is typically the system default
-            const audioOutputDevices = devices.filter(d => d.kind === 'audiooutput');
-            const defaultOutputDevice = audioOutputDevices.length > 0 ? audioOutputDevices[0] : null;
-            const defaultOutputDeviceId = defaultOutputDevice ? defaultOutputDevice.deviceId : null;
+        const lifetimeDuration = this.lifetimeRecordedDuration;
+        const isRecording = this.state === 'recording';
+        const isFlashback = this.state === 'flashback';
+        const isFlashbackPaused = this.state === 'flashbackPaused';
 
-            // Initialize output device on first run — always use 'default' so Chrome/Firefox
-            // follows the OS output device automatically, including Bluetooth speakers.
-            if (!this.currentAudioOutputDeviceId) {
-                this.currentAudioOutputDeviceId = 'default';
-                await this.updateFlashbackVideoAudioOutput('default');
-                if (this.audioOutputMonitor) {
-                    this.audioOutputMonitor.setCurrentDevice('default');
-                }
-            } else if (this.currentAudioOutputDeviceId === 'default') {
-                // Re-apply on every devicechange so routing stays current after BT connect/disconnect.
-                await this.updateFlashbackVideoAudioOutput('default');
-            }
+        let windowStart;
+        let windowEnd;
 
-            // Check for input device changes
-            // Only check if we have a current device ID (to avoid false positives on first run)
-            if (defaultInputDeviceId && this.currentAudioInputDeviceId && 
-                defaultInputDeviceId !== this.currentAudioInputDeviceId) {
-                await this.handleAudioInputDeviceChange(defaultInputDeviceId, defaultInputDevice);
-            }
-        } catch (err) {
-            console.warn('Error checking device changes:', err);
+        // The window keeps sliding while the recorder runs behind a flashback
+        if (this.isCapturing()) {
+            windowEnd = lifetimeDuration;
+            windowStart = Math.max(0, windowEnd - this.maxDuration);
+        } else {
+            windowStart = this.visibleWindowStart ?? 0;
+            windowEnd = this.visibleWindowEnd ?? windowStart;
         }
-    }
 
-    async setAudioOutputDevice(deviceId) {
-        /**
-         * Set audio output device (public API for AudioOutputMonitor)
-         * Wrapper around updateAudioOutputDevice that also notifies the monitor
-         */
-        await this.updateAudioOutputDevice(deviceId);
-        
-        // Notify audio output monitor of the device change
-        if (this.audioOutputMonitor) {
-            this.audioOutputMonitor.setCurrentDevice(deviceId);
+        const windowDuration = Math.max(windowEnd - windowStart, 0);
+        this.visibleWindowStart = windowStart;
+        this.visibleWindowEnd = windowEnd;
+        this.visibleWindowDuration = windowDuration;
+        this.totalRecordedTime = Math.min(windowDuration, this.maxDuration);
+        const markersPruned = this.pruneFlashbackMarkers(windowStart, windowEnd);
+        if (markersPruned) {
+            this.persistBufferState();
         }
-    }
-
-    async updateAudioOutputDevice(deviceId) {
-        /**
-         * Update audio output device for playback
-         * Uses setSinkId() if available, otherwise relies on browser's automatic routing
-         */
-        if (!deviceId) return;
 
-        // Get device label for display
-        const deviceLabel = this.getDeviceLabel(deviceId);
+        const currentAbsolute = this.getCurrentAbsoluteTime();
 
-        // Update stored device ID
-        this.currentAudioOutputDeviceId = deviceId;
+        // Update the green bar (progress)
+        const effectiveBarWidthPercent = this.getEffectiveBarWidthPercent();
+        this.timelineProgress.style.width = `${effectiveBarWidthPercent}%`;
 
-        // Update flashback video if it exists
-        await this.updateFlashbackVideoAudioOutput(deviceId);
+        const windowStartDisplay = (this.isCapturing() || isFlashbackPaused)
+            ? Math.max(0, lifetimeDuration - this.maxDuration)
+            : windowStart;
+        if (this.timeStart) {
+            this.timeStart.textContent = this.formatTime(windowStartDisplay);
+        }
 
-        // Show overlay message
-        this.showDeviceChangeOverlay(deviceLabel || 'Unknown device', 'output');
-    }
+        const windowEndDisplay = (this.isCapturing() || isFlashbackPaused)
+            ? Math.max(this.maxDuration, lifetimeDuration)
+            : (this.lifetimeRecordedDuration <= this.maxDuration ? this.maxDuration : lifetimeDuration);
+        if (this.timeEnd) {
+            this.timeEnd.textContent = this.formatTime(windowEndDisplay);
+        }
 
-    async updateFlashbackVideoAudioOutput(deviceId = 'default') {
-        /**
-         * Update audio output device for flashback video.
-         * Uses setSinkId() when available (Chrome/Edge/Firefox).
-         * Passing 'default' follows the OS default output device automatically.
-         * On Safari (no setSinkId), the browser routes to OS default without action.
-         */
-        if (!this.flashbackVideo) return;
+        const windowWidth = Math.max(windowDuration, 0.0001);
 
-        if (typeof this.flashbackVideo.setSinkId === 'function') {
-            // '' (empty string) = browser default (follows OS), per the Web Audio Output Devices spec.
-            // 'default' is Chrome's virtual device ID and may not follow the OS default reliably.
-            const sinkId = (deviceId === 'default') ? '' : deviceId;
-            try {
-                await this.flashbackVideo.setSinkId(sinkId);
-                console.log('Audio output device updated via setSinkId:', sinkId || '(browser default)');
-            } catch (err) {
-                console.warn('Error setting audio output device via setSinkId:', err);
+        if (this.timeLifetime) {
+            const lifetimeDisplay = Math.max(0, lifetimeDuration);
+            if (lifetimeDisplay > this.maxDuration) {
+                const totalText = this.formatDuration(lifetimeDisplay);
+                const preservedText = this.formatDuration(this.maxDuration);
+                this.timeLifetime.textContent = `Total recorded: ${totalText} - only the last ${preservedText} are preserved`;
+                this.timeLifetime.style.display = '';
+            } else {
+                this.timeLifetime.style.display = 'none';
             }
         }
-        // On Safari / browsers without setSinkId: audio follows OS default automatically.
-    }
-
-    async handleAudioInputDeviceChange(newDeviceId, newDevice) {
-        /**
-         * Handle change in default audio input device
-         * Option A: Detect and notify user, allowing them to continue or switch
-         */
-        if (!newDeviceId || newDeviceId === this.currentAudioInputDeviceId) {
-            return; // No change or already using this device
-        }
 
-        const oldDeviceId = this.currentAudioInputDeviceId;
-        const oldDeviceLabel = this.getDeviceLabel(oldDeviceId);
-        const newDeviceLabel = newDevice ? newDevice.label : 'Unknown device';
+        // timeCurrent (user requirement):
+        if (isRecording) {
+            this.timeCurrent.style.display = '';
+            this.timeCurrent.textContent = this.formatTime(Math.max(0, Math.floor(lifetimeDuration)));
+        } else if (isFlashback || isFlashbackPaused) {
+            this.timeCurrent.style.display = '';
+            this.timeCurrent.textContent = this.formatTime(Math.max(0, Math.floor(currentAbsolute)));
+        } else {
+            this.timeCurrent.style.display = 'none';
+        }
 
-        // Update stored device ID
-        this.currentAudioInputDeviceId = newDeviceId;
+        // Red cursor: position relative to the visible window and bounded by the green width
+        const cursorRelative = windowDuration > 0
+            ? (currentAbsolute - windowStart) / windowDuration
+            : 0;
+        const clamped = Math.max(0, Math.min(1, cursorRelative));
+        const leftWithinGreen = clamped * effectiveBarWidthPercent;
+        this.timelinePosition.style.display = (isRecording || isFlashback || isFlashbackPaused) ? 'block' : 'none';
+        this.timelinePosition.style.left = `${leftWithinGreen}%`;
 
-        // Always show overlay notification for input device change
-        this.showDeviceChangeOverlay(newDeviceLabel, 'input');
+        this.renderFlashbackMarkers(windowStart, windowEnd, windowDuration, effectiveBarWidthPercent);
+        this.renderAbLoopRegion(windowStart, windowDuration, effectiveBarWidthPercent);
+        if (markersPruned) {
+            this.updateMarkerControls();
+        }
 
-        // If we're currently recording, show additional detailed message
-        if (this.state === 'recording' && this.stream) {
-            const currentAudioTrack = this.stream.getAudioTracks()[0];
-            if (currentAudioTrack) {
-                const currentSettings = currentAudioTrack.getSettings();
-                const currentDeviceId = currentSettings.deviceId;
+        // Waveform is now rendered independently at 100ms intervals in analyzeAudioWaveform()
+        // No need to render here - it would conflict with the real-time rendering
 
-                // Only show detailed message if we're actually using a different device
-                if (currentDeviceId && currentDeviceId !== newDeviceId) {
-                    // Show detailed message in the overlay after a short delay to show both messages
-                    setTimeout(() => {
-                        this.showMessage(
-                            `New audio input device detected: ${newDeviceLabel}. ` +
-                            `Recording continues with the current device. ` +
-                            `The new device will be used on the next recording.`,
-                            'info'
-                        );
-                    }, 3500); // Show after device change overlay disappears (3s + 0.5s)
-                }
-            }
-        }
+        // Photo timeline is now rendered independently at 100ms intervals in startPhotoTimelineRefresh()
+        // No need to render here - it would conflict with the real-time rendering
     }
 
-    getDeviceLabel(deviceId) {
-        /**
-         * Get the label for a device ID from the known devices list
-         */
-        if (!deviceId) return null;
-        const device = this.lastKnownDevices.find(d => d.deviceId === deviceId);
-        return device ? device.label : null;
-    }
+    async handleTimelineClick(e) {
+    /**
+     * Handles clicks on the timeline to trigger flashbacks.
+     * Calculates the target timestamp and starts flashback with recording stop handling.
+     */
+        if (this.state === 'transitioning') {
+            return;
+        }
 
-    removeAlert(alertId) {
-        /**
-         * Remove a specific alert by its ID
-         * @param {number} alertId - ID of the alert to remove
-         */
-        const alertData = this.activeAlerts.get(alertId);
-        if (!alertData) return;
+        const rect = this.timelineBar.getBoundingClientRect(); // Coordinates of the green bar rectangle
+        const x = e.clientX - rect.left;
 
-        // Clear timeout if exists
-        if (alertData.timeoutId) {
-            clearTimeout(alertData.timeoutId);
-        }
+        // Use unified calculation function
+        const targetTime = this.calculateTargetTimeFromClick(x, rect, true);
 
-        // Fade out and remove
-        if (alertData.element) {
-            alertData.element.classList.remove('show');
-            setTimeout(() => {
-                if (alertData.element && alertData.element.parentNode) {
-                    alertData.element.parentNode.removeChild(alertData.element);
-                }
-                this.activeAlerts.delete(alertId);
-            }, 300); // Match CSS transition duration
-        } else {
-            this.activeAlerts.delete(alertId);
-        }
+        // Unified flashback navigation with validation
+        await this.seekFlashback(targetTime, {
+            allowFromRecording: true,
+            allowFromRecordingStopped: true,
+            allowFromFlashbackPaused: true
+        });
     }
 
-    removeOldestAlert() {
-        /**
-         * Remove the oldest alert when limit is reached
-         */
-        if (this.activeAlerts.size === 0) return;
-
-        // Find the oldest alert by createdAt timestamp
-        let oldestId = null;
-        let oldestTime = Infinity;
+    // === FLASHBACK PLAYBACK (MediaSource) ===
+    // The retained segments are self-contained WebM files. Stitching them into a single MediaSource
+    // SourceBuffer (mode 'sequence') yields ONE continuous, gapless timeline with a real finite
+    // duration — no per-segment reload seams and no reliance on the unknown per-blob duration.
+    // A small map converts between absolute recording time and MediaSource time.
 
-        for (const [alertId, alertData] of this.activeAlerts.entries()) {
-            if (alertData.createdAt < oldestTime) {
-                oldestTime = alertData.createdAt;
-                oldestId = alertId;
-            }
+    async playFlashbackFromTimestamp(timestamp) {
+        if (!Number.isFinite(timestamp)) {
+            timestamp = 0;
         }
-
-        if (oldestId !== null) {
-            this.removeAlert(oldestId);
+        // seekFlashback bumped _flashbackId; capture it so async work can detect interruption.
+        const fbId = this._flashbackId;
+        const sessions = this.getFlashbackSessionsFor(timestamp);
+        const fromKeepers = sessions !== this.recordedSessions;
+        if (sessions.length === 0) {
+            return;
         }
-    }
+        this.allSessions = [...sessions];
 
-    addAlert(text, type = 'info') {
-        /**
-         * Add a new alert to the alerts container
-         * @param {string} text - Message text to display
-         * @param {string} type - Type of message: 'error', 'success', 'info', 'device-change'
-         * @returns {number} - Alert ID
-         */
-        if (!this.alertsContainer) return null;
+        // (Re)build the windowed MediaSource when there isn't a usable one, the segment set changed,
+        // or the requested time falls outside the currently-buffered run. Back/forward presses that
+        // stay inside the buffered run reuse it and just re-seek; larger jumps rebuild the window
+        // around the new target.
+        const needRebuild = !this._mse || !this._mse.ready
+            || !!this._mse.keepers !== fromKeepers
+            || this._mse.segCount !== sessions.length
+            || !this._fbTargetInRun(this._mse, timestamp);
+        if (needRebuild) {
+            this.clearFlashbackMonitors();
+            this._teardownMse();
+            // Attach the video element up front: a MediaSource only fires 'sourceopen' once it is
+            // bound to a media element, so _buildFlashbackMediaSource needs the element ready.
+            this.flashbackVideo = this.videoPreview;
+            this.videoPreview.srcObject = null;
+            this.videoPreview.muted = false;
+            const built = await this._buildFlashbackMediaSource(sessions, timestamp);
+            if (this._flashbackId !== fbId) {
+                // A newer flashback superseded this one while we were building.
+                this._teardownMse(built);
+                return;
+            }
+            if (!built) {
+                this.diagnostics.error('VIDEO_READ', 'could not build the flashback MediaSource', { timestamp, sessions: sessions.length });
+                this.showMessage('Flashback playback error', 'error');
+                this._teardownMse();
+                this.flashbackVideo = null;
+                this.previousAbsoluteTime = null;
+                this.setState('recordingStopped');
+                this.resumeRecording();
+                return;
+            }
+            built.keepers = fromKeepers;
+            this._mse = built;
+            if (this.backgroundRecording && !fromKeepers) {
+                // Segments finalized by the running recorder while the window was being built
+                const lastAbs = built.entries[built.entries.length - 1].absEnd;
+                this.recordedSessions
+                    .filter(s => (s.absoluteStart ?? 0) >= lastAbs - 0.05 && !built.entries.some(e => e.session === s))
+                    .forEach(s => this._fbExtendWithSession(s));
+            }
+            this.updateFlashbackVideoAudioOutput(this.currentAudioOutputDeviceId || 'default');
+        }
 
-        // Enforce limit: remove oldest if at max
-        if (this.activeAlerts.size >= this.maxAlerts) {
-            this.removeOldestAlert();
+        // Position the single timeline at the requested absolute time.
+        const mseTime = this._absToMse(timestamp);
+        try {
+            this.flashbackVideo.currentTime = mseTime;
+        } catch (e) {
+            try { this.flashbackVideo.currentTime = 0; } catch (e2) { /* noop */ }
         }
+        this._syncFlashbackIndex(timestamp);
 
-        // Generate unique ID
-        const alertId = ++this.alertIdCounter;
-        const createdAt = Date.now();
+        // (Re)wire the handlers for this flashback id, transition state, and play.
+        this._attachFlashbackHandlers(fbId);
+        this.setState('flashback');
+        this.updateUIForFlashback();
+        this.updateDebugPanel();
+        this.startTimer();
+        this.stopPhotoExtraction();
+        this.stopPhotoTimelineRefresh();
 
-        // Create alert element
-        const alertElement = document.createElement('div');
-        alertElement.className = 'alert-item';
-        alertElement.textContent = text;
+        // Keep the sliding window fed ahead of / evicted behind the play head for this flashback.
+        this._pumpFlashback(fbId);
 
-        // Add type class
-        const validTypes = ['error', 'success', 'info', 'device-change'];
-        if (validTypes.includes(type)) {
-            alertElement.classList.add(type);
-        } else {
-            alertElement.classList.add('info'); // Default
-        }
+        // Re-apply the chosen speed: a MediaSource rebuild reloads the element (FEAT-004)
+        this.applyPlaybackSpeed();
 
-        // Add to container
-        this.alertsContainer.appendChild(alertElement);
+        const tryPlay = () => this.flashbackVideo && this.flashbackVideo.play();
+        Promise.resolve()
+            .then(tryPlay)
+            .catch(() => {
+                // A rejected play() (e.g. transient autoplay/power-save interruption) shouldn't kill
+                // the flashback — retry once; if it still fails, stay paused in flashback.
+                if (this._flashbackId !== fbId) return;
+                return Promise.resolve().then(tryPlay).catch(() => {});
+            });
+    }
 
-        // Show with fade-in animation
-        requestAnimationFrame(() => {
-            alertElement.classList.add('show');
-        });
+    // Bounds for the on-demand buffered window. Appending every retained segment into one SourceBuffer
+    // overruns the browser's SourceBuffer memory quota (~150 MB) once the retained window gets large,
+    // which made flashback fail with QuotaExceededError on long sessions. We keep only a bounded run of
+    // consecutive segments around the play head instead.
+    static get FB_BYTE_BUDGET() { return 96 * 1024 * 1024; } // stay well under the ~150 MB SB quota
+    static get FB_PREFETCH_AHEAD() { return 12; } // seconds of lead to keep appended ahead of the head
+    static get FB_KEEP_BEHIND() { return 20; }    // seconds to retain behind the head before evicting
 
-        // Set up auto-removal after 3 seconds
-        const timeoutId = setTimeout(() => {
-            this.removeAlert(alertId);
-        }, 3000);
+    // Lazily build (and cache) the concatenated, self-contained WebM blob for one retained segment.
+    _fbEntryBlob(entry) {
+        if (!entry.blob) {
+            entry.blob = this.buildFlashbackSessionBlob(entry.session);
+        }
+        return entry.blob;
+    }
 
-        // Store alert data
-        this.activeAlerts.set(alertId, {
-            element: alertElement,
-            timeoutId: timeoutId,
-            createdAt: createdAt,
-            type: type,
-            text: text
+    // Append the segment at entries[idx], extending the buffered run forward. Returns true on success.
+    // A synchronous QuotaExceededError from appendBuffer propagates to the caller (which evicts + retries).
+    async _fbAppend(ctx, idx) {
+        const entry = ctx.entries[idx];
+        const blob = this._fbEntryBlob(entry);
+        if (!blob || blob.size === 0) { ctx.hiIdx = idx; return false; }
+        const sb = ctx.sourceBuffer;
+        if (!this._fbMatchType(ctx, sb, entry.session.mimeType, entry.session.videoSize)) { ctx.hiIdx = idx; return false; }
+        const buffer = await blob.arrayBuffer();
+        this.diagnostics.debug('MSE', 'append', { idx, sessionId: entry.session.id, bytes: blob.size, cursor: ctx.mseCursor });
+        await new Promise((res, rej) => {
+            const onOk = () => { cleanup(); res(); };
+            const onErr = () => {
+                cleanup();
+                this.diagnostics.error('MSE', 'append failed', { idx, sessionId: entry.session.id, bytes: blob.size });
+                rej(new Error('append-error'));
+            };
+            const cleanup = () => { sb.removeEventListener('updateend', onOk); sb.removeEventListener('error', onErr); };
+            sb.addEventListener('updateend', onOk, { once: true });
+            sb.addEventListener('error', onErr, { once: true });
+            try {
+                sb.appendBuffer(buffer); // may throw QuotaExceededError synchronously
+            } catch (e) {
+                cleanup();
+                this.diagnostics.warn('MSE', 'append rejected', { idx, error: e && e.name, bytesBuffered: ctx.bytesBuffered });
+                throw e;
+            }
         });
+        const mseStart = ctx.mseCursor;
+        const mseEnd = sb.buffered.length ? sb.buffered.end(sb.buffered.length - 1) : mseStart;
+        ctx.segMap.push({ idx, absStart: entry.absStart, absEnd: entry.absEnd, mseStart, mseEnd });
+        ctx.mseCursor = mseEnd;
+        ctx.totalMse = mseEnd;
+        ctx.bytesBuffered += blob.size;
+        ctx.hiIdx = idx;
+        return true;
+    }
 
-        return alertId;
+    // Prepare the SourceBuffer for a segment: the recording format or resolution can change
+    // mid-buffer (settings, device switch). changeType() reconfigures the decoder for either; without it
+    // a new size still appends (each segment carries its own init segment) but a new codec is skipped.
+    _fbMatchType(ctx, sb, mimeType, videoSize = null) {
+        const type = this.codecNegotiator.playbackTypeFor(mimeType || this.activeMimeType || 'video/webm');
+        const resized = !!(videoSize && ctx.videoSize && videoSize !== ctx.videoSize);
+        if (videoSize) {
+            ctx.videoSize = videoSize;
+        }
+        if (type === ctx.mime && !resized) return true;
+        if (typeof sb.changeType === 'function') {
+            try {
+                sb.changeType(type);
+                ctx.mime = type;
+                return true;
+            } catch (e) { /* fall through */ }
+        }
+        return type === ctx.mime;
     }
 
-    showOverlayMessage(text, type = 'info') {
-        /**
-         * Display a unified overlay message in the bottom of the video
-         * @param {string} text - Message text to display
-         * @param {string} type - Type of message: 'error', 'success', 'info', 'device-change'
-         */
-        this.addAlert(text, type);
+    // Drop the oldest buffered segment(s) to reclaim memory. Never evicts within FB_KEEP_BEHIND of the
+    // play head, and always leaves at least one segment buffered.
+    async _fbEvictFront(ctx, playAbs) {
+        // An active A-B loop pins its start: the segment holding it must stay buffered so each
+        // repetition is a plain seek instead of a MediaSource rebuild.
+        const pinAbs = this.abLoop.active && ctx === this._mse && this._fbTargetInRun(ctx, this.abLoop.start)
+            ? this.abLoop.start
+            : Infinity;
+        while (ctx.bytesBuffered > FlashbackRecorder.FB_BYTE_BUDGET
+               && ctx.segMap.length > 1
+               && ctx.segMap[0].absEnd < playAbs - FlashbackRecorder.FB_KEEP_BEHIND
+               && ctx.segMap[0].absEnd < pinAbs) {
+            const seg = ctx.segMap[0];
+            const sb = ctx.sourceBuffer;
+            this.diagnostics.debug('MSE', 'evict', { idx: seg.idx, mseStart: seg.mseStart, mseEnd: seg.mseEnd, bytesBuffered: ctx.bytesBuffered });
+            try {
+                await new Promise((res) => {
+                    sb.addEventListener('updateend', res, { once: true });
+                    sb.remove(seg.mseStart, seg.mseEnd);
+                });
+            } catch (e) { break; }
+            const entry = ctx.entries[seg.idx];
+            ctx.bytesBuffered -= (entry.blob ? entry.blob.size : 0);
+            entry.blob = null; // free the concatenated blob
+            ctx.loIdx = seg.idx + 1;
+            ctx.segMap.shift();
+        }
     }
 
-    showDeviceChangeOverlay(deviceName, deviceType) {
-        /**
-         * Display an overlay message indicating a device change
-         * @param {string} deviceName - Name of the new device
-         * @param {string} deviceType - Type of device ('input' or 'output')
-         */
-        const deviceTypeLabel = deviceType === 'input' ? 'Input' : 'Output';
-        const displayName = deviceName || 'Unknown device';
-        const message = `${deviceTypeLabel} device changed: ${displayName}`;
-        this.showOverlayMessage(message, 'device-change');
+    // With the recorder running behind the flashback, a newly finalized segment extends the run so
+    // playback carries on towards live instead of ending at the segment that was last when it started.
+    _fbExtendWithSession(session) {
+        const ctx = this._mse;
+        if (!ctx || ctx.keepers || !session || !Array.isArray(session.chunks) || session.chunks.length === 0) return;
+        if (ctx.entries.some(e => e.session === session)) return;
+        const absStart = session.absoluteStart ?? session.visibleStartAbs ?? 0;
+        ctx.entries.push({
+            session,
+            absStart,
+            absEnd: session.absoluteEnd ?? session.visibleEndAbs ?? absStart,
+            blob: null
+        });
+        ctx.lastIdx = ctx.entries.length - 1;
+        ctx.segCount = this.recordedSessions.length;
+        ctx.windowEndAbs = ctx.entries[ctx.lastIdx].absEnd;
+        ctx.endedStream = false; // appending to an ended MediaSource reopens it
+        this._pumpFlashback(this._flashbackId);
     }
 
-    cleanupAudioDeviceManagement() {
-        /**
-         * Clean up audio device management listeners and intervals
-         */
-        if (this.deviceChangeHandler && navigator.mediaDevices && navigator.mediaDevices.removeEventListener) {
-            navigator.mediaDevices.removeEventListener('devicechange', this.deviceChangeHandler);
-            this.deviceChangeHandler = null;
-        }
+    // Is the absolute time t inside the currently-buffered run?
+    _fbTargetInRun(ctx, t) {
+        return !!(ctx && ctx.ready && ctx.segMap.length > 0
+            && t >= ctx.segMap[0].absStart - 0.05
+            && t <= ctx.segMap[ctx.segMap.length - 1].absEnd + 0.05);
+    }
 
-        if (this.deviceChangePollingInterval) {
-            clearInterval(this.deviceChangePollingInterval);
-            this.deviceChangePollingInterval = null;
+    // Maintain the buffered window for the active flashback: prefetch ahead of the play head, evict
+    // behind, and finalise the stream once the last segment is buffered. Re-entrancy-guarded and kicked
+    // from the timeupdate/waiting handlers; every step is gated on fbId so a superseded flashback stops.
+    async _pumpFlashback(fbId) {
+        const ctx = this._mse;
+        if (!ctx || ctx._pumping || this._flashbackId !== fbId) return;
+        ctx._pumping = true;
+        try {
+            const video = this.flashbackVideo;
+            while (this._flashbackId === fbId && ctx.ready) {
+                const headMse = video ? (video.currentTime || 0) : 0;
+                const playAbs = video ? this._mseToAbs(headMse) : ctx.windowStartAbs;
+                await this._fbEvictFront(ctx, playAbs);
+                if (this._flashbackId !== fbId) break;
+                // The lead is media time: at 2x it is consumed twice as fast, so scale it
+                const lead = FlashbackRecorder.FB_PREFETCH_AHEAD * Math.max(1, video ? video.playbackRate : 1);
+                const needAhead = (ctx.mseCursor - headMse) < lead
+                                  || ctx.bytesBuffered < FlashbackRecorder.FB_BYTE_BUDGET;
+                // Nothing past the loop end is ever played while looping
+                const loopCovered = this.abLoop.active
+                    && ctx.segMap.length > 0 && ctx.segMap[ctx.segMap.length - 1].absEnd >= this.abLoop.end;
+                if (ctx.hiIdx < ctx.lastIdx && needAhead && !loopCovered
+                    && ctx.bytesBuffered < FlashbackRecorder.FB_BYTE_BUDGET) {
+                    try {
+                        await this._fbAppend(ctx, ctx.hiIdx + 1);
+                    } catch (e) {
+                        // Out of SourceBuffer room: drop behind the head and try again next tick.
+                        await this._fbEvictFront(ctx, playAbs);
+                        break;
+                    }
+                    continue;
+                }
+                if (ctx.hiIdx >= ctx.lastIdx && !ctx.endedStream) {
+                    try { ctx.mediaSource.endOfStream(); } catch (e) { /* noop */ }
+                    ctx.endedStream = true;
+                }
+                break;
+            }
+        } finally {
+            ctx._pumping = false;
         }
     }
 
-    clearFlashbackMonitors() {
-        if (this._flashbackTimeout) {
-            clearTimeout(this._flashbackTimeout);
-            this._flashbackTimeout = null;
-        }
-        if (this._flashbackInterval) {
-            clearInterval(this._flashbackInterval);
-            this._flashbackInterval = null;
-        }
-        if (this._timeupdateGuardTimeout) {
-            clearTimeout(this._timeupdateGuardTimeout);
-            this._timeupdateGuardTimeout = null;
+    // Build a MediaSource holding a bounded window of segments around targetAbs: one segment behind
+    // (smooth small rewinds) then forward until the byte budget is hit. The pump keeps it fed/evicted
+    // as playback proceeds. Returns a context or null if even the minimal window could not be built.
+    async _buildFlashbackMediaSource(sessions, targetAbs = 0, video = this.videoPreview) {
+        const entries = sessions
+            .filter(s => s && Array.isArray(s.chunks) && s.chunks.length > 0)
+            .map(s => ({
+                session: s,
+                absStart: s.absoluteStart ?? s.visibleStartAbs ?? 0,
+                absEnd: s.absoluteEnd ?? s.visibleEndAbs ?? (s.absoluteStart ?? 0),
+                blob: null
+            }))
+            .sort((a, b) => a.absStart - b.absStart);
+        if (entries.length === 0) {
+            return null;
         }
-        if (this._metadataTimeout) {
-            clearTimeout(this._metadataTimeout);
-            this._metadataTimeout = null;
+        const mime = this.codecNegotiator.playbackTypeFor(entries[0].session.mimeType || this.activeMimeType || 'video/webm');
+        if (!(window.MediaSource && MediaSource.isTypeSupported(mime))) {
+            return null;
         }
-    }
+        const mediaSource = new MediaSource();
+        const objectUrl = URL.createObjectURL(mediaSource);
+        this.diagnostics.info('BLOB_CREATE', 'flashback MediaSource', { mime, segments: entries.length, targetAbs: Number((targetAbs ?? 0).toFixed(2)) });
+        const ctx = {
+            mediaSource, objectUrl, sourceBuffer: null, mime,
+            entries, segCount: sessions.length, lastIdx: entries.length - 1,
+            loIdx: 0, hiIdx: -1, segMap: [], mseCursor: 0, bytesBuffered: 0,
+            totalMse: 0, endedStream: false, _pumping: false,
+            windowStartAbs: entries[0].absStart,
+            windowEndAbs: entries[entries.length - 1].absEnd,
+            ready: false
+        };
 
-    handleRecordedChunk(event) {
+        // Bind the MediaSource to the video element so 'sourceopen' fires.
+        video.srcObject = null;
+        video.src = objectUrl;
+        try { video.load(); } catch (e) { /* noop */ }
 
-        if (!event || !event.data || event.data.size === 0) {
-            return;
+        const opened = await new Promise((resolve) => {
+            const timeout = setTimeout(() => resolve(false), 5000); // give up rather than hang
+            mediaSource.addEventListener('sourceopen', () => { clearTimeout(timeout); resolve(true); }, { once: true });
+        });
+        if (!opened) {
+            try { URL.revokeObjectURL(objectUrl); } catch (e) { /* noop */ }
+            return null;
         }
 
-        const now = Date.now();
-        let duration = 1;
-        if (this._lastChunkTimestamp !== null) {
-            duration = Math.max(0.1, (now - this._lastChunkTimestamp) / 1000);
-        }
-        this._lastChunkTimestamp = now;
+        try {
+            const sb = mediaSource.addSourceBuffer(mime);
+            sb.mode = 'sequence'; // place each segment right after the previous one
+            ctx.sourceBuffer = sb;
 
-        const absoluteStart = this.lifetimeRecordedDuration;
-        const absoluteEnd = absoluteStart + duration;
-        
-        // Extract first frame from first chunk at the start of a new recording (timestamp = 0)
-        const isStartOfNewRecording = absoluteStart === 0 || (absoluteStart < 0.1 && this.photoFrames.length === 0);
-        if (isStartOfNewRecording && this.showPhotoTimeline && this.videoPreview && this.videoPreview.readyState >= 2) {
-            const firstFrameImageData = this.extractFrameFromVideo(0, this.videoPreview);
-            if (firstFrameImageData) {
-                // Check if frame already exists at timestamp 0 (avoid duplicates)
-                const epsilon = 0.1; // 100ms tolerance
-                const existingFrame = this.photoFrames.find(frame => 
-                    Math.abs(frame.timestamp - 0) < epsilon
-                );
-                if (!existingFrame) {
-                    this.photoFrames.push({
-                        timestamp: 0,
-                        imageData: firstFrameImageData,
-                        thumbnail: firstFrameImageData
-                    });
-                    this.photoFrames.sort((a, b) => a.timestamp - b.timestamp);
-                    this.renderPhotoTimeline();
-                }
+            let targetIdx = entries.findIndex(e => targetAbs <= e.absEnd + 0.05);
+            if (targetIdx < 0) targetIdx = entries.length - 1;
+            const startIdx = Math.max(0, targetIdx - 1); // one segment of rewind headroom
+
+            // Mandatory: cover startIdx..targetIdx so the requested position is immediately playable.
+            for (let i = startIdx; i <= targetIdx; i++) {
+                await this._fbAppend(ctx, i);
+            }
+            ctx.ready = ctx.segMap.length > 0;
+            // Prefetch forward up to the byte budget; the pump extends further during playback.
+            let i = targetIdx + 1;
+            while (i <= ctx.lastIdx && ctx.bytesBuffered < FlashbackRecorder.FB_BYTE_BUDGET) {
+                await this._fbAppend(ctx, i);
+                i++;
+            }
+            ctx.loIdx = ctx.segMap.length ? ctx.segMap[0].idx : 0;
+            if (ctx.hiIdx >= ctx.lastIdx) {
+                try { mediaSource.endOfStream(); } catch (e) { /* noop */ }
+                ctx.endedStream = true;
             }
+        } catch (e) {
+            // A QuotaExceededError this early means even the minimal window didn't fit — bail out.
+            this.diagnostics.error('MSE', 'initial window did not fit', { error: e && e.name, bytesBuffered: ctx.bytesBuffered });
         }
-        
-        this.lifetimeRecordedDuration = absoluteEnd;
 
-        let targetSessionId = this.currentSessionId;
-        let isCurrentSession = true;
-        if (targetSessionId === null && this.pendingSessionId !== null) {
-            targetSessionId = this.pendingSessionId;
-            isCurrentSession = false;
+        if (!ctx.ready) {
+            try { URL.revokeObjectURL(objectUrl); } catch (e) { /* noop */ }
+            return null;
         }
+        return ctx;
+    }
 
-        let attachedToLastSession = false;
-        let lastSessionForAttachment = null;
-        if (targetSessionId === null && this.lastFinalizedSessionId !== null) {
-            const lastSession = this.sessionMap.get(this.lastFinalizedSessionId);
-            if (lastSession) {
-                const lastVisibleEnd = lastSession.visibleEndAbs ?? lastSession.absoluteEnd ?? lastSession.absoluteStart ?? 0;
-                const gap = absoluteStart - lastVisibleEnd;
-                if (gap >= 0 && gap <= this.lateChunkThresholdSeconds) {
-                    targetSessionId = lastSession.id;
-                    isCurrentSession = false;
-                    attachedToLastSession = true;
-                    lastSessionForAttachment = lastSession;
-                }
+    // Convert an absolute recording timestamp to a position on the MediaSource timeline. Operates on
+    // the currently-buffered run; callers ensure the target lies within it before seeking.
+    _absToMse(absTime, ctx = this._mse) {
+        if (!ctx || ctx.segMap.length === 0) {
+            return 0;
+        }
+        const runStart = ctx.segMap[0].absStart;
+        const runEnd = ctx.segMap[ctx.segMap.length - 1].absEnd;
+        const clamped = Math.max(runStart, Math.min(absTime, runEnd));
+        for (const seg of ctx.segMap) {
+            if (clamped <= seg.absEnd) {
+                const absSpan = seg.absEnd - seg.absStart;
+                const frac = absSpan > 0 ? (clamped - seg.absStart) / absSpan : 0;
+                return seg.mseStart + Math.max(0, Math.min(1, frac)) * (seg.mseEnd - seg.mseStart);
             }
         }
+        return ctx.mseCursor;
+    }
 
-        const isFirstChunkOfCurrentSession = isCurrentSession && this.currentSessionChunks.length === 0;
-
-        const chunk = {
-            id: ++this.currentChunkSequence,
-            blob: event.data,
-            duration,
-            mimeType: event.data.type || this.activeMimeType || 'video/webm',
-            sessionId: targetSessionId,
-            createdAt: now,
-            isSessionHeader: isFirstChunkOfCurrentSession,
-            isPreRoll: false,
-            absoluteStart,
-            absoluteEnd
-        };
-
-        if (isFirstChunkOfCurrentSession && event.data) {
-            this.currentSessionHeaderBlob = event.data;
+    // Convert a MediaSource timeline position back to an absolute recording timestamp (loaded run).
+    _mseToAbs(mseTime, ctx = this._mse) {
+        if (!ctx || ctx.segMap.length === 0) {
+            return this.visibleWindowEnd ?? this.lifetimeRecordedDuration ?? 0;
+        }
+        for (const seg of ctx.segMap) {
+            if (mseTime <= seg.mseEnd) {
+                const mseSpan = seg.mseEnd - seg.mseStart;
+                const frac = mseSpan > 0 ? (mseTime - seg.mseStart) / mseSpan : 0;
+                return seg.absStart + Math.max(0, Math.min(1, frac)) * (seg.absEnd - seg.absStart);
+            }
         }
+        return ctx.segMap[ctx.segMap.length - 1].absEnd;
+    }
 
-        this.chunkBuffer.push(chunk);
-        this._bufferedDuration += duration;
+    // Keep currentFlashbackIndex aligned with the played position (debug panel highlight). Indexes the
+    // full entry list, not just the buffered run.
+    _syncFlashbackIndex(absTime) {
+        const ctx = this._mse;
+        if (!ctx) return;
+        const entries = ctx.entries || [];
+        for (let i = 0; i < entries.length; i++) {
+            if (absTime <= entries[i].absEnd) { this.currentFlashbackIndex = i; return; }
+        }
+        this.currentFlashbackIndex = Math.max(0, entries.length - 1);
+    }
 
-        let sessionUpdated = false;
+    // Attach the timeupdate/ended/error handlers for the flashback identified by fbId.
+    _attachFlashbackHandlers(fbId) {
+        const video = this.flashbackVideo;
+        if (!video) return;
+        this._detachFlashbackHandlers();
 
-        if (attachedToLastSession && lastSessionForAttachment) {
-            chunk.sessionId = lastSessionForAttachment.id;
-            lastSessionForAttachment.chunks.push(chunk);
-            this.refreshSessionBounds(lastSessionForAttachment);
-            lastSessionForAttachment.playableDuration = lastSessionForAttachment.duration;
-            sessionUpdated = true;
-        } else if (isCurrentSession && this.currentSessionId !== null) {
-            this.currentSessionChunks.push(chunk);
-        } else if (!isCurrentSession && this.pendingSessionId !== null) {
-            this.pendingSessionChunks.push(chunk);
-            const pendingSession = this.sessionMap.get(this.pendingSessionId);
-            if (pendingSession) {
-                pendingSession.chunks.push(chunk);
-                sessionUpdated = true;
-            }
-            if (this.state !== 'recording' && (!this.mediaRecorder || this.mediaRecorder.state !== 'recording')) {
-                this.finalizePendingSession();
-                sessionUpdated = false;
+        this._timeupdateHandler = () => {
+            if (this._flashbackId !== fbId) { this._detachFlashbackHandlers(); return; }
+            this._syncFlashbackIndex(this._mseToAbs(video.currentTime || 0));
+            this.updateTimeline();
+            this.updateAllPlaybackPositions();
+            this._pumpFlashback(fbId); // feed the window ahead / evict behind as playback advances
+        };
+        this._onEndedHandler = () => {
+            if (this._flashbackId !== fbId) return;
+            if (this.abLoop.active) {
+                // The loop reaches the live edge: repeat instead of going back to live
+                this.wrapAbLoop();
+                return;
             }
-        }
-
-        this.enforceRollingBuffer();
+            // Reached the live edge of the retained window — hand back to live recording.
+            this.resumeRecordingAfterFlashback();
+        };
+        this._onErrorHandler = () => {
+            if (this._flashbackId !== fbId) return;
+            this.logVideoError('flashback playback error', video);
+            this.showMessage('Flashback playback error', 'error');
+            this.resumeRecordingAfterFlashback();
+        };
+        // If playback outruns the buffered window, feed it more rather than stalling.
+        this._onWaitingHandler = () => {
+            if (this._flashbackId !== fbId) return;
+            this._pumpFlashback(fbId);
+        };
+        video.addEventListener('timeupdate', this._timeupdateHandler);
+        video.addEventListener('ended', this._onEndedHandler);
+        video.addEventListener('error', this._onErrorHandler);
+        video.addEventListener('waiting', this._onWaitingHandler);
+    }
 
-        if (sessionUpdated) {
-            this.recomputeSessionBoundaries();
+    _detachFlashbackHandlers() {
+        const video = this.flashbackVideo;
+        if (video) {
+            if (this._timeupdateHandler) video.removeEventListener('timeupdate', this._timeupdateHandler);
+            if (this._onEndedHandler) video.removeEventListener('ended', this._onEndedHandler);
+            if (this._onErrorHandler) video.removeEventListener('error', this._onErrorHandler);
+            if (this._onWaitingHandler) video.removeEventListener('waiting', this._onWaitingHandler);
         }
+        this._timeupdateHandler = null;
+        this._onEndedHandler = null;
+        this._onErrorHandler = null;
+        this._onWaitingHandler = null;
+    }
 
-        if (this.state === 'recording') {
-            this.updateTimeline();
+    // Tear down a MediaSource context and release its object URL.
+    _teardownMse(ctx = this._mse) {
+        if (!ctx) return;
+        try {
+            if (ctx.mediaSource && ctx.mediaSource.readyState === 'open') {
+                ctx.mediaSource.endOfStream();
+            }
+        } catch (e) { /* noop */ }
+        try { URL.revokeObjectURL(ctx.objectUrl); } catch (e) { /* noop */ }
+        if (ctx.entries) ctx.entries.forEach(e => { e.blob = null; }); // free windowed segment blobs
+        if (ctx === this._mse) {
+            this._mse = null;
         }
-        
-        // Waveform is now analyzed in real-time from the stream, not from chunks
-        // No need to process chunks for waveform
-        
-        this.updateDebugPanel();
     }
 
-    removeChunksFromBuffer(chunks) {
-        if (!Array.isArray(chunks) || chunks.length === 0) {
-            return;
+    waitForRecorderStop() { // Wait for the recorder to stop (it just waits for the recorder to stop)
+        return new Promise((resolve) => { 
+            if (!this.mediaRecorder) { // If the recorder doesn't exist, resolve immediately
+                resolve(); 
+                return;
+            }
+            const state = this.mediaRecorder.state; // Check the recorder state
+            if (state !== 'recording') { // If the recorder is not recording, resolve immediately
+                resolve();
+                return;
+            }
+            const handler = () => {
+                this.mediaRecorder.removeEventListener('stop', handler); // Remove the listener once it's called
+                resolve(); // Resolve the promise
+            };
+            this.mediaRecorder.addEventListener('stop', handler, { once: true }); // Add the listener once to prevent duplicates
+        });
+    }
+
+    buildFlashbackSessionBlob(session) {
+        if (!session || !Array.isArray(session.chunks) || session.chunks.length === 0) {
+            this.debugLogState('buildBlob:empty-session', { sessionId: session?.id });
+            return null;
         }
-        const idsToRemove = new Set(chunks.map(chunk => chunk.id));
-        if (this.currentSessionChunks.length > 0) {
-            this.currentSessionChunks = this.currentSessionChunks.filter(chunk => !idsToRemove.has(chunk.id));
+        const parts = [];
+        const firstChunk = session.chunks[0];
+        if (session.headerBlob && (!firstChunk || !firstChunk.isSessionHeader)) {
+            parts.push(session.headerBlob);
         }
-        this.chunkBuffer = this.chunkBuffer.filter(chunk => {
-            if (idsToRemove.has(chunk.id)) {
-                let preservedHeader = false;
-                if (chunk.sessionId) {
-                    const session = this.sessionMap.get(chunk.sessionId);
-                    if (chunk.isSessionHeader && chunk.sessionId === this.currentSessionId && !this.currentSessionHeaderBlob && chunk.blob) {
-                        this.currentSessionHeaderBlob = chunk.blob;
-                        preservedHeader = true;
-                    }
-                    if (session && chunk.isSessionHeader && chunk.blob && !session.headerBlob) {
-                        session.headerBlob = chunk.blob;
-                        preservedHeader = true;
-                    }
-                }
-                this._bufferedDuration = Math.max(0, this._bufferedDuration - (chunk.duration || 0));
-                if (!preservedHeader) {
-                    chunk.blob = null;
-                }
-                return false;
+        session.chunks.forEach(chunk => {
+            if (chunk && chunk.blob) {
+                parts.push(chunk.blob);
             }
-            return true;
         });
-        if (this.pendingSessionChunks.length > 0) {
-            this.pendingSessionChunks = this.pendingSessionChunks.filter(chunk => !idsToRemove.has(chunk.id));
-            if (this.pendingSessionChunks.length === 0 && this.pendingSessionId) {
-                this.finalizePendingSession();
-            }
+        if (parts.length === 0) {
+            this.debugLogState('buildBlob:no-parts', { sessionId: session?.id });
+            return null;
         }
-        this.updateDebugPanel();
+        const sizes = parts.map(part => part?.size || 0);
+        this.diagnostics.debug('BLOB_CREATE', 'segment blob assembled', {
+            sessionId: session.id,
+            chunkCount: session.chunks.length,
+            partCount: parts.length,
+            partSizes: sizes,
+            totalSize: sizes.reduce((a, b) => a + b, 0),
+            hasHeader: !!session.headerBlob,
+            preRollDuration: Number((session.preRollDuration || 0).toFixed(2)),
+            visibleDuration: Number((session.duration || 0).toFixed(2))
+        });
+        const mimeType = session.mimeType || this.activeMimeType || 'video/webm';
+        return new Blob(parts, { type: mimeType });
     }
 
-    refreshSessionBounds(session) {
-        if (!session || !Array.isArray(session.chunks)) {
-            return;
+    // === FRAME STEPPING AND SCRUBBING ===
+    // Fine navigation on a paused flashback. Moves that stay inside the buffered MediaSource run only
+    // set currentTime; the window is rebuilt (through seekFlashback) only for a target outside it.
+
+    isInFlashback() {
+        return this.state === 'flashback' || this.state === 'flashbackPaused';
+    }
+
+    // Duration of one recorded frame, from the camera's actual frame rate
+    getFrameDuration() {
+        const track = this.stream && this.stream.getVideoTracks()[0];
+        const fps = track && track.getSettings ? track.getSettings().frameRate : null;
+        return 1 / (Number.isFinite(fps) && fps > 0 ? fps : 30);
+    }
+
+    async stepFlashback(deltaSeconds) {
+        if (this.state === 'flashback') {
+            this.handleShiftKey(); // stepping always happens on a paused frame
         }
-        const chunks = session.chunks.filter(Boolean);
-        if (chunks.length === 0) {
-            session.absoluteStart = session.absoluteStart ?? this.lifetimeRecordedDuration;
-            session.absoluteEnd = session.absoluteStart;
-            session.visibleStartAbs = session.absoluteEnd;
-            session.visibleEndAbs = session.absoluteEnd;
-            session.duration = 0;
-            session.preRollDuration = 0;
-            session.chunkCount = 0;
+        if (this.state !== 'flashbackPaused') return;
+        await this.showPausedFrameAt(this.getCurrentAbsoluteTime() + deltaSeconds);
+    }
+
+    async showPausedFrameAt(targetTime) {
+        const target = Math.max(this.visibleWindowStart ?? 0, Math.min(targetTime, this.lifetimeRecordedDuration));
+        if (this.flashbackVideo && this._fbTargetInRun(this._mse, target)) {
+            try { this.flashbackVideo.currentTime = this._absToMse(target); } catch (e) { /* noop */ }
+            this._syncFlashbackIndex(target);
+            this.updateTimeline();
             return;
         }
-        chunks.sort((a, b) => (a.absoluteStart || 0) - (b.absoluteStart || 0));
-        session.absoluteStart = chunks[0].absoluteStart ?? session.absoluteStart ?? 0;
-        session.absoluteEnd = chunks[chunks.length - 1].absoluteEnd ?? session.absoluteEnd ?? session.absoluteStart;
-
-        let visibleStartAbs = null;
-        let visibleEndAbs = null;
-        let visibleDuration = 0;
-        let preRollDuration = 0;
-        let visibleChunkCount = 0;
+        await this.seekFlashback(target, { allowFromFlashbackPaused: true });
+        if (this.state === 'flashback') {
+            this.handleShiftKey(); // stay on the frame once the window is rebuilt
+        }
+    }
 
-        chunks.forEach(chunk => {
-            const chunkDuration = chunk.duration || 0;
-            const chunkEnd = chunk.absoluteEnd ?? ((chunk.absoluteStart || 0) + chunkDuration);
-            if (chunk.isPreRoll) {
-                preRollDuration += chunkDuration;
-            } else {
-                visibleDuration += chunkDuration;
-                visibleChunkCount += 1;
-                if (visibleStartAbs === null) {
-                    visibleStartAbs = chunk.absoluteStart ?? session.absoluteStart;
+    initScrubbing() {
+        const surfaces = [
+            { el: this.timelineBar, isTimeline: true },
+            { el: this.waveformCanvas, isTimeline: false }
+        ].filter(surface => surface.el);
+        surfaces.forEach(({ el, isTimeline }) => {
+            el.addEventListener('pointerdown', (e) => {
+                // Alt+drag selects a loop range; dragging a marker moves it
+                if (e.button !== 0 || e.altKey || !this.isInFlashback()) return;
+                if (e.target.closest && e.target.closest('.timeline-marker')) return;
+                this.scrub = { el, isTimeline, startX: e.clientX, moved: false, pending: null, raf: null };
+            });
+            el.addEventListener('click', (e) => {
+                if (this.scrubJustEnded) {
+                    e.stopImmediatePropagation();
+                    this.scrubJustEnded = false;
+                }
+            }, true);
+        });
+        document.addEventListener('pointermove', (e) => {
+            const scrub = this.scrub;
+            if (!scrub) return;
+            if (!scrub.moved && Math.abs(e.clientX - scrub.startX) < 4) {
+                return; // still a click
+            }
+            if (!scrub.moved) {
+                scrub.moved = true;
+                if (this.state === 'flashback') {
+                    this.handleShiftKey();
                 }
-                visibleEndAbs = chunkEnd;
             }
+            const rect = scrub.el.getBoundingClientRect();
+            scrub.pending = this.calculateTargetTimeFromClick(e.clientX - rect.left, rect, scrub.isTimeline);
+            this.applyScrubPosition(scrub);
         });
+        document.addEventListener('pointerup', () => {
+            const scrub = this.scrub;
+            this.scrub = null;
+            if (!scrub || !scrub.moved) return;
+            // The release also clicks the bar: it must not start playing from there
+            this.scrubJustEnded = true;
+            setTimeout(() => { this.scrubJustEnded = false; }, 0);
+            if (scrub.pending !== null) {
+                this.showPausedFrameAt(scrub.pending);
+            }
+        });
+    }
 
-        session.preRollDuration = preRollDuration;
-        session.duration = visibleDuration;
-        session.chunkCount = visibleChunkCount;
-        session.visibleStartAbs = visibleStartAbs ?? session.absoluteEnd;
-        session.visibleEndAbs = visibleEndAbs ?? session.visibleStartAbs;
+    applyScrubPosition(scrub) {
+        // At most one seek per animation frame; a position outside the buffered run waits for the release
+        if (scrub.raf) return;
+        scrub.raf = requestAnimationFrame(() => {
+            scrub.raf = null;
+            if (this.scrub !== scrub || scrub.pending === null || this.state !== 'flashbackPaused') return;
+            if (this.flashbackVideo && this._fbTargetInRun(this._mse, scrub.pending)) {
+                try { this.flashbackVideo.currentTime = this._absToMse(scrub.pending); } catch (e) { /* noop */ }
+                this.updateTimeline();
+            }
+        });
     }
 
-    updateShiftButton(label, variant = 'secondary', disabled = false) {
-        if (!this.shiftBtn) {
-            return;
+    // === A-B LOOP ===
+
+    setAbLoopPoint(which) {
+        if (this.state === 'transitioning') return;
+        const time = this.getCurrentAbsoluteTime();
+        if (!Number.isFinite(time)) return;
+        this.abLoop[which] = time;
+        const { start, end } = this.abLoop;
+        if (start !== null && end !== null) {
+            if (end - start < 0.2) {
+                // Both points on the same spot: keep only the one just set
+                this.abLoop[which === 'start' ? 'end' : 'start'] = null;
+            } else if (start > end) {
+                this.abLoop = { ...this.abLoop, start: end, end: start };
+            }
+        }
+        if (this.abLoop.start !== null && this.abLoop.end !== null) {
+            this.activateAbLoop();
+        } else {
+            this.showMessage(which === 'start'
+                ? `Loop in set - press ${this.getShortcutLabel('loopOut')} for the out point`
+                : `Loop out set - press ${this.getShortcutLabel('loopIn')} for the in point`, 'info');
         }
-        const variantClass = variant === 'primary'
-            ? 'btn-primary'
-            : variant === 'danger'
-                ? 'btn-danger'
-                : 'btn-secondary';
-        this.shiftBtn.classList.remove('btn-primary', 'btn-danger', 'btn-secondary');
-        this.shiftBtn.classList.add('btn');
-        this.shiftBtn.classList.add(variantClass);
-        this.shiftBtn.textContent = label;
-        this.shiftBtn.disabled = !!disabled;
+        this.updateTimeline();
     }
 
-    updateStateIndicator(state) {
-        if (!this.stateIndicatorDot || !this.stateIndicatorLabel) {
+    toggleAbLoop() {
+        if (this.state === 'transitioning') return;
+        if (this.abLoop.active) {
+            this.deactivateAbLoop();
             return;
         }
-        if (this.videoOverlay) {
-            this.videoOverlay.style.display = 'flex';
-        }
-        let color = '#6B7280';
-        let text = 'READY';
-        if (state === 'recording') {
-            color = '#EF4444';
-            text = 'REC';
-        } else if (state === 'flashback') {
-            color = '#2563EB';
-            text = 'FLASHBACK';
-        } else if (state === 'flashbackPaused') {
-            color = '#F59E0B';
-            text = 'PAUSE';
-        } else if (state === 'recordingStopped') {
-            color = '#6B7280';
-            text = 'READY';
+        if (this.abLoop.start === null || this.abLoop.end === null) {
+            // No explicit range: loop the rep between the markers around the play head
+            const range = this.getMarkerRangeAround(this.getCurrentAbsoluteTime());
+            if (!range) {
+                this.showMessage('Set loop points with I / O, between two markers, or Alt+drag on the timeline', 'info');
+                return;
+            }
+            this.abLoop.start = range.start;
+            this.abLoop.end = range.end;
         }
-        this.stateIndicatorDot.style.backgroundColor = color;
-        this.stateIndicatorLabel.textContent = text;
+        this.activateAbLoop();
     }
 
-    updateUIForRecording() {
-        this.updateShiftButton('Stop', 'danger');
-        this.flashbackBtn.disabled = false;
-        this.forwardBtn.disabled = true;
-        this.timelineContainer.style.display = 'block';
-        if (this.timelineLegend) {
-            this.timelineLegend.textContent = '';
-        }
-        this.timelinePosition.style.display = 'block';
-        // Mute audio during recording (we still record it, but don't play it)
-        if (this.videoPreview) {
-            this.videoPreview.muted = true;
+    async activateAbLoop() {
+        this.abLoop.active = true;
+        this.updateLoopControls();
+        this.updateTimeline();
+        this.startAbLoopWatcher();
+        const current = this.getCurrentAbsoluteTime();
+        const inFlashback = this.state === 'flashback' || this.state === 'flashbackPaused';
+        if (!inFlashback || current < this.abLoop.start - 0.05 || current > this.abLoop.end) {
+            await this.seekFlashback(this.abLoop.start, {
+                allowFromRecording: true,
+                allowFromRecordingStopped: true,
+                allowFromFlashbackPaused: true
+            });
         }
-        this.updateMarkerControls();
-        this.updateStateIndicator('recording');
     }
 
-    updateUIForFlashback() {
-        this.updateShiftButton('Pause', 'secondary');
-        this.flashbackBtn.disabled = false;
-        this.forwardBtn.disabled = false;
-        if (this.videoOverlay) {
-            this.videoOverlay.style.display = 'flex';
+    deactivateAbLoop() {
+        if (!this.abLoop.active) return;
+        this.abLoop.active = false;
+        this.abLoopWrapping = false;
+        if (this.abLoopRaf) {
+            cancelAnimationFrame(this.abLoopRaf);
+            this.abLoopRaf = null;
         }
-        // Don't reset counters to 0 for continuous flashbacks
-        this.timelinePosition.style.display = 'block';
-        if (this.timelineLegend) {
-            this.timelineLegend.textContent = '';
+        if (this.abLoopPauseTimer) {
+            clearTimeout(this.abLoopPauseTimer);
+            this.abLoopPauseTimer = null;
+            // Still waiting between repetitions: carry on playing normally
+            if (this.state === 'flashback' && this.flashbackVideo) {
+                this.flashbackVideo.play().catch(() => {});
+            }
         }
-        // Ensure the timeline is visible in flashback mode
-        this.timelineContainer.style.display = 'block';
-        this.updateMarkerControls();
-        this.updateStateIndicator('flashback');
+        this.updateLoopControls();
+        this.updateTimeline();
     }
 
-    updateUIForFlashbackPaused() {
-        this.updateShiftButton('Read', 'primary');
-        this.flashbackBtn.disabled = false;
-        this.forwardBtn.disabled = false;
-        if (this.videoOverlay) {
-            this.videoOverlay.style.display = 'flex';
-        }
-        this.timelineContainer.style.display = 'block';
-        this.timelinePosition.style.display = 'block';
-        if (this.timelineLegend) {
-            this.timelineLegend.textContent = '';
-        }
-        this.updateMarkerControls();
-        this.updateStateIndicator('flashbackPaused');
+    startAbLoopWatcher() {
+        // timeupdate only fires every ~250 ms: watch the loop end every frame for a tight repeat
+        if (this.abLoopRaf) return;
+        const tick = () => {
+            this.abLoopRaf = null;
+            if (!this.abLoop.active) return;
+            const video = this.flashbackVideo;
+            if (this.state === 'flashback' && video && this._mse && !this.abLoopWrapping) {
+                const abs = this._mseToAbs(video.currentTime || 0);
+                if (abs >= this.abLoop.end - 0.03) {
+                    this.wrapAbLoop();
+                }
+            }
+            this.abLoopRaf = requestAnimationFrame(tick);
+        };
+        this.abLoopRaf = requestAnimationFrame(tick);
     }
 
-    updateUIForRecordingStopped() {
-        this.updateShiftButton('Record', 'primary');
-        this.flashbackBtn.disabled = true;
-        this.forwardBtn.disabled = true;
-        this.timelineContainer.style.display = 'block';
-        // Keep the timeline visible even when recording is stopped
-        this.timelinePosition.style.display = 'none';
-        // Mute audio when recording is stopped (if stream is still attached)
-        if (this.videoPreview) {
-            this.videoPreview.muted = true;
-        }
-        if (this.timelineLegend) {
-            this.timelineLegend.textContent = '';
+    async wrapAbLoop() {
+        if (this.abLoopWrapping || !this.abLoop.active) return;
+        this.abLoopWrapping = true;
+        const video = this.flashbackVideo;
+        const start = this.abLoop.start;
+        try {
+            if (video && this._mse && this._fbTargetInRun(this._mse, start)) {
+                video.currentTime = this._absToMse(start);
+            } else {
+                // Loop longer than the buffered window: its start was evicted, rebuild around it
+                await this.seekFlashback(start, { allowFromFlashbackPaused: true });
+            }
+        } catch (e) {
+            console.warn('A-B loop: could not jump back to the loop start', e);
+        }
+        const pauseMs = Math.max(0, this.loopPauseSeconds) * 1000;
+        if (pauseMs > 0 && this.flashbackVideo) {
+            this.flashbackVideo.pause();
+            this.abLoopPauseTimer = setTimeout(() => {
+                this.abLoopPauseTimer = null;
+                this.abLoopWrapping = false;
+                // The user may have paused or left the flashback meanwhile
+                if (this.abLoop.active && this.state === 'flashback' && this.flashbackVideo) {
+                    this.flashbackVideo.play().catch(() => {});
+                }
+            }, pauseMs);
+            return;
         }
-        if (this.timelineMarkerLayer) {
-            this.timelineMarkerLayer.innerHTML = '';
+        if (this.flashbackVideo && this.flashbackVideo.paused && this.state === 'flashback') {
+            this.flashbackVideo.play().catch(() => {});
         }
-        this.updateMarkerControls();
-        this.updateStateIndicator('recordingStopped');
+        this.abLoopWrapping = false;
     }
 
-    saveCurrentSession() {
-        this.debugLogState('save:start', {
-            currentSessionId: this.currentSessionId,
-            currentChunks: this.currentSessionChunks.length
+    initAbLoopDragging() {
+        // Alt+drag on the timeline bar selects a loop range (a plain click still seeks)
+        if (!this.timelineBar) return;
+        const timeAt = (e) => {
+            const rect = this.timelineBar.getBoundingClientRect();
+            const t = this.calculateTargetTimeFromClick(e.clientX - rect.left, rect, true);
+            return Math.max(this.visibleWindowStart ?? 0, Math.min(t, this.lifetimeRecordedDuration));
+        };
+        this.timelineBar.addEventListener('pointerdown', (e) => {
+            if (!e.altKey || e.button !== 0 || this.state === 'transitioning') return;
+            e.preventDefault();
+            const startTime = timeAt(e);
+            this.abLoopDrag = { startTime };
+            this.deactivateAbLoop();
+            this.abLoop.start = startTime;
+            this.abLoop.end = startTime;
         });
-        /**
-         * Saves the current recording session by creating a logical session
-         * based on the individual chunks stored in the buffer.
-         * 
-         * This function is called:
-         * - When manual stop (stopRecording)
-         * - When flashback (startFlashbackFlashback) to save the current session
-         */
-        this.finalizePendingSession();
+        document.addEventListener('pointermove', (e) => {
+            if (!this.abLoopDrag) return;
+            const t = timeAt(e);
+            this.abLoop.start = Math.min(this.abLoopDrag.startTime, t);
+            this.abLoop.end = Math.max(this.abLoopDrag.startTime, t);
+            this.updateTimeline();
+        });
+        document.addEventListener('pointerup', () => {
+            if (!this.abLoopDrag) return;
+            this.abLoopDrag = null;
+            // The release also clicks the bar: don't let that click seek
+            this.markerDragJustEnded = true;
+            setTimeout(() => { this.markerDragJustEnded = false; }, 0);
+            if (this.abLoop.end - this.abLoop.start >= 0.2) {
+                this.activateAbLoop();
+            } else {
+                this.abLoop.start = null;
+                this.abLoop.end = null;
+                this.updateTimeline();
+            }
+        });
+    }
 
-        if (this.currentSessionChunks.length === 0) {
-            this.currentSessionStartMs = null;
-            this.currentSessionId = null;
-            this._lastChunkTimestamp = null;
-            this.currentSessionHeaderBlob = null;
+    renderAbLoopRegion(windowStart, windowDuration, effectiveBarWidthPercent = 100) {
+        const region = this.timelineLoopRegion;
+        if (!region) return;
+        const { start, end, active } = this.abLoop;
+        if (start === null || end === null || end <= start || !(windowDuration > 0)) {
+            region.style.display = 'none';
             return;
         }
+        const toPercent = (t) => Math.max(0, Math.min(1, (t - windowStart) / windowDuration)) * effectiveBarWidthPercent;
+        region.style.display = 'block';
+        region.style.left = `${toPercent(start).toFixed(3)}%`;
+        region.style.width = `${(toPercent(end) - toPercent(start)).toFixed(3)}%`;
+        region.classList.toggle('active', active);
+    }
 
-        const sessionChunks = [...this.currentSessionChunks];
-        const sessionDuration = sessionChunks.reduce((sum, chunk) => sum + (chunk.duration || 0), 0);
-        const totalBytes = sessionChunks.reduce((sum, chunk) => sum + ((chunk.blob && chunk.blob.size) || 0), 0);
+    updateLoopControls() {
+        if (this.loopBtn) {
+            this.loopBtn.classList.toggle('active', this.abLoop.active);
+            this.loopBtn.textContent = this.abLoop.active ? 'Loop ⟲ on' : 'Loop ⟲';
+        }
+    }
 
-        const MIN_DURATION = 0.5; // seconds
-        const MIN_BLOB_SIZE = 5000; // octets
+    // === DELAYED MIRROR ===
+    // "Video delay" workflow: recording never stops, and a second video element plays the finalized
+    // segments at a fixed delay behind live. Segments are appended to its own MediaSource (sequence
+    // mode, like the flashback) as soon as saveCurrentSession closes them; a periodic sync keeps the
+    // play head at live - delay and drops what is already behind it.
 
-        if (sessionDuration < MIN_DURATION || totalBytes < MIN_BLOB_SIZE) {
-            this.removeChunksFromBuffer(sessionChunks);
-            this.currentSessionChunks = [];
-            this.currentSessionStartMs = null;
-            this.currentSessionId = null;
-            this._lastChunkTimestamp = null;
-            this.pendingSessionId = null;
-            this.pendingSessionChunks = [];
-            this.currentSessionHeaderBlob = null;
-            return;
+    static get MIRROR_DELAYS() { return [5, 10, 15, 20, 30, 45, 60]; }
+
+    setDelayedMirrorEnabled(enabled) {
+        this.delayedMirrorEnabled = !!enabled;
+        if (this.configDelayedMirrorToggle) {
+            this.configDelayedMirrorToggle.checked = this.delayedMirrorEnabled;
+        }
+        if (this.delayedMirrorEnabled) {
+            this.startDelayedMirror();
+        } else {
+            this.stopDelayedMirror();
+        }
+        if (this.state === 'recording') {
+            this.startSegmentRotation(); // segment length depends on the delay
         }
+        this.saveSettings();
+    }
 
-        const sessionId = this.currentSessionId ?? ++this.currentSessionIdCounter;
+    setMirrorDelay(seconds) {
+        if (!FlashbackRecorder.MIRROR_DELAYS.includes(seconds)) return;
+        this.mirrorDelaySeconds = seconds;
+        if (this.configMirrorDelaySelect) {
+            this.configMirrorDelaySelect.value = String(seconds);
+        }
+        if (this.maxDuration && seconds >= this.maxDuration) {
+            this.showMessage(`Delay longer than the buffer (${this.formatTime(this.maxDuration)})`, 'error');
+        }
+        if (this.delayedMirrorEnabled && this.state === 'recording') {
+            this.startSegmentRotation();
+        }
+        this.updateDelayedMirrorDisplay();
+        this.saveSettings();
+    }
 
-        const session = {
-            id: sessionId,
-            chunks: sessionChunks,
-            chunkCount: sessionChunks.length,
-            duration: sessionDuration,
-            playableDuration: sessionDuration,
-            startTime: 0,
-            endTime: 0,
-            mimeType: this.activeMimeType || 'video/webm',
-            createdAt: Date.now(),
-            blobUrl: null,
-            headerBlob: null,
-            preRollDuration: 0
+    async startDelayedMirror() {
+        if (!this.delayedVideo || this._delayed) return;
+        const mime = this.codecNegotiator.playbackTypeFor(this.activeMimeType || 'video/webm');
+        if (!(window.MediaSource && MediaSource.isTypeSupported(mime))) {
+            this.showMessage('Delayed mirror is not supported by this browser', 'error');
+            this.delayedMirrorEnabled = false;
+            this.updateDelayedMirrorDisplay();
+            return;
+        }
+        const mediaSource = new MediaSource();
+        const ctx = {
+            mediaSource, objectUrl: URL.createObjectURL(mediaSource), sourceBuffer: null, mime,
+            segMap: [], mseCursor: 0, queue: Promise.resolve(), appendedIds: new Set(),
+            lastLifetime: null, lastLifetimeMs: 0, waiting: true
         };
+        this._delayed = ctx;
+        this.delayedVideo.src = ctx.objectUrl;
+        const opened = await new Promise((resolve) => {
+            const timeout = setTimeout(() => resolve(false), 5000);
+            mediaSource.addEventListener('sourceopen', () => { clearTimeout(timeout); resolve(true); }, { once: true });
+        });
+        if (this._delayed !== ctx) return; // disabled meanwhile
+        try {
+            if (!opened) throw new Error('sourceopen timeout');
+            ctx.sourceBuffer = mediaSource.addSourceBuffer(mime);
+            ctx.sourceBuffer.mode = 'sequence';
+        } catch (e) {
+            console.warn('Delayed mirror: could not open the MediaSource', e);
+            this.showMessage('Delayed mirror could not start', 'error');
+            this.delayedMirrorEnabled = false;
+            this.stopDelayedMirror();
+            return;
+        }
+        // Segments already in the buffer cover the first seconds of the delay
+        const horizon = this.lifetimeRecordedDuration - this.mirrorDelaySeconds - 2;
+        (this.recordedSessions || [])
+            .filter(session => (session.absoluteEnd ?? 0) > horizon)
+            .forEach(session => this.feedDelayedMirror(session));
+        this.applyMirrorMode();
+        this.updateDelayedMirrorDisplay();
+        if (!this.delayedMirrorInterval) {
+            this.delayedMirrorInterval = setInterval(() => this.syncDelayedMirror(), 200);
+        }
+    }
 
-        const headerChunk = sessionChunks.find(chunk => chunk.isSessionHeader);
-        if (headerChunk && headerChunk.blob) {
-            session.headerBlob = headerChunk.blob;
-        } else if (this.currentSessionHeaderBlob) {
-            session.headerBlob = this.currentSessionHeaderBlob;
+    stopDelayedMirror() {
+        if (this.delayedMirrorInterval) {
+            clearInterval(this.delayedMirrorInterval);
+            this.delayedMirrorInterval = null;
+        }
+        const ctx = this._delayed;
+        this._delayed = null;
+        if (ctx) {
+            try { URL.revokeObjectURL(ctx.objectUrl); } catch (e) { /* noop */ }
         }
+        if (this.delayedVideo) {
+            this.delayedVideo.pause();
+            this.delayedVideo.removeAttribute('src');
+            try { this.delayedVideo.load(); } catch (e) { /* noop */ }
+        }
+        this.updateDelayedMirrorDisplay();
+    }
 
-        sessionChunks.forEach(chunk => {
-            chunk.sessionId = sessionId;
+    feedDelayedMirror(session) {
+        const ctx = this._delayed;
+        if (!ctx || !ctx.sourceBuffer || !session || ctx.appendedIds.has(session.id)) return;
+        ctx.appendedIds.add(session.id);
+        // Serialize SourceBuffer operations: appends and removals must never overlap
+        ctx.queue = ctx.queue.then(async () => {
+            if (this._delayed !== ctx) return;
+            const blob = this.buildFlashbackSessionBlob(session);
+            if (!blob) return;
+            const sb = ctx.sourceBuffer;
+            if (!this._fbMatchType(ctx, sb, session.mimeType, session.videoSize)) return;
+            const buffer = await blob.arrayBuffer();
+            await new Promise((resolve, reject) => {
+                sb.addEventListener('updateend', resolve, { once: true });
+                sb.addEventListener('error', () => reject(new Error('append-error')), { once: true });
+                sb.appendBuffer(buffer);
+            });
+            const mseStart = ctx.mseCursor;
+            const mseEnd = sb.buffered.length ? sb.buffered.end(sb.buffered.length - 1) : mseStart;
+            ctx.segMap.push({
+                absStart: session.absoluteStart ?? 0,
+                absEnd: session.absoluteEnd ?? session.absoluteStart ?? 0,
+                mseStart,
+                mseEnd
+            });
+            ctx.mseCursor = mseEnd;
+        }).catch(e => {
+            // A failed segment only leaves a hole; the sync skips over it
+            console.warn('Delayed mirror: segment append failed', e);
         });
-        session.absoluteStart = sessionChunks[0]?.absoluteStart ?? this.lifetimeRecordedDuration;
-        session.absoluteEnd = sessionChunks[sessionChunks.length - 1]?.absoluteEnd ?? session.absoluteStart;
-        session.visibleStartAbs = session.absoluteStart;
-        session.visibleEndAbs = session.absoluteEnd;
-        this.refreshSessionBounds(session);
+    }
 
-        this.recordedSessions.push(session);
-        this.sessionMap.set(sessionId, session);
+    syncDelayedMirror() {
+        const ctx = this._delayed;
+        const video = this.delayedVideo;
+        if (!ctx || !video || this.state !== 'recording') return;
 
-        this.currentSessionChunks = [];
-        this.currentSessionStartMs = null;
-        this.currentSessionId = null;
-        this._lastChunkTimestamp = null;
-        this.pendingSessionId = sessionId;
-        this.pendingSessionChunks = [];
-        this.currentSessionHeaderBlob = null;
+        // lifetimeRecordedDuration moves in 1 s chunk steps: interpolate with wall time in between
+        const now = Date.now();
+        if (ctx.lastLifetime !== this.lifetimeRecordedDuration) {
+            ctx.lastLifetime = this.lifetimeRecordedDuration;
+            ctx.lastLifetimeMs = now;
+        }
+        const liveAbs = this.lifetimeRecordedDuration + Math.min(1.5, (now - ctx.lastLifetimeMs) / 1000);
+        const targetAbs = liveAbs - this.mirrorDelaySeconds;
+
+        const seg = ctx.segMap.find(s => targetAbs >= s.absStart && targetAbs < s.absEnd);
+        if (!seg) {
+            // Not recorded long enough yet, or the segment due is still being finalized: hold the frame
+            if (!video.paused) video.pause();
+            this.setDelayedMirrorWaiting(true);
+            return;
+        }
+        this.setDelayedMirrorWaiting(false);
+        const absSpan = seg.absEnd - seg.absStart;
+        const ratio = absSpan > 0 ? (seg.mseEnd - seg.mseStart) / absSpan : 1;
+        const expected = seg.mseStart + (targetAbs - seg.absStart) * ratio;
+        const drift = (video.currentTime || 0) - expected;
+        if (video.paused || Math.abs(drift) > 1) {
+            try { video.currentTime = expected; } catch (e) { /* noop */ }
+            video.playbackRate = 1;
+        } else {
+            // Small drift: nudge the rate instead of seeking, which would stutter
+            video.playbackRate = drift > 0.15 ? 0.95 : (drift < -0.15 ? 1.05 : 1);
+        }
+        if (video.paused) {
+            video.play().catch(() => {});
+        }
 
-        this.recomputeSessionBoundaries();
-        this.trimBufferToMaxDuration();
-        this.allSessions = [...this.recordedSessions];
-        this.enforceRollingBuffer();
-        this.lastFinalizedSessionId = sessionId;
-        this.updateDebugPanel();
-        this.updateTimeline();
-        this.debugLogState('save:end', { newSessionId: sessionId });
+        // Drop what is already well behind the delayed play head
+        if (ctx.segMap.length > 1 && ctx.segMap[0].absEnd < targetAbs - 5 && !ctx.evicting) {
+            const old = ctx.segMap[0];
+            ctx.evicting = true;
+            ctx.queue = ctx.queue.then(() => new Promise((resolve) => {
+                const sb = ctx.sourceBuffer;
+                if (this._delayed !== ctx || !sb) { resolve(); return; }
+                sb.addEventListener('updateend', resolve, { once: true });
+                try {
+                    sb.remove(old.mseStart, old.mseEnd);
+                } catch (e) {
+                    resolve();
+                }
+            })).finally(() => {
+                ctx.segMap = ctx.segMap.filter(s => s !== old);
+                ctx.evicting = false;
+            });
+        }
     }
 
-    // Drop whole finalized segments (oldest first) that fall outside the retained window.
-    // Because every segment is a self-contained WebM, removing entire segments keeps each surviving
-    // segment decodable — unlike chunk-granular eviction, which strips a segment's header.
-    dropOldestSessionsToFit() {
-        const keep = Number.isFinite(this.maxDuration) ? Math.max(0, this.maxDuration) : 0;
-        if (keep <= 0) {
-            return false;
-        }
-        let changed = false;
-        while (this.recordedSessions.length > 0) {
-            const oldest = this.recordedSessions[0];
-            if (!oldest) {
-                break;
-            }
-            // Never drop the segment currently being recorded.
-            if (oldest.id === this.currentSessionId) {
-                break;
-            }
-            const oldestDuration = oldest.duration || 0;
-            // Stop once dropping the oldest segment would leave us below the retained window.
-            if (this._bufferedDuration - oldestDuration < keep) {
-                break;
+    setDelayedMirrorWaiting(waiting) {
+        const ctx = this._delayed;
+        if (!ctx || ctx.waiting === waiting) return;
+        ctx.waiting = waiting;
+        this.updateDelayedMirrorDisplay();
+    }
+
+    updateDelayedMirrorDisplay() {
+        const active = this.delayedMirrorEnabled && !!this._delayed;
+        // The delayed picture replaces the live one while recording; flashbacks use the main video
+        const visible = active && this.state === 'recording';
+        if (this.delayedVideo) {
+            this.delayedVideo.style.display = visible ? 'block' : 'none';
+            if (!visible && !this.delayedVideo.paused) {
+                this.delayedVideo.pause();
             }
-            this.dropSessionCompletely(oldest);
-            changed = true;
         }
-        return changed;
+        if (this.delayBadge) {
+            this.delayBadge.style.display = visible ? 'inline-block' : 'none';
+            const waiting = this._delayed ? this._delayed.waiting : false;
+            this.delayBadge.textContent = waiting
+                ? `-${this.mirrorDelaySeconds}s (buffering)`
+                : `-${this.mirrorDelaySeconds}s`;
+        }
+        if (this.delayedMirrorBtn) {
+            this.delayedMirrorBtn.classList.toggle('active', this.delayedMirrorEnabled);
+        }
     }
 
-    // Remove a whole session and all of its chunks from the rolling buffer.
-    dropSessionCompletely(session) {
-        if (!session) {
+    // === SIDE-BY-SIDE COMPARE ===
+    // Two ranges of the buffer (e.g. attempt #3 and attempt #7) play together in two panes. Each
+    // pane gets its own MediaSource from _buildFlashbackMediaSource(), fed only with the segments its
+    // range overlaps and kept fed/evicted by _pumpComparePane() as it plays, so both fit in memory
+    // next to the main flashback. A shared clock drives both panes: each plays `start + elapsed` and
+    // holds its last frame once its range is over. Kept ranges (keepers) can be compared as well.
+
+    initCompareView() {
+        if (!this.compareView) return;
+        ['A', 'B'].forEach((side) => {
+            const pane = {
+                video: document.getElementById(`compareVideo${side}`),
+                select: document.getElementById(`compareMarkerSelect${side}`),
+                offsetInput: document.getElementById(`compareOffset${side}`),
+                ctx: null,
+                start: 0,
+                end: 0,
+                buildId: 0
+            };
+            pane.select.addEventListener('change', () => this.loadComparePane(pane));
+            pane.offsetInput.addEventListener('change', () => this.loadComparePane(pane));
+            this.comparePanes.push(pane);
+        });
+        FlashbackRecorder.PLAYBACK_SPEEDS.forEach(speed => {
+            const opt = document.createElement('option');
+            opt.value = String(speed);
+            opt.textContent = `${speed}x`;
+            this.compareSpeedSelect.appendChild(opt);
+        });
+        this.compareSpeedSelect.addEventListener('change', () => {
+            this.setCompareSpeed(parseFloat(this.compareSpeedSelect.value));
+        });
+        this.compareBtn.addEventListener('click', () => this.openCompareView());
+        this.comparePlayBtn.addEventListener('click', () => this.toggleComparePlayback());
+        this.compareCloseBtn.addEventListener('click', () => this.closeCompareView());
+    }
+
+    openCompareView() {
+        if (!this.compareView || this.compareOpen) return;
+        const sources = this.getCompareSources();
+        if (sources.length === 0) {
+            this.showMessage('Add a marker at the start of each attempt to compare them', 'info');
             return;
         }
-        const ids = new Set((session.chunks || []).map(chunk => chunk.id));
-        if (ids.size > 0) {
-            this.chunkBuffer = this.chunkBuffer.filter(chunk => {
-                if (ids.has(chunk.id)) {
-                    this._bufferedDuration = Math.max(0, this._bufferedDuration - (chunk.duration || 0));
-                    chunk.blob = null;
-                    return false;
-                }
-                return true;
+        if (this.state === 'flashback') {
+            this.handleShiftKey(); // pause the review running underneath
+        }
+        this.compareOpen = true;
+        this.comparePanes.forEach((pane) => {
+            pane.select.innerHTML = '';
+            sources.forEach((source) => {
+                const opt = document.createElement('option');
+                opt.value = source.value;
+                opt.textContent = source.label;
+                pane.select.appendChild(opt);
             });
+            pane.offsetInput.value = '0';
+            pane.video.style.transform = this.mirrorMode ? 'scaleX(-1)' : 'none';
+        });
+        // Default to the last two attempts
+        this.comparePanes[0].select.value = sources[Math.max(0, sources.length - 2)].value;
+        this.comparePanes[1].select.value = sources[sources.length - 1].value;
+        this.compareSpeed = this.playbackSpeed;
+        this.compareSpeedSelect.value = String(this.compareSpeed);
+        this.compareView.style.display = 'flex';
+        this.comparePanes.forEach(pane => this.loadComparePane(pane));
+    }
+
+    closeCompareView() {
+        if (!this.compareOpen) return;
+        this.pauseCompare();
+        this.compareOpen = false;
+        this.comparePanes.forEach((pane) => {
+            pane.buildId++; // abandon builds still in flight
+            this._teardownMse(pane.ctx);
+            pane.ctx = null;
+            pane.video.removeAttribute('src');
+            try { pane.video.load(); } catch (e) { /* noop */ }
+        });
+        this.compareView.style.display = 'none';
+    }
+
+    // A marker starts a range that runs to the next marker (or 10 s when it is the last one)
+    getCompareRange(marker) {
+        const next = this.flashbackMarkers
+            .filter(other => other.absoluteTime > marker.absoluteTime + 0.05)
+            .sort((a, b) => a.absoluteTime - b.absoluteTime)[0];
+        const end = next ? next.absoluteTime : marker.absoluteTime + 10;
+        return { start: marker.absoluteTime, end: Math.min(end, this.lifetimeRecordedDuration) };
+    }
+
+    // What a pane can play: every marker's range, plus every kept range (it may have left the buffer)
+    getCompareSources() {
+        const markers = this.flashbackMarkers.map(marker => ({
+            value: String(marker.id),
+            label: this.getMarkerTitle(marker),
+            keeper: false,
+            ...this.getCompareRange(marker)
+        }));
+        const keepers = this.pinnedRanges.map(range => ({
+            value: `keeper-${range.id}`,
+            label: `★ ${this.formatTime(range.start)}–${this.formatTime(range.end)}`,
+            keeper: true,
+            start: range.start,
+            end: Math.min(range.end, this.lifetimeRecordedDuration)
+        }));
+        return markers.concat(keepers).sort((a, b) => a.start - b.start);
+    }
+
+    async loadComparePane(pane) {
+        const source = this.getCompareSources().find(candidate => candidate.value === pane.select.value);
+        if (!source) return;
+        this.pauseCompare();
+        this.compareElapsed = 0;
+        const offset = parseFloat(pane.offsetInput.value) || 0;
+        // A keeper only has its own segments once it has left the buffer, so stay inside it
+        const floor = source.keeper ? source.start : (this.visibleWindowStart ?? 0);
+        const ceiling = source.keeper ? source.end : this.lifetimeRecordedDuration;
+        const start = Math.max(floor, Math.min(source.start + offset, source.end - 0.1));
+        const end = Math.max(start + 0.1, Math.min(source.end + offset, ceiling));
+        const buildId = ++pane.buildId;
+        this._teardownMse(pane.ctx);
+        pane.ctx = null;
+
+        const sessions = this.getFlashbackSessionsFor(start).filter(s =>
+            (s.absoluteEnd ?? 0) > start - 0.05 && (s.absoluteStart ?? 0) < end + 0.05);
+        if (sessions.length === 0) {
+            this.showMessage('This range is no longer in the buffer', 'error');
+            return;
         }
-        this.sessionMap.delete(session.id);
-        this.recordedSessions = this.recordedSessions.filter(s => s !== session);
-        if (this.pendingSessionId === session.id) {
-            this.pendingSessionId = null;
-            this.pendingSessionChunks = [];
+        const ctx = await this._buildFlashbackMediaSource(sessions, start, pane.video);
+        if (buildId !== pane.buildId || !this.compareOpen) {
+            this._teardownMse(ctx);
+            return;
         }
-        if (session.blobUrl) {
-            try { URL.revokeObjectURL(session.blobUrl); } catch (e) { /* noop */ }
-            session.blobUrl = null;
+        if (!ctx) {
+            this.showMessage('Compare playback error', 'error');
+            return;
         }
-        session.headerBlob = null;
+        pane.ctx = ctx;
+        pane.start = start;
+        pane.end = end;
+        pane.video.muted = pane !== this.comparePanes[0]; // one soundtrack is enough
+        pane.video.playbackRate = this.compareSpeed;
+        try { pane.video.currentTime = this._absToMse(start, ctx); } catch (e) { /* noop */ }
     }
 
-    enforceRollingBuffer() {
-        const maxBufferedDuration = this.getMaxBufferedDuration();
-        if (!Number.isFinite(maxBufferedDuration) || maxBufferedDuration <= 0) {
-            return;
+    getCompareDuration() {
+        return Math.max(0, ...this.comparePanes.map(pane => pane.end - pane.start));
+    }
+
+    toggleComparePlayback() {
+        if (this.comparePlaying) {
+            this.pauseCompare();
+        } else {
+            this.playCompare();
+        }
+    }
+
+    async playCompare() {
+        if (!this.compareOpen || this.comparePanes.some(pane => !pane.ctx)) return;
+        if (this.compareElapsed >= this.getCompareDuration() - 0.05) {
+            this.compareElapsed = 0; // replay from the start
+            // A long range evicted its start on the way: rebuild that pane before replaying
+            const evicted = this.comparePanes.filter(pane => !this._fbTargetInRun(pane.ctx, pane.start));
+            if (evicted.length > 0) {
+                await Promise.all(evicted.map(pane => this.loadComparePane(pane)));
+                if (!this.compareOpen || this.comparePanes.some(pane => !pane.ctx)) return;
+            }
+        }
+        this.comparePlaying = true;
+        this.compareClock = { wallStart: performance.now(), elapsedAtStart: this.compareElapsed };
+        this.comparePlayBtn.textContent = 'Pause';
+        this.syncComparePanes(true);
+        const tick = () => {
+            this.compareRaf = null;
+            if (!this.comparePlaying) return;
+            this.syncComparePanes(false);
+            this.compareRaf = requestAnimationFrame(tick);
+        };
+        this.compareRaf = requestAnimationFrame(tick);
+    }
+
+    pauseCompare() {
+        if (this.compareClock) {
+            this.compareElapsed = this.getCompareElapsed();
         }
+        this.comparePlaying = false;
+        this.compareClock = null;
+        if (this.compareRaf) {
+            cancelAnimationFrame(this.compareRaf);
+            this.compareRaf = null;
+        }
+        this.comparePanes.forEach(pane => pane.video.pause());
+        if (this.comparePlayBtn) {
+            this.comparePlayBtn.textContent = 'Play';
+        }
+    }
 
-        // Primary path: drop whole self-contained segments. This keeps the buffer at or below the
-        // retained window so the chunk-granular fallback below stays dormant during normal recording.
-        let removedAny = this.dropOldestSessionsToFit();
+    getCompareElapsed() {
+        if (!this.compareClock) return this.compareElapsed;
+        const wall = (performance.now() - this.compareClock.wallStart) / 1000;
+        return this.compareClock.elapsedAtStart + wall * this.compareSpeed;
+    }
 
-        while (this._bufferedDuration > maxBufferedDuration && this.chunkBuffer.length > 0) {
-            const removed = this.chunkBuffer.shift();
-            removedAny = true;
-            const duration = removed?.duration || 0;
-            this._bufferedDuration = Math.max(0, this._bufferedDuration - duration);
+    setCompareSpeed(speed) {
+        if (!FlashbackRecorder.PLAYBACK_SPEEDS.includes(speed)) return;
+        if (this.compareClock) {
+            // Re-anchor the clock so the speed change doesn't jump the position
+            this.compareClock = { wallStart: performance.now(), elapsedAtStart: this.getCompareElapsed() };
+        }
+        this.compareSpeed = speed;
+        this.comparePanes.forEach((pane) => { pane.video.playbackRate = speed; });
+    }
 
-            if (removed && removed.isSessionHeader && removed.sessionId === this.currentSessionId && !this.currentSessionHeaderBlob && removed.blob) {
-                this.currentSessionHeaderBlob = removed.blob;
+    syncComparePanes(force) {
+        const duration = this.getCompareDuration();
+        const elapsed = this.getCompareElapsed();
+        if (elapsed >= duration) {
+            this.pauseCompare();
+            this.compareElapsed = duration;
+            return;
+        }
+        this.comparePanes.forEach((pane) => {
+            this._pumpComparePane(pane);
+            const video = pane.video;
+            const targetAbs = pane.start + elapsed;
+            if (targetAbs >= pane.end) {
+                // This attempt is shorter: hold its last frame until the other one ends
+                if (!video.paused) video.pause();
+                return;
             }
-
-            if (removed && this.currentSessionChunks.length > 0) {
-                const before = this.currentSessionChunks.length;
-                this.currentSessionChunks = this.currentSessionChunks.filter(chunk => chunk.id !== removed.id);
-                if (before !== this.currentSessionChunks.length) {
-                    this.debugLogState('enforce:trim-current', { removedChunkId: removed.id });
-                }
+            const expected = this._absToMse(targetAbs, pane.ctx);
+            if (force || Math.abs((video.currentTime || 0) - expected) > 0.15) {
+                try { video.currentTime = expected; } catch (e) { /* noop */ }
             }
-
-            let preservedHeader = false;
-            if (removed && removed.sessionId) {
-                const session = this.sessionMap.get(removed.sessionId);
-                const removedBlob = removed.blob;
-                if (session && removed.isSessionHeader && removedBlob && !session.headerBlob) {
-                    session.headerBlob = removedBlob;
-                    preservedHeader = true;
-                }
-                if (session) {
-                    if (session.chunks && session.chunks.length > 0) {
-                        if (session.chunks[0].id === removed.id) {
-                            session.chunks.shift();
-                } else {
-                            session.chunks = session.chunks.filter(chunk => chunk.id !== removed.id);
-                        }
-                    }
-                    this.refreshSessionBounds(session);
-                    if ((session.duration || 0) <= 0) {
-                        session._remove = true;
-                        this.sessionMap.delete(session.id);
-                    } else {
-                        session._dirty = true;
-                    }
-                }
+            if (video.paused) {
+                video.play().catch(() => {});
             }
+        });
+    }
 
-            if (removed) {
-                if (this.pendingSessionChunks.length > 0) {
-                    this.pendingSessionChunks = this.pendingSessionChunks.filter(chunk => chunk.id !== removed.id);
-                    if (this.pendingSessionChunks.length === 0 && this.pendingSessionId === removed.sessionId) {
-                        this.finalizePendingSession();
+    // Same job as _pumpFlashback() for one compare pane: a range longer than FB_BYTE_BUDGET would
+    // otherwise stall once the initial prefetch runs out. Kicked from every syncComparePanes() tick.
+    async _pumpComparePane(pane) {
+        const ctx = pane.ctx;
+        if (!ctx || ctx._pumping || !ctx.ready) return;
+        ctx._pumping = true;
+        try {
+            while (pane.ctx === ctx) {
+                const headMse = pane.video.currentTime || 0;
+                await this._fbEvictFront(ctx, this._mseToAbs(headMse, ctx));
+                if (pane.ctx !== ctx) break;
+                // Nothing past the end of the pane's range is ever played
+                const covered = ctx.segMap.length > 0 && ctx.segMap[ctx.segMap.length - 1].absEnd >= pane.end;
+                if (!covered && ctx.hiIdx < ctx.lastIdx && ctx.bytesBuffered < FlashbackRecorder.FB_BYTE_BUDGET) {
+                    try {
+                        await this._fbAppend(ctx, ctx.hiIdx + 1);
+                    } catch (e) {
+                        break; // out of SourceBuffer room: the next tick evicts behind the head first
                     }
+                    continue;
                 }
-                if (!preservedHeader) {
-                    removed.blob = null;
+                if ((covered || ctx.hiIdx >= ctx.lastIdx) && !ctx.endedStream) {
+                    try { ctx.mediaSource.endOfStream(); } catch (e) { /* noop */ }
+                    ctx.endedStream = true;
                 }
+                break;
             }
+        } finally {
+            ctx._pumping = false;
         }
+    }
 
-        if (removedAny) {
-            this.recordedSessions = this.recordedSessions.filter(session => {
-                if (session._remove) {
-                    if (this.pendingSessionId === session.id) {
-                        this.pendingSessionId = null;
-                        this.pendingSessionChunks = [];
-                    }
-                    if (session.blobUrl) {
-                        try { URL.revokeObjectURL(session.blobUrl); } catch (e) { /* noop */ }
-                        session.blobUrl = null;
-                    }
-                    session.headerBlob = null;
-                    return false;
-                }
-                if (session._dirty) {
-                    this.refreshSessionBounds(session);
-                    session.playableDuration = session.duration;
-                    delete session._dirty;
-                }
-                return (session.duration || 0) > 0;
-            });
+    handleCompareKey(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closeCompareView();
+        } else if (e.key === ' ') {
+            e.preventDefault();
+            this.toggleComparePlayback();
+        }
+    }
 
-            this.recomputeSessionBoundaries();
-            this.allSessions = [...this.recordedSessions];
+    // === ONION-SKIN GHOST ===
+    // A reference take from the buffer loops semi-transparently over the live preview so positions
+    // can be matched against an earlier rep. The range comes from the A-B loop or from a marker (up
+    // to the next one) and plays from its own MediaSource, like a compare pane.
 
-            if (this.currentFlashbackIndex >= this.recordedSessions.length) {
-                this.currentFlashbackIndex = Math.max(0, this.recordedSessions.length - 1);
-            }
+    toggleGhost() {
+        if (this.ghostActive) {
+            this.stopGhost();
+        } else {
+            this.startGhost();
+        }
+    }
 
-            this.updateDebugPanel();
-            this.updateTimeline();
-            if (this.recordedSessions.length > 0) {
-                this.lastFinalizedSessionId = this.recordedSessions[this.recordedSessions.length - 1].id;
-            } else {
-                this.lastFinalizedSessionId = null;
-            }
+    startGhost() {
+        if (!this.ghostVideo) return;
+        const hasLoop = this.abLoop.start !== null && this.abLoop.end !== null;
+        const markers = this.flashbackMarkers.slice().sort((a, b) => a.absoluteTime - b.absoluteTime);
+        if (!hasLoop && markers.length === 0) {
+            this.showMessage('Add a marker (or set loop points) on the take to use as a ghost', 'info');
+            return;
+        }
+        this.ghostRangeSelect.innerHTML = '';
+        if (hasLoop) {
+            const opt = document.createElement('option');
+            opt.value = 'loop';
+            opt.textContent = `Loop ${this.formatTime(this.abLoop.start)}–${this.formatTime(this.abLoop.end)}`;
+            this.ghostRangeSelect.appendChild(opt);
         }
+        markers.forEach((marker) => {
+            const opt = document.createElement('option');
+            opt.value = String(marker.id);
+            opt.textContent = this.getMarkerTitle(marker);
+            this.ghostRangeSelect.appendChild(opt);
+        });
+        this.ghostRangeSelect.value = hasLoop ? 'loop' : String(markers[markers.length - 1].id);
+        this.ghostActive = true;
+        this.loadGhost();
     }
 
-    recomputeSessionBoundaries() {
-        this.updatePreRollStateFromBuffer();
+    stopGhost() {
+        this.ghostActive = false;
+        this.ghostBuildId++;
+        if (this.ghost) {
+            this._teardownMse(this.ghost.ctx);
+            this.ghost = null;
+        }
+        if (this.ghostVideo) {
+            this.ghostVideo.pause();
+            this.ghostVideo.removeAttribute('src');
+            try { this.ghostVideo.load(); } catch (e) { /* noop */ }
+        }
+        this.updateGhostDisplay();
+    }
 
-        let cumulative = 0;
-        const newBoundaries = [];
-        const cleanedSessions = [];
-        let globalVisibleStart = null;
-        let globalVisibleEnd = null;
+    getGhostRange() {
+        const value = this.ghostRangeSelect ? this.ghostRangeSelect.value : '';
+        if (value === 'loop' && this.abLoop.start !== null && this.abLoop.end !== null) {
+            return { start: this.abLoop.start, end: this.abLoop.end };
+        }
+        const marker = this.flashbackMarkers.find(m => String(m.id) === value);
+        return marker ? this.getCompareRange(marker) : null;
+    }
 
-        for (const session of this.recordedSessions) {
-            if (!session.chunks || session.chunks.length === 0) {
-                if (this.pendingSessionId === session.id) {
-                    this.pendingSessionId = null;
-                    this.pendingSessionChunks = [];
+    async loadGhost() {
+        const range = this.getGhostRange();
+        if (!range) return;
+        const start = Math.max(this.visibleWindowStart ?? 0, range.start + this.ghostOffsetSeconds);
+        const end = Math.min(this.lifetimeRecordedDuration, range.end + this.ghostOffsetSeconds);
+        if (end - start < 0.2) {
+            this.showMessage('Ghost range is empty', 'error');
+            return;
+        }
+        const buildId = ++this.ghostBuildId;
+        if (this.ghost) {
+            this._teardownMse(this.ghost.ctx);
+            this.ghost = null;
+        }
+        const sessions = this.recordedSessions.filter(s =>
+            (s.absoluteEnd ?? 0) > start - 0.05 && (s.absoluteStart ?? 0) < end + 0.05);
+        if (sessions.length === 0) {
+            this.showMessage('This range is no longer in the buffer', 'error');
+            return;
+        }
+        const ctx = await this._buildFlashbackMediaSource(sessions, start, this.ghostVideo);
+        if (buildId !== this.ghostBuildId || !this.ghostActive) {
+            this._teardownMse(ctx);
+            return;
+        }
+        if (!ctx) {
+            this.showMessage('Ghost playback error', 'error');
+            this.stopGhost();
+            return;
+        }
+        this.ghost = { ctx, start, end };
+        this.ghostVideo.muted = true;
+        try { this.ghostVideo.currentTime = this._absToMse(start, ctx); } catch (e) { /* noop */ }
+        this.applyGhostStyle();
+        this.updateGhostDisplay();
+    }
+
+    applyGhostStyle() {
+        if (!this.ghostVideo) return;
+        // Same orientation as the live picture unless the ghost is explicitly flipped
+        const mirrored = this.mirrorMode !== this.ghostFlip;
+        this.ghostVideo.style.transform = mirrored ? 'scaleX(-1)' : 'none';
+        this.ghostVideo.style.opacity = String(this.ghostOpacity);
+        if (this.referenceVideo) {
+            // An overlaid reference clip shares the ghost opacity
+            this.referenceVideo.style.opacity = this.referenceMode === 'overlay' ? String(this.ghostOpacity) : '1';
+        }
+    }
+
+    updateGhostDisplay() {
+        // The ghost only makes sense over the live camera
+        const visible = this.ghostActive && !!this.ghost && this.state === 'recording';
+        if (this.ghostVideo) {
+            this.ghostVideo.style.display = visible ? 'block' : 'none';
+            if (visible && this.ghostVideo.paused) {
+                this.ghostVideo.play().catch(() => {});
+            } else if (!visible && !this.ghostVideo.paused) {
+                this.ghostVideo.pause();
+            }
+        }
+        if (this.ghostRangeSelect) {
+            this.ghostRangeSelect.style.display = this.ghostActive ? '' : 'none';
+        }
+        if (this.ghostBtn) {
+            this.ghostBtn.classList.toggle('active', this.ghostActive);
+        }
+        if (visible && !this.ghostRaf) {
+            const tick = () => {
+                this.ghostRaf = null;
+                if (!this.ghostActive || !this.ghost || this.state !== 'recording') return;
+                // Loop the reference take back to its start
+                const abs = this._mseToAbs(this.ghostVideo.currentTime || 0, this.ghost.ctx);
+                if (abs >= this.ghost.end - 0.03 || this.ghostVideo.ended) {
+                    try { this.ghostVideo.currentTime = this._absToMse(this.ghost.start, this.ghost.ctx); } catch (e) { /* noop */ }
+                    this.ghostVideo.play().catch(() => {});
                 }
-                this.sessionMap.delete(session.id);
-                continue;
-            }
+                this.ghostRaf = requestAnimationFrame(tick);
+            };
+            this.ghostRaf = requestAnimationFrame(tick);
+        }
+    }
 
-            const visibleDuration = session.duration || 0;
-            session.playableDuration = visibleDuration;
+    // === EXTERNAL REFERENCE CLIP ===
+    // A coach's reference video loaded from disk (file picker or drag-and-drop). It lives in its own
+    // object URL, outside recordedSessions, so the rolling buffer never evicts it. Its start is aligned
+    // to a marker and it follows the flashback transport: play/pause, seeks and speed are mirrored
+    // from flashbackVideo, shown either next to the flashback or overlaid on it.
 
-            if (visibleDuration <= 0) {
-                this.sessionMap.delete(session.id);
-                continue;
+    initReferenceClip() {
+        if (!this.referenceVideo) return;
+        this.referenceBtn.addEventListener('click', () => this.referenceInput.click());
+        this.referenceInput.addEventListener('change', () => {
+            const file = this.referenceInput.files && this.referenceInput.files[0];
+            if (file) {
+                this.loadReferenceClip(file);
             }
+            this.referenceInput.value = ''; // allow re-picking the same file
+        });
+        if (this.videoContainer) {
+            this.videoContainer.addEventListener('dragover', (e) => {
+                if (e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files')) {
+                    e.preventDefault();
+                    this.videoContainer.classList.add('drop-target');
+                }
+            });
+            this.videoContainer.addEventListener('dragleave', () => {
+                this.videoContainer.classList.remove('drop-target');
+            });
+            this.videoContainer.addEventListener('drop', (e) => {
+                e.preventDefault();
+                this.videoContainer.classList.remove('drop-target');
+                const file = e.dataTransfer && e.dataTransfer.files && e.dataTransfer.files[0];
+                if (file) {
+                    this.loadReferenceClip(file);
+                }
+            });
+        }
+        this.referenceModeSelect.addEventListener('change', () => {
+            this.referenceMode = this.referenceModeSelect.value === 'overlay' ? 'overlay' : 'side';
+            this.applyMirrorMode();
+            this.updateReferenceDisplay();
+        });
+        // The marker list changes all the time: rebuild it whenever the select is opened
+        this.referenceAlignSelect.addEventListener('focus', () => this.populateReferenceAlignSelect());
+        this.referenceAlignSelect.addEventListener('change', () => {
+            this.referenceAlignMarkerId = this.referenceAlignSelect.value || null;
+            this.syncReferenceClip(true);
+        });
+        this.referenceRemoveBtn.addEventListener('click', () => this.removeReferenceClip());
+        this.referenceVideo.addEventListener('error', () => {
+            if (this.referenceClip) {
+                this.showMessage('This video format cannot be played', 'error');
+                this.removeReferenceClip();
+            }
+        });
+    }
 
-            session.startTime = cumulative;
-            cumulative += visibleDuration;
-            session.endTime = cumulative;
-
-            cleanedSessions.push(session);
-            newBoundaries.push(cumulative);
+    loadReferenceClip(file) {
+        if (!file.type.startsWith('video/')) {
+            this.showMessage('Drop a video file to use it as a reference', 'error');
+            return;
+        }
+        this.removeReferenceClip();
+        const url = URL.createObjectURL(file);
+        this.referenceClip = { name: file.name, url, duration: 0 };
+        this.referenceVideo.muted = true; // the flashback keeps the sound
+        this.referenceVideo.src = url;
+        this.referenceVideo.addEventListener('loadedmetadata', () => {
+            if (this.referenceClip && this.referenceClip.url === url) {
+                this.referenceClip.duration = this.referenceVideo.duration || 0;
+            }
+        }, { once: true });
+        // Default alignment: the marker just before the play head, else the latest one
+        const current = this.getCurrentAbsoluteTime();
+        const sorted = this.flashbackMarkers.slice().sort((a, b) => a.absoluteTime - b.absoluteTime);
+        const before = sorted.filter(marker => marker.absoluteTime <= current).pop() || sorted[sorted.length - 1];
+        this.referenceAlignMarkerId = before ? String(before.id) : null;
+        this.populateReferenceAlignSelect();
+        this.applyMirrorMode();
+        this.showMessage(`Reference loaded: ${file.name}`, 'success');
+        this.updateReferenceDisplay();
+    }
+
+    removeReferenceClip() {
+        if (!this.referenceClip) return;
+        URL.revokeObjectURL(this.referenceClip.url);
+        this.referenceClip = null;
+        this.referenceVideo.pause();
+        this.referenceVideo.removeAttribute('src');
+        try { this.referenceVideo.load(); } catch (e) { /* noop */ }
+        this.updateReferenceDisplay();
+    }
+
+    populateReferenceAlignSelect() {
+        const select = this.referenceAlignSelect;
+        select.innerHTML = '';
+        const start = document.createElement('option');
+        start.value = '';
+        start.textContent = 'Align to buffer start';
+        select.appendChild(start);
+        this.flashbackMarkers
+            .slice()
+            .sort((a, b) => a.absoluteTime - b.absoluteTime)
+            .forEach((marker) => {
+                const opt = document.createElement('option');
+                opt.value = String(marker.id);
+                opt.textContent = `Align to ${this.getMarkerTitle(marker)}`;
+                select.appendChild(opt);
+            });
+        const exists = this.flashbackMarkers.some(m => String(m.id) === this.referenceAlignMarkerId);
+        if (!exists) {
+            this.referenceAlignMarkerId = null;
+        }
+        select.value = this.referenceAlignMarkerId || '';
+    }
 
-            const sessionVisibleStart = session.visibleStartAbs ?? session.absoluteStart ?? 0;
-            const sessionVisibleEnd = session.visibleEndAbs ?? sessionVisibleStart;
-            if (globalVisibleStart === null || sessionVisibleStart < globalVisibleStart) {
-                globalVisibleStart = sessionVisibleStart;
+    // Absolute buffer time matching the reference clip's time 0
+    getReferenceAnchor() {
+        const marker = this.flashbackMarkers.find(m => String(m.id) === this.referenceAlignMarkerId);
+        return marker ? marker.absoluteTime : (this.visibleWindowStart ?? 0);
+    }
+
+    updateReferenceDisplay() {
+        const loaded = !!this.referenceClip;
+        const visible = loaded && (this.state === 'flashback' || this.state === 'flashbackPaused');
+        if (this.referenceControls) {
+            this.referenceControls.style.display = loaded ? 'flex' : 'none';
+        }
+        if (this.referenceVideo) {
+            this.referenceVideo.style.display = visible ? 'block' : 'none';
+            this.referenceVideo.classList.toggle('reference-video--overlay', this.referenceMode === 'overlay');
+        }
+        if (this.videoContainer) {
+            this.videoContainer.classList.toggle('video-container--split', visible && this.referenceMode === 'side');
+        }
+        if (!visible) {
+            if (this.referenceVideo && !this.referenceVideo.paused) {
+                this.referenceVideo.pause();
             }
-            if (globalVisibleEnd === null || sessionVisibleEnd > globalVisibleEnd) {
-                globalVisibleEnd = sessionVisibleEnd;
+            return;
+        }
+        if (!this.referenceRaf) {
+            const tick = () => {
+                this.referenceRaf = null;
+                if (!this.referenceClip || (this.state !== 'flashback' && this.state !== 'flashbackPaused')) return;
+                this.syncReferenceClip(false);
+                this.referenceRaf = requestAnimationFrame(tick);
+            };
+            this.referenceRaf = requestAnimationFrame(tick);
+        }
+    }
+
+    syncReferenceClip(force) {
+        const ref = this.referenceVideo;
+        const main = this.flashbackVideo;
+        if (!this.referenceClip || !ref || !main) return;
+        const duration = this.referenceClip.duration || ref.duration || 0;
+        const target = this.getCurrentAbsoluteTime() - this.getReferenceAnchor();
+        // Before or after the clip: hold its first / last frame
+        const clamped = Math.max(0, Math.min(target, Math.max(0, duration - 0.05)));
+        const shouldPlay = !main.paused && this.state === 'flashback' && target >= 0 && target < duration;
+        ref.playbackRate = main.playbackRate || 1;
+        if (force || !shouldPlay || Math.abs((ref.currentTime || 0) - clamped) > 0.15) {
+            if (Math.abs((ref.currentTime || 0) - clamped) > 0.04) {
+                try { ref.currentTime = clamped; } catch (e) { /* noop */ }
+            }
+        }
+        if (shouldPlay && ref.paused) {
+            ref.play().catch(() => {});
+        } else if (!shouldPlay && !ref.paused) {
+            ref.pause();
+        }
+    }
+
+    // === CAPTURE DEVICES ===
+
+    getCaptureConstraints() {
+        // Preferred devices set by the user in the config panel (FEAT-002)
+        const preferredMicId = localStorage.getItem('preferredAudioInputDeviceId');
+        const preferredCameraId = localStorage.getItem('preferredVideoDeviceId');
+
+        // Request audio with browser-level processing disabled where possible
+        // Additionally, request a basic audio format (44.1 kHz mono) to minimize
+        // automatic processing by device hardware (e.g., M1 chip on MacBook) or
+        // the electronics handling audio capture. Lower sample rates and mono
+        // channels can bypass advanced DSP algorithms (beamforming, spatial
+        // noise reduction) that cause unwanted volume pumping/compression.
+        const filtersOff = {
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false,
+            ...(preferredMicId ? { deviceId: { ideal: preferredMicId } } : {})
+        };
+        return {
+            audio: {
+                ...filtersOff,
+                sampleRate: 44100,        // 44.1 kHz (CD standard, less "intelligent" processing)
+                channelCount: 1           // Mono (bypasses stereo beamforming and spatial filtering)
+            },
+            // Fallback when the format constraints are not supported: keep at least the filters off
+            basicAudio: filtersOff,
+            video: {
+                ...(preferredCameraId ? { deviceId: { ideal: preferredCameraId } } : {}),
+                ...this.getQualityConstraints()
+            }
+        };
+    }
+
+    async openCaptureStream() {
+        const { audio, basicAudio, video } = this.getCaptureConstraints();
+        try {
+            return await navigator.mediaDevices.getUserMedia({ video, audio });
+        } catch (err) {
+            if (err.name === 'OverconstrainedError' || err.name === 'ConstraintNotSatisfiedError') {
+                console.warn('Audio format constraints not supported, falling back to basic constraints', err);
+                return navigator.mediaDevices.getUserMedia({ video, audio: basicAudio });
             }
+            throw err; // Re-throw other errors (permissions, etc.)
         }
+    }
 
-        this.recordedSessions = cleanedSessions;
-        this.sessionBoundaries = newBoundaries;
-        this.visibleWindowStart = globalVisibleStart ?? this.lifetimeRecordedDuration;
-        this.visibleWindowEnd = globalVisibleEnd ?? this.visibleWindowStart;
-        this.visibleWindowDuration = Math.max(0, this.visibleWindowEnd - this.visibleWindowStart);
-        this.totalRecordedTime = Math.min(this.visibleWindowDuration, this.maxDuration);
+    getStreamVideoSize() {
+        const track = this.stream && this.stream.getVideoTracks()[0];
+        const settings = track && track.getSettings ? track.getSettings() : null;
+        return settings && settings.width ? `${settings.width}x${settings.height}` : null;
     }
 
-    showMessage(text, type) {
+    async switchCaptureDevice(kind, deviceId, label) {
         /**
-         * Display a message using the unified overlay system
-         * @param {string} text - Message text
-         * @param {string} type - Message type: 'error', 'success', 'info'
+         * Move recording to another microphone or camera without touching the buffer.
+         * Segments are self-contained, so only the current one is closed: the next one is
+         * recorded from the new stream and every retained segment stays playable.
          */
-        // Map 'info' type to overlay (no separate info message zone exists)
-        const overlayType = type === 'info' ? 'info' : type;
-        this.showOverlayMessage(text, overlayType);
+        // openCaptureStream() reads the preference, so it is stored first and rolled back on failure
+        const storageKey = kind === 'audio' ? 'preferredAudioInputDeviceId' : 'preferredVideoDeviceId';
+        const previousDeviceId = localStorage.getItem(storageKey);
+        localStorage.setItem(storageKey, deviceId);
+        // Not capturing yet: the preference is picked up by the next startRecording()
+        if (!this.stream || !this.stream.active || this.deviceSwitching) return;
+
+        this.deviceSwitching = true;
+        try {
+            let newStream;
+            try {
+                newStream = await this.openCaptureStream();
+            } catch (err) {
+                // Keep asking for the device that works, not the one that just failed
+                if (previousDeviceId === null) {
+                    localStorage.removeItem(storageKey);
+                } else {
+                    localStorage.setItem(storageKey, previousDeviceId);
+                }
+                console.warn('Device switch failed:', err);
+                this.showMessage('Could not open the selected device - keeping the current one', 'error');
+                this.refreshConfigPanelDevices();
+                return;
+            }
+            await this.swapCaptureStream(newStream);
+            this.showDeviceChangeOverlay(label, kind === 'audio' ? 'input' : 'camera');
+        } finally {
+            this.deviceSwitching = false;
+        }
     }
 
-    formatTime(seconds) {
-        const mins = Math.floor(seconds / 60);
-        const secs = Math.floor(seconds % 60);
-        return `${mins}:${secs.toString().padStart(2, '0')}`;
-    }
+    async swapCaptureStream(newStream, { force = false } = {}) {
+        // Record from newStream from the next segment on and rewire everything bound to the old one
+        const oldStream = this.stream;
+        this.stream = newStream;
+        this.watchStreamTracks(newStream);
+        if (this.isCapturing()) {
+            // Closes the segment recorded on the old stream; the next one opens on the new stream
+            await this.rotateRecorder({ force });
+        }
+        if (oldStream && oldStream !== newStream) {
+            oldStream.getTracks().forEach(track => track.stop());
+        }
 
-    formatClockTime(ms) {
-        if (!ms) return '—';
-        const date = new Date(ms);
-        try {
-            return date.toLocaleTimeString('fr-FR', { hour12: false });
-        } catch (e) {
-            return date.toTimeString().split(' ')[0];
+        if (this.state === 'recording') {
+            this.videoPreview.srcObject = newStream;
+        }
+        if (this.audioAnalyser) {
+            this.startWaveformAnalysis(); // its source node was bound to the old stream
         }
+        if (this.configPanel && this.configPanel.classList.contains('open')) {
+            if (this.configCameraPreview) this.configCameraPreview.srcObject = newStream;
+            if (this.configMotionPreview) this.configMotionPreview.srcObject = newStream;
+            this.stopVuMeter();
+            this.startVuMeter();
+        }
+        const audioTrack = newStream.getAudioTracks()[0];
+        const audioDeviceId = audioTrack && audioTrack.getSettings ? audioTrack.getSettings().deviceId : null;
+        if (audioDeviceId) {
+            this.currentAudioInputDeviceId = audioDeviceId;
+        }
+        this.updateCaptureSettingsDisplay();
     }
 
-    debugLogState(label, extra = {}) {
-        try {
-            const sessionsSnapshot = this.recordedSessions.map((s, idx) => ({
-                idx,
-                id: s.id,
-                duration: Number((s.duration || 0).toFixed(2)),
-                chunkCount: s.chunkCount,
-                start: Number((s.startTime || 0).toFixed(2)),
-                end: Number((s.endTime || 0).toFixed(2))
-            }));
-            console.log(`[debug:${label}]`, {
-                buffered: Number(this._bufferedDuration.toFixed(2)),
-                maxDuration: this.maxDuration,
-                lifetimeRecordedDuration: Number(this.lifetimeRecordedDuration.toFixed(2)),
-                chunkBufferLength: this.chunkBuffer.length,
-                pendingSessionId: this.pendingSessionId,
-                pendingChunks: this.pendingSessionChunks.length,
-                totalRecordedTime: Number(this.totalRecordedTime.toFixed(2)),
-                sessions: sessionsSnapshot,
-                ...extra
-            });
-        } catch (e) {
-            console.warn('[debug:error logging state]', e);
+    // === CAPTURE WATCHDOG ===
+
+    static get WATCHDOG_CHUNK_TIMEOUT_MS() { return 6000; } // chunks normally arrive every second
+    static get WATCHDOG_FRAME_TIMEOUT_MS() { return 5000; }
+    static get WATCHDOG_MUTE_TIMEOUT_MS() { return 4000; } // short mutes (camera grabbed briefly) are tolerated
+
+    startCaptureWatchdog() {
+        if (this.watchdogInterval) return;
+        this.lastChunkArrivalMs = Date.now();
+        this.lastFrameProgressMs = Date.now();
+        this.lastWatchdogTickMs = Date.now();
+        this.armFrameWatch();
+        this.watchdogInterval = setInterval(() => this.checkCaptureHealth(), 2000);
+    }
+
+    stopCaptureWatchdog() {
+        if (this.watchdogInterval) {
+            clearInterval(this.watchdogInterval);
+            this.watchdogInterval = null;
+        }
+        if (this.frameWatchHandle !== null && this.videoPreview && this.videoPreview.cancelVideoFrameCallback) {
+            this.videoPreview.cancelVideoFrameCallback(this.frameWatchHandle);
         }
+        this.frameWatchHandle = null;
     }
 
-    finalizePendingSession() {
-        this.debugLogState('finalize:start');
-        if (!this.pendingSessionId) return;
-        const pendingId = this.pendingSessionId;
-        const session = this.sessionMap.get(pendingId);
-        if (session) {
-            this.refreshSessionBounds(session);
-            session.playableDuration = session.duration;
-            this.lastFinalizedSessionId = session.id;
+    armFrameWatch() {
+        // Every frame painted by the live preview proves the camera still delivers
+        const video = this.videoPreview;
+        if (!video || !video.requestVideoFrameCallback) return;
+        if (this.frameWatchHandle !== null && video.cancelVideoFrameCallback) {
+            video.cancelVideoFrameCallback(this.frameWatchHandle);
         }
-        this.pendingSessionId = null;
-        this.pendingSessionChunks = [];
-        this.recomputeSessionBoundaries();
-        this.trimBufferToMaxDuration();
-        this.enforceRollingBuffer();
-        this.updateDebugPanel();
-        this.updateTimeline();
-        this.debugLogState('finalize:end');
+        const onFrame = () => {
+            this.lastFrameProgressMs = Date.now();
+            this.frameWatchRearmedMs = null;
+            this.frameWatchHandle = this.watchdogInterval ? video.requestVideoFrameCallback(onFrame) : null;
+        };
+        this.frameWatchHandle = video.requestVideoFrameCallback(onFrame);
     }
-    trimBufferToMaxDuration() {
-        console.log('trimBufferToMaxDuration: Trimming buffers', {
-            beforeCurrentSession: this.currentSessionChunks ? this.currentSessionChunks.length : 0,
-            beforeChunkBuffer: this.chunkBuffer ? this.chunkBuffer.length : 0
+
+    watchStreamTracks(stream) {
+        if (!stream) return;
+        stream.getTracks().forEach(track => {
+            // Tracks of a stream we replaced on purpose are stopped by us: ignore them
+            const isCurrent = () => this.stream && this.stream.getTracks().includes(track);
+            track.addEventListener('ended', () => {
+                if (isCurrent()) this.recoverCapture(`${track.kind} track ended`);
+            });
+            track.addEventListener('mute', () => {
+                if (isCurrent() && !this.watchdogMutedSince) this.watchdogMutedSince = Date.now();
+            });
+            track.addEventListener('unmute', () => {
+                if (isCurrent() && !this.stream.getTracks().some(t => t.muted)) this.watchdogMutedSince = null;
+            });
         });
-        let changed = false;
-        this.debugLogState('trim:start');
-        const maxBufferedDuration = this.getMaxBufferedDuration();
-        if (!Number.isFinite(maxBufferedDuration) || maxBufferedDuration <= 0) {
-            this.debugLogState('trim:skip-invalid-max', { maxBufferedDuration });
+    }
+
+    checkCaptureHealth() {
+        const now = Date.now();
+        // Ticks far apart: the machine slept (or the tab was frozen) without any lifecycle event
+        const clockJump = this.isClockJump(now);
+        this.lastWatchdogTickMs = now;
+        if (clockJump) {
+            this.handlePageResume('clock jump');
             return;
         }
-        // Prefer dropping whole self-contained segments; this keeps the buffer at/under the retained
-        // window so the chunk-granular loop below (which would strip a segment header) stays dormant.
-        if (this.dropOldestSessionsToFit()) {
-            changed = true;
+        const watching = this.isCapturing() && this.state !== 'transitioning'
+            && !this.deviceSwitching && !this.watchdogRecovering && now >= this.watchdogRetryAfterMs;
+        if (!watching) {
+            // Only time spent actually capturing counts towards a stall
+            this.lastChunkArrivalMs = now;
+            this.lastFrameProgressMs = now;
+            return;
+        }
+        // The preview only shows the camera while recording, and hidden tabs paint no frames
+        const frameCheck = this.state === 'recording' && document.visibilityState === 'visible'
+            && !!(this.videoPreview && this.videoPreview.requestVideoFrameCallback);
+        if (!frameCheck) {
+            this.lastFrameProgressMs = now;
         }
-        while (this._bufferedDuration > maxBufferedDuration && this.chunkBuffer.length > 0) {
-            const oldest = this.chunkBuffer.shift();
-            if (!oldest) {
-                break;
-            }
-            const reduction = oldest.duration || 0;
-            if (reduction <= 0) {
-                this.debugLogState('trim:skip-zero-duration', { chunkId: oldest.id });
-                continue;
-            }
-            changed = true;
-            this._bufferedDuration = Math.max(0, this._bufferedDuration - reduction);
 
-            if (this.currentSessionChunks.length > 0) {
-                const before = this.currentSessionChunks.length;
-                this.currentSessionChunks = this.currentSessionChunks.filter(chunk => chunk.id !== oldest.id);
-                if (before !== this.currentSessionChunks.length) {
-                    this.debugLogState('trim:trim-current', { removedChunkId: oldest.id });
-                }
+        let reason = null;
+        if (this.stream && !this.stream.active) {
+            reason = 'stream ended';
+        } else if (this.watchdogMutedSince && now - this.watchdogMutedSince > FlashbackRecorder.WATCHDOG_MUTE_TIMEOUT_MS) {
+            reason = 'track muted';
+        } else if (now - this.lastChunkArrivalMs > FlashbackRecorder.WATCHDOG_CHUNK_TIMEOUT_MS) {
+            reason = 'no data from the recorder';
+        } else if (frameCheck && now - this.lastFrameProgressMs > FlashbackRecorder.WATCHDOG_FRAME_TIMEOUT_MS) {
+            // Re-arm once first: a source change may have dropped the pending frame callback
+            if (!this.frameWatchRearmedMs) {
+                this.frameWatchRearmedMs = now;
+                this.armFrameWatch();
+            } else if (now - this.frameWatchRearmedMs > 3000) {
+                reason = 'camera frozen';
             }
+        }
+        if (reason) {
+            this.recoverCapture(reason);
+        }
+    }
 
-            const session = oldest.sessionId ? this.sessionMap.get(oldest.sessionId) : null;
-            const chunkBlob = oldest.blob;
-            let preservedHeader = false;
-            if (oldest.isSessionHeader && oldest.sessionId === this.currentSessionId && !this.currentSessionHeaderBlob && chunkBlob) {
-                this.currentSessionHeaderBlob = chunkBlob;
-                preservedHeader = true;
-            }
-            if (session && oldest.isSessionHeader && chunkBlob && !session.headerBlob) {
-                session.headerBlob = chunkBlob;
-                preservedHeader = true;
-            }
-            if (session && session.chunks) {
-                session.chunks = session.chunks.filter(chunk => chunk.id !== oldest.id);
-                this.refreshSessionBounds(session);
-                if ((session.duration || 0) <= 0) {
-                    session._remove = true;
-                } else {
-                    session._dirty = true;
-                }
+    async recoverCapture(reason) {
+        /**
+         * Close the stalled segment, re-acquire camera and microphone and restart rotation.
+         * Retained segments are untouched: only the seconds of the stall are missing.
+         */
+        if (this.watchdogRecovering) return;
+        this.watchdogRecovering = true;
+        const incident = { at: Date.now(), reason, lifetime: this.lifetimeRecordedDuration, recovered: false };
+        this.watchdogIncidents.push(incident);
+        if (this.watchdogIncidents.length > 50) {
+            this.watchdogIncidents.shift();
+        }
+        console.warn('Capture watchdog: stall detected -', reason);
+        this.debugLogState('watchdog:stall', { reason });
+        this.addAlert(`Capture stalled (${reason}) - restarting camera and microphone`, 'error');
+        try {
+            const newStream = await this.openCaptureStream();
+            this.stopSegmentRotation();
+            await this.swapCaptureStream(newStream, { force: true });
+            if (this.isCapturing()) {
+                this.startSegmentRotation();
             }
+            incident.recovered = true;
+            this.showMessage('Capture restarted - recording continues', 'success');
+        } catch (err) {
+            console.warn('Capture watchdog: recovery failed', err);
+            this.watchdogRetryAfterMs = Date.now() + 30000;
+            this.addAlert('Could not restart capture - check the camera and microphone', 'error');
+        } finally {
+            this.debugLogState('watchdog:recovery', { reason, recovered: incident.recovered });
+            this.lastChunkArrivalMs = Date.now();
+            this.lastFrameProgressMs = Date.now();
+            this.watchdogMutedSince = null;
+            this.frameWatchRearmedMs = null;
+            this.watchdogRecovering = false;
+            this.armFrameWatch();
+        }
+    }
 
-            if (this.pendingSessionChunks.length > 0) {
-                this.pendingSessionChunks = this.pendingSessionChunks.filter(chunk => chunk.id !== oldest.id);
-                if (this.pendingSessionChunks.length === 0 && this.pendingSessionId === oldest.sessionId) {
-                    this.pendingSessionId = null;
-                }
-            }
+    // === SLEEP / WAKE RECOVERY ===
 
-            if (!preservedHeader) {
-                oldest.blob = null;
+    static get SUSPEND_GAP_SECONDS() { return 4; } // silence that, after a suspension, means media was lost
+
+    initPageLifecycle() {
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.handlePageSuspend('hidden');
+            } else {
+                this.handlePageResume('visible');
+                this.updateWakeLock(); // the browser drops the wake lock whenever the tab is hidden
             }
+        });
+        // Page Lifecycle API (Chromium): a frozen page runs no code until 'resume'
+        document.addEventListener('freeze', () => this.handlePageSuspend('freeze'));
+        document.addEventListener('resume', () => this.handlePageResume('resume'));
+    }
+
+    static get HIDDEN_ROTATE_DELAY_MS() { return 30000; } // ordinary tab/app switches stay in one segment
+
+    handlePageSuspend(reason) {
+        /**
+         * The tab may be frozen or the machine put to sleep next: finalize (and persist) what was
+         * recorded so far, so a suspension can only cost the seconds after this point. A frozen page
+         * is closed at once; a hidden one only if it stays hidden, so quick switches cost no segment.
+         */
+        if (!this.isCapturing()) return;
+        this.suspendedAtMs = Date.now();
+        this.debugLogState('lifecycle:suspend', { reason });
+        clearTimeout(this.hiddenRotateTimeout);
+        this.hiddenRotateTimeout = null;
+        if (reason === 'hidden') {
+            this.hiddenRotateTimeout = setTimeout(() => {
+                this.hiddenRotateTimeout = null;
+                if (document.visibilityState === 'hidden' && this.isCapturing()) {
+                    this.rotateRecorder();
+                    this.persistBufferState();
+                }
+            }, FlashbackRecorder.HIDDEN_ROTATE_DELAY_MS);
+            return;
         }
-        if (changed) {
-            this.recomputeSessionBoundaries();
-            this.allSessions = [...this.recordedSessions];
-            this.updateDebugPanel();
-            this.updateTimeline();
-            this.debugLogState('trim:end:changed');
-        } else {
-            this.debugLogState('trim:end:unchanged');
-        }
+        this.rotateRecorder();
+        this.persistBufferState();
     }
 
-    updatePreRollStateFromBuffer() {
-        let remainingVisible = this.maxDuration;
-        if (!Number.isFinite(remainingVisible) || remainingVisible <= 0) {
-            remainingVisible = 0;
+    // The watchdog ticks every 2 s: a much longer pause means the machine slept or the page was frozen
+    isClockJump(now) {
+        return !!this.watchdogInterval && this.lastWatchdogTickMs > 0 && now - this.lastWatchdogTickMs > 15000;
+    }
+
+    handlePageResume(reason) {
+        // Only a real suspension (hidden/frozen page, clock jump) can lose media. A busy main thread
+        // merely queues the chunks: they arrive late but their durations still add up.
+        const suspended = this.suspendedAtMs !== null || reason === 'clock jump' || reason === 'chunk after suspend';
+        this.suspendedAtMs = null;
+        if (reason === 'visible' || reason === 'resume') {
+            clearTimeout(this.hiddenRotateTimeout);
+            this.hiddenRotateTimeout = null;
         }
-        for (let i = this.chunkBuffer.length - 1; i >= 0; i--) {
-            const chunk = this.chunkBuffer[i];
-            if (!chunk) continue;
-            const duration = chunk.duration || 0;
-            if (remainingVisible > 0) {
-                chunk.isPreRoll = false;
-                remainingVisible = Math.max(0, remainingVisible - duration);
-            } else {
-                chunk.isPreRoll = true;
-            }
+        if (!suspended || !this.isCapturing() || this.watchdogRecovering) return;
+        const now = Date.now();
+        const silence = (now - this.lastChunkArrivalMs) / 1000;
+        this.debugLogState('lifecycle:resume', { reason, silence });
+        // Chunks kept coming (a plain tab switch, throttled timers): nothing was lost
+        if (silence <= FlashbackRecorder.SUSPEND_GAP_SECONDS) return;
+
+        this.noteCaptureGap(silence);
+        // Whatever the current recorder still delivers spans the gap; the next segment starts clean
+        this.gapRecorder = this.mediaRecorder;
+        const tracksDead = !this.stream || !this.stream.active
+            || this.stream.getTracks().some(track => track.readyState === 'ended');
+        const recorderDead = !this.mediaRecorder || this.mediaRecorder.state !== 'recording';
+        if (tracksDead || recorderDead) {
+            this.recoverCapture('woke up from sleep');
+            return;
         }
+        // Devices survived: give the recorder a moment before the watchdog judges it, and close the
+        // segment at the gap
+        this.lastChunkArrivalMs = now;
+        this.lastFrameProgressMs = now;
+        this.rotateRecorder();
+    }
 
-        for (const session of this.recordedSessions) {
-            this.refreshSessionBounds(session);
+    noteCaptureGap(seconds) {
+        // A visible marker where recording was interrupted; several resume signals (event, watchdog tick,
+        // late chunk) may report the same gap, so close detections merge into one marker
+        const absoluteTime = this.lifetimeRecordedDuration;
+        if (this.lastGapMarker && Math.abs(this.lastGapMarker.absoluteTime - absoluteTime) < 2) {
+            this.lastGapMarker.gapSeconds = Math.max(this.lastGapMarker.gapSeconds, Math.round(seconds));
+            return;
         }
+        const marker = this.createFlashbackMarker({ absoluteTime, source: 'gap' });
+        if (!marker) return;
+        marker.gapSeconds = Math.round(seconds);
+        this.lastGapMarker = marker;
+        this.debugLogState('lifecycle:gap', { absoluteTime, seconds });
+        this.updateMarkerControls();
+        this.persistBufferState();
+        this.addAlert(`Recording was interrupted for ${this.formatDuration(seconds)} (sleep or suspended tab) - a gap marker was added`, 'info');
     }
 
-    updateTimeline() {
-        // Note: this function can be called in any state.
-        // In 'recordingStopped' or 'transitioning' state, it will simply display the timeline
-        // with the available data (total duration recorded, etc.).
-        // The timeline remains visible even when recording is stopped.
+    // === KEYBOARD SHORTCUTS ===
 
-        // Timestamp for diagnosing update frequency
-        const timestamp = new Date().toISOString();
+    /**
+     * Action registry. keys are the default combos (see KeyBindings); run() returns false when the
+     * key did nothing in the current state, so the browser keeps its default behavior.
+     */
+    getKeyActions() {
+        return [
+            { id: 'mainControl', label: 'Contrôle principal (stop / enregistrer / pause)', keys: ['Space'], run: () => this.handleShiftKey() },
+            { id: 'addMarker', label: 'Ajouter un marqueur', keys: ['Shift'], run: () => this.handleAddFlashbackMarker() },
+            { id: 'deleteMarker', label: 'Supprimer le marqueur', keys: ['Delete', 'Backspace'], run: () => this.handleDeleteMarkerKey() },
+            { id: 'undo', label: 'Annuler (marqueurs)', keys: ['Ctrl+Z', 'Meta+Z'], run: () => this.undoMarkerChange() },
+            { id: 'redo', label: 'Rétablir (marqueurs)', keys: ['Ctrl+Shift+Z', 'Meta+Shift+Z', 'Ctrl+Y', 'Meta+Y'], run: () => this.redoMarkerChange() },
+            { id: 'back', label: 'Reculer', keys: ['ArrowLeft'], run: () => this.handleBackKey() },
+            { id: 'forward', label: 'Avancer', keys: ['ArrowRight'], run: () => this.handleForwardKey() },
+            {
+                id: 'nudgeBack', label: 'Reculer de 0,1 s', keys: ['Alt+ArrowLeft'],
+                run: () => (this.isInFlashback() ? this.stepFlashback(-0.1) : this.handleBackKey())
+            },
+            {
+                id: 'nudgeForward', label: 'Avancer de 0,1 s', keys: ['Alt+ArrowRight'],
+                run: () => (this.isInFlashback() ? this.stepFlashback(0.1) : this.handleForwardKey())
+            },
+            {
+                id: 'frameBack', label: 'Image précédente', keys: [','],
+                run: () => {
+                    if (!this.isInFlashback()) return false;
+                    this.stepFlashback(-this.getFrameDuration());
+                }
+            },
+            {
+                id: 'frameForward', label: 'Image suivante', keys: ['.'],
+                run: () => {
+                    if (!this.isInFlashback()) return false;
+                    this.stepFlashback(this.getFrameDuration());
+                }
+            },
+            { id: 'prevMarker', label: 'Marqueur précédent', keys: ['ArrowUp'], run: () => this.handleArrowUpKey() },
+            { id: 'nextMarker', label: 'Marqueur suivant', keys: ['ArrowDown'], run: () => this.handleArrowDownKey() },
+            { id: 'slower', label: 'Ralentir le replay', keys: ['-'], run: () => this.stepPlaybackSpeed(-1) },
+            { id: 'faster', label: 'Accélérer le replay', keys: ['+', '='], run: () => this.stepPlaybackSpeed(1) },
+            { id: 'loopIn', label: 'Début de boucle', keys: ['I'], run: () => this.setAbLoopPoint('start') },
+            { id: 'loopOut', label: 'Fin de boucle', keys: ['O'], run: () => this.setAbLoopPoint('end') },
+            { id: 'toggleLoop', label: 'Activer / désactiver la boucle', keys: ['L'], run: () => this.toggleAbLoop() },
+            { id: 'pin', label: 'Conserver le moment (★)', keys: ['P'], run: () => this.pinCurrentRange() },
+            {
+                id: 'escape', label: 'Fermer / quitter le flashback', keys: ['Escape'],
+                run: () => {
+                    if (this.editedMarkerId !== null) {
+                        this.closeMarkerPopover();
+                    } else if (this.configPanel && this.configPanel.classList.contains('open')) {
+                        this.closeConfigPanel();
+                    } else {
+                        this.handleEscapeKey();
+                    }
+                }
+            }
+        ];
+    }
 
-        const lifetimeDuration = this.lifetimeRecordedDuration;
-        const isRecording = this.state === 'recording';
-        const isFlashback = this.state === 'flashback';
-        const isFlashbackPaused = this.state === 'flashbackPaused';
+    // Combos the editor refuses: the hidden debug toggle and focus navigation (Escape cancels a capture)
+    static get RESERVED_KEY_COMBOS() { return ['Ctrl+Alt+D', 'Tab', 'Shift+Tab']; }
 
-        let windowStart;
-        let windowEnd;
+    getShortcutLabel(actionId) {
+        const combos = this.keyBindings.get(actionId);
+        return combos.length > 0 ? KeyBindings.format(combos[0]) : '(no shortcut)';
+    }
 
-        if (isRecording) {
-            windowEnd = lifetimeDuration;
-            windowStart = Math.max(0, windowEnd - this.maxDuration);
-        } else {
-            windowStart = this.visibleWindowStart ?? 0;
-            windowEnd = this.visibleWindowEnd ?? windowStart;
+    initKeyBindingsEditor() {
+        if (!this.configKeyBindings) return;
+        this.renderKeyBindingsEditor();
+        if (this.configKeyBindingsReset) {
+            this.configKeyBindingsReset.addEventListener('click', () => {
+                this.cancelKeyCapture();
+                this.keyBindings.reset();
+                this.saveSettings();
+                this.renderKeyBindingsEditor();
+                this.setKeyBindingsNote('Raccourcis par défaut rétablis');
+            });
         }
+    }
 
-        const windowDuration = Math.max(windowEnd - windowStart, 0);
-        this.visibleWindowStart = windowStart;
-        this.visibleWindowEnd = windowEnd;
-        this.visibleWindowDuration = windowDuration;
-        this.totalRecordedTime = Math.min(windowDuration, this.maxDuration);
-        const markersPruned = this.pruneFlashbackMarkers(windowStart, windowEnd);
+    renderKeyBindingsEditor() {
+        if (!this.configKeyBindings) return;
+        this.configKeyBindings.innerHTML = '';
+        this.keyActions.forEach(action => {
+            const row = document.createElement('div');
+            row.className = 'keybinding-row';
 
-        const currentAbsolute = this.getCurrentAbsoluteTime();
+            const label = document.createElement('span');
+            label.className = 'keybinding-label';
+            label.textContent = action.label;
+            row.appendChild(label);
 
-        // Update the green bar (progress)
-        const effectiveBarWidthPercent = this.getEffectiveBarWidthPercent();
-        this.timelineProgress.style.width = `${effectiveBarWidthPercent}%`;
+            const keys = document.createElement('div');
+            keys.className = 'keybinding-keys';
+            this.keyBindings.get(action.id).forEach(combo => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'keybinding-chip';
+                if (this.keyBindings.conflictsFor(combo, action.id).length > 0) {
+                    chip.classList.add('keybinding-chip--conflict');
+                }
+                chip.textContent = `${KeyBindings.format(combo)} ✕`;
+                chip.title = 'Retirer ce raccourci';
+                chip.addEventListener('click', () => {
+                    this.keyBindings.remove(action.id, combo);
+                    this.saveSettings();
+                    this.renderKeyBindingsEditor();
+                });
+                keys.appendChild(chip);
+            });
 
-        const windowStartDisplay = (isRecording || isFlashbackPaused)
-            ? Math.max(0, lifetimeDuration - this.maxDuration)
-            : windowStart;
-        if (this.timeStart) {
-            this.timeStart.textContent = this.formatTime(windowStartDisplay);
-        }
+            const addBtn = document.createElement('button');
+            addBtn.type = 'button';
+            addBtn.className = 'keybinding-add';
+            const capturing = this.keyCapture && this.keyCapture.actionId === action.id;
+            addBtn.classList.toggle('keybinding-add--capturing', !!capturing);
+            addBtn.textContent = capturing ? 'Appuyez sur une touche… (Échap : annuler)' : '+';
+            addBtn.title = 'Ajouter un raccourci';
+            addBtn.addEventListener('click', () => this.startKeyCapture(action.id));
+            keys.appendChild(addBtn);
+
+            row.appendChild(keys);
+            this.configKeyBindings.appendChild(row);
+        });
+    }
 
-        const windowEndDisplay = (isRecording || isFlashbackPaused)
-            ? Math.max(this.maxDuration, lifetimeDuration)
-            : (this.lifetimeRecordedDuration <= this.maxDuration ? this.maxDuration : lifetimeDuration);
-        if (this.timeEnd) {
-            this.timeEnd.textContent = this.formatTime(windowEndDisplay);
-        }
+    startKeyCapture(actionId) {
+        this.keyCapture = { actionId, pending: null };
+        this.setKeyBindingsNote('');
+        this.renderKeyBindingsEditor();
+    }
 
-        const windowWidth = Math.max(windowDuration, 0.0001);
+    cancelKeyCapture() {
+        if (!this.keyCapture) return;
+        this.keyCapture = null;
+        this.renderKeyBindingsEditor();
+    }
 
-        if (this.timeLifetime) {
-            const lifetimeDisplay = Math.max(0, lifetimeDuration);
-            if (lifetimeDisplay > this.maxDuration) {
-                const totalText = this.formatDuration(lifetimeDisplay);
-                const preservedText = this.formatDuration(this.maxDuration);
-                this.timeLifetime.textContent = `Total recorded: ${totalText} - only the last ${preservedText} are preserved`;
-                this.timeLifetime.style.display = '';
-            } else {
-                this.timeLifetime.style.display = 'none';
-            }
+    handleKeyCaptureDown(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.key === 'Escape' && !e.ctrlKey && !e.altKey && !e.shiftKey && !e.metaKey) {
+            this.cancelKeyCapture();
+            return;
         }
-
-        // timeCurrent (user requirement):
-        if (isRecording) {
-            this.timeCurrent.style.display = '';
-            this.timeCurrent.textContent = this.formatTime(Math.max(0, Math.floor(lifetimeDuration)));
-        } else if (isFlashback || isFlashbackPaused) {
-            this.timeCurrent.style.display = '';
-            this.timeCurrent.textContent = this.formatTime(Math.max(0, Math.floor(currentAbsolute)));
-        } else {
-            this.timeCurrent.style.display = 'none';
+        const combo = KeyBindings.comboFromEvent(e);
+        if (!combo) return;
+        if (KeyBindings.MODIFIER_KEYS.includes(e.key)) {
+            // A modifier alone (Shift for markers) is bound on release, unless a key follows it
+            this.keyCapture.pending = combo;
+            return;
         }
+        this.commitKeyCapture(combo);
+    }
 
-        // Red cursor: position relative to the visible window and bounded by the green width
-        const cursorRelative = windowDuration > 0
-            ? (currentAbsolute - windowStart) / windowDuration
-            : 0;
-        const clamped = Math.max(0, Math.min(1, cursorRelative));
-        const leftWithinGreen = clamped * effectiveBarWidthPercent;
-        this.timelinePosition.style.display = (isRecording || isFlashback || isFlashbackPaused) ? 'block' : 'none';
-        this.timelinePosition.style.left = `${leftWithinGreen}%`;
-
-        this.renderFlashbackMarkers(windowStart, windowEnd, windowDuration, effectiveBarWidthPercent);
-        if (markersPruned) {
-            this.updateMarkerControls();
+    handleKeyCaptureUp(e) {
+        if (this.keyCapture.pending && KeyBindings.MODIFIER_KEYS.includes(e.key)) {
+            this.commitKeyCapture(this.keyCapture.pending);
         }
+    }
 
-        // Waveform is now rendered independently at 100ms intervals in analyzeAudioWaveform()
-        // No need to render here - it would conflict with the real-time rendering
+    commitKeyCapture(combo) {
+        const { actionId } = this.keyCapture;
+        this.keyCapture = null;
+        const labelOf = id => (this.keyActions.find(action => action.id === id) || {}).label || id;
+        if (FlashbackRecorder.RESERVED_KEY_COMBOS.includes(combo)) {
+            this.setKeyBindingsNote(`${KeyBindings.format(combo)} est réservé et ne peut pas être affecté`, true);
+        } else {
+            // One combo drives one action: taking it moves it away from its previous action
+            const conflicts = this.keyBindings.conflictsFor(combo, actionId);
+            conflicts.forEach(otherId => this.keyBindings.remove(otherId, combo));
+            this.keyBindings.add(actionId, combo);
+            this.saveSettings();
+            if (conflicts.length > 0) {
+                const orphaned = conflicts.filter(otherId => this.keyBindings.get(otherId).length === 0);
+                const note = `${KeyBindings.format(combo)} était affecté à « ${conflicts.map(labelOf).join(' », « ')} » : raccourci déplacé`;
+                this.setKeyBindingsNote(orphaned.length > 0
+                    ? `${note} ; « ${orphaned.map(labelOf).join(' », « ')} » n'a plus de raccourci`
+                    : note, true);
+            } else {
+                this.setKeyBindingsNote(`${KeyBindings.format(combo)} → ${labelOf(actionId)}`);
+            }
+        }
+        this.renderKeyBindingsEditor();
+    }
 
-        // Photo timeline is now rendered independently at 100ms intervals in startPhotoTimelineRefresh()
-        // No need to render here - it would conflict with the real-time rendering
+    setKeyBindingsNote(text, warn = false) {
+        if (!this.configKeyBindingsNote) return;
+        this.configKeyBindingsNote.textContent = text;
+        this.configKeyBindingsNote.classList.toggle('config-note--warning', warn);
     }
 
-    async handleTimelineClick(e) {
-    /**
-     * Handles clicks on the timeline to trigger flashbacks.
-     * Calculates the target timestamp and starts flashback with recording stop handling.
-     */
-        if (this.state === 'transitioning') {
-            return;
-        }
+    // === HEALTH DASHBOARD ===
 
-        const rect = this.timelineBar.getBoundingClientRect(); // Coordinates of the green bar rectangle
-        const x = e.clientX - rect.left;
+    static get HEALTH_HISTORY_LENGTH() { return 120; } // one sample per second: the last two minutes
 
-        // Use unified calculation function
-        const targetTime = this.calculateTargetTimeFromClick(x, rect, true);
+    /**
+     * Metrics sampled once per second while the debug panel is enabled. sample() returns
+     * { value, text, warn }: value feeds the sparkline, text is shown next to the label.
+     */
+    getHealthMetrics() {
+        const mb = bytes => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return [
+            {
+                id: 'blobBytes', label: 'Blob memory',
+                sample: () => {
+                    // The budget only covers the rolling buffer; retired keepers are held on top of it
+                    const keepers = this.keeperSessions.reduce((sum, session) => sum + (session.chunks || [])
+                        .reduce((acc, chunk) => acc + (chunk.blob ? chunk.blob.size : 0), 0), 0);
+                    const buffered = this.getBufferedBytes();
+                    const budget = this.getMemoryBudgetBytes();
+                    const text = Number.isFinite(budget) ? `${mb(buffered)} / ${mb(budget)}` : mb(buffered);
+                    return {
+                        value: buffered,
+                        text: keepers > 0 ? `${text} · ★ ${mb(keepers)}` : text,
+                        warn: Number.isFinite(budget) && buffered > budget * 0.9
+                    };
+                }
+            },
+            {
+                id: 'byteRate', label: 'Bytes/second',
+                sample: () => {
+                    const rate = this.estimateBytesPerSecond();
+                    return { value: rate || 0, text: rate ? `${(rate * 8 / 1000).toFixed(0)} kbit/s` : '—' };
+                }
+            },
+            {
+                id: 'mse', label: 'MSE buffered',
+                sample: () => {
+                    const ctx = this._mse;
+                    if (!ctx || !ctx.sourceBuffer) return { value: 0, text: 'idle' };
+                    const ranges = this.getTimeRanges(ctx.sourceBuffer.buffered);
+                    const bufferedSeconds = ranges.reduce((sum, [start, end]) => sum + (end - start), 0);
+                    const mappedSeconds = ctx.segMap.reduce((sum, seg) => sum + (seg.mseEnd - seg.mseStart), 0);
+                    const text = `${ranges.map(([start, end]) => `${start.toFixed(1)}–${end.toFixed(1)}`).join(' ') || 'empty'}`
+                        + ` · segMap ${ctx.segMap.length} (${mappedSeconds.toFixed(1)}s)`;
+                    // More than one range, or ranges that disagree with segMap, point at a bad append/evict
+                    return { value: bufferedSeconds, text, warn: ranges.length > 1 || Math.abs(bufferedSeconds - mappedSeconds) > 0.5 };
+                }
+            },
+            {
+                id: 'frames', label: 'Dropped frames',
+                sample: () => {
+                    const video = this.isInFlashback() && this.flashbackVideo ? this.flashbackVideo : this.videoPreview;
+                    if (!video || typeof video.getVideoPlaybackQuality !== 'function') return { value: 0, text: 'n/a' };
+                    const quality = video.getVideoPlaybackQuality();
+                    const previous = this.lastFrameQuality && this.lastFrameQuality.video === video ? this.lastFrameQuality : null;
+                    const dropped = previous ? Math.max(0, quality.droppedVideoFrames - previous.dropped) : 0;
+                    this.lastFrameQuality = { video, dropped: quality.droppedVideoFrames, total: quality.totalVideoFrames };
+                    return {
+                        value: dropped,
+                        text: `${quality.droppedVideoFrames} / ${quality.totalVideoFrames} decoded`,
+                        warn: dropped > 0
+                    };
+                }
+            },
+            {
+                id: 'audioContext', label: 'Keep-alive audio',
+                sample: () => {
+                    const context = this.audioKeepAlive && this.audioKeepAlive.audioContext;
+                    const state = context ? context.state : 'off';
+                    return { value: state === 'running' ? 1 : 0, text: state, warn: !!context && state !== 'running' };
+                }
+            },
+            {
+                id: 'jitter', label: 'Chunk jitter',
+                sample: () => {
+                    const intervals = this.chunkArrivalIntervals;
+                    if (intervals.length === 0) return { value: 0, text: '—' };
+                    // Chunks are requested every 1000 ms: mean distance from that cadence
+                    const jitter = intervals.reduce((sum, ms) => sum + Math.abs(ms - 1000), 0) / intervals.length;
+                    return { value: jitter, text: `${jitter.toFixed(0)} ms`, warn: jitter > 250 };
+                }
+            }
+        ];
+    }
 
-        // Unified flashback navigation with validation
-        await this.seekFlashback(targetTime, {
-            allowFromRecording: true,
-            allowFromRecordingStopped: true,
-            allowFromFlashbackPaused: true
+    initHealthDashboard() {
+        if (!this.debugHealthList) return;
+        this.healthMetrics = this.getHealthMetrics();
+        this.debugHealthList.innerHTML = '';
+        this.healthMetrics.forEach(metric => {
+            const row = document.createElement('div');
+            row.className = 'health-row';
+            const label = document.createElement('span');
+            label.className = 'health-label';
+            label.textContent = metric.label;
+            const value = document.createElement('span');
+            value.className = 'health-value';
+            value.textContent = '—';
+            const canvas = document.createElement('canvas');
+            canvas.className = 'health-sparkline';
+            canvas.width = 240;
+            canvas.height = 40;
+            row.appendChild(label);
+            row.appendChild(value);
+            row.appendChild(canvas);
+            this.debugHealthList.appendChild(row);
+            this.healthRows[metric.id] = { row, value, canvas, last: null };
+            this.healthHistory[metric.id] = [];
         });
     }
 
-    // === FLASHBACK PLAYBACK (MediaSource) ===
-    // The retained segments are self-contained WebM files. Stitching them into a single MediaSource
-    // SourceBuffer (mode 'sequence') yields ONE continuous, gapless timeline with a real finite
-    // duration — no per-segment reload seams and no reliance on the unknown per-blob duration.
-    // A small map converts between absolute recording time and MediaSource time.
+    setDebugPanelEnabled(enabled) {
+        this.debugPanelEnabled = enabled;
+        this.saveSettings();
+        this.applyDebugPanelVisibility();
+        this.showMessage(enabled ? 'Debug panel enabled' : 'Debug panel hidden', 'info');
+    }
 
-    async playFlashbackFromTimestamp(timestamp) {
-        if (!Number.isFinite(timestamp)) {
-            timestamp = 0;
+    applyDebugPanelVisibility() {
+        const display = this.debugPanelEnabled ? 'flex' : 'none';
+        if (this.debugPanel) {
+            this.debugPanel.style.display = display;
+            this.debugPanel.classList.toggle('open', this.debugPanelEnabled);
         }
-        // seekFlashback bumped _flashbackId; capture it so async work can detect interruption.
-        const fbId = this._flashbackId;
-        const sessions = this.recordedSessions || [];
-        if (sessions.length === 0) {
-            return;
+        if (this.debugPanelToggle) {
+            this.debugPanelToggle.style.display = display;
         }
-        this.allSessions = [...sessions];
+        if (this.debugPanelEnabled) {
+            this.startHealthSampling();
+            this.updateDebugPanel();
+        } else {
+            this.stopHealthSampling();
+        }
+    }
 
-        // (Re)build the windowed MediaSource when there isn't a usable one, the segment set changed,
-        // or the requested time falls outside the currently-buffered run. Back/forward presses that
-        // stay inside the buffered run reuse it and just re-seek; larger jumps rebuild the window
-        // around the new target.
-        const needRebuild = !this._mse || !this._mse.ready
-            || this._mse.segCount !== sessions.length
-            || !this._fbTargetInRun(this._mse, timestamp);
-        if (needRebuild) {
-            this.clearFlashbackMonitors();
-            this._teardownMse();
-            // Attach the video element up front: a MediaSource only fires 'sourceopen' once it is
-            // bound to a media element, so _buildFlashbackMediaSource needs the element ready.
-            this.flashbackVideo = this.videoPreview;
-            this.videoPreview.srcObject = null;
-            this.videoPreview.muted = false;
-            const built = await this._buildFlashbackMediaSource(sessions, timestamp);
-            if (this._flashbackId !== fbId) {
-                // A newer flashback superseded this one while we were building.
-                this._teardownMse(built);
-                return;
+    startHealthSampling() {
+        if (this.healthInterval || !this.healthMetrics) return;
+        this.sampleHealth();
+        this.healthInterval = setInterval(() => this.sampleHealth(), 1000);
+    }
+
+    stopHealthSampling() {
+        if (this.healthInterval) {
+            clearInterval(this.healthInterval);
+            this.healthInterval = null;
+        }
+    }
+
+    sampleHealth() {
+        this.healthMetrics.forEach(metric => {
+            let sample;
+            try {
+                sample = metric.sample();
+            } catch (e) {
+                sample = { value: 0, text: 'error', warn: true };
             }
-            if (!built) {
-                this.showMessage('Flashback playback error', 'error');
-                this._teardownMse();
-                this.flashbackVideo = null;
-                this.previousAbsoluteTime = null;
-                this.setState('recordingStopped');
-                this.resumeRecording();
-                return;
+            const history = this.healthHistory[metric.id];
+            history.push(sample.value);
+            if (history.length > FlashbackRecorder.HEALTH_HISTORY_LENGTH) {
+                history.shift();
             }
-            this._mse = built;
-            this.updateFlashbackVideoAudioOutput(this.currentAudioOutputDeviceId || 'default');
-        }
+            this.healthRows[metric.id].last = sample;
+        });
+        this.renderHealthDashboard();
+    }
 
-        // Position the single timeline at the requested absolute time.
-        const mseTime = this._absToMse(timestamp);
-        try {
-            this.flashbackVideo.currentTime = mseTime;
-        } catch (e) {
-            try { this.flashbackVideo.currentTime = 0; } catch (e2) { /* noop */ }
-        }
-        this._syncFlashbackIndex(timestamp);
+    renderHealthDashboard() {
+        if (!this.healthMetrics) return;
+        this.healthMetrics.forEach(metric => {
+            const row = this.healthRows[metric.id];
+            if (!row.last) return;
+            row.value.textContent = row.last.text;
+            row.row.classList.toggle('health-row--warn', !!row.last.warn);
+            this.drawSparkline(row.canvas, this.healthHistory[metric.id], row.last.warn);
+        });
+    }
 
-        // (Re)wire the handlers for this flashback id, transition state, and play.
-        this._attachFlashbackHandlers(fbId);
-        this.setState('flashback');
-        this.updateUIForFlashback();
-        this.updateDebugPanel();
-        this.startTimer();
-        this.stopPhotoExtraction();
-        this.stopPhotoTimelineRefresh();
+    drawSparkline(canvas, values, warn = false) {
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return;
+        const { width, height } = canvas;
+        ctx.clearRect(0, 0, width, height);
+        if (values.length < 2) return;
+        const max = Math.max(...values);
+        const min = Math.min(0, ...values);
+        const span = max - min || 1;
+        const step = width / (FlashbackRecorder.HEALTH_HISTORY_LENGTH - 1);
+        const offset = width - (values.length - 1) * step; // newest sample on the right edge
+        ctx.beginPath();
+        values.forEach((value, i) => {
+            const x = offset + i * step;
+            const y = height - 2 - ((value - min) / span) * (height - 4);
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.strokeStyle = warn ? '#DC2626' : '#2563EB';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
 
-        // Keep the sliding window fed ahead of / evicted behind the play head for this flashback.
-        this._pumpFlashback(fbId);
+    // === DIAGNOSTICS (BUG-023) ===
 
-        const tryPlay = () => this.flashbackVideo && this.flashbackVideo.play();
-        Promise.resolve()
-            .then(tryPlay)
-            .catch(() => {
-                // A rejected play() (e.g. transient autoplay/power-save interruption) shouldn't kill
-                // the flashback — retry once; if it still fails, stay paused in flashback.
-                if (this._flashbackId !== fbId) return;
-                return Promise.resolve().then(tryPlay).catch(() => {});
+    initDiagnostics() {
+        window.addEventListener('error', (event) => {
+            this.diagnostics.error('APP', event.message || 'uncaught error', {
+                source: event.filename, line: event.lineno, column: event.colno
             });
+        });
+        window.addEventListener('unhandledrejection', (event) => {
+            const reason = event.reason;
+            this.diagnostics.error('APP', 'unhandled rejection', { reason: reason && (reason.message || String(reason)) });
+        });
+        if (this.configExportDiagnosticsBtn) {
+            this.configExportDiagnosticsBtn.addEventListener('click', () => this.exportDiagnostics());
+        }
     }
 
-    // Bounds for the on-demand buffered window. Appending every retained segment into one SourceBuffer
-    // overruns the browser's SourceBuffer memory quota (~150 MB) once the retained window gets large,
-    // which made flashback fail with QuotaExceededError on long sessions. We keep only a bounded run of
-    // consecutive segments around the play head instead.
-    static get FB_BYTE_BUDGET() { return 96 * 1024 * 1024; } // stay well under the ~150 MB SB quota
-    static get FB_PREFETCH_AHEAD() { return 12; } // seconds of lead to keep appended ahead of the head
-    static get FB_KEEP_BEHIND() { return 20; }    // seconds to retain behind the head before evicting
+    logRecorderError(event) {
+        const error = event && event.error;
+        this.diagnostics.error('RECORDER', 'MediaRecorder error', {
+            name: error && error.name,
+            message: error && error.message,
+            sessionId: this.currentSessionId,
+            mimeType: this.activeMimeType
+        });
+    }
 
-    // Lazily build (and cache) the concatenated, self-contained WebM blob for one retained segment.
-    _fbEntryBlob(entry) {
-        if (!entry.blob) {
-            entry.blob = this.buildFlashbackSessionBlob(entry.session);
-        }
-        return entry.blob;
+    logVideoError(message, video) {
+        const error = video && video.error;
+        this.diagnostics.error('VIDEO_READ', message, {
+            code: error && error.code,
+            detail: error && error.message,
+            readyState: video && video.readyState,
+            networkState: video && video.networkState,
+            currentTime: video && Number((video.currentTime || 0).toFixed(2)),
+            buffered: this.getTimeRanges(video && video.buffered)
+        });
     }
 
-    // Append the segment at entries[idx], extending the buffered run forward. Returns true on success.
-    // A synchronous QuotaExceededError from appendBuffer propagates to the caller (which evicts + retries).
-    async _fbAppend(ctx, idx) {
-        const entry = ctx.entries[idx];
-        const blob = this._fbEntryBlob(entry);
-        if (!blob || blob.size === 0) { ctx.hiIdx = idx; return false; }
-        const buffer = await blob.arrayBuffer();
-        const sb = ctx.sourceBuffer;
-        await new Promise((res, rej) => {
-            const onOk = () => { cleanup(); res(); };
-            const onErr = () => { cleanup(); rej(new Error('append-error')); };
-            const cleanup = () => { sb.removeEventListener('updateend', onOk); sb.removeEventListener('error', onErr); };
-            sb.addEventListener('updateend', onOk, { once: true });
-            sb.addEventListener('error', onErr, { once: true });
-            sb.appendBuffer(buffer); // may throw QuotaExceededError synchronously
+    getTimeRanges(ranges) {
+        if (!ranges) return [];
+        const list = [];
+        try {
+            for (let i = 0; i < ranges.length; i++) {
+                list.push([Number(ranges.start(i).toFixed(3)), Number(ranges.end(i).toFixed(3))]);
+            }
+        } catch (e) { /* SourceBuffer removed from its MediaSource */ }
+        return list;
+    }
+
+    async buildDiagnosticsReport() {
+        const sessionInfo = session => ({
+            id: session.id,
+            absoluteStart: session.absoluteStart,
+            absoluteEnd: session.absoluteEnd,
+            duration: Number((session.duration || 0).toFixed(2)),
+            chunks: (session.chunks || []).length,
+            bytes: (session.chunks || []).reduce((sum, chunk) => sum + (chunk.blob ? chunk.blob.size : 0), 0),
+            missingBlobs: (session.chunks || []).filter(chunk => !chunk.blob).length,
+            hasHeader: !!session.headerBlob,
+            mimeType: session.mimeType,
+            videoSize: session.videoSize,
+            pinned: !!session.pinned
         });
-        const mseStart = ctx.mseCursor;
-        const mseEnd = sb.buffered.length ? sb.buffered.end(sb.buffered.length - 1) : mseStart;
-        ctx.segMap.push({ idx, absStart: entry.absStart, absEnd: entry.absEnd, mseStart, mseEnd });
-        ctx.mseCursor = mseEnd;
-        ctx.totalMse = mseEnd;
-        ctx.bytesBuffered += blob.size;
-        ctx.hiIdx = idx;
-        return true;
+        const mse = this._mse;
+        const track = kind => {
+            const t = this.stream && this.stream.getTracks().find(candidate => candidate.kind === kind);
+            return t ? { label: t.label, readyState: t.readyState, muted: t.muted, settings: t.getSettings ? t.getSettings() : null } : null;
+        };
+        let devices = [];
+        try {
+            devices = (await navigator.mediaDevices.enumerateDevices())
+                .map(device => ({ kind: device.kind, label: device.label }));
+        } catch (e) { /* permissions or API unavailable */ }
+        let storage = null;
+        try {
+            storage = navigator.storage && navigator.storage.estimate ? await navigator.storage.estimate() : null;
+        } catch (e) { /* noop */ }
+        const memory = performance.memory
+            ? { usedJSHeapSize: performance.memory.usedJSHeapSize, jsHeapSizeLimit: performance.memory.jsHeapSizeLimit }
+            : null;
+
+        return {
+            generatedAt: new Date().toISOString(),
+            app: {
+                state: this.state,
+                backgroundRecording: this.backgroundRecording,
+                recorderState: this.mediaRecorder ? this.mediaRecorder.state : null,
+                mimeType: this.activeMimeType,
+                maxDuration: this.maxDuration,
+                bufferedDuration: Number(this._bufferedDuration.toFixed(2)),
+                lifetimeRecordedDuration: Number(this.lifetimeRecordedDuration.toFixed(2)),
+                bufferedBytes: this.getBufferedBytes(),
+                memoryBudgetMB: this.memoryBudgetMB,
+                chunkBufferLength: this.chunkBuffer.length,
+                currentSessionId: this.currentSessionId,
+                currentSessionChunks: this.currentSessionChunks.length,
+                wakeLock: this.wakeLockStatus,
+                markers: this.flashbackMarkers.length
+            },
+            sessions: this.recordedSessions.map(sessionInfo),
+            keepers: this.keeperSessions.map(sessionInfo),
+            playback: {
+                flashbackBuffered: this.getTimeRanges(this.flashbackVideo && this.flashbackVideo.buffered),
+                mse: mse ? {
+                    mime: mse.mime,
+                    readyState: mse.mediaSource && mse.mediaSource.readyState,
+                    sourceBuffered: this.getTimeRanges(mse.sourceBuffer && mse.sourceBuffer.buffered),
+                    bytesBuffered: mse.bytesBuffered,
+                    loIdx: mse.loIdx,
+                    hiIdx: mse.hiIdx,
+                    segments: mse.segMap.length
+                } : null
+            },
+            capture: { video: track('video'), audio: track('audio') },
+            watchdogIncidents: this.watchdogIncidents,
+            environment: {
+                userAgent: navigator.userAgent,
+                platform: navigator.platform,
+                language: navigator.language,
+                hardwareConcurrency: navigator.hardwareConcurrency,
+                deviceMemory: navigator.deviceMemory || null,
+                screen: { width: screen.width, height: screen.height, pixelRatio: window.devicePixelRatio },
+                codecs: this.codecNegotiator.probe().map(c => ({ id: c.id, recordable: c.recordable, playable: c.playable })),
+                memory,
+                storage,
+                devices
+            },
+            log: this.diagnostics.toJSON()
+        };
+    }
+
+    async exportDiagnostics() {
+        try {
+            const report = await this.buildDiagnosticsReport();
+            const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+            const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+            this.downloadBlob(blob, `flashback-diagnostics-${stamp}.json`);
+            this.showMessage('Diagnostics exported', 'success');
+        } catch (error) {
+            this.diagnostics.error('APP', 'diagnostics export failed', { error: error && error.message });
+            this.showMessage('Diagnostics export failed', 'error');
+        }
+    }
+
+    // === SCREEN WAKE LOCK ===
+
+    isWakeLockSupported() {
+        return 'wakeLock' in navigator && typeof navigator.wakeLock.request === 'function';
     }
 
-    // Drop the oldest buffered segment(s) to reclaim memory. Never evicts within FB_KEEP_BEHIND of the
-    // play head, and always leaves at least one segment buffered.
-    async _fbEvictFront(ctx, playAbs) {
-        while (ctx.bytesBuffered > FlashbackRecorder.FB_BYTE_BUDGET
-               && ctx.segMap.length > 1
-               && ctx.segMap[0].absEnd < playAbs - FlashbackRecorder.FB_KEEP_BEHIND) {
-            const seg = ctx.segMap[0];
-            const sb = ctx.sourceBuffer;
-            try {
-                await new Promise((res) => {
-                    sb.addEventListener('updateend', res, { once: true });
-                    sb.remove(seg.mseStart, seg.mseEnd);
-                });
-            } catch (e) { break; }
-            const entry = ctx.entries[seg.idx];
-            ctx.bytesBuffered -= (entry.blob ? entry.blob.size : 0);
-            entry.blob = null; // free the concatenated blob
-            ctx.loIdx = seg.idx + 1;
-            ctx.segMap.shift();
+    updateWakeLock() {
+        if (this.wakeLockWanted) {
+            this.acquireWakeLock();
+        } else {
+            this.releaseWakeLock();
         }
     }
 
-    // Is the absolute time t inside the currently-buffered run?
-    _fbTargetInRun(ctx, t) {
-        return !!(ctx && ctx.ready && ctx.segMap.length > 0
-            && t >= ctx.segMap[0].absStart - 0.05
-            && t <= ctx.segMap[ctx.segMap.length - 1].absEnd + 0.05);
-    }
+    async acquireWakeLock() {
+        if (this.wakeLock || this.wakeLockPending) return;
+        if (!this.isWakeLockSupported()) {
+            this.setWakeLockStatus('unsupported');
+            this.startInactivityMonitor(); // BUG-021 fallback: ask the user to change their power settings
+            return;
+        }
+        // Requests are rejected from a hidden tab; visibilitychange re-acquires it
+        if (document.visibilityState !== 'visible') return;
 
-    // Maintain the buffered window for the active flashback: prefetch ahead of the play head, evict
-    // behind, and finalise the stream once the last segment is buffered. Re-entrancy-guarded and kicked
-    // from the timeupdate/waiting handlers; every step is gated on fbId so a superseded flashback stops.
-    async _pumpFlashback(fbId) {
-        const ctx = this._mse;
-        if (!ctx || ctx._pumping || this._flashbackId !== fbId) return;
-        ctx._pumping = true;
+        this.wakeLockPending = true;
+        let lock = null;
         try {
-            const video = this.flashbackVideo;
-            while (this._flashbackId === fbId && ctx.ready) {
-                const headMse = video ? (video.currentTime || 0) : 0;
-                const playAbs = video ? this._mseToAbs(headMse) : ctx.windowStartAbs;
-                await this._fbEvictFront(ctx, playAbs);
-                if (this._flashbackId !== fbId) break;
-                const needAhead = (ctx.mseCursor - headMse) < FlashbackRecorder.FB_PREFETCH_AHEAD
-                                  || ctx.bytesBuffered < FlashbackRecorder.FB_BYTE_BUDGET;
-                if (ctx.hiIdx < ctx.lastIdx && needAhead
-                    && ctx.bytesBuffered < FlashbackRecorder.FB_BYTE_BUDGET) {
-                    try {
-                        await this._fbAppend(ctx, ctx.hiIdx + 1);
-                    } catch (e) {
-                        // Out of SourceBuffer room: drop behind the head and try again next tick.
-                        await this._fbEvictFront(ctx, playAbs);
-                        break;
-                    }
-                    continue;
-                }
-                if (ctx.hiIdx >= ctx.lastIdx && !ctx.endedStream) {
-                    try { ctx.mediaSource.endOfStream(); } catch (e) { /* noop */ }
-                    ctx.endedStream = true;
-                }
-                break;
-            }
-        } finally {
-            ctx._pumping = false;
+            lock = await navigator.wakeLock.request('screen');
+        } catch (err) {
+            this.wakeLockPending = false;
+            this.debugLogState('wakeLock:denied', { error: err && err.message });
+            this.setWakeLockStatus('denied');
+            this.startInactivityMonitor();
+            return;
+        }
+        this.wakeLockPending = false;
+        if (!this.wakeLockWanted) {
+            // Recording stopped while the request was in flight
+            lock.release().catch(() => {});
+            return;
         }
+        this.wakeLock = lock;
+        lock.addEventListener('release', () => {
+            if (this.wakeLock !== lock) return;
+            // Released by the browser (tab hidden, battery saver): held again on the next 'visible'
+            this.wakeLock = null;
+            this.setWakeLockStatus(this.wakeLockWanted ? 'suspended' : 'idle');
+        });
+        this.stopInactivityMonitor();
+        this.setWakeLockStatus('active');
     }
 
-    // Build a MediaSource holding a bounded window of segments around targetAbs: one segment behind
-    // (smooth small rewinds) then forward until the byte budget is hit. The pump keeps it fed/evicted
-    // as playback proceeds. Returns a context or null if even the minimal window could not be built.
-    async _buildFlashbackMediaSource(sessions, targetAbs = 0) {
-        const entries = sessions
-            .filter(s => s && Array.isArray(s.chunks) && s.chunks.length > 0)
-            .map(s => ({
-                session: s,
-                absStart: s.absoluteStart ?? s.visibleStartAbs ?? 0,
-                absEnd: s.absoluteEnd ?? s.visibleEndAbs ?? (s.absoluteStart ?? 0),
-                blob: null
-            }))
-            .sort((a, b) => a.absStart - b.absStart);
-        if (entries.length === 0) {
-            return null;
+    releaseWakeLock() {
+        this.stopInactivityMonitor();
+        if (this.wakeLock) {
+            const lock = this.wakeLock;
+            this.wakeLock = null;
+            lock.release().catch(() => {});
         }
-        const mime = entries[0].session.mimeType || this.activeMimeType || 'video/webm';
-        if (!(window.MediaSource && MediaSource.isTypeSupported(mime))) {
-            return null;
+        if (this.wakeLockStatus !== 'unsupported') {
+            this.setWakeLockStatus('idle');
         }
-        const mediaSource = new MediaSource();
-        const objectUrl = URL.createObjectURL(mediaSource);
-        const ctx = {
-            mediaSource, objectUrl, sourceBuffer: null, mime,
-            entries, segCount: sessions.length, lastIdx: entries.length - 1,
-            loIdx: 0, hiIdx: -1, segMap: [], mseCursor: 0, bytesBuffered: 0,
-            totalMse: 0, endedStream: false, _pumping: false,
-            windowStartAbs: entries[0].absStart,
-            windowEndAbs: entries[entries.length - 1].absEnd,
-            ready: false
+    }
+
+    setWakeLockStatus(status) {
+        if (this.wakeLockStatus === status) return;
+        this.wakeLockStatus = status;
+        this.updateWakeLockDisplay();
+    }
+
+    updateWakeLockDisplay() {
+        if (!this.configWakeLockStatus) return;
+        const labels = {
+            idle: 'Inactif (aucun enregistrement en cours)',
+            active: 'Actif : l\'écran reste allumé pendant l\'enregistrement',
+            suspended: 'Suspendu tant que l\'onglet est masqué',
+            unsupported: 'Non pris en charge par ce navigateur : désactivez la mise en veille dans les réglages système',
+            denied: 'Refusé par le navigateur (économie d\'énergie ?) : désactivez la mise en veille dans les réglages système'
         };
+        this.configWakeLockStatus.textContent = labels[this.wakeLockStatus] || '';
+        this.configWakeLockStatus.classList.toggle('config-note--warning',
+            this.wakeLockStatus === 'unsupported' || this.wakeLockStatus === 'denied');
+    }
 
-        // Bind the MediaSource to the video element so 'sourceopen' fires.
-        this.videoPreview.srcObject = null;
-        this.videoPreview.src = objectUrl;
-        try { this.videoPreview.load(); } catch (e) { /* noop */ }
+    // === CAPTURE QUALITY ===
 
-        const opened = await new Promise((resolve) => {
-            const timeout = setTimeout(() => resolve(false), 5000); // give up rather than hang
-            mediaSource.addEventListener('sourceopen', () => { clearTimeout(timeout); resolve(true); }, { once: true });
-        });
-        if (!opened) {
-            try { URL.revokeObjectURL(objectUrl); } catch (e) { /* noop */ }
-            return null;
+    static get CAPTURE_RESOLUTIONS() {
+        return {
+            '480p': { width: 854, height: 480 },
+            '720p': { width: 1280, height: 720 },
+            '1080p': { width: 1920, height: 1080 },
+            '4K': { width: 3840, height: 2160 }
+        };
+    }
+    static get FRAME_RATES() { return [0, 24, 30, 60]; }
+    static get VIDEO_BITRATES() { return [0, 1000, 2500, 5000, 8000, 16000]; } // kbit/s
+    static get AUDIO_BITRATES() { return [0, 64, 128, 192]; } // kbit/s
+
+    getQualityConstraints() {
+        // 'ideal' only: the camera picks its closest mode instead of failing getUserMedia
+        const constraints = {};
+        const size = FlashbackRecorder.CAPTURE_RESOLUTIONS[this.captureResolution];
+        if (size) {
+            constraints.width = { ideal: size.width };
+            constraints.height = { ideal: size.height };
         }
+        if (this.captureFrameRate > 0) {
+            constraints.frameRate = { ideal: this.captureFrameRate };
+        }
+        return constraints;
+    }
 
-        try {
-            const sb = mediaSource.addSourceBuffer(mime);
-            sb.mode = 'sequence'; // place each segment right after the previous one
-            ctx.sourceBuffer = sb;
+    getRecorderOptions() {
+        const options = this.activeMimeType ? { mimeType: this.activeMimeType } : {};
+        if (this.videoBitrateKbps > 0) {
+            options.videoBitsPerSecond = this.videoBitrateKbps * 1000;
+        }
+        if (this.audioBitrateKbps > 0) {
+            options.audioBitsPerSecond = this.audioBitrateKbps * 1000;
+        }
+        return options;
+    }
 
-            let targetIdx = entries.findIndex(e => targetAbs <= e.absEnd + 0.05);
-            if (targetIdx < 0) targetIdx = entries.length - 1;
-            const startIdx = Math.max(0, targetIdx - 1); // one segment of rewind headroom
+    getConfiguredBytesPerSecond() {
+        if (this.videoBitrateKbps <= 0) return null;
+        return (this.videoBitrateKbps + (this.audioBitrateKbps || 128)) * 1000 / 8;
+    }
 
-            // Mandatory: cover startIdx..targetIdx so the requested position is immediately playable.
-            for (let i = startIdx; i <= targetIdx; i++) {
-                await this._fbAppend(ctx, i);
-            }
-            ctx.ready = ctx.segMap.length > 0;
-            // Prefetch forward up to the byte budget; the pump extends further during playback.
-            let i = targetIdx + 1;
-            while (i <= ctx.lastIdx && ctx.bytesBuffered < FlashbackRecorder.FB_BYTE_BUDGET) {
-                await this._fbAppend(ctx, i);
-                i++;
-            }
-            ctx.loIdx = ctx.segMap.length ? ctx.segMap[0].idx : 0;
-            if (ctx.hiIdx >= ctx.lastIdx) {
-                try { mediaSource.endOfStream(); } catch (e) { /* noop */ }
-                ctx.endedStream = true;
+    async applyQualitySettings() {
+        this.saveSettings();
+        const track = this.stream && this.stream.getVideoTracks()[0];
+        if (track && track.readyState === 'live' && track.applyConstraints) {
+            try {
+                // Applied to the live track: no new getUserMedia, the buffer is untouched
+                await track.applyConstraints(this.getQualityConstraints());
+            } catch (e) {
+                console.warn('Capture constraints not applied:', e);
             }
-        } catch (e) {
-            // A QuotaExceededError this early means even the minimal window didn't fit — bail out.
         }
+        // Bitrates only apply to a new MediaRecorder: open a fresh segment at the new quality
+        if (this.isCapturing()) {
+            await this.rotateRecorder();
+        }
+        this.recentChunkStats = []; // measure the new quality from scratch
+        this.updateCaptureSettingsDisplay();
+        this.updateMemoryEstimate();
+    }
 
-        if (!ctx.ready) {
-            try { URL.revokeObjectURL(objectUrl); } catch (e) { /* noop */ }
-            return null;
+    async applyCodecSelection() {
+        this.saveSettings();
+        const codec = this.codecNegotiator.choose(this.codecPreference);
+        if (!codec) return;
+        if (this.codecPreference !== 'auto' && codec.id !== this.codecPreference) {
+            this.showMessage(`This format is not supported here - using ${codec.label}`, 'info');
+        }
+        if (codec.recordType === this.activeMimeType) return;
+        this.activeMimeType = codec.recordType;
+        // The new format starts with the next segment; segments already recorded keep theirs
+        if (this.isCapturing()) {
+            await this.rotateRecorder();
+        }
+        if (this._delayed) {
+            // Its SourceBuffer was opened for the previous format
+            this.stopDelayedMirror();
+            this.startDelayedMirror();
+        }
+        this.recentChunkStats = [];
+        this.updateMemoryEstimate();
+    }
+
+    updateCaptureSettingsDisplay() {
+        // What the camera and the recorder actually delivered, which may differ from the request
+        if (!this.configCaptureEffective) return;
+        const track = this.stream && this.stream.getVideoTracks()[0];
+        const settings = track && track.getSettings ? track.getSettings() : null;
+        if (!settings || !settings.width) {
+            this.configCaptureEffective.textContent = 'Valeurs effectives affichées une fois la caméra active';
+            return;
         }
-        return ctx;
+        const parts = [`${settings.width}×${settings.height}`];
+        if (settings.frameRate) {
+            parts.push(`${Math.round(settings.frameRate)} i/s`);
+        }
+        const videoBits = this.mediaRecorder && this.mediaRecorder.videoBitsPerSecond;
+        if (videoBits) {
+            parts.push(`vidéo ${(videoBits / 1e6).toFixed(1)} Mbit/s`);
+        }
+        const audioBits = this.mediaRecorder && this.mediaRecorder.audioBitsPerSecond;
+        if (audioBits) {
+            parts.push(`audio ${Math.round(audioBits / 1000)} kbit/s`);
+        }
+        this.configCaptureEffective.textContent = `Effectif : ${parts.join(' · ')}`;
     }
 
-    // Convert an absolute recording timestamp to a position on the MediaSource timeline. Operates on
-    // the currently-buffered run; callers ensure the target lies within it before seeking.
-    _absToMse(absTime) {
-        const ctx = this._mse;
-        if (!ctx || ctx.segMap.length === 0) {
-            return 0;
+    // === MEMORY BUDGET ===
+
+    static get MEMORY_BUDGETS() { return [0, 256, 512, 1024, 2048, 4096]; }
+
+    recordChunkStats(chunk) {
+        const size = chunk.blob ? chunk.blob.size : 0;
+        if (!(chunk.duration > 0) || size <= 0) return;
+        this.recentChunkStats.push({ size, duration: chunk.duration });
+        if (this.recentChunkStats.length > 30) {
+            this.recentChunkStats.shift();
         }
-        const runStart = ctx.segMap[0].absStart;
-        const runEnd = ctx.segMap[ctx.segMap.length - 1].absEnd;
-        const clamped = Math.max(runStart, Math.min(absTime, runEnd));
-        for (const seg of ctx.segMap) {
-            if (clamped <= seg.absEnd) {
-                const absSpan = seg.absEnd - seg.absStart;
-                const frac = absSpan > 0 ? (clamped - seg.absStart) / absSpan : 0;
-                return seg.mseStart + Math.max(0, Math.min(1, frac)) * (seg.mseEnd - seg.mseStart);
+    }
+
+    estimateBytesPerSecond() {
+        // Over the last ~30 chunks: follows quality changes quickly while smoothing keyframe spikes
+        const totals = this.recentChunkStats.reduce(
+            (acc, stat) => ({ size: acc.size + stat.size, duration: acc.duration + stat.duration }),
+            { size: 0, duration: 0 }
+        );
+        return totals.duration >= 3 ? totals.size / totals.duration : null;
+    }
+
+    getBufferedBytes() {
+        return this.chunkBuffer.reduce((sum, chunk) => sum + (chunk.blob ? chunk.blob.size : 0), 0);
+    }
+
+    getMemoryBudgetBytes() {
+        const configured = this.memoryBudgetMB > 0 ? this.memoryBudgetMB * 1024 * 1024 : Infinity;
+        return Math.min(configured, this.adaptiveBudgetBytes ?? Infinity);
+    }
+
+    dropOldestSessionsToFitMemory() {
+        // Whole oldest segments leave (pinned ones retire to the keepers) until the bytes fit the budget
+        const budget = this.getMemoryBudgetBytes();
+        if (!Number.isFinite(budget)) {
+            return false;
+        }
+        let bytes = this.getBufferedBytes();
+        let changed = false;
+        // Always keep the latest finalized segment so there is something to flash back to
+        while (bytes > budget && this.recordedSessions.length > 1) {
+            const oldest = this.recordedSessions[0];
+            if (!oldest || oldest.id === this.currentSessionId || this.isHeldByFlashback(oldest)) {
+                break;
             }
+            bytes -= (oldest.chunks || []).reduce((sum, chunk) => sum + (chunk.blob ? chunk.blob.size : 0), 0);
+            this.dropSessionCompletely(oldest);
+            changed = true;
         }
-        return ctx.mseCursor;
+        if (changed) {
+            this.diagnostics.info('BUFFER_TRIM', 'memory budget eviction', { bytes, budget });
+        }
+        return changed;
     }
 
-    // Convert a MediaSource timeline position back to an absolute recording timestamp (loaded run).
-    _mseToAbs(mseTime) {
-        const ctx = this._mse;
-        if (!ctx || ctx.segMap.length === 0) {
-            return this.visibleWindowEnd ?? this.lifetimeRecordedDuration ?? 0;
+    maybeCheckMemoryPressure() {
+        // Called with every chunk; the actual check runs every 10 s
+        const now = Date.now();
+        if (now - this.lastMemoryCheckMs < 10000) return;
+        this.lastMemoryCheckMs = now;
+        this.updateMemoryEstimate();
+        if (!this.adaptiveMemory) return;
+
+        // performance.memory only exists in Chromium; storage pressure matters for the persisted copy
+        const heap = performance.memory;
+        const heapRatio = heap && heap.jsHeapSizeLimit ? heap.usedJSHeapSize / heap.jsHeapSizeLimit : 0;
+        if (navigator.storage && navigator.storage.estimate) {
+            navigator.storage.estimate()
+                .then(({ usage, quota }) => this.applyMemoryPressure(Math.max(heapRatio, quota ? usage / quota : 0)))
+                .catch(() => this.applyMemoryPressure(heapRatio));
+        } else {
+            this.applyMemoryPressure(heapRatio);
         }
-        for (const seg of ctx.segMap) {
-            if (mseTime <= seg.mseEnd) {
-                const mseSpan = seg.mseEnd - seg.mseStart;
-                const frac = mseSpan > 0 ? (mseTime - seg.mseStart) / mseSpan : 0;
-                return seg.absStart + Math.max(0, Math.min(1, frac)) * (seg.absEnd - seg.absStart);
+    }
+
+    applyMemoryPressure(ratio) {
+        if (!this.adaptiveMemory) return;
+        if (ratio >= 0.85) {
+            // Shrink the byte cap by a quarter on each check while the pressure lasts
+            const cap = Math.max(this.getBufferedBytes() * 0.75, 16 * 1024 * 1024);
+            if (this.adaptiveBudgetBytes === null || cap < this.adaptiveBudgetBytes) {
+                if (this.adaptiveBudgetBytes === null) {
+                    this.addAlert('Memory is running low - older recording is now dropped sooner to keep the app running', 'error');
+                }
+                this.adaptiveBudgetBytes = cap;
+                this.enforceRollingBuffer();
+                this.updateTimeline();
+                this.updateMemoryEstimate();
+            }
+        } else if (ratio < 0.6 && this.adaptiveBudgetBytes !== null) {
+            this.adaptiveBudgetBytes = null;
+            this.showMessage('Memory pressure gone - full retention restored', 'info');
+            this.updateMemoryEstimate();
+        }
+    }
+
+    updateMemoryEstimate() {
+        // Config panel estimate, plus a one-time alert when the requested duration won't fit the budget
+        // Until a few seconds are measured, the chosen bitrates give a first estimate
+        const rate = this.estimateBytesPerSecond() ?? this.getConfiguredBytesPerSecond();
+        const budget = this.getMemoryBudgetBytes();
+        const toMB = bytes => Math.round(bytes / (1024 * 1024));
+        if (this.configMemoryEstimate) {
+            if (rate === null) {
+                this.configMemoryEstimate.textContent = 'Estimation disponible après quelques secondes d\'enregistrement';
+            } else {
+                const fits = Number.isFinite(budget) ? ` · le budget tient ≈ ${this.formatTime(budget / rate)}` : '';
+                const reduced = this.adaptiveBudgetBytes !== null ? ' (réduit : mémoire saturée)' : '';
+                this.configMemoryEstimate.textContent =
+                    `≈ ${toMB(rate * 60)} Mo/min · ${this.maxDuration} s ≈ ${toMB(rate * this.maxDuration)} Mo${fits}${reduced}`;
             }
         }
-        return ctx.segMap[ctx.segMap.length - 1].absEnd;
+        if (rate === null || this.memoryBudgetMB <= 0) return;
+        const fitsSeconds = (this.memoryBudgetMB * 1024 * 1024) / rate;
+        const key = `${this.maxDuration}:${this.memoryBudgetMB}`;
+        if (fitsSeconds < this.maxDuration && this.memoryWarningKey !== key) {
+            this.memoryWarningKey = key;
+            this.addAlert(`At the current quality the ${this.memoryBudgetMB} MB memory budget holds about ${this.formatTime(fitsSeconds)} - less than the ${this.formatTime(this.maxDuration)} requested`, 'info');
+        }
     }
 
-    // Keep currentFlashbackIndex aligned with the played position (debug panel highlight). Indexes the
-    // full entry list, not just the buffered run.
-    _syncFlashbackIndex(absTime) {
-        const ctx = this._mse;
-        if (!ctx) return;
-        const entries = ctx.entries || [];
-        for (let i = 0; i < entries.length; i++) {
-            if (absTime <= entries[i].absEnd) { this.currentFlashbackIndex = i; return; }
+    // === PINNED RANGES (KEEPERS) ===
+
+    static get PINNED_BUDGETS() { return [60, 120, 300, 600, 1200, 1800]; }
+
+    isRangePinned(start, end) {
+        return this.pinnedRanges.some(range => range.start < end && range.end > start);
+    }
+
+    refreshPinnedFlags() {
+        // A segment stays pinned while any pinned range overlaps it
+        [...this.recordedSessions, ...this.keeperSessions].forEach(session => {
+            session.pinned = this.isRangePinned(session.absoluteStart ?? 0, session.absoluteEnd ?? 0);
+        });
+    }
+
+    getPinnedHeadSession() {
+        // The finalized pinned segment owning the oldest buffered chunk, if any
+        const head = this.chunkBuffer[0];
+        const session = head && head.sessionId ? this.sessionMap.get(head.sessionId) : null;
+        if (!session || !session.pinned || session.id === this.currentSessionId) {
+            return null;
         }
-        this.currentFlashbackIndex = Math.max(0, entries.length - 1);
+        // Only if retiring it actually frees that chunk, or the eviction loops would spin
+        return (session.chunks || []).some(chunk => chunk.id === head.id) ? session : null;
     }
 
-    // Attach the timeupdate/ended/error handlers for the flashback identified by fbId.
-    _attachFlashbackHandlers(fbId) {
-        const video = this.flashbackVideo;
-        if (!video) return;
-        this._detachFlashbackHandlers();
+    getPinnedUsage() {
+        // Recorded seconds held by pinned segments, still in the window or already retired
+        return [...this.recordedSessions, ...this.keeperSessions]
+            .filter(session => session.pinned)
+            .reduce((sum, session) => sum + (session.duration || 0), 0);
+    }
 
-        this._timeupdateHandler = () => {
-            if (this._flashbackId !== fbId) { this._detachFlashbackHandlers(); return; }
-            this._syncFlashbackIndex(this._mseToAbs(video.currentTime || 0));
-            this.updateTimeline();
-            this.updateAllPlaybackPositions();
-            this._pumpFlashback(fbId); // feed the window ahead / evict behind as playback advances
-        };
-        this._onEndedHandler = () => {
-            if (this._flashbackId !== fbId) return;
-            // Reached the live edge of the retained window — hand back to live recording.
-            this.resumeRecordingAfterFlashback();
-        };
-        this._onErrorHandler = () => {
-            if (this._flashbackId !== fbId) return;
-            this.showMessage('Flashback playback error', 'error');
-            this.resumeRecordingAfterFlashback();
-        };
-        // If playback outruns the buffered window, feed it more rather than stalling.
-        this._onWaitingHandler = () => {
-            if (this._flashbackId !== fbId) return;
-            this._pumpFlashback(fbId);
-        };
-        video.addEventListener('timeupdate', this._timeupdateHandler);
-        video.addEventListener('ended', this._onEndedHandler);
-        video.addEventListener('error', this._onErrorHandler);
-        video.addEventListener('waiting', this._onWaitingHandler);
+    getPinCandidateRange() {
+        // The A-B loop, else the take around the play head, else a nearby marker or the play head ± padding
+        const { start, end } = this.abLoop;
+        if (start !== null && end !== null) {
+            return { start, end };
+        }
+        const time = this.getCurrentAbsoluteTime();
+        if (!Number.isFinite(time)) {
+            return null;
+        }
+        const inFlashback = this.isInFlashback();
+        if (inFlashback) {
+            const around = this.getMarkerRangeAround(time);
+            if (around) {
+                return around;
+            }
+        }
+        const pad = this.pinPaddingSeconds;
+        const nearest = this.flashbackMarkers
+            .filter(marker => Math.abs(marker.absoluteTime - time) <= pad)
+            .sort((a, b) => Math.abs(a.absoluteTime - time) - Math.abs(b.absoluteTime - time))[0];
+        if (nearest) {
+            return { start: nearest.absoluteTime - pad, end: nearest.absoluteTime + pad };
+        }
+        // Live, the moments just recorded; in review, both sides of the play head
+        return inFlashback ? { start: time - pad, end: time + pad } : { start: time - 2 * pad, end: time };
     }
 
-    _detachFlashbackHandlers() {
-        const video = this.flashbackVideo;
-        if (video) {
-            if (this._timeupdateHandler) video.removeEventListener('timeupdate', this._timeupdateHandler);
-            if (this._onEndedHandler) video.removeEventListener('ended', this._onEndedHandler);
-            if (this._onErrorHandler) video.removeEventListener('error', this._onErrorHandler);
-            if (this._onWaitingHandler) video.removeEventListener('waiting', this._onWaitingHandler);
+    pinCurrentRange() {
+        if (this.state === 'transitioning') return;
+        const range = this.getPinCandidateRange();
+        if (!range) return;
+        const oldest = this.recordedSessions[0];
+        const start = Math.max(range.start, oldest ? (oldest.absoluteStart ?? 0) : 0);
+        // While recording, a pin may reach into the segment still being written
+        const end = this.isCapturing() ? range.end : Math.min(range.end, this.lifetimeRecordedDuration);
+        if (end - start < 0.5) {
+            this.showMessage('Nothing recorded to keep here', 'info');
+            return;
         }
-        this._timeupdateHandler = null;
-        this._onEndedHandler = null;
-        this._onErrorHandler = null;
-        this._onWaitingHandler = null;
+        if (this.pinnedRanges.some(pinned => pinned.start <= start && pinned.end >= end)) {
+            this.showMessage('This range is already kept', 'info');
+            return;
+        }
+
+        // Cost: the segments not pinned yet, plus the part that is still being recorded
+        const newSessions = this.recordedSessions.filter(session =>
+            !session.pinned && (session.absoluteStart ?? 0) < end && (session.absoluteEnd ?? 0) > start);
+        const last = this.recordedSessions[this.recordedSessions.length - 1];
+        const recordedEnd = last ? (last.absoluteEnd ?? 0) : start;
+        const cost = newSessions.reduce((sum, session) => sum + (session.duration || 0), 0)
+            + Math.max(0, end - Math.max(start, recordedEnd));
+        const used = this.getPinnedUsage();
+        if (used + cost > this.pinnedBudgetSeconds) {
+            this.showMessage(`Keepers budget full (${this.formatTime(used)} of ${this.formatTime(this.pinnedBudgetSeconds)}) - unpin a range first`, 'error');
+            return;
+        }
+
+        this.pinnedRanges.push({ id: ++this.pinnedRangeIdCounter, start, end });
+        this.pinnedRanges.sort((a, b) => a.start - b.start);
+        this.refreshPinnedFlags();
+        this.renderKeepersStrip();
+        this.persistBufferState();
+        this.showMessage(`Kept ${this.formatTime(start)}–${this.formatTime(end)}`, 'success');
     }
 
-    // Tear down a MediaSource context and release its object URL.
-    _teardownMse(ctx = this._mse) {
-        if (!ctx) return;
-        try {
-            if (ctx.mediaSource && ctx.mediaSource.readyState === 'open') {
-                ctx.mediaSource.endOfStream();
-            }
-        } catch (e) { /* noop */ }
-        try { URL.revokeObjectURL(ctx.objectUrl); } catch (e) { /* noop */ }
-        if (ctx.entries) ctx.entries.forEach(e => { e.blob = null; }); // free windowed segment blobs
-        if (ctx === this._mse) {
-            this._mse = null;
+    unpinRange(rangeId) {
+        const remaining = this.pinnedRanges.filter(range => range.id !== rangeId);
+        // Retired segments no longer covered by any pin are discarded for good
+        const released = this.keeperSessions.filter(session =>
+            !remaining.some(range => range.start < (session.absoluteEnd ?? 0) && range.end > (session.absoluteStart ?? 0)));
+        if (this._mse && this._mse.keepers && released.some(session => this._mse.entries.some(e => e.session === session))) {
+            this.showMessage('Stop playing this keeper before unpinning it', 'info');
+            return;
+        }
+        this.pinnedRanges = remaining;
+        this.refreshPinnedFlags();
+        if (released.length > 0) {
+            this.keeperSessions = this.keeperSessions.filter(session => !released.includes(session));
+            released.forEach(session => {
+                (session.chunks || []).forEach(chunk => { chunk.blob = null; });
+                this.releaseSessionMedia(session);
+            });
         }
+        this.renderKeepersStrip();
+        this.persistBufferState();
     }
 
-    waitForRecorderStop() { // Wait for the recorder to stop (it just waits for the recorder to stop)
-        return new Promise((resolve) => { 
-            if (!this.mediaRecorder) { // If the recorder doesn't exist, resolve immediately
-                resolve(); 
-                return;
+    getFlashbackSessionsFor(time) {
+        // A retired keeper plays from its own segments; everything else from the rolling buffer
+        const windowStart = this.recordedSessions[0]?.absoluteStart ?? Infinity;
+        if (time >= windowStart) {
+            return this.recordedSessions;
+        }
+        const range = this.pinnedRanges.find(pinned => time >= pinned.start && time < pinned.end);
+        if (!range) {
+            return this.recordedSessions;
+        }
+        const sessions = this.keeperSessions.filter(session =>
+            (session.absoluteStart ?? 0) < range.end && (session.absoluteEnd ?? 0) > range.start);
+        return sessions.length > 0 ? sessions : this.recordedSessions;
+    }
+
+    playKeeper(range) {
+        if (this.state === 'transitioning') return;
+        const allowOptions = { allowFromRecording: true, allowFromRecordingStopped: true, allowFromFlashbackPaused: true };
+        this.seekFlashback(range.start, allowOptions);
+    }
+
+    renderKeepersStrip() {
+        if (!this.keepersStrip) return;
+        this.keepersStrip.innerHTML = '';
+        this.keepersStrip.style.display = this.pinnedRanges.length > 0 ? 'flex' : 'none';
+        if (this.pinnedRanges.length === 0) return;
+
+        const label = document.createElement('span');
+        label.className = 'keepers-label';
+        label.textContent = `Keepers ${this.formatTime(this.getPinnedUsage())} / ${this.formatTime(this.pinnedBudgetSeconds)}`;
+        this.keepersStrip.appendChild(label);
+
+        const windowStart = this.recordedSessions[0]?.absoluteStart ?? Infinity;
+        this.pinnedRanges.forEach(range => {
+            const chip = document.createElement('span');
+            // Dimmed once the range has left the timeline: it only lives on as a keeper
+            chip.className = range.end <= windowStart ? 'keeper-chip keeper-chip--retired' : 'keeper-chip';
+            const play = document.createElement('button');
+            play.className = 'keeper-chip-play';
+            play.textContent = `★ ${this.formatTime(range.start)}–${this.formatTime(range.end)}`;
+            play.title = 'Play this kept range';
+            play.addEventListener('click', () => this.playKeeper(range));
+            const remove = document.createElement('button');
+            remove.className = 'keeper-chip-remove';
+            remove.textContent = '×';
+            remove.setAttribute('aria-label', 'Unpin this range');
+            remove.addEventListener('click', () => this.unpinRange(range.id));
+            chip.append(play, remove);
+            this.keepersStrip.appendChild(chip);
+        });
+    }
+
+    // === CLIP EXPORT ===
+
+    getExportRange() {
+        // While reviewing between two markers, export that rep; otherwise the whole retained window
+        const windowStart = this.recordedSessions[0]?.absoluteStart ?? this.visibleWindowStart ?? 0;
+        const windowEnd = Math.max(this.lifetimeRecordedDuration || 0, this.visibleWindowEnd || 0);
+        if (this.state === 'flashback' || this.state === 'flashbackPaused') {
+            const range = this.getMarkerRangeAround(this.getCurrentAbsoluteTime());
+            if (range) {
+                return { ...range, betweenMarkers: true };
             }
-            const state = this.mediaRecorder.state; // Check the recorder state
-            if (state !== 'recording') { // If the recorder is not recording, resolve immediately
-                resolve();
-                return;
+        }
+        return { start: windowStart, end: windowEnd, betweenMarkers: false };
+    }
+
+    getMarkerRangeAround(time) {
+        // The two markers surrounding `time`, or null if it is not between two markers
+        const sorted = this.flashbackMarkers.slice().sort((a, b) => a.absoluteTime - b.absoluteTime);
+        const before = sorted.filter(marker => marker.absoluteTime <= time).pop();
+        const after = sorted.find(marker => marker.absoluteTime > time);
+        return before && after ? { start: before.absoluteTime, end: after.absoluteTime } : null;
+    }
+
+    getExportSources(startAbs, endAbs) {
+        // Finalized segments plus the segment being recorded (its chunks already form a valid WebM prefix)
+        const sessions = [...this.keeperSessions, ...this.recordedSessions];
+        if (this.currentSessionChunks.length > 0) {
+            const chunks = this.currentSessionChunks;
+            sessions.push({
+                id: this.currentSessionId,
+                chunks,
+                headerBlob: this.currentSessionHeaderBlob,
+                mimeType: this.activeMimeType || 'video/webm',
+                absoluteStart: chunks[0].absoluteStart,
+                absoluteEnd: chunks[chunks.length - 1].absoluteEnd,
+                duration: chunks.reduce((sum, chunk) => sum + (chunk.duration || 0), 0)
+            });
+        }
+        return sessions
+            .filter(session => (session.absoluteEnd ?? 0) > startAbs && (session.absoluteStart ?? 0) < endAbs)
+            .sort((a, b) => (a.absoluteStart || 0) - (b.absoluteStart || 0))
+            .map(session => ({
+                blob: this.buildFlashbackSessionBlob(session),
+                absStart: session.absoluteStart ?? 0,
+                absEnd: session.absoluteEnd ?? session.absoluteStart ?? 0,
+                mimeType: (session.mimeType || this.activeMimeType || 'video/webm').replace(/\s+/g, '').toLowerCase()
+            }))
+            .filter(source => source.blob);
+    }
+
+    getExportPlan(startAbs, endAbs) {
+        /**
+         * The remux writes a single track header, so every segment in the clip must share one recording
+         * format. A format change inside the range (settings, device switch) splits it into runs; the clip
+         * is cut to the WebM run covering most of the range.
+         * @returns {{sources: Array, start: number, end: number, mimeType: string|null, runs: Array}}
+         */
+        const runs = [];
+        this.getExportSources(startAbs, endAbs).forEach(source => {
+            const run = runs[runs.length - 1];
+            if (run && run.mimeType === source.mimeType) {
+                run.sources.push(source);
+            } else {
+                runs.push({ mimeType: source.mimeType, sources: [source] });
             }
-            const handler = () => {
-                this.mediaRecorder.removeEventListener('stop', handler); // Remove the listener once it's called
-                resolve(); // Resolve the promise
-            };
-            this.mediaRecorder.addEventListener('stop', handler, { once: true }); // Add the listener once to prevent duplicates
         });
+        runs.forEach(run => {
+            run.start = Math.max(startAbs, run.sources[0].absStart);
+            run.end = Math.min(endAbs, run.sources[run.sources.length - 1].absEnd);
+        });
+        const best = runs
+            .filter(run => run.mimeType.includes('webm'))
+            .reduce((chosen, run) => (!chosen || run.end - run.start >= chosen.end - chosen.start ? run : chosen), null);
+        return {
+            sources: best ? best.sources : [],
+            start: best ? best.start : startAbs,
+            end: best ? best.end : endAbs,
+            mimeType: best ? best.mimeType : null,
+            runs
+        };
     }
 
-    buildFlashbackSessionBlob(session) {
-        if (!session || !Array.isArray(session.chunks) || session.chunks.length === 0) {
-            this.debugLogState('buildBlob:empty-session', { sessionId: session?.id });
+    async exportClip(startAbs, endAbs, plan = this.getExportPlan(startAbs, endAbs)) {
+        /**
+         * Remux the segments covering [startAbs, endAbs] into a single continuous WebM.
+         * @returns {Promise<{blob: Blob, duration: number}|null>}
+         */
+        if (!Number.isFinite(startAbs) || !Number.isFinite(endAbs) || endAbs <= startAbs) {
             return null;
         }
-        const parts = [];
-        const firstChunk = session.chunks[0];
-        if (session.headerBlob && (!firstChunk || !firstChunk.isSessionHeader)) {
-            parts.push(session.headerBlob);
+        if (plan.sources.length === 0 || plan.end <= plan.start) {
+            return null;
         }
-        session.chunks.forEach(chunk => {
-            if (chunk && chunk.blob) {
-                parts.push(chunk.blob);
+        return this.webmClipBuilder.build(plan.sources, plan.start, plan.end);
+    }
+
+    getFormatLabel(mimeType) {
+        const candidate = this.codecNegotiator.candidates.find(c => c.recordTypes
+            .some(type => type.replace(/\s+/g, '').toLowerCase() === mimeType));
+        return candidate ? candidate.label : mimeType;
+    }
+
+    async handleExportClip() {
+        if (this.isExportingClip || this.state === 'transitioning') {
+            return;
+        }
+        const range = this.getExportRange();
+        this.isExportingClip = true;
+        this.updateMarkerControls();
+        try {
+            const plan = this.getExportPlan(range.start, range.end);
+            if (plan.runs.length > 0 && !plan.mimeType) {
+                this.showMessage(`Clip export needs a WebM recording format (recorded as ${this.getFormatLabel(plan.runs[0].mimeType)})`, 'error');
+                return;
             }
-        });
-        if (parts.length === 0) {
-            this.debugLogState('buildBlob:no-parts', { sessionId: session?.id });
-            return null;
+            const clip = await this.exportClip(range.start, range.end, plan);
+            if (!clip) {
+                this.showMessage('Nothing to export', 'error');
+                return;
+            }
+            const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+            this.downloadBlob(clip.blob, `flashback-${stamp}.webm`);
+            const scope = range.betweenMarkers ? 'between markers' : 'full buffer';
+            const formatNote = plan.runs.length > 1
+                ? `; recording format changed, only the ${this.getFormatLabel(plan.mimeType)} part`
+                : '';
+            this.showMessage(`Exported ${this.formatTime(clip.duration)} (${scope}${formatNote})`, plan.runs.length > 1 ? 'info' : 'success');
+        } catch (error) {
+            console.error('Clip export failed:', error);
+            this.showMessage('Clip export failed', 'error');
+        } finally {
+            this.isExportingClip = false;
+            this.updateMarkerControls();
         }
-        const sizes = parts.map(part => part?.size || 0);
-        this.debugLogState('buildBlob:assembled', {
-            sessionId: session.id,
-            chunkCount: session.chunks.length,
-            partCount: parts.length,
-            partSizes: sizes,
-            totalSize: sizes.reduce((a, b) => a + b, 0),
-            hasHeader: !!session.headerBlob,
-            preRollDuration: Number((session.preRollDuration || 0).toFixed(2)),
-            visibleDuration: Number((session.duration || 0).toFixed(2))
-        });
-        const mimeType = session.mimeType || this.activeMimeType || 'video/webm';
-        return new Blob(parts, { type: mimeType });
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoke later: some browsers start the download asynchronously
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
     }
 
     // === INTERRUPTION/END OF PLAYBACK + RESUME RECORDING ===
 
     stopFlashbackAndResumeRecording() {
-        if (this.state === 'flashback') {
+        const isReviewingWhileRecording = this.backgroundRecording && this.state === 'flashbackPaused';
+        if (this.state === 'flashback' || isReviewingWhileRecording) {
             this.setState('recordingStopped');
             this.currentFlashbackIndex = 0;
             this.currentReferencePosition = null;
@@ -5615,9 +10546,243 @@ class FlashbackRecorder {
             this.configMirrorToggle.addEventListener('change', () => {
                 this.mirrorMode = this.configMirrorToggle.checked;
                 this.applyMirrorMode();
+                this.renderMotionRoi();
+                this.saveSettings();
+            });
+        }
+
+        // Flashback playback speed (FEAT-004)
+        if (this.configPlaybackSpeedSelect) {
+            FlashbackRecorder.PLAYBACK_SPEEDS.forEach(speed => {
+                const opt = document.createElement('option');
+                opt.value = String(speed);
+                opt.textContent = `${speed}x`;
+                this.configPlaybackSpeedSelect.appendChild(opt);
+            });
+            this.configPlaybackSpeedSelect.value = String(this.playbackSpeed);
+            this.configPlaybackSpeedSelect.addEventListener('change', () => {
+                this.setPlaybackSpeed(parseFloat(this.configPlaybackSpeedSelect.value));
+            });
+        }
+        this.updateSpeedBadge();
+
+        // Keep recording during flashback
+        if (this.configRecordDuringFlashbackToggle) {
+            this.configRecordDuringFlashbackToggle.checked = this.recordDuringFlashback;
+            this.configRecordDuringFlashbackToggle.addEventListener('change', () => {
+                this.recordDuringFlashback = this.configRecordDuringFlashbackToggle.checked;
+                this.saveSettings();
+            });
+        }
+
+        // Delayed mirror
+        if (this.configDelayedMirrorToggle) {
+            this.configDelayedMirrorToggle.checked = this.delayedMirrorEnabled;
+            this.configDelayedMirrorToggle.addEventListener('change', () => {
+                this.setDelayedMirrorEnabled(this.configDelayedMirrorToggle.checked);
+            });
+        }
+        if (this.configMirrorDelaySelect) {
+            FlashbackRecorder.MIRROR_DELAYS.forEach(delay => {
+                const opt = document.createElement('option');
+                opt.value = String(delay);
+                opt.textContent = `${delay} s`;
+                this.configMirrorDelaySelect.appendChild(opt);
+            });
+            this.configMirrorDelaySelect.value = String(this.mirrorDelaySeconds);
+            this.configMirrorDelaySelect.addEventListener('change', () => {
+                this.setMirrorDelay(parseInt(this.configMirrorDelaySelect.value, 10));
+            });
+        }
+
+        // Memory budget of the rolling buffer
+        if (this.configMemoryBudgetSelect) {
+            FlashbackRecorder.MEMORY_BUDGETS.forEach(mb => {
+                const opt = document.createElement('option');
+                opt.value = String(mb);
+                opt.textContent = mb === 0 ? 'Sans limite' : (mb >= 1024 ? `${mb / 1024} Go` : `${mb} Mo`);
+                this.configMemoryBudgetSelect.appendChild(opt);
+            });
+            this.configMemoryBudgetSelect.value = String(this.memoryBudgetMB);
+            this.configMemoryBudgetSelect.addEventListener('change', () => {
+                const value = parseInt(this.configMemoryBudgetSelect.value, 10);
+                if (!FlashbackRecorder.MEMORY_BUDGETS.includes(value)) return;
+                this.memoryBudgetMB = value;
+                this.saveSettings();
+                this.enforceRollingBuffer();
+                this.updateMemoryEstimate();
+                this.updateTimeline();
+            });
+        }
+        if (this.configAdaptiveMemoryToggle) {
+            this.configAdaptiveMemoryToggle.checked = this.adaptiveMemory;
+            this.configAdaptiveMemoryToggle.addEventListener('change', () => {
+                this.adaptiveMemory = this.configAdaptiveMemoryToggle.checked;
+                if (!this.adaptiveMemory) {
+                    this.adaptiveBudgetBytes = null;
+                }
+                this.saveSettings();
+            });
+        }
+        this.updateMemoryEstimate();
+
+        // Capture quality
+        const fillSelect = (select, entries, current) => {
+            entries.forEach(([value, label]) => {
+                const opt = document.createElement('option');
+                opt.value = String(value);
+                opt.textContent = label;
+                select.appendChild(opt);
+            });
+            select.value = String(current);
+        };
+        if (this.configResolutionSelect) {
+            fillSelect(this.configResolutionSelect, [
+                ['auto', 'Automatique'],
+                ...Object.entries(FlashbackRecorder.CAPTURE_RESOLUTIONS).map(([key, size]) => [key, `${key} (${size.width}×${size.height})`])
+            ], this.captureResolution);
+            this.configResolutionSelect.addEventListener('change', () => {
+                this.captureResolution = this.configResolutionSelect.value;
+                this.applyQualitySettings();
+            });
+        }
+        if (this.configFrameRateSelect) {
+            fillSelect(this.configFrameRateSelect,
+                FlashbackRecorder.FRAME_RATES.map(fps => [fps, fps === 0 ? 'Automatique' : `${fps} i/s${fps === 60 ? ' (sport)' : ''}`]),
+                this.captureFrameRate);
+            this.configFrameRateSelect.addEventListener('change', () => {
+                this.captureFrameRate = parseInt(this.configFrameRateSelect.value, 10) || 0;
+                this.applyQualitySettings();
+            });
+        }
+        if (this.configVideoBitrateSelect) {
+            fillSelect(this.configVideoBitrateSelect,
+                FlashbackRecorder.VIDEO_BITRATES.map(kbps => [kbps, kbps === 0 ? 'Automatique' : `${kbps / 1000} Mbit/s`]),
+                this.videoBitrateKbps);
+            this.configVideoBitrateSelect.addEventListener('change', () => {
+                this.videoBitrateKbps = parseInt(this.configVideoBitrateSelect.value, 10) || 0;
+                this.applyQualitySettings();
+            });
+        }
+        if (this.configAudioBitrateSelect) {
+            fillSelect(this.configAudioBitrateSelect,
+                FlashbackRecorder.AUDIO_BITRATES.map(kbps => [kbps, kbps === 0 ? 'Automatique' : `${kbps} kbit/s`]),
+                this.audioBitrateKbps);
+            this.configAudioBitrateSelect.addEventListener('change', () => {
+                this.audioBitrateKbps = parseInt(this.configAudioBitrateSelect.value, 10) || 0;
+                this.applyQualitySettings();
+            });
+        }
+
+        if (this.configCodecSelect) {
+            const probed = this.codecNegotiator.probe();
+            const best = this.codecNegotiator.choose('auto');
+            fillSelect(this.configCodecSelect, [
+                ['auto', best ? `Automatique (${best.label})` : 'Automatique'],
+                ...probed.map(codec => [codec.id, codec.usable ? codec.label : `${codec.label} — non supporté`])
+            ], this.codecPreference);
+            probed.forEach(codec => {
+                const opt = this.configCodecSelect.querySelector(`option[value="${codec.id}"]`);
+                if (opt) opt.disabled = !codec.usable;
+            });
+            this.configCodecSelect.addEventListener('change', () => {
+                this.codecPreference = this.configCodecSelect.value;
+                this.applyCodecSelection();
+            });
+        }
+
+        // Storage budget of the pinned ranges
+        if (this.configPinnedBudgetSelect) {
+            FlashbackRecorder.PINNED_BUDGETS.forEach(seconds => {
+                const opt = document.createElement('option');
+                opt.value = String(seconds);
+                opt.textContent = `${seconds / 60} min`;
+                this.configPinnedBudgetSelect.appendChild(opt);
+            });
+            this.configPinnedBudgetSelect.value = String(this.pinnedBudgetSeconds);
+            this.configPinnedBudgetSelect.addEventListener('change', () => {
+                const value = parseInt(this.configPinnedBudgetSelect.value, 10);
+                if (!FlashbackRecorder.PINNED_BUDGETS.includes(value)) return;
+                // Lowering the budget never unpins anything: it only refuses new pins
+                this.pinnedBudgetSeconds = value;
+                this.saveSettings();
+                this.renderKeepersStrip();
+            });
+        }
+
+        // A-B loop pause between repetitions
+        if (this.configLoopPauseInput) {
+            this.configLoopPauseInput.value = this.loopPauseSeconds;
+            this.configLoopPauseInput.addEventListener('change', () => {
+                const value = parseFloat(this.configLoopPauseInput.value);
+                this.loopPauseSeconds = Number.isFinite(value) ? Math.max(0, Math.min(30, value)) : 0;
+                this.configLoopPauseInput.value = this.loopPauseSeconds;
+                this.saveSettings();
+            });
+        }
+
+        // Onion-skin ghost
+        if (this.configGhostOpacity) {
+            this.configGhostOpacity.value = Math.round(this.ghostOpacity * 100);
+            this.configGhostOpacity.addEventListener('input', () => {
+                this.ghostOpacity = parseInt(this.configGhostOpacity.value, 10) / 100;
+                this.applyGhostStyle();
+            });
+            this.configGhostOpacity.addEventListener('change', () => this.saveSettings());
+        }
+        if (this.configGhostOffset) {
+            this.configGhostOffset.value = this.ghostOffsetSeconds;
+            this.configGhostOffset.addEventListener('change', () => {
+                const value = parseFloat(this.configGhostOffset.value);
+                this.ghostOffsetSeconds = Number.isFinite(value) ? Math.max(-30, Math.min(30, value)) : 0;
+                this.configGhostOffset.value = this.ghostOffsetSeconds;
+                this.saveSettings();
+                if (this.ghostActive) {
+                    this.loadGhost();
+                }
+            });
+        }
+        if (this.configGhostFlipToggle) {
+            this.configGhostFlipToggle.checked = this.ghostFlip;
+            this.configGhostFlipToggle.addEventListener('change', () => {
+                this.ghostFlip = this.configGhostFlipToggle.checked;
+                this.applyGhostStyle();
+                this.saveSettings();
+            });
+        }
+
+        // Automatic markers (FEAT-003)
+        if (this.configAutoMarkersToggle) {
+            this.configAutoMarkersToggle.checked = this.autoMarkersEnabled;
+            this.configAutoMarkersToggle.addEventListener('change', () => {
+                this.setAutoMarkersEnabled(this.configAutoMarkersToggle.checked);
+            });
+        }
+        if (this.configAutoMarkerSensitivity) {
+            this.configAutoMarkerSensitivity.value = Math.round(this.audioOnsetDetector.sensitivity * 100);
+            this.configAutoMarkerSensitivity.disabled = !this.autoMarkersEnabled;
+            this.configAutoMarkerSensitivity.addEventListener('input', () => {
+                this.audioOnsetDetector.sensitivity = parseInt(this.configAutoMarkerSensitivity.value, 10) / 100;
+                this.saveSettings();
+            });
+        }
+
+        // Motion markers: toggle, sensitivity and region of interest
+        if (this.configMotionMarkersToggle) {
+            this.configMotionMarkersToggle.checked = this.motionMarkersEnabled;
+            this.configMotionMarkersToggle.addEventListener('change', () => {
+                this.setMotionMarkersEnabled(this.configMotionMarkersToggle.checked);
+            });
+        }
+        if (this.configMotionSensitivity) {
+            this.configMotionSensitivity.value = Math.round(this.motionDetector.sensitivity * 100);
+            this.configMotionSensitivity.disabled = !this.motionMarkersEnabled;
+            this.configMotionSensitivity.addEventListener('input', () => {
+                this.motionDetector.sensitivity = parseInt(this.configMotionSensitivity.value, 10) / 100;
                 this.saveSettings();
             });
         }
+        this.initMotionRoiEditor();
 
         // Output device: setSinkId support detection
         const supportsSinkId = typeof HTMLMediaElement.prototype.setSinkId === 'function';
@@ -5653,6 +10818,7 @@ class FlashbackRecorder {
         // Populate once permissions are likely granted (after getUserMedia in startRecording)
         // Also attempt immediately in case we already have permission
         this.refreshConfigPanelDevices();
+        this.initKeyBindingsEditor();
     }
 
     openConfigPanel() {
@@ -5660,10 +10826,16 @@ class FlashbackRecorder {
         this.configPanel.classList.add('open');
         // Refresh device list in case new devices were connected
         this.refreshConfigPanelDevices();
+        this.updateCaptureSettingsDisplay();
+        this.updateWakeLockDisplay();
         // Attach camera preview
         if (this.configCameraPreview && this.stream) {
             this.configCameraPreview.srcObject = this.stream;
         }
+        if (this.configMotionPreview && this.stream) {
+            this.configMotionPreview.srcObject = this.stream;
+            this.renderMotionRoi();
+        }
         // Start vumeter
         this.startVuMeter();
     }
@@ -5671,10 +10843,14 @@ class FlashbackRecorder {
     closeConfigPanel() {
         if (!this.configPanel) return;
         this.configPanel.classList.remove('open');
+        this.cancelKeyCapture();
         this.stopVuMeter();
         if (this.configCameraPreview) {
             this.configCameraPreview.srcObject = null;
         }
+        if (this.configMotionPreview) {
+            this.configMotionPreview.srcObject = null;
+        }
     }
 
     async refreshConfigPanelDevices() {
@@ -5739,31 +10915,174 @@ class FlashbackRecorder {
 
     async handleMicDeviceChange(deviceId) {
         if (!deviceId || deviceId === this.currentAudioInputDeviceId) return;
-        const confirmed = window.confirm(
-            'Changer de microphone va redémarrer l\'enregistrement. Le buffer actuel sera perdu. Continuer ?'
-        );
-        if (!confirmed) {
-            // Revert select
-            if (this.configMicSelect) this.configMicSelect.value = this.currentAudioInputDeviceId || '';
-            return;
-        }
-        localStorage.setItem('preferredAudioInputDeviceId', deviceId);
-        this.stopFlashbackAndResumeRecording();
+        const label = this.configMicSelect?.selectedOptions[0]?.text;
+        await this.switchCaptureDevice('audio', deviceId, label);
     }
 
     async handleCameraDeviceChange(deviceId) {
         if (!deviceId) return;
-        const confirmed = window.confirm(
-            'Changer de caméra va redémarrer l\'enregistrement. Le buffer actuel sera perdu. Continuer ?'
-        );
-        if (!confirmed) return;
-        localStorage.setItem('preferredVideoDeviceId', deviceId);
-        this.stopFlashbackAndResumeRecording();
+        const label = this.configCameraSelect?.selectedOptions[0]?.text;
+        await this.switchCaptureDevice('video', deviceId, label);
     }
 
     applyMirrorMode() {
         if (!this.videoPreview) return;
         this.videoPreview.style.transform = this.mirrorMode ? 'scaleX(-1)' : 'none';
+        if (this.delayedVideo) {
+            this.delayedVideo.style.transform = this.videoPreview.style.transform;
+        }
+        this.applyGhostStyle();
+    }
+
+    setAutoMarkersEnabled(enabled) {
+        this.autoMarkersEnabled = !!enabled;
+        this.saveSettings();
+        if (this.configAutoMarkerSensitivity) {
+            this.configAutoMarkerSensitivity.disabled = !this.autoMarkersEnabled;
+        }
+        // The analyser normally only runs for the waveform: start it if detection needs it
+        if (this.autoMarkersEnabled && !this.audioAnalyser && this.state === 'recording') {
+            this.startWaveformAnalysis();
+        } else {
+            this.audioOnsetDetector.reset();
+            if (!this.autoMarkersEnabled && !this.showWaveform) {
+                // Nothing reads the analyser any more: release it so re-enabling starts a fresh loop
+                this.stopWaveformAnalysis();
+            }
+        }
+    }
+
+    setMotionMarkersEnabled(enabled) {
+        this.motionMarkersEnabled = !!enabled;
+        this.saveSettings();
+        if (this.configMotionSensitivity) {
+            this.configMotionSensitivity.disabled = !this.motionMarkersEnabled;
+        }
+        if (this.motionMarkersEnabled && this.state === 'recording') {
+            this.startMotionDetection();
+        } else {
+            this.stopMotionDetection();
+        }
+    }
+
+    initMotionRoiEditor() {
+        /**
+         * Drag on the preview to draw the region watched for motion.
+         * The preview follows the mirror mode, so the rectangle is converted to source coordinates.
+         */
+        const editor = this.configMotionRoiEditor;
+        if (!editor) return;
+        let origin = null;
+        const toPoint = (e) => {
+            const rect = editor.getBoundingClientRect();
+            return {
+                x: Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)),
+                y: Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height))
+            };
+        };
+        const toRect = (a, b) => ({
+            x: Math.min(a.x, b.x),
+            y: Math.min(a.y, b.y),
+            w: Math.abs(a.x - b.x),
+            h: Math.abs(a.y - b.y)
+        });
+        editor.addEventListener('pointerdown', (e) => {
+            origin = toPoint(e);
+            editor.setPointerCapture(e.pointerId);
+        });
+        editor.addEventListener('pointermove', (e) => {
+            if (!origin) return;
+            this.renderMotionRoi(toRect(origin, toPoint(e)));
+        });
+        editor.addEventListener('pointerup', (e) => {
+            if (!origin) return;
+            const displayRect = toRect(origin, toPoint(e));
+            origin = null;
+            // Ignore clicks and slivers: keep the previous region
+            if (displayRect.w >= 0.05 && displayRect.h >= 0.05) {
+                this.setMotionRoi(this.mirrorMode ? { ...displayRect, x: 1 - displayRect.x - displayRect.w } : displayRect);
+            } else {
+                this.renderMotionRoi();
+            }
+        });
+        if (this.configMotionRoiReset) {
+            this.configMotionRoiReset.addEventListener('click', () => {
+                this.setMotionRoi({ x: 0, y: 0, w: 1, h: 1 });
+            });
+        }
+        this.renderMotionRoi();
+    }
+
+    setMotionRoi(roi) {
+        this.motionDetector.roi = roi;
+        this.motionDetector.reset(); // the previous frame was compared over another region
+        this.saveSettings();
+        this.renderMotionRoi();
+    }
+
+    renderMotionRoi(displayRect = null) {
+        if (!this.configMotionRoiRect) return;
+        const roi = this.motionDetector.roi;
+        const rect = displayRect || (this.mirrorMode ? { ...roi, x: 1 - roi.x - roi.w } : roi);
+        this.configMotionRoiRect.style.left = `${rect.x * 100}%`;
+        this.configMotionRoiRect.style.top = `${rect.y * 100}%`;
+        this.configMotionRoiRect.style.width = `${rect.w * 100}%`;
+        this.configMotionRoiRect.style.height = `${rect.h * 100}%`;
+        if (this.configMotionPreview) {
+            this.configMotionPreview.style.transform = this.mirrorMode ? 'scaleX(-1)' : 'none';
+        }
+    }
+
+    // === PLAYBACK SPEED (FEAT-004) ===
+
+    static get PLAYBACK_SPEEDS() { return [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2]; }
+
+    setPlaybackSpeed(speed) {
+        if (!FlashbackRecorder.PLAYBACK_SPEEDS.includes(speed)) {
+            return;
+        }
+        this.playbackSpeed = speed;
+        this.saveSettings();
+        if (this.configPlaybackSpeedSelect) {
+            this.configPlaybackSpeedSelect.value = String(speed);
+        }
+        this.applyPlaybackSpeed();
+    }
+
+    stepPlaybackSpeed(direction) {
+        const speeds = FlashbackRecorder.PLAYBACK_SPEEDS;
+        const index = speeds.indexOf(this.playbackSpeed);
+        const next = speeds[Math.max(0, Math.min(speeds.length - 1, (index < 0 ? speeds.indexOf(1) : index) + direction))];
+        if (next === this.playbackSpeed) {
+            return;
+        }
+        this.setPlaybackSpeed(next);
+        if (this.state !== 'flashback' && this.state !== 'flashbackPaused') {
+            // The badge is only shown during flashbacks: confirm the new setting otherwise
+            this.showMessage(`Replay speed: ${next}x`, 'info');
+        }
+    }
+
+    applyPlaybackSpeed() {
+        // The speed only applies to flashbacks: the live preview shares the same <video> element and
+        // must stay at 1x. defaultPlaybackRate is set too because load() (MSE rebuild, return to live)
+        // resets playbackRate to it.
+        const video = this.videoPreview;
+        const isFlashback = this.state === 'flashback' || this.state === 'flashbackPaused';
+        const rate = isFlashback ? this.playbackSpeed : 1;
+        if (video) {
+            video.defaultPlaybackRate = rate;
+            video.playbackRate = rate;
+            video.preservesPitch = true;
+        }
+        this.updateSpeedBadge();
+    }
+
+    updateSpeedBadge() {
+        if (!this.speedBadge) return;
+        const isFlashback = this.state === 'flashback' || this.state === 'flashbackPaused';
+        this.speedBadge.textContent = `${this.playbackSpeed}x`;
+        this.speedBadge.style.display = isFlashback && this.playbackSpeed !== 1 ? 'inline-block' : 'none';
     }
 
     startVuMeter() {